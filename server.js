@@ -5,8 +5,21 @@
 
 require('dotenv').config();
 const { sequelize, testConnection, syncDatabase } = require('./src/config/db');
-const { closeConnection: closeRabbitConnection } = require('./src/config/rabbitmq');
+const broker = require('./src/config/broker');
 const { startLeaveRequestConsumer } = require('./src/queues/leaveRequestProcessor');
+const { startOutboxRelay, stopOutboxRelay } = require('./src/queues/outboxRelay');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./src/queues/webhookDispatcher');
+const {
+  startNotificationDispatcher,
+  stopNotificationDispatcher
+} = require('./src/queues/notificationDispatcher');
+const {
+  startProcessedMessageCleanup,
+  stopProcessedMessageCleanup
+} = require('./src/queues/processedMessageCleanup');
+const LeaveTypeService = require('./src/services/LeaveTypeService');
+const ApiKeyService = require('./src/services/ApiKeyService');
+const AccessControlService = require('./src/services/AccessControlService');
 const logger = require('./src/utils/logger');
 
 // Import models to ensure they're registered
@@ -24,6 +37,9 @@ const startServer = async () => {
 
     logger.info('Synchronizing database...');
     await syncDatabase({ alter: true });
+    await LeaveTypeService.ensureDefaultLeaveTypes();
+    await ApiKeyService.ensureBootstrapApiKey();
+    await AccessControlService.ensureDefaultRolePermissions();
 
     logger.info('Database is ready!');
 
@@ -39,6 +55,21 @@ const startServer = async () => {
     } catch (consumerError) {
       logger.error('Failed to start leave request consumer', consumerError);
     }
+
+    try {
+      await startWebhookDispatcher();
+    } catch (dispatcherError) {
+      logger.error('Failed to start webhook dispatcher', dispatcherError);
+    }
+
+    try {
+      await startNotificationDispatcher();
+    } catch (dispatcherError) {
+      logger.error('Failed to start notification dispatcher', dispatcherError);
+    }
+
+    startOutboxRelay();
+    startProcessedMessageCleanup();
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -55,9 +86,14 @@ const shutdown = async (signal) => {
       });
     }
 
+    stopOutboxRelay();
+    stopWebhookDispatcher();
+    stopNotificationDispatcher();
+    stopProcessedMessageCleanup();
+
     await Promise.allSettled([
       sequelize.close(),
-      closeRabbitConnection?.()
+      broker.closeConnection()
     ]);
 
     process.exit(0);
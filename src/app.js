@@ -4,6 +4,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 
 const routes = require('./routes');
+const { authenticate } = require('./middleware/authenticate');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -26,7 +27,7 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.use('/api', routes);
+app.use('/api', authenticate, routes);
 
 app.use(notFoundHandler);
 app.use(errorHandler);
@@ -0,0 +1,12 @@
+/**
+ * Authentication configuration
+ * JWT signing settings and the optional bootstrap API key
+ */
+
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '8h',
+  jwtIssuer: process.env.JWT_ISSUER || 'workforce-management',
+  // Seeded on startup so the first integration can call the API before any keys exist
+  bootstrapApiKey: process.env.AUTH_BOOTSTRAP_API_KEY
+};
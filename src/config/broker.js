@@ -0,0 +1,89 @@
+/**
+ * Message broker selection
+ * MESSAGE_BROKER=rabbitmq|memory picks the implementation; when unset, RabbitMQ
+ * is used if RABBITMQ_URL is present and the in-memory broker otherwise.
+ *
+ * Every implementation exposes the same interface:
+ * name, isConfigured(), publishMessage(routingKey, message, options),
+ * consumeMessages(callback, options), getRoutingKey(msg), quarantineMessage(msg, reason),
+ * peekDeadLetters(limit), peekQuarantine(limit), replayDeadLetters(options), closeConnection()
+ *
+ * The exported broker validates event envelopes (see utils/events) on both sides:
+ * publishing an invalid event throws, and invalid incoming messages are quarantined
+ * instead of reaching the consumer.
+ */
+
+const rabbitmq = require('./rabbitmq');
+const inMemoryBroker = require('./inMemoryBroker');
+const { assertValidEvent, validateEvent } = require('../utils/events');
+
+const BROKERS = {
+  [rabbitmq.name]: rabbitmq,
+  [inMemoryBroker.name]: inMemoryBroker
+};
+
+const resolveBrokerName = () => {
+  const configured = (process.env.MESSAGE_BROKER || '').trim().toLowerCase();
+
+  if (configured) {
+    if (!BROKERS[configured]) {
+      throw new Error(
+        `Unknown MESSAGE_BROKER "${configured}", expected one of ${Object.keys(BROKERS).join(', ')}`
+      );
+    }
+
+    return configured;
+  }
+
+  return process.env.RABBITMQ_URL ? rabbitmq.name : inMemoryBroker.name;
+};
+
+const broker = BROKERS[resolveBrokerName()];
+
+/**
+ * Publish a validated event
+ * @param {string} routingKey - Routing key, must equal the event type
+ * @param {Object} event - Event envelope
+ * @param {Object} options - Publish options ({ messageId })
+ * @returns {Promise<boolean>} Resolves once the broker has accepted the event
+ */
+const publishMessage = async (routingKey, event, options = {}) => {
+  assertValidEvent(event);
+
+  if (event.type !== routingKey) {
+    throw new Error(`Event type ${event.type} does not match routing key ${routingKey}`);
+  }
+
+  return await broker.publishMessage(routingKey, event, {
+    ...options,
+    messageId: options.messageId || event.id
+  });
+};
+
+/**
+ * Consume validated events; anything else is quarantined and acknowledged
+ * @param {Function} callback - Receives (event, rawMessage)
+ * @param {Object} options - Consumer options ({ consumer })
+ */
+const consumeMessages = async (callback, options = {}) => (
+  broker.consumeMessages(async (content, msg) => {
+    const { value, error } = validateEvent(content);
+    const routingKey = broker.getRoutingKey(msg);
+
+    if (error || value.type !== routingKey) {
+      await broker.quarantineMessage(
+        msg,
+        error || `Event type ${value.type} does not match routing key ${routingKey}`
+      );
+      return;
+    }
+
+    await callback(value, msg);
+  }, options)
+);
+
+module.exports = {
+  ...broker,
+  publishMessage,
+  consumeMessages
+};
@@ -0,0 +1,312 @@
+/**
+ * In-process message broker
+ * Mirrors the RabbitMQ topology in memory so the event flow works without an
+ * external service (local development, tests): topic routing, one message in
+ * flight per consumer, acknowledgement on success, delayed retries, a
+ * dead-letter list and a quarantine list. Messages do not survive a restart.
+ */
+
+const crypto = require('crypto');
+const {
+  LEAVE_EVENTS_BINDING,
+  RETRY_HEADERS,
+  buildQuarantineHeaders,
+  describeDeadLetter,
+  describeQuarantined,
+  getMaxRetries,
+  getRetryDelay,
+  getRoutingKey,
+  matchesTopic
+} = require('./messaging');
+const logger = require('../utils/logger');
+
+const EXCHANGE_NAME = 'memory';
+
+// Name of the leave request queue; named consumers get '<name>.<consumer>'
+const DEFAULT_QUEUE = 'leave-requests';
+
+const queues = new Map();
+
+let deadLetters = [];
+let quarantined = [];
+const retryTimers = new Set();
+let deliveryTag = 0;
+
+const buildMessage = (routingKey, content, properties) => ({
+  content,
+  fields: {
+    deliveryTag: ++deliveryTag,
+    redelivered: false,
+    exchange: EXCHANGE_NAME,
+    routingKey
+  },
+  properties
+});
+
+/**
+ * Get a queue, declaring it on first use
+ * @param {string} name - Queue name
+ * @returns {Object}
+ */
+const assertQueue = (name) => {
+  if (!queues.has(name)) {
+    queues.set(name, {
+      name,
+      bindings: [LEAVE_EVENTS_BINDING],
+      messages: [],
+      consumer: null,
+      inFlight: false
+    });
+  }
+
+  return queues.get(name);
+};
+
+/**
+ * Deliver the next queued message to the consumer once the previous one is settled
+ * @param {Object} queue - Queue
+ */
+const drain = (queue) => {
+  if (!queue.consumer || queue.inFlight || !queue.messages.length) {
+    return;
+  }
+
+  const msg = queue.messages.shift();
+  queue.inFlight = true;
+
+  setImmediate(async () => {
+    try {
+      await settle(queue, msg);
+    } finally {
+      queue.inFlight = false;
+      drain(queue);
+    }
+  });
+};
+
+/**
+ * Dead-letter a message that cannot be processed
+ * @param {Object} queue - Queue the message failed in
+ * @param {Object} msg - Message
+ */
+const deadLetter = (queue, msg) => {
+  msg.properties.headers = {
+    ...msg.properties.headers,
+    [RETRY_HEADERS.DEAD_LETTERED_AT]: new Date().toISOString(),
+    [RETRY_HEADERS.DEAD_LETTER_QUEUE]: queue.name
+  };
+  deadLetters.push(msg);
+};
+
+/**
+ * Move a message that is not a valid event to the quarantine list
+ * @param {Object} msg - Message
+ * @param {string} reason - Validation error
+ */
+const quarantineMessage = async (msg, reason) => {
+  quarantined.push({
+    ...msg,
+    properties: {
+      ...msg.properties,
+      headers: buildQuarantineHeaders(msg, reason)
+    }
+  });
+
+  logger.warn('Message quarantined', {
+    messageId: msg.properties.messageId,
+    routingKey: getRoutingKey(msg),
+    reason
+  });
+};
+
+/**
+ * Redeliver a failed message after the delay of its next attempt
+ * @param {Object} queue - Queue the message failed in
+ * @param {Object} msg - Failed message
+ * @param {number} attempt - Retry attempt (1-based)
+ * @param {Error} error - Processing error
+ */
+const scheduleRetry = (queue, msg, attempt, error) => {
+  const headers = msg.properties.headers || {};
+  const retry = buildMessage(getRoutingKey(msg), msg.content, {
+    ...msg.properties,
+    headers: {
+      ...headers,
+      [RETRY_HEADERS.RETRY_COUNT]: attempt,
+      [RETRY_HEADERS.ORIGINAL_ROUTING_KEY]: getRoutingKey(msg),
+      [RETRY_HEADERS.FIRST_FAILED_AT]: headers[RETRY_HEADERS.FIRST_FAILED_AT] || new Date().toISOString(),
+      [RETRY_HEADERS.LAST_ERROR]: String(error.message).slice(0, 500)
+    }
+  });
+  retry.fields.redelivered = true;
+
+  const timer = setTimeout(() => {
+    retryTimers.delete(timer);
+    queue.messages.push(retry);
+    drain(queue);
+  }, getRetryDelay(attempt));
+
+  // Pending retries must not keep the process alive
+  timer.unref();
+  retryTimers.add(timer);
+};
+
+/**
+ * Hand a message to the consumer and ack, retry or dead-letter it
+ * @param {Object} queue - Queue
+ * @param {Object} msg - Message
+ */
+const settle = async (queue, msg) => {
+  let content;
+
+  try {
+    content = JSON.parse(msg.content.toString());
+  } catch (error) {
+    await quarantineMessage(msg, `Unparseable message: ${error.message}`);
+    return;
+  }
+
+  try {
+    await queue.consumer(content, msg);
+  } catch (error) {
+    logger.error('Error processing message', error);
+
+    const retryCount = msg.properties.headers?.[RETRY_HEADERS.RETRY_COUNT] || 0;
+
+    if (retryCount < getMaxRetries()) {
+      scheduleRetry(queue, msg, retryCount + 1, error);
+    } else {
+      logger.error('Max retries reached for message', {
+        messageId: msg.properties.messageId,
+        routingKey: getRoutingKey(msg),
+        retryCount
+      });
+      deadLetter(queue, msg);
+    }
+  }
+};
+
+/**
+ * Publish message to every bound queue
+ * @param {string} routingKey - Routing key for the message
+ * @param {Object} message - Message payload
+ * @param {Object} options - Publish options ({ messageId })
+ * @returns {Promise<boolean>}
+ */
+const publishMessage = async (routingKey, message, options = {}) => {
+  const content = Buffer.from(JSON.stringify(message));
+  const messageId = options.messageId || crypto.randomUUID();
+  const timestamp = Date.now();
+
+  queues.forEach(queue => {
+    if (queue.bindings.some(pattern => matchesTopic(pattern, routingKey))) {
+      queue.messages.push(buildMessage(routingKey, content, {
+        contentType: 'application/json',
+        messageId,
+        timestamp,
+        headers: {}
+      }));
+      drain(queue);
+    }
+  });
+
+  logger.info('Message published to in-memory broker', { routingKey, messageId: message.id });
+  return true;
+};
+
+/**
+ * Consume messages from a queue
+ * @param {Function} callback - Message handler function
+ * @param {Object} options - Consumer options ({ consumer: name of a dedicated queue })
+ */
+const consumeMessages = async (callback, options = {}) => {
+  const queue = assertQueue(options.consumer ? `${DEFAULT_QUEUE}.${options.consumer}` : DEFAULT_QUEUE);
+
+  queue.consumer = callback;
+  drain(queue);
+
+  logger.info('Started consuming messages from in-memory broker', { queue: queue.name });
+};
+
+/**
+ * Inspect dead-lettered messages without removing them
+ * @param {number} limit - Maximum number of messages
+ * @returns {Promise<{total: number, messages: Object[]}>}
+ */
+const peekDeadLetters = async (limit) => ({
+  total: deadLetters.length,
+  messages: deadLetters.slice(0, limit).map(describeDeadLetter)
+});
+
+/**
+ * Inspect quarantined messages without removing them
+ * @param {number} limit - Maximum number of messages
+ * @returns {Promise<{total: number, messages: Object[]}>}
+ */
+const peekQuarantine = async (limit) => ({
+  total: quarantined.length,
+  messages: quarantined.slice(0, limit).map(describeQuarantined)
+});
+
+/**
+ * Move dead-lettered messages back to the queue with a fresh retry budget
+ * @param {Object} options - { messageIds: replay only these, limit: maximum to replay }
+ * @returns {Promise<Object[]>} Replayed messages
+ */
+const replayDeadLetters = async ({ messageIds = null, limit = 100 } = {}) => {
+  const replay = deadLetters
+    .filter(msg => !messageIds || messageIds.includes(msg.properties.messageId))
+    .slice(0, limit);
+
+  deadLetters = deadLetters.filter(msg => !replay.includes(msg));
+
+  replay.forEach(msg => {
+    const headers = { ...msg.properties.headers };
+    const queue = assertQueue(headers[RETRY_HEADERS.DEAD_LETTER_QUEUE] || DEFAULT_QUEUE);
+    delete headers[RETRY_HEADERS.RETRY_COUNT];
+    delete headers[RETRY_HEADERS.DEAD_LETTERED_AT];
+    delete headers[RETRY_HEADERS.DEAD_LETTER_QUEUE];
+
+    queue.messages.push(buildMessage(getRoutingKey(msg), msg.content, {
+      ...msg.properties,
+      headers: {
+        ...headers,
+        [RETRY_HEADERS.ORIGINAL_ROUTING_KEY]: getRoutingKey(msg),
+        [RETRY_HEADERS.REPLAYED_AT]: new Date().toISOString()
+      }
+    }));
+    drain(queue);
+  });
+
+  return replay.map(describeDeadLetter);
+};
+
+/**
+ * Stop consuming and drop every queued message
+ */
+const closeConnection = async () => {
+  retryTimers.forEach(timer => clearTimeout(timer));
+  retryTimers.clear();
+  queues.clear();
+  assertQueue(DEFAULT_QUEUE);
+  deadLetters = [];
+  quarantined = [];
+
+  logger.info('In-memory broker closed');
+};
+
+// Declared up front so leave events published before the consumer starts are kept
+assertQueue(DEFAULT_QUEUE);
+
+module.exports = {
+  name: 'memory',
+  isConfigured: () => true,
+  publishMessage,
+  consumeMessages,
+  getRoutingKey,
+  quarantineMessage,
+  peekDeadLetters,
+  peekQuarantine,
+  replayDeadLetters,
+  closeConnection
+};
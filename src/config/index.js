@@ -6,10 +6,14 @@ require('dotenv').config();
 
 const database = require('./db');
 const rabbitmq = require('./rabbitmq');
+const broker = require('./broker');
+const auth = require('./auth');
 
 module.exports = {
   database,
   rabbitmq,
+  broker,
+  auth,
   env: {
     nodeEnv: process.env.NODE_ENV || 'development',
     port: parseInt(process.env.PORT) || 3000,
@@ -0,0 +1,123 @@
+/**
+ * Email transport selection
+ *
+ * EMAIL_TRANSPORT picks how notification emails leave the application:
+ * - smtp: sent through the SMTP server in SMTP_HOST / SMTP_PORT
+ * - file: written as .eml files to EMAIL_FILE_DIR, for local testing
+ * - console: logged, for development
+ * When unset, smtp is used if SMTP_HOST is set, console otherwise.
+ *
+ * Every transport exposes: name, sendMail(message), close()
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { EMAIL_DELIVERY, EMAIL_TRANSPORT } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const DEFAULT_FROM = 'Workforce Management <no-reply@localhost>';
+const DEFAULT_FILE_DIR = 'tmp/emails';
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+    connectionTimeout: EMAIL_DELIVERY.SEND_TIMEOUT_MS,
+    greetingTimeout: EMAIL_DELIVERY.SEND_TIMEOUT_MS,
+    socketTimeout: EMAIL_DELIVERY.SEND_TIMEOUT_MS
+  });
+
+  return {
+    name: EMAIL_TRANSPORT.SMTP,
+    sendMail: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+    close: () => transporter.close()
+  };
+};
+
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.EMAIL_FILE_DIR || DEFAULT_FILE_DIR);
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: EMAIL_TRANSPORT.FILE,
+    sendMail: async (message) => {
+      const info = await transporter.sendMail(message);
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, fileName), info.message);
+
+      return { messageId: info.messageId, file: path.join(directory, fileName) };
+    },
+    close: () => {}
+  };
+};
+
+const createConsoleTransport = () => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    name: EMAIL_TRANSPORT.CONSOLE,
+    sendMail: async (message) => {
+      const info = await transporter.sendMail(message);
+
+      logger.info('Email (console transport)', {
+        messageId: info.messageId,
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+
+      return { messageId: info.messageId };
+    },
+    close: () => {}
+  };
+};
+
+const TRANSPORTS = {
+  [EMAIL_TRANSPORT.SMTP]: createSmtpTransport,
+  [EMAIL_TRANSPORT.FILE]: createFileTransport,
+  [EMAIL_TRANSPORT.CONSOLE]: createConsoleTransport
+};
+
+const resolveTransportName = () => {
+  const configured = (process.env.EMAIL_TRANSPORT || '').trim().toLowerCase();
+
+  if (configured) {
+    if (!TRANSPORTS[configured]) {
+      throw new Error(
+        `Unknown EMAIL_TRANSPORT "${configured}", expected one of ${Object.keys(TRANSPORTS).join(', ')}`
+      );
+    }
+
+    return configured;
+  }
+
+  return process.env.SMTP_HOST ? EMAIL_TRANSPORT.SMTP : EMAIL_TRANSPORT.CONSOLE;
+};
+
+const transport = TRANSPORTS[resolveTransportName()]();
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }; from defaults to EMAIL_FROM
+ * @returns {Promise<{messageId: string}>}
+ */
+const sendMail = async (message) => await transport.sendMail({
+  from: process.env.EMAIL_FROM || DEFAULT_FROM,
+  ...message
+});
+
+module.exports = {
+  name: transport.name,
+  sendMail,
+  closeTransport: transport.close
+};
@@ -0,0 +1,151 @@
+/**
+ * Conventions shared by the message broker implementations:
+ * bindings, retry headers and retry delays
+ */
+
+// Routing pattern the leave request queue is bound with
+const LEAVE_EVENTS_BINDING = 'leave.*';
+
+const RETRY_HEADERS = {
+  RETRY_COUNT: 'x-retry-count',
+  ORIGINAL_ROUTING_KEY: 'x-original-routing-key',
+  FIRST_FAILED_AT: 'x-first-failed-at',
+  LAST_ERROR: 'x-last-error',
+  DEAD_LETTERED_AT: 'x-dead-lettered-at',
+  DEAD_LETTER_QUEUE: 'x-dead-letter-queue',
+  REPLAYED_AT: 'x-replayed-at',
+  QUARANTINE_REASON: 'x-quarantine-reason',
+  QUARANTINED_AT: 'x-quarantined-at'
+};
+
+const getMaxRetries = () => {
+  const maxRetries = parseInt(process.env.RABBITMQ_MAX_RETRIES);
+  return Number.isNaN(maxRetries) ? 3 : Math.max(0, maxRetries);
+};
+
+const getRetryBaseDelay = () => parseInt(process.env.RABBITMQ_RETRY_DELAY) || 5000;
+
+/**
+ * Delay before the given retry attempt: the base delay doubled per attempt
+ * @param {number} attempt - Retry attempt (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt) => getRetryBaseDelay() * 2 ** (attempt - 1);
+
+/**
+ * Routing key the message was originally published with.
+ * Retried and replayed messages reach the queue through the default exchange,
+ * so their delivery routing key is the queue name.
+ * @param {Object} msg - amqplib message
+ * @returns {string}
+ */
+const getRoutingKey = (msg) => (
+  msg.properties.headers?.[RETRY_HEADERS.ORIGINAL_ROUTING_KEY] || msg.fields.routingKey
+);
+
+/**
+ * Check a routing key against a topic pattern
+ * ('*' matches exactly one word, '#' zero or more words)
+ * @param {string} pattern - Binding pattern
+ * @param {string} routingKey - Routing key
+ * @returns {boolean}
+ */
+const matchesTopic = (pattern, routingKey) => {
+  const match = (patternWords, keyWords) => {
+    if (!patternWords.length) {
+      return !keyWords.length;
+    }
+
+    const [word, ...restPattern] = patternWords;
+
+    if (word === '#') {
+      return keyWords.some((_, index) => match(restPattern, keyWords.slice(index))) ||
+        match(restPattern, []);
+    }
+
+    if (!keyWords.length) {
+      return false;
+    }
+
+    return (word === '*' || word === keyWords[0]) && match(restPattern, keyWords.slice(1));
+  };
+
+  return match(pattern.split('.'), routingKey.split('.'));
+};
+
+/**
+ * Headers of a message moved to the quarantine queue
+ * @param {Object} msg - amqplib message
+ * @param {string} reason - Why the message was quarantined
+ * @returns {Object}
+ */
+const buildQuarantineHeaders = (msg, reason) => ({
+  ...msg.properties.headers,
+  [RETRY_HEADERS.ORIGINAL_ROUTING_KEY]: getRoutingKey(msg),
+  [RETRY_HEADERS.QUARANTINE_REASON]: String(reason).slice(0, 1000),
+  [RETRY_HEADERS.QUARANTINED_AT]: new Date().toISOString()
+});
+
+/**
+ * Describe a quarantined message
+ * @param {Object} msg - amqplib message
+ * @returns {Object}
+ */
+const describeQuarantined = (msg) => {
+  const headers = msg.properties.headers || {};
+
+  return {
+    messageId: msg.properties.messageId || null,
+    routingKey: getRoutingKey(msg),
+    reason: headers[RETRY_HEADERS.QUARANTINE_REASON] || null,
+    quarantinedAt: headers[RETRY_HEADERS.QUARANTINED_AT] || null,
+    content: msg.content.toString()
+  };
+};
+
+/**
+ * Describe a dead-lettered message
+ * @param {Object} msg - amqplib message
+ * @returns {Object}
+ */
+const describeDeadLetter = (msg) => {
+  const headers = msg.properties.headers || {};
+  const [death] = headers['x-death'] || [];
+  let payload;
+
+  try {
+    payload = JSON.parse(msg.content.toString());
+  } catch (error) {
+    payload = msg.content.toString();
+  }
+
+  let deadLetteredAt = headers[RETRY_HEADERS.DEAD_LETTERED_AT] || null;
+
+  if (death && death.time) {
+    deadLetteredAt = new Date(death.time.value * 1000).toISOString();
+  }
+
+  return {
+    messageId: msg.properties.messageId || null,
+    queue: (death && death.queue) || headers[RETRY_HEADERS.DEAD_LETTER_QUEUE] || null,
+    routingKey: getRoutingKey(msg),
+    retryCount: headers[RETRY_HEADERS.RETRY_COUNT] || 0,
+    firstFailedAt: headers[RETRY_HEADERS.FIRST_FAILED_AT] || null,
+    lastError: headers[RETRY_HEADERS.LAST_ERROR] || null,
+    deadLetteredAt,
+    publishedAt: msg.properties.timestamp ? new Date(msg.properties.timestamp).toISOString() : null,
+    payload
+  };
+};
+
+module.exports = {
+  LEAVE_EVENTS_BINDING,
+  RETRY_HEADERS,
+  getMaxRetries,
+  getRetryDelay,
+  getRoutingKey,
+  matchesTopic,
+  buildQuarantineHeaders,
+  describeQuarantined,
+  describeDeadLetter
+};
@@ -1,13 +1,113 @@
 /**
  * RabbitMQ configuration and connection management
  * Implements connection pooling and retry logic
+ *
+ * Topology (derived from RABBITMQ_EXCHANGE_NAME / RABBITMQ_QUEUE_NAME):
+ * - <exchange> (topic) -> <queue>, bound to 'leave.*'; named consumers get
+ *   their own <queue>.<consumer> with the same binding
+ * - <queue>.retry.<n>: delay queue for attempt n; its TTL expires the message
+ *   back into <queue> through the default exchange
+ * - <exchange>.dlx (fanout) -> <queue>.dead: messages rejected after the last retry,
+ *   shared by all consumer queues
+ * - <queue>.quarantine: messages that are not valid events, kept for inspection
  */
 
+const crypto = require('crypto');
 const amqp = require('amqplib');
+const {
+  LEAVE_EVENTS_BINDING,
+  RETRY_HEADERS,
+  buildQuarantineHeaders,
+  describeDeadLetter,
+  describeQuarantined,
+  getMaxRetries,
+  getRetryDelay,
+  getRoutingKey
+} = require('./messaging');
 const logger = require('../utils/logger');
 
 let connection = null;
 let channel = null;
+let publishChannel = null;
+let reconnectTimer = null;
+
+// Consumers registered through consumeMessages, attached again after a reconnect
+const consumers = [];
+
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Resolve exchange and queue names
+ * @param {string} [consumer] - Named consumer; omitted for the leave request queue
+ * @returns {Object}
+ */
+const getTopology = (consumer) => {
+  const exchange = process.env.RABBITMQ_EXCHANGE_NAME;
+  const baseQueue = process.env.RABBITMQ_QUEUE_NAME;
+  const queue = consumer ? `${baseQueue}.${consumer}` : baseQueue;
+
+  return {
+    exchange,
+    queue,
+    deadLetterExchange: `${exchange}.dlx`,
+    deadLetterQueue: `${baseQueue}.dead`,
+    quarantineQueue: `${baseQueue}.quarantine`,
+    retryQueue: (attempt) => `${queue}.retry.${attempt}`
+  };
+};
+
+/**
+ * Declare a consumer queue with its binding and delay queues
+ * @param {Object} ch - Channel
+ * @param {Object} topology - Result of getTopology
+ */
+const assertConsumerQueue = async (ch, topology) => {
+  // Rejected messages are dead-lettered
+  await ch.assertQueue(topology.queue, {
+    durable: true,
+    deadLetterExchange: topology.deadLetterExchange
+  });
+
+  // Bind queue to exchange
+  await ch.bindQueue(topology.queue, topology.exchange, LEAVE_EVENTS_BINDING);
+
+  // Setup one delay queue per retry attempt; expired messages return to the queue
+  for (let attempt = 1; attempt <= getMaxRetries(); attempt++) {
+    await ch.assertQueue(topology.retryQueue(attempt), {
+      durable: true,
+      messageTtl: getRetryDelay(attempt),
+      deadLetterExchange: '',
+      deadLetterRoutingKey: topology.queue
+    });
+  }
+};
+
+/**
+ * Reconnect after the connection or consumer channel was lost and attach the
+ * registered consumers again; failed attempts are retried until one succeeds
+ */
+const scheduleReconnect = () => {
+  if (reconnectTimer) {
+    return;
+  }
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+
+    try {
+      await createChannel();
+
+      for (const consumer of consumers) {
+        await attachConsumer(consumer.callback, consumer.options);
+      }
+
+      logger.info('RabbitMQ reconnected', { consumers: consumers.length });
+    } catch (error) {
+      logger.error('RabbitMQ reconnect failed, retrying', error);
+      scheduleReconnect();
+    }
+  }, RECONNECT_DELAY_MS);
+};
 
 /**
  * Connect to RabbitMQ
@@ -18,21 +118,28 @@ const connect = async () => {
       return connection;
     }
 
-    connection = await amqp.connect(process.env.RABBITMQ_URL);
-    
-    connection.on('error', (err) => {
+    const conn = await amqp.connect(process.env.RABBITMQ_URL);
+
+    // Always followed by 'close', which handles the reconnect
+    conn.on('error', (err) => {
       logger.error('RabbitMQ connection error', err);
-      
-      connection = null;
     });
 
-    connection.on('close', () => {
-      logger.warn('RabbitMQ connection closed');
+    conn.on('close', () => {
+      // Closed by closeConnection
+      if (connection !== conn) {
+        return;
+      }
+
+      logger.warn('RabbitMQ connection closed, reconnecting');
       connection = null;
-      // Attempt to reconnect after 5 seconds
-      setTimeout(connect, 5000);
+      channel = null;
+      publishChannel = null;
+      scheduleReconnect();
     });
 
+    connection = conn;
+
     logger.info('RabbitMQ connection established');
     return connection;
   } catch (error) {
@@ -51,27 +158,43 @@ const createChannel = async () => {
     }
 
     const conn = await connect();
-    channel = await conn.createChannel();
-    
-    // Setup exchange
-    await channel.assertExchange(
-      process.env.RABBITMQ_EXCHANGE_NAME,
-      'topic',
-      { durable: true }
-    );
+    const ch = await conn.createChannel();
 
-    // Setup queue
-    await channel.assertQueue(
-      process.env.RABBITMQ_QUEUE_NAME,
-      { durable: true }
-    );
+    ch.on('error', (err) => {
+      logger.error('RabbitMQ channel error', err);
+    });
 
-    // Bind queue to exchange
-    await channel.bindQueue(
-      process.env.RABBITMQ_QUEUE_NAME,
-      process.env.RABBITMQ_EXCHANGE_NAME,
-      'leave.*'
-    );
+    // Consumers die with their channel; bring them back if the connection survived
+    ch.on('close', () => {
+      if (channel !== ch) {
+        return;
+      }
+
+      channel = null;
+
+      if (connection === conn) {
+        logger.warn('RabbitMQ channel closed, reattaching consumers');
+        scheduleReconnect();
+      }
+    });
+
+    channel = ch;
+
+    const topology = getTopology();
+
+    // Setup exchanges
+    await channel.assertExchange(topology.exchange, 'topic', { durable: true });
+    await channel.assertExchange(topology.deadLetterExchange, 'fanout', { durable: true });
+
+    // Setup dead letter queue
+    await channel.assertQueue(topology.deadLetterQueue, { durable: true });
+    await channel.bindQueue(topology.deadLetterQueue, topology.deadLetterExchange, '');
+
+    // Setup quarantine queue
+    await channel.assertQueue(topology.quarantineQueue, { durable: true });
+
+    // Setup leave request queue
+    await assertConsumerQueue(channel, topology);
 
     // Set prefetch to 1 for fair dispatch
     await channel.prefetch(1);
@@ -84,33 +207,65 @@ const createChannel = async () => {
   }
 };
 
+/**
+ * Create the confirm channel messages are published on, so the broker
+ * acknowledges every message it has taken responsibility for
+ */
+const createPublishChannel = async () => {
+  if (publishChannel) {
+    return publishChannel;
+  }
+
+  // Declares the topology before anything is published
+  await createChannel();
+
+  const ch = await (await connect()).createConfirmChannel();
+
+  ch.on('error', (err) => {
+    logger.error('RabbitMQ publish channel error', err);
+  });
+
+  ch.on('close', () => {
+    if (publishChannel === ch) {
+      publishChannel = null;
+    }
+  });
+
+  publishChannel = ch;
+  return ch;
+};
+
 /**
  * Publish message to queue
+ * Resolves once the broker has confirmed the message; a nack or a channel
+ * closed before the confirm rejects, so the caller can publish it again.
  * @param {string} routingKey - Routing key for the message
  * @param {Object} message - Message payload
+ * @param {Object} options - Publish options ({ messageId })
+ * @returns {Promise<boolean>}
  */
-const publishMessage = async (routingKey, message) => {
+const publishMessage = async (routingKey, message, options = {}) => {
   try {
-    const ch = await createChannel();
+    const ch = await createPublishChannel();
     const messageBuffer = Buffer.from(JSON.stringify(message));
     
-    const published = ch.publish(
+    // The return value only says whether the local write buffer has room
+    ch.publish(
       process.env.RABBITMQ_EXCHANGE_NAME,
       routingKey,
       messageBuffer,
       {
         persistent: true,
         contentType: 'application/json',
+        messageId: options.messageId || crypto.randomUUID(),
         timestamp: Date.now()
       }
     );
 
-    if (published) {
-      logger.info('Message published to queue', { routingKey, messageId: message.id });
-      return true;
-    }
-    
-    return false;
+    await ch.waitForConfirms();
+
+    logger.info('Message published to queue', { routingKey, messageId: message.id });
+    return true;
   } catch (error) {
     logger.error('Failed to publish message', error);
     throw error;
@@ -118,75 +273,302 @@ const publishMessage = async (routingKey, message) => {
 };
 
 /**
- * Consume messages from queue
+ * Schedule a failed message for redelivery through the delay queue of its next attempt
+ * Resolves once the broker has confirmed the copy.
+ * @param {Object} topology - Topology of the consumer queue
+ * @param {Object} msg - Failed message
+ * @param {number} attempt - Retry attempt (1-based)
+ * @param {Error} error - Processing error
+ */
+const scheduleRetry = async (topology, msg, attempt, error) => {
+  const ch = await createPublishChannel();
+  const headers = msg.properties.headers || {};
+
+  ch.sendToQueue(topology.retryQueue(attempt), msg.content, {
+    persistent: true,
+    contentType: msg.properties.contentType,
+    messageId: msg.properties.messageId,
+    timestamp: msg.properties.timestamp,
+    headers: {
+      ...headers,
+      [RETRY_HEADERS.RETRY_COUNT]: attempt,
+      [RETRY_HEADERS.ORIGINAL_ROUTING_KEY]: getRoutingKey(msg),
+      [RETRY_HEADERS.FIRST_FAILED_AT]: headers[RETRY_HEADERS.FIRST_FAILED_AT] || new Date().toISOString(),
+      [RETRY_HEADERS.LAST_ERROR]: String(error.message).slice(0, 500)
+    }
+  });
+
+  await ch.waitForConfirms();
+};
+
+/**
+ * Move a message that is not a valid event to the quarantine queue
+ * Resolves once the broker has confirmed the copy.
+ * @param {Object} msg - Message
+ * @param {string} reason - Validation error
+ */
+const quarantineMessage = async (msg, reason) => {
+  const ch = await createPublishChannel();
+
+  ch.sendToQueue(getTopology().quarantineQueue, msg.content, {
+    persistent: true,
+    contentType: msg.properties.contentType,
+    messageId: msg.properties.messageId,
+    timestamp: msg.properties.timestamp,
+    headers: buildQuarantineHeaders(msg, reason)
+  });
+
+  await ch.waitForConfirms();
+
+  logger.warn('Message quarantined', {
+    messageId: msg.properties.messageId,
+    routingKey: getRoutingKey(msg),
+    reason
+  });
+};
+
+/**
+ * Ack a message once its copy elsewhere (retry or quarantine) is confirmed.
+ * When the copy fails the original is requeued, so the message is never lost.
+ * @param {Object} ch - Channel the message was delivered on
+ * @param {Object} msg - Message
+ * @param {Function} copy - Writes the copy, resolving once it is confirmed
+ */
+const ackAfterCopy = async (ch, msg, copy) => {
+  try {
+    await copy();
+  } catch (error) {
+    logger.error('Failed to move message, requeueing it', error);
+
+    try {
+      ch.nack(msg, false, true);
+    } catch (nackError) {
+      // The channel is gone; the broker requeues the unacked message itself
+    }
+    return;
+  }
+
+  ch.ack(msg);
+};
+
+/**
+ * Start a consumer on the current channel
  * @param {Function} callback - Message handler function
+ * @param {Object} options - Consumer options ({ consumer: name of a dedicated queue })
  */
-const consumeMessages = async (callback) => {
+const attachConsumer = async (callback, options = {}) => {
   try {
     const ch = await createChannel();
+    const topology = getTopology(options.consumer);
+
+    if (options.consumer) {
+      await assertConsumerQueue(ch, topology);
+    }
     
     await ch.consume(
-      process.env.RABBITMQ_QUEUE_NAME,
+      topology.queue,
       async (msg) => {
-        if (msg) {
-          try {
-            const content = JSON.parse(msg.content.toString());
-            await callback(content, msg);
-            ch.ack(msg);
-          } catch (error) {
-            logger.error('Error processing message', error);
-            // Reject and requeue if not already retried max times
-            const retryCount = (msg.properties.headers?.['x-retry-count'] || 0);
-            const maxRetries = parseInt(process.env.RABBITMQ_MAX_RETRIES) || 3;
-            
-            if (retryCount < maxRetries) {
-              // Requeue with incremented retry count
-              ch.nack(msg, false, false);
-              
-              // Publish to retry queue with delay
-              setTimeout(() => {
-                ch.publish(
-                  process.env.RABBITMQ_EXCHANGE_NAME,
-                  msg.fields.routingKey,
-                  msg.content,
-                  {
-                    persistent: true,
-                    headers: {
-                      'x-retry-count': retryCount + 1
-                    }
-                  }
-                );
-              }, parseInt(process.env.RABBITMQ_RETRY_DELAY) || 5000);
-            } else {
-              // Max retries reached, send to dead letter queue
-              logger.error('Max retries reached for message', { content: msg.content.toString() });
-              ch.nack(msg, false, false);
-            }
+        if (!msg) {
+          return;
+        }
+
+        let content;
+
+        try {
+          content = JSON.parse(msg.content.toString());
+        } catch (error) {
+          await ackAfterCopy(ch, msg, () => (
+            quarantineMessage(msg, `Unparseable message: ${error.message}`)
+          ));
+          return;
+        }
+
+        try {
+          await callback(content, msg);
+          ch.ack(msg);
+        } catch (error) {
+          logger.error('Error processing message', error);
+
+          const retryCount = msg.properties.headers?.[RETRY_HEADERS.RETRY_COUNT] || 0;
+
+          if (retryCount < getMaxRetries()) {
+            // The original is only acked once the broker confirmed the retry copy,
+            // so a failure in between can only duplicate the message, never lose it
+            await ackAfterCopy(ch, msg, () => (
+              scheduleRetry(topology, msg, retryCount + 1, error)
+            ));
+          } else {
+            // Max retries reached, rejection routes it to the dead letter queue
+            logger.error('Max retries reached for message', {
+              messageId: msg.properties.messageId,
+              routingKey: getRoutingKey(msg),
+              retryCount
+            });
+            ch.nack(msg, false, false);
           }
         }
       },
       { noAck: false }
     );
 
-    logger.info('Started consuming messages from queue');
+    logger.info('Started consuming messages from queue', { queue: topology.queue });
   } catch (error) {
     logger.error('Failed to consume messages', error);
     throw error;
   }
 };
 
+/**
+ * Consume messages from queue
+ * Failed messages are retried through the delay queues and dead-lettered
+ * once RABBITMQ_MAX_RETRIES is exhausted; unparseable messages are quarantined.
+ * The consumer is attached again whenever the connection is re-established.
+ * @param {Function} callback - Message handler function
+ * @param {Object} options - Consumer options ({ consumer: name of a dedicated queue })
+ */
+const consumeMessages = async (callback, options = {}) => {
+  consumers.push({ callback, options });
+
+  await attachConsumer(callback, options);
+};
+
+/**
+ * Run a function with a short-lived channel that holds every message it gets
+ * unacknowledged; closing the channel returns those messages to their queue
+ * @param {string} queue - Queue to work on
+ * @param {Function} fn - Receives the channel and the queue
+ * @returns {Promise<*>}
+ */
+const withInspectionChannel = async (queue, fn) => {
+  await createChannel();
+  const ch = await (await connect()).createConfirmChannel();
+
+  try {
+    return await fn(ch, queue);
+  } finally {
+    await ch.close();
+  }
+};
+
+/**
+ * Read messages of a queue without removing them
+ * @param {string} queue - Queue name
+ * @param {number} limit - Maximum number of messages
+ * @param {Function} describe - Maps a message to its description
+ * @returns {Promise<{total: number, messages: Object[]}>}
+ */
+const peekQueue = async (queue, limit, describe) => withInspectionChannel(queue, async (ch) => {
+  const { messageCount } = await ch.checkQueue(queue);
+  const messages = [];
+
+  while (messages.length < Math.min(limit, messageCount)) {
+    const msg = await ch.get(queue, { noAck: false });
+
+    if (!msg) {
+      break;
+    }
+
+    messages.push(describe(msg));
+  }
+
+  return { total: messageCount, messages };
+});
+
+/**
+ * Inspect dead-lettered messages without removing them
+ * @param {number} limit - Maximum number of messages
+ * @returns {Promise<{total: number, messages: Object[]}>}
+ */
+const peekDeadLetters = async (limit) => (
+  peekQueue(getTopology().deadLetterQueue, limit, describeDeadLetter)
+);
+
+/**
+ * Inspect quarantined messages without removing them
+ * @param {number} limit - Maximum number of messages
+ * @returns {Promise<{total: number, messages: Object[]}>}
+ */
+const peekQuarantine = async (limit) => (
+  peekQueue(getTopology().quarantineQueue, limit, describeQuarantined)
+);
+
+/**
+ * Move dead-lettered messages back to the queue with a fresh retry budget
+ * @param {Object} options - { messageIds: replay only these, limit: maximum to replay }
+ * @returns {Promise<Object[]>} Replayed messages
+ */
+const replayDeadLetters = async ({ messageIds = null, limit = 100 } = {}) => (
+  withInspectionChannel(getTopology().deadLetterQueue, async (ch, queue) => {
+    const { messageCount } = await ch.checkQueue(queue);
+    const replayed = [];
+    const acks = [];
+
+    // Messages that are not replayed stay unacked and are requeued when the channel closes
+    for (let index = 0; index < messageCount && replayed.length < limit; index++) {
+      const msg = await ch.get(queue, { noAck: false });
+
+      if (!msg) {
+        break;
+      }
+
+      if (messageIds && !messageIds.includes(msg.properties.messageId)) {
+        continue;
+      }
+
+      const headers = { ...msg.properties.headers };
+      const [death] = headers['x-death'] || [];
+      delete headers[RETRY_HEADERS.RETRY_COUNT];
+      delete headers['x-death'];
+
+      // Back to the queue the message was dead-lettered from
+
+      ch.sendToQueue(death?.queue || getTopology().queue, msg.content, {
+        persistent: true,
+        contentType: msg.properties.contentType,
+        messageId: msg.properties.messageId,
+        timestamp: msg.properties.timestamp,
+        headers: {
+          ...headers,
+          [RETRY_HEADERS.ORIGINAL_ROUTING_KEY]: getRoutingKey(msg),
+          [RETRY_HEADERS.REPLAYED_AT]: new Date().toISOString()
+        }
+      });
+
+      acks.push(msg);
+      replayed.push(describeDeadLetter(msg));
+    }
+
+    // Only drop the dead letters once the broker has confirmed the copies
+    await ch.waitForConfirms();
+    acks.forEach(msg => ch.ack(msg));
+
+    return replayed;
+  })
+);
+
 /**
  * Close RabbitMQ connection
  */
 const closeConnection = async () => {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  consumers.length = 0;
+
+  // Cleared before closing so the close handlers do not reconnect
+  const [conn, ch, publishCh] = [connection, channel, publishChannel];
+  connection = null;
+  channel = null;
+  publishChannel = null;
+
   try {
-    if (channel) {
-      await channel.close();
-      channel = null;
+    if (publishCh) {
+      await publishCh.close();
     }
-    if (connection) {
-      await connection.close();
-      connection = null;
+    if (ch) {
+      await ch.close();
+    }
+    if (conn) {
+      await conn.close();
     }
     logger.info('RabbitMQ connection closed');
   } catch (error) {
@@ -195,10 +577,27 @@ const closeConnection = async () => {
   }
 };
 
+/**
+ * Check whether the RabbitMQ environment variables are set
+ * @returns {boolean}
+ */
+const isConfigured = () => Boolean(
+  process.env.RABBITMQ_URL &&
+  process.env.RABBITMQ_EXCHANGE_NAME &&
+  process.env.RABBITMQ_QUEUE_NAME
+);
+
 module.exports = {
+  name: 'rabbitmq',
+  isConfigured,
   connect,
   createChannel,
   publishMessage,
   consumeMessages,
+  getRoutingKey,
+  quarantineMessage,
+  peekDeadLetters,
+  peekQuarantine,
+  replayDeadLetters,
   closeConnection
 };
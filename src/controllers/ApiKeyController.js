@@ -0,0 +1,44 @@
+/**
+ * ApiKey Controller
+ * Handles HTTP requests for API key endpoints
+ */
+
+const ApiKeyService = require('../services/ApiKeyService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class ApiKeyController {
+  /**
+   * Create a new API key
+   * POST /api-keys
+   */
+  createApiKey = asyncHandler(async (req, res) => {
+    const result = await ApiKeyService.createApiKey(req.body, req.principal);
+    
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Get all API keys
+   * GET /api-keys
+   */
+  getAllApiKeys = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    
+    const result = await ApiKeyService.getAllApiKeys({ page, limit });
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Revoke an API key
+   * DELETE /api-keys/:id
+   */
+  revokeApiKey = asyncHandler(async (req, res) => {
+    const result = await ApiKeyService.revokeApiKey(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new ApiKeyController();
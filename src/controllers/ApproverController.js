@@ -0,0 +1,27 @@
+/**
+ * Approver Controller
+ * Handles HTTP requests for approver endpoints
+ */
+
+const ApprovalRoutingService = require('../services/ApprovalRoutingService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class ApproverController {
+  /**
+   * Get leave requests awaiting an approver's decision
+   * GET /approvers/:employeeId/inbox
+   */
+  getInbox = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await ApprovalRoutingService.getApproverInbox(
+      req.params.employeeId,
+      { page, limit }
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new ApproverController();
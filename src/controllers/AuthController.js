@@ -0,0 +1,32 @@
+/**
+ * Auth Controller
+ * Handles HTTP requests for authentication endpoints
+ */
+
+const AuthService = require('../services/AuthService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class AuthController {
+  /**
+   * Log in with email and password
+   * POST /auth/login
+   */
+  login = asyncHandler(async (req, res) => {
+    const result = await AuthService.login(req.body.email, req.body.password);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get the authenticated principal
+   * GET /auth/me
+   */
+  getCurrentPrincipal = asyncHandler(async (req, res) => {
+    const result = await AuthService.getCurrentPrincipal(req.principal);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,83 @@
+/**
+ * BlackoutPeriod Controller
+ * Handles HTTP requests for blackout period endpoints
+ */
+
+const BlackoutPeriodService = require('../services/BlackoutPeriodService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class BlackoutPeriodController {
+  /**
+   * Create a new blackout period
+   * POST /blackout-periods
+   */
+  createBlackoutPeriod = asyncHandler(async (req, res) => {
+    const result = await BlackoutPeriodService.createBlackoutPeriod(req.body);
+    
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Get blackout period by ID
+   * GET /blackout-periods/:id
+   */
+  getBlackoutPeriodById = asyncHandler(async (req, res) => {
+    const result = await BlackoutPeriodService.getBlackoutPeriodById(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get all blackout periods
+   * GET /blackout-periods
+   */
+  getAllBlackoutPeriods = asyncHandler(async (req, res) => {
+    const {
+      page = 1,
+      limit = 10,
+      scope,
+      departmentId,
+      leaveTypeId,
+      from,
+      to
+    } = req.query;
+    
+    const result = await BlackoutPeriodService.getAllBlackoutPeriods({
+      page,
+      limit,
+      scope,
+      departmentId,
+      leaveTypeId,
+      from,
+      to
+    });
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Update blackout period
+   * PUT /blackout-periods/:id
+   */
+  updateBlackoutPeriod = asyncHandler(async (req, res) => {
+    const result = await BlackoutPeriodService.updateBlackoutPeriod(
+      req.params.id,
+      req.body
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete blackout period
+   * DELETE /blackout-periods/:id
+   */
+  deleteBlackoutPeriod = asyncHandler(async (req, res) => {
+    const result = await BlackoutPeriodService.deleteBlackoutPeriod(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new BlackoutPeriodController();
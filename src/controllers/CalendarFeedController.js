@@ -0,0 +1,113 @@
+/**
+ * CalendarFeed Controller
+ * Handles HTTP requests for iCalendar leave feeds and feed tokens
+ */
+
+const CalendarFeedService = require('../services/CalendarFeedService');
+const { CALENDAR_FEED_SCOPE, HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Send an iCalendar document
+ * @param {Object} res - Express response
+ * @param {string} calendar - iCalendar document
+ */
+const sendCalendar = (res, calendar) => {
+  res
+    .status(HTTP_STATUS.OK)
+    .type('text/calendar; charset=utf-8')
+    .set('Content-Disposition', 'inline; filename="leave.ics"')
+    .set('Cache-Control', 'private, max-age=300')
+    .send(calendar);
+};
+
+class CalendarFeedController {
+  /**
+   * Get leave feed of an employee
+   * GET /employees/:id/leave.ics
+   */
+  getEmployeeFeed = asyncHandler(async (req, res) => {
+    const calendar = await CalendarFeedService.getFeed(
+      CALENDAR_FEED_SCOPE.EMPLOYEE,
+      parseInt(req.params.id),
+      { includePending: req.query.includePending === 'true' },
+      req.principal
+    );
+
+    sendCalendar(res, calendar);
+  });
+
+  /**
+   * Get leave feed of a department
+   * GET /departments/:id/leave.ics
+   */
+  getDepartmentFeed = asyncHandler(async (req, res) => {
+    const calendar = await CalendarFeedService.getFeed(
+      CALENDAR_FEED_SCOPE.DEPARTMENT,
+      parseInt(req.params.id),
+      { includePending: req.query.includePending === 'true' },
+      req.principal
+    );
+
+    sendCalendar(res, calendar);
+  });
+
+  /**
+   * Get company-wide leave feed
+   * GET /leave-requests/leave.ics
+   */
+  getCompanyFeed = asyncHandler(async (req, res) => {
+    const calendar = await CalendarFeedService.getFeed(
+      CALENDAR_FEED_SCOPE.COMPANY,
+      null,
+      { includePending: req.query.includePending === 'true' },
+      req.principal
+    );
+
+    sendCalendar(res, calendar);
+  });
+
+  /**
+   * Get the leave feed behind a private feed token (no credentials required)
+   * GET /calendar-feeds/:token/leave.ics
+   */
+  getFeedByToken = asyncHandler(async (req, res) => {
+    const calendar = await CalendarFeedService.getFeedByToken(req.params.token);
+
+    sendCalendar(res, calendar);
+  });
+
+  /**
+   * Create a private feed token
+   * POST /calendar-feeds
+   */
+  createFeedToken = asyncHandler(async (req, res) => {
+    const result = await CalendarFeedService.createFeedToken(req.body, req.principal);
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Get own feed tokens
+   * GET /calendar-feeds
+   */
+  getFeedTokens = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await CalendarFeedService.getFeedTokens({ page, limit }, req.principal);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Revoke a feed token
+   * DELETE /calendar-feeds/:id
+   */
+  revokeFeedToken = asyncHandler(async (req, res) => {
+    const result = await CalendarFeedService.revokeFeedToken(req.params.id, req.principal);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new CalendarFeedController();
@@ -0,0 +1,46 @@
+/**
+ * DeadLetter Controller
+ * Handles HTTP requests for dead-lettered queue messages
+ */
+
+const DeadLetterService = require('../services/DeadLetterService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class DeadLetterController {
+  /**
+   * Inspect dead-lettered messages
+   * GET /admin/dead-letters
+   */
+  getDeadLetters = asyncHandler(async (req, res) => {
+    const { limit = 10 } = req.query;
+
+    const result = await DeadLetterService.getDeadLetters({ limit });
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Inspect messages quarantined as invalid events
+   * GET /admin/quarantine
+   */
+  getQuarantinedMessages = asyncHandler(async (req, res) => {
+    const { limit = 10 } = req.query;
+
+    const result = await DeadLetterService.getQuarantinedMessages({ limit });
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Replay dead-lettered messages
+   * POST /admin/dead-letters/replay
+   */
+  replayDeadLetters = asyncHandler(async (req, res) => {
+    const result = await DeadLetterService.replayDeadLetters(req.body);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new DeadLetterController();
@@ -4,6 +4,7 @@
  */
 
 const DepartmentService = require('../services/DepartmentService');
+const ApprovalChainService = require('../services/ApprovalChainService');
 const { HTTP_STATUS } = require('../utils/constants');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -81,6 +82,53 @@ class DepartmentController {
     
     res.status(HTTP_STATUS.OK).json(result);
   });
+
+  /**
+   * Get department availability per day
+   * GET /departments/:id/availability?from=&to=
+   */
+  getDepartmentAvailability = asyncHandler(async (req, res) => {
+    const result = await DepartmentService.getDepartmentAvailability(
+      req.params.id,
+      { from: req.query.from, to: req.query.to },
+      req.principal
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get department approval chain
+   * GET /departments/:id/approval-chain
+   */
+  getApprovalChain = asyncHandler(async (req, res) => {
+    const result = await ApprovalChainService.getDepartmentApprovalChain(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Create or replace department approval chain
+   * PUT /departments/:id/approval-chain
+   */
+  setApprovalChain = asyncHandler(async (req, res) => {
+    const result = await ApprovalChainService.setDepartmentApprovalChain(
+      req.params.id,
+      req.body
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete department approval chain
+   * DELETE /departments/:id/approval-chain
+   */
+  deleteApprovalChain = asyncHandler(async (req, res) => {
+    const result = await ApprovalChainService.deleteDepartmentApprovalChain(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
 }
 
 module.exports = new DepartmentController();
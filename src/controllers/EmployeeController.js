@@ -4,8 +4,12 @@
  */
 
 const EmployeeService = require('../services/EmployeeService');
-const { HTTP_STATUS } = require('../utils/constants');
+const EmployeeImportService = require('../services/EmployeeImportService');
+const LeaveBalanceService = require('../services/LeaveBalanceService');
+const NotificationService = require('../services/NotificationService');
+const { HTTP_STATUS, SPREADSHEET_FORMAT } = require('../utils/constants');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { sendDownload } = require('../utils/spreadsheet');
 
 class EmployeeController {
   /**
@@ -13,11 +17,31 @@ class EmployeeController {
    * POST /employees
    */
   createEmployee = asyncHandler(async (req, res) => {
-    const result = await EmployeeService.createEmployee(req.body);
+    const result = await EmployeeService.createEmployee(req.body, req.principal);
     
     res.status(HTTP_STATUS.CREATED).json(result);
   });
 
+  /**
+   * Import employees from a CSV or XLSX file
+   * POST /employees/import
+   * The file is the request body; ?dryRun=true only reports what would be imported
+   */
+  importEmployees = asyncHandler(async (req, res) => {
+    const result = await EmployeeImportService.importEmployees(
+      req.body,
+      req.get('Content-Type'),
+      { dryRun: req.query.dryRun === 'true' },
+      req.principal
+    );
+
+    if (!result.success) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(result);
+    }
+    
+    res.status(result.data.committed ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json(result);
+  });
+
   /**
    * Get employee by ID
    * GET /employees/:id
@@ -40,11 +64,25 @@ class EmployeeController {
       limit,
       departmentId,
       search
-    });
+    }, req.principal);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
 
+  /**
+   * Export employees as CSV or XLSX
+   * GET /employees/export
+   */
+  exportEmployees = asyncHandler(async (req, res) => {
+    const { format = SPREADSHEET_FORMAT.CSV, departmentId, search = '' } = req.query;
+
+    res.status(HTTP_STATUS.OK);
+
+    await sendDownload(res, format, 'employees', () => (
+      EmployeeService.exportEmployees({ departmentId, search }, format, res, req.principal)
+    ));
+  });
+
   /**
    * Update employee
    * PUT /employees/:id
@@ -52,7 +90,8 @@ class EmployeeController {
   updateEmployee = asyncHandler(async (req, res) => {
     const result = await EmployeeService.updateEmployee(
       req.params.id,
-      req.body
+      req.body,
+      req.principal
     );
     
     res.status(HTTP_STATUS.OK).json(result);
@@ -63,7 +102,7 @@ class EmployeeController {
    * DELETE /employees/:id
    */
   deleteEmployee = asyncHandler(async (req, res) => {
-    const result = await EmployeeService.deleteEmployee(req.params.id);
+    const result = await EmployeeService.deleteEmployee(req.params.id, req.principal);
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -82,6 +121,60 @@ class EmployeeController {
     
     res.status(HTTP_STATUS.OK).json(result);
   });
+
+  /**
+   * Get employee leave balance and ledger
+   * GET /employees/:id/leave-balance
+   */
+  getLeaveBalance = asyncHandler(async (req, res) => {
+    const { year = new Date().getFullYear() } = req.query;
+
+    const result = await LeaveBalanceService.getEmployeeLeaveBalance(
+      req.params.id,
+      parseInt(year)
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get notification preferences of employee
+   * GET /employees/:id/notification-preferences
+   */
+  getNotificationPreferences = asyncHandler(async (req, res) => {
+    const result = await NotificationService.getPreferences(req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Update notification preferences of employee
+   * PUT /employees/:id/notification-preferences
+   */
+  updateNotificationPreferences = asyncHandler(async (req, res) => {
+    const result = await NotificationService.updatePreferences(
+      req.params.id,
+      req.body,
+      req.principal
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get email notifications sent to employee
+   * GET /employees/:id/notifications
+   */
+  getNotifications = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const result = await NotificationService.getNotifications(
+      req.params.id,
+      { page, limit, status }
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
 }
 
 module.exports = new EmployeeController();
@@ -0,0 +1,128 @@
+/**
+ * HolidayCalendar Controller
+ * Handles HTTP requests for holiday calendar endpoints
+ */
+
+const HolidayCalendarService = require('../services/HolidayCalendarService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class HolidayCalendarController {
+  /**
+   * Create a new holiday calendar
+   * POST /holiday-calendars
+   */
+  createHolidayCalendar = asyncHandler(async (req, res) => {
+    const result = await HolidayCalendarService.createHolidayCalendar(req.body);
+    
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Get holiday calendar by ID
+   * GET /holiday-calendars/:id
+   */
+  getHolidayCalendarById = asyncHandler(async (req, res) => {
+    const result = await HolidayCalendarService.getHolidayCalendarById(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get all holiday calendars
+   * GET /holiday-calendars
+   */
+  getAllHolidayCalendars = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, search = '' } = req.query;
+    
+    const result = await HolidayCalendarService.getAllHolidayCalendars({
+      page,
+      limit,
+      search
+    });
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Update holiday calendar
+   * PUT /holiday-calendars/:id
+   */
+  updateHolidayCalendar = asyncHandler(async (req, res) => {
+    const result = await HolidayCalendarService.updateHolidayCalendar(
+      req.params.id,
+      req.body
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete holiday calendar
+   * DELETE /holiday-calendars/:id
+   */
+  deleteHolidayCalendar = asyncHandler(async (req, res) => {
+    const result = await HolidayCalendarService.deleteHolidayCalendar(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get holidays of a calendar
+   * GET /holiday-calendars/:id/holidays
+   */
+  getHolidays = asyncHandler(async (req, res) => {
+    const { year } = req.query;
+
+    const result = await HolidayCalendarService.getHolidays(
+      req.params.id,
+      year ? parseInt(year) : null
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Add a holiday to a calendar
+   * POST /holiday-calendars/:id/holidays
+   */
+  addHoliday = asyncHandler(async (req, res) => {
+    const result = await HolidayCalendarService.addHoliday(
+      parseInt(req.params.id),
+      req.body
+    );
+    
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Remove a holiday from a calendar
+   * DELETE /holiday-calendars/:id/holidays/:holidayId
+   */
+  deleteHoliday = asyncHandler(async (req, res) => {
+    const result = await HolidayCalendarService.deleteHoliday(
+      req.params.id,
+      req.params.holidayId
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Import holidays from an iCalendar file
+   * POST /holiday-calendars/:id/import
+   * Accepts a text/calendar body or JSON { ics: "..." }
+   */
+  importHolidays = asyncHandler(async (req, res) => {
+    const icsContent = typeof req.body === 'string' ? req.body : req.body?.ics;
+
+    const result = await HolidayCalendarService.importHolidays(
+      parseInt(req.params.id),
+      icsContent
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new HolidayCalendarController();
@@ -4,8 +4,11 @@
  */
 
 const LeaveRequestService = require('../services/LeaveRequestService');
-const { HTTP_STATUS } = require('../utils/constants');
+const ApprovalRoutingService = require('../services/ApprovalRoutingService');
+const LeaveRequestStatusService = require('../services/LeaveRequestStatusService');
+const { HTTP_STATUS, SPREADSHEET_FORMAT } = require('../utils/constants');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { sendDownload } = require('../utils/spreadsheet');
 
 class LeaveRequestController {
   /**
@@ -13,7 +16,7 @@ class LeaveRequestController {
    * POST /leave-requests
    */
   createLeaveRequest = asyncHandler(async (req, res) => {
-    const result = await LeaveRequestService.createLeaveRequest(req.body);
+    const result = await LeaveRequestService.createLeaveRequest(req.body, req.principal);
     
     const statusCode = result.duplicate ? HTTP_STATUS.OK : HTTP_STATUS.CREATED;
     res.status(statusCode).json(result);
@@ -39,6 +42,7 @@ class LeaveRequestController {
       limit = 10, 
       employeeId, 
       status,
+      leaveTypeId,
       startDate,
       endDate 
     } = req.query;
@@ -48,9 +52,51 @@ class LeaveRequestController {
       limit,
       employeeId,
       status,
+      leaveTypeId,
       startDate,
       endDate
-    });
+    }, req.principal);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Export leave requests as CSV or XLSX
+   * GET /leave-requests/export
+   */
+  exportLeaveRequests = asyncHandler(async (req, res) => {
+    const {
+      format = SPREADSHEET_FORMAT.CSV,
+      employeeId,
+      status,
+      leaveTypeId,
+      startDate,
+      endDate
+    } = req.query;
+
+    res.status(HTTP_STATUS.OK);
+
+    await sendDownload(res, format, 'leave-requests', () => (
+      LeaveRequestService.exportLeaveRequests({
+        employeeId,
+        status,
+        leaveTypeId,
+        startDate,
+        endDate
+      }, format, res, req.principal)
+    ));
+  });
+
+  /**
+   * Update an undecided leave request
+   * PUT /leave-requests/:id
+   */
+  updateLeaveRequest = asyncHandler(async (req, res) => {
+    const result = await LeaveRequestService.updateLeaveRequest(
+      req.params.id,
+      req.body,
+      req.principal
+    );
     
     res.status(HTTP_STATUS.OK).json(result);
   });
@@ -62,28 +108,86 @@ class LeaveRequestController {
   updateLeaveRequestStatus = asyncHandler(async (req, res) => {
     const result = await LeaveRequestService.updateLeaveRequestStatus(
       req.params.id,
-      req.body.status
+      req.body.status,
+      {
+        approverId: req.body.approverId,
+        comment: req.body.comment,
+        acceptException: req.body.acceptException
+      },
+      req.principal
     );
     
     res.status(HTTP_STATUS.OK).json(result);
   });
 
+  /**
+   * Update the status of several leave requests
+   * POST /leave-requests/bulk-status
+   */
+  bulkUpdateLeaveRequestStatus = asyncHandler(async (req, res) => {
+    const result = await LeaveRequestService.bulkUpdateLeaveRequestStatus(
+      req.body.ids,
+      req.body.status,
+      {
+        approverId: req.body.approverId,
+        comment: req.body.comment,
+        acceptException: req.body.acceptException
+      },
+      req.principal,
+      req.body.mode
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get approval stages of a leave request
+   * GET /leave-requests/:id/approvals
+   */
+  getLeaveRequestApprovals = asyncHandler(async (req, res) => {
+    const result = await ApprovalRoutingService.getLeaveRequestApprovals(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get status history of a leave request
+   * GET /leave-requests/:id/history
+   */
+  getLeaveRequestHistory = asyncHandler(async (req, res) => {
+    const result = await LeaveRequestStatusService.getLeaveRequestHistory(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
   /**
    * Cancel leave request
    * DELETE /leave-requests/:id
    */
   cancelLeaveRequest = asyncHandler(async (req, res) => {
-    // In a real app, you'd get employeeId from authenticated user
-    const { employeeId } = req.body;
-    
     const result = await LeaveRequestService.cancelLeaveRequest(
       req.params.id,
-      employeeId
+      req.principal,
+      req.body.reason
     );
     
     res.status(HTTP_STATUS.OK).json(result);
   });
 
+  /**
+   * Withdraw leave request
+   * POST /leave-requests/:id/withdraw
+   */
+  withdrawLeaveRequest = asyncHandler(async (req, res) => {
+    const result = await LeaveRequestService.withdrawLeaveRequest(
+      req.params.id,
+      req.principal,
+      req.body.reason
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
   /**
    * Get employee leave statistics
    * GET /leave-requests/stats/:employeeId
@@ -0,0 +1,72 @@
+/**
+ * LeaveType Controller
+ * Handles HTTP requests for leave type endpoints
+ */
+
+const LeaveTypeService = require('../services/LeaveTypeService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class LeaveTypeController {
+  /**
+   * Create a new leave type
+   * POST /leave-types
+   */
+  createLeaveType = asyncHandler(async (req, res) => {
+    const result = await LeaveTypeService.createLeaveType(req.body);
+    
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Get leave type by ID
+   * GET /leave-types/:id
+   */
+  getLeaveTypeById = asyncHandler(async (req, res) => {
+    const result = await LeaveTypeService.getLeaveTypeById(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get all leave types
+   * GET /leave-types
+   */
+  getAllLeaveTypes = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, search = '', includeInactive = 'false' } = req.query;
+    
+    const result = await LeaveTypeService.getAllLeaveTypes({
+      page,
+      limit,
+      search,
+      includeInactive: includeInactive === 'true'
+    });
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Update leave type
+   * PUT /leave-types/:id
+   */
+  updateLeaveType = asyncHandler(async (req, res) => {
+    const result = await LeaveTypeService.updateLeaveType(
+      req.params.id,
+      req.body
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete leave type
+   * DELETE /leave-types/:id
+   */
+  deleteLeaveType = asyncHandler(async (req, res) => {
+    const result = await LeaveTypeService.deleteLeaveType(req.params.id);
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new LeaveTypeController();
@@ -0,0 +1,35 @@
+/**
+ * Role Controller
+ * Handles HTTP requests for role and permission endpoints
+ */
+
+const AccessControlService = require('../services/AccessControlService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class RoleController {
+  /**
+   * Get all roles with their permissions
+   * GET /roles
+   */
+  getRoles = asyncHandler(async (req, res) => {
+    const result = await AccessControlService.getRoles();
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Replace the permissions of a role
+   * PUT /roles/:role/permissions
+   */
+  updateRolePermissions = asyncHandler(async (req, res) => {
+    const result = await AccessControlService.updateRolePermissions(
+      req.params.role,
+      req.body.permissions
+    );
+    
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new RoleController();
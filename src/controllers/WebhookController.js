@@ -0,0 +1,86 @@
+/**
+ * Webhook Controller
+ * Handles HTTP requests for webhook subscription endpoints
+ */
+
+const WebhookService = require('../services/WebhookService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class WebhookController {
+  /**
+   * Create a new webhook subscription
+   * POST /webhooks
+   */
+  createWebhook = asyncHandler(async (req, res) => {
+    const result = await WebhookService.createWebhook(req.body, req.principal);
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  });
+
+  /**
+   * Get all webhook subscriptions
+   * GET /webhooks
+   */
+  getAllWebhooks = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await WebhookService.getAllWebhooks({ page, limit });
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get webhook subscription by ID
+   * GET /webhooks/:id
+   */
+  getWebhookById = asyncHandler(async (req, res) => {
+    const result = await WebhookService.getWebhookById(req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Update webhook subscription
+   * PUT /webhooks/:id
+   */
+  updateWebhook = asyncHandler(async (req, res) => {
+    const result = await WebhookService.updateWebhook(req.params.id, req.body);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Delete webhook subscription
+   * DELETE /webhooks/:id
+   */
+  deleteWebhook = asyncHandler(async (req, res) => {
+    const result = await WebhookService.deleteWebhook(req.params.id);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Get the delivery log of a webhook subscription
+   * GET /webhooks/:id/deliveries
+   */
+  getDeliveries = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const result = await WebhookService.getDeliveries(req.params.id, { page, limit, status });
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+
+  /**
+   * Deliver an event again
+   * POST /webhooks/:id/deliveries/:deliveryId/redeliver
+   */
+  redeliver = asyncHandler(async (req, res) => {
+    const result = await WebhookService.redeliver(req.params.id, req.params.deliveryId);
+
+    res.status(HTTP_STATUS.OK).json(result);
+  });
+}
+
+module.exports = new WebhookController();
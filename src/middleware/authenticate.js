@@ -0,0 +1,38 @@
+/**
+ * Authentication middleware
+ * Resolves req.principal from a bearer JWT or an X-API-Key header
+ */
+
+const AuthService = require('../services/AuthService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { asyncHandler } = require('./errorHandler');
+
+// Paths (relative to the /api mount point) reachable without credentials
+const PUBLIC_PATHS = ['/auth/login'];
+
+// Private calendar feed URLs carry their own token
+const PUBLIC_PATH_PATTERNS = [/^\/calendar-feeds\/[^/]+\/leave\.ics$/];
+
+const authenticate = asyncHandler(async (req, res, next) => {
+  if (PUBLIC_PATHS.includes(req.path) || PUBLIC_PATH_PATTERNS.some(pattern => pattern.test(req.path))) {
+    return next();
+  }
+
+  const authorization = req.get('authorization') || '';
+  const apiKey = req.get('x-api-key');
+
+  if (authorization.startsWith('Bearer ')) {
+    req.principal = await AuthService.authenticateToken(authorization.slice(7).trim());
+  } else if (apiKey) {
+    req.principal = await AuthService.authenticateApiKey(apiKey);
+  } else {
+    throw new AppError('Authentication required', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  next();
+});
+
+module.exports = {
+  authenticate
+};
@@ -0,0 +1,46 @@
+/**
+ * Authorization middleware
+ * Checks role permissions and row-level access of req.principal
+ */
+
+const AccessControlService = require('../services/AccessControlService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { asyncHandler } = require('./errorHandler');
+
+/**
+ * Require a permission
+ * @param {string} permission - Permission from PERMISSION
+ */
+const authorize = (permission) => asyncHandler(async (req, res, next) => {
+  const role = req.principal ? req.principal.role : null;
+
+  if (!(await AccessControlService.hasPermission(role, permission))) {
+    throw new AppError(`Missing permission: ${permission}`, HTTP_STATUS.FORBIDDEN);
+  }
+
+  next();
+});
+
+/**
+ * Require access to the employee identified by a route parameter
+ * @param {string} paramName - Route parameter holding the employee ID
+ */
+const authorizeEmployeeAccess = (paramName = 'id') => asyncHandler(async (req, res, next) => {
+  await AccessControlService.assertCanAccessEmployee(req.principal, req.params[paramName]);
+  next();
+});
+
+/**
+ * Require access to the leave request identified by the :id route parameter
+ */
+const authorizeLeaveRequestAccess = asyncHandler(async (req, res, next) => {
+  await AccessControlService.assertCanAccessLeaveRequest(req.principal, req.params.id);
+  next();
+});
+
+module.exports = {
+  authorize,
+  authorizeEmployeeAccess,
+  authorizeLeaveRequestAccess
+};
@@ -5,6 +5,27 @@
 const logger = require('../utils/logger');
 const { HTTP_STATUS } = require('../utils/constants');
 
+// Request body fields that must never reach the logs
+const REDACTED_FIELDS = ['password'];
+
+/**
+ * Copy a request body with sensitive fields masked
+ */
+const redactBody = (body) => {
+  if (!body || typeof body !== 'object') {
+    return body;
+  }
+
+  const redacted = { ...body };
+  REDACTED_FIELDS.forEach(field => {
+    if (field in redacted) {
+      redacted[field] = '[REDACTED]';
+    }
+  });
+
+  return redacted;
+};
+
 /**
  * Error handler middleware
  */
@@ -15,11 +36,16 @@ const errorHandler = (err, req, res, next) => {
     stack: err.stack,
     path: req.path,
     method: req.method,
-    body: req.body,
+    body: redactBody(req.body),
     params: req.params,
     query: req.query
   });
 
+  // A streamed response (e.g. an export) has already started: let Express abort it
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Default error response
   let statusCode = err.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR;
   let message = err.message || 'Internal server error';
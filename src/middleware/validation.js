@@ -3,7 +3,22 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
-const { HTTP_STATUS, LEAVE_REQUEST_STATUS } = require('../utils/constants');
+const {
+  HTTP_STATUS,
+  APPROVER_ROLE,
+  LEAVE_REQUEST_STATUS,
+  LEAVE_GRANULARITY,
+  HALF_DAY_PERIOD,
+  PERMISSION,
+  ROLE,
+  WEBHOOK_DELIVERY_STATUS,
+  EMAIL_NOTIFICATION_STATUS,
+  CALENDAR_FEED_SCOPE,
+  BLACKOUT_SCOPE,
+  BULK_STATUS_MODE,
+  BULK_STATUS_MAX_ITEMS,
+  SPREADSHEET_FORMAT
+} = require('../utils/constants');
 
 /**
  * Handle validation errors
@@ -24,6 +39,31 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Run validation rules against data that does not come from a request body
+ * (e.g. spreadsheet rows). Middleware in the rules, such as handleValidationErrors,
+ * is skipped.
+ * @param {Array} validators - Validation rules (e.g. validateEmployee)
+ * @param {Object} data - Data to validate
+ * @returns {Promise<{data: Object, errors: Array<{field: string, message: string}>}>}
+ *   data holds the sanitized values
+ */
+const runValidators = async (validators, data) => {
+  const req = { body: { ...data } };
+
+  for (const validator of validators.filter(rule => typeof rule.run === 'function')) {
+    await validator.run(req);
+  }
+
+  return {
+    data: req.body,
+    errors: validationResult(req).array().map(err => ({
+      field: err.path,
+      message: err.msg
+    }))
+  };
+};
+
 /**
  * Department validation rules
  */
@@ -32,6 +72,328 @@ const validateDepartment = [
     .trim()
     .notEmpty().withMessage('Department name is required')
     .isLength({ min: 2, max: 100 }).withMessage('Department name must be between 2 and 100 characters'),
+  body('holidayCalendarId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Holiday calendar ID must be a positive integer'),
+  body('headId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Department head ID must be a positive integer'),
+  body('minPresent')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 }).withMessage('Minimum present must be a non-negative integer'),
+  body('maxConcurrentAbsences')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 }).withMessage('Maximum concurrent absences must be a non-negative integer'),
+  body('blackoutPeriods')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Blackout periods must be an array of at most 50 periods'),
+  body('blackoutPeriods.*.name')
+    .trim()
+    .notEmpty().withMessage('Blackout period name is required')
+    .isLength({ max: 100 }).withMessage('Blackout period name must be at most 100 characters'),
+  body('blackoutPeriods.*.startDate')
+    .isISO8601().withMessage('Blackout start date must be a valid date (YYYY-MM-DD)'),
+  body('blackoutPeriods.*.endDate')
+    .isISO8601().withMessage('Blackout end date must be a valid date (YYYY-MM-DD)')
+    .custom((endDate, { req, path }) => {
+      const index = parseInt(path.match(/\[(\d+)\]/)[1]);
+      return endDate >= req.body.blackoutPeriods[index].startDate;
+    }).withMessage('Blackout end date must be on or after its start date'),
+  handleValidationErrors
+];
+
+/**
+ * Approval chain validation rules
+ */
+const validateApprovalChain = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Chain name must be between 2 and 100 characters'),
+  body('stages')
+    .isArray({ min: 1, max: 10 }).withMessage('Stages must be an array of 1 to 10 stages'),
+  body('stages.*.approverRole')
+    .isIn(Object.values(APPROVER_ROLE))
+    .withMessage(`Approver role must be one of ${Object.values(APPROVER_ROLE).join(', ')}`),
+  body('stages.*.approverId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Stage approver ID must be a positive integer'),
+  body('stages.*.minDurationDays')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Stage minimum duration must be a non-negative number'),
+  handleValidationErrors
+];
+
+/**
+ * Working week validation (ISO weekdays, 1 = Monday ... 7 = Sunday)
+ */
+const workingDaysValidator = () => body('workingDays')
+  .optional()
+  .isArray({ min: 1, max: 7 }).withMessage('Working days must be a non-empty array')
+  .custom((workingDays) => {
+    const valid = workingDays.every(day => Number.isInteger(day) && day >= 1 && day <= 7);
+    if (!valid || new Set(workingDays).size !== workingDays.length) {
+      throw new Error('Working days must be distinct ISO weekdays (1 = Monday ... 7 = Sunday)');
+    }
+    return true;
+  });
+
+/**
+ * Holiday calendar validation rules
+ */
+const validateHolidayCalendar = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Calendar name is required')
+    .isLength({ min: 2, max: 100 }).withMessage('Calendar name must be between 2 and 100 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 }).withMessage('Description must be at most 255 characters'),
+  workingDaysValidator(),
+  handleValidationErrors
+];
+
+/**
+ * Holiday calendar update validation rules (partial)
+ */
+const validateHolidayCalendarUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Calendar name must be between 2 and 100 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 }).withMessage('Description must be at most 255 characters'),
+  workingDaysValidator(),
+  body().custom((value, { req }) => {
+    if (!Object.keys(req.body || {}).length) {
+      throw new Error('At least one field must be provided for update');
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
+
+/**
+ * Holiday validation rules
+ */
+const validateHoliday = [
+  body('date')
+    .notEmpty().withMessage('Holiday date is required')
+    .isISO8601().withMessage('Holiday date must be a valid date (YYYY-MM-DD)'),
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Holiday name is required')
+    .isLength({ max: 255 }).withMessage('Holiday name must be at most 255 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Login validation rules
+ */
+const validateLogin = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail(),
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isString().withMessage('Password must be a string'),
+  handleValidationErrors
+];
+
+/**
+ * API key validation rules
+ */
+const validateApiKey = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('API key name is required')
+    .isLength({ min: 2, max: 100 }).withMessage('API key name must be between 2 and 100 characters'),
+  body('role')
+    .optional()
+    .isIn([ROLE.HR, ROLE.ADMIN]).withMessage(`API key role must be ${ROLE.HR} or ${ROLE.ADMIN}`),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Expiry must be a valid date')
+    .custom((expiresAt) => {
+      if (new Date(expiresAt) <= new Date()) {
+        throw new Error('Expiry must be in the future');
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+/**
+ * Calendar feed token validation rules
+ */
+const validateCalendarFeedToken = [
+  body('name')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Feed name must be between 1 and 100 characters'),
+  body('scope')
+    .notEmpty().withMessage('Feed scope is required')
+    .isIn(Object.values(CALENDAR_FEED_SCOPE))
+    .withMessage(`Feed scope must be one of ${Object.values(CALENDAR_FEED_SCOPE).join(', ')}`),
+  body('scopeId')
+    .if(body('scope').not().equals(CALENDAR_FEED_SCOPE.COMPANY))
+    .notEmpty().withMessage('Scope ID is required for employee and department feeds')
+    .isInt({ min: 1 }).withMessage('Scope ID must be a positive integer'),
+  body('includePending')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('includePending must be a boolean'),
+  handleValidationErrors
+];
+
+/**
+ * Calendar feed options (query params)
+ */
+const validateCalendarFeedQuery = [
+  query('includePending')
+    .optional()
+    .isIn(['true', 'false']).withMessage('includePending must be true or false'),
+  handleValidationErrors
+];
+
+/**
+ * Role permissions validation rules
+ */
+const validateRolePermissions = [
+  param('role')
+    .isIn(Object.values(ROLE))
+    .withMessage(`Role must be one of ${Object.values(ROLE).join(', ')}`),
+  body('permissions')
+    .isArray().withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.values(PERMISSION))
+    .withMessage(`Permissions must be among ${Object.values(PERMISSION).join(', ')}`),
+  handleValidationErrors
+];
+
+/**
+ * Dead letter replay validation rules
+ */
+const validateDeadLetterReplay = [
+  body('messageIds')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Message IDs must be a non-empty array'),
+  body('messageIds.*')
+    .isString().withMessage('Message IDs must be strings'),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+// Routing keys or topic patterns such as "leave.approved", "leave.*" or "#"
+const EVENT_PATTERN = /^(\*|#|[a-z_]+)(\.(\*|#|[a-z_]+))*$/;
+
+const webhookRuleValidators = [
+  body('url')
+    .optional()
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Webhook URL must be a valid http(s) URL')
+    .isLength({ max: 2048 }).withMessage('Webhook URL must be at most 2048 characters'),
+  body('events')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*')
+    .isString()
+    .matches(EVENT_PATTERN).withMessage('Events must be routing keys such as "leave.approved" or patterns such as "leave.*"'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Webhook validation rules
+ */
+const validateWebhook = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Webhook name is required')
+    .isLength({ min: 2, max: 100 }).withMessage('Webhook name must be between 2 and 100 characters'),
+  body('url')
+    .notEmpty().withMessage('Webhook URL is required'),
+  body('events')
+    .notEmpty().withMessage('Events are required'),
+  body('secret')
+    .optional()
+    .isString()
+    .isLength({ min: 16, max: 100 }).withMessage('Secret must be between 16 and 100 characters'),
+  ...webhookRuleValidators,
+  handleValidationErrors
+];
+
+/**
+ * Webhook update validation rules (partial)
+ */
+const validateWebhookUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Webhook name must be between 2 and 100 characters'),
+  ...webhookRuleValidators,
+  body().custom((value, { req }) => {
+    if (!Object.keys(req.body || {}).length) {
+      throw new Error('At least one field must be provided for update');
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
+
+/**
+ * Webhook delivery filters (query params)
+ */
+const validateWebhookDeliveryFilters = [
+  query('status')
+    .optional()
+    .isIn(Object.values(WEBHOOK_DELIVERY_STATUS))
+    .withMessage(`Status must be one of ${Object.values(WEBHOOK_DELIVERY_STATUS).join(', ')}`),
+  handleValidationErrors
+];
+
+const NOTIFICATION_PREFERENCE_FIELDS = [
+  'emailEnabled',
+  'leaveSubmitted',
+  'leaveApproved',
+  'leaveRejected',
+  'leaveCancelled',
+  'approvalRequested'
+];
+
+/**
+ * Notification preference validation rules (partial)
+ */
+const validateNotificationPreferences = [
+  ...NOTIFICATION_PREFERENCE_FIELDS.map(field => body(field)
+    .optional()
+    .isBoolean({ strict: true }).withMessage(`${field} must be a boolean`)),
+  body().custom((value, { req }) => {
+    const fields = Object.keys(req.body || {});
+
+    if (!fields.some(field => NOTIFICATION_PREFERENCE_FIELDS.includes(field))) {
+      throw new Error(`At least one of ${NOTIFICATION_PREFERENCE_FIELDS.join(', ')} must be provided`);
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
+
+/**
+ * Email notification filters (query params)
+ */
+const validateNotificationFilters = [
+  query('status')
+    .optional()
+    .isIn(Object.values(EMAIL_NOTIFICATION_STATUS))
+    .withMessage(`Status must be one of ${Object.values(EMAIL_NOTIFICATION_STATUS).join(', ')}`),
   handleValidationErrors
 ];
 
@@ -51,6 +413,27 @@ const validateEmployee = [
   body('departmentId')
     .notEmpty().withMessage('Department ID is required')
     .isInt({ min: 1 }).withMessage('Department ID must be a positive integer'),
+  body('managerId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Manager ID must be a positive integer'),
+  body('role')
+    .optional()
+    .isIn(Object.values(ROLE))
+    .withMessage(`Role must be one of ${Object.values(ROLE).join(', ')}`),
+  body('password')
+    .optional()
+    .isString().withMessage('Password must be a string')
+    .isLength({ min: 8, max: 128 }).withMessage('Password must be between 8 and 128 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Employee import options (query params)
+ */
+const validateEmployeeImportQuery = [
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false']).withMessage('dryRun must be true or false'),
   handleValidationErrors
 ];
 
@@ -70,6 +453,17 @@ const validateEmployeeUpdate = [
   body('departmentId')
     .optional()
     .isInt({ min: 1 }).withMessage('Department ID must be a positive integer'),
+  body('managerId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Manager ID must be a positive integer'),
+  body('role')
+    .optional()
+    .isIn(Object.values(ROLE))
+    .withMessage(`Role must be one of ${Object.values(ROLE).join(', ')}`),
+  body('password')
+    .optional()
+    .isString().withMessage('Password must be a string')
+    .isLength({ min: 8, max: 128 }).withMessage('Password must be between 8 and 128 characters'),
   body().custom((value, { req }) => {
     if (!Object.keys(req.body || {}).length) {
       throw new Error('At least one field must be provided for update');
@@ -80,12 +474,45 @@ const validateEmployeeUpdate = [
 ];
 
 /**
- * Leave request validation rules
+ * Half-day and hourly leave validation (shared by leave request rules)
  */
-const validateLeaveRequest = [
-  body('employeeId')
-    .notEmpty().withMessage('Employee ID is required')
-    .isInt({ min: 1 }).withMessage('Employee ID must be a positive integer'),
+const partialDayValidators = [
+  body('granularity')
+    .optional()
+    .isIn(Object.values(LEAVE_GRANULARITY))
+    .withMessage(`Granularity must be one of ${Object.values(LEAVE_GRANULARITY).join(', ')}`)
+    .custom((granularity, { req }) => {
+      if (granularity !== LEAVE_GRANULARITY.FULL_DAY &&
+          String(req.body.startDate).slice(0, 10) !== String(req.body.endDate).slice(0, 10)) {
+        throw new Error('Half-day and hourly leave must start and end on the same date');
+      }
+      return true;
+    }),
+  body('halfDayPeriod')
+    .if(body('granularity').equals(LEAVE_GRANULARITY.HALF_DAY))
+    .notEmpty().withMessage('Half-day period is required for half-day leave').bail()
+    .isIn(Object.values(HALF_DAY_PERIOD))
+    .withMessage('Half-day period must be AM or PM'),
+  body('startTime')
+    .if(body('granularity').equals(LEAVE_GRANULARITY.HOURLY))
+    .notEmpty().withMessage('Start time is required for hourly leave').bail()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be in HH:mm format'),
+  body('endTime')
+    .if(body('granularity').equals(LEAVE_GRANULARITY.HOURLY))
+    .notEmpty().withMessage('End time is required for hourly leave').bail()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be in HH:mm format')
+    .custom((endTime, { req }) => {
+      if (endTime <= req.body.startTime) {
+        throw new Error('End time must be after start time');
+      }
+      return true;
+    })
+];
+
+/**
+ * Leave period fields shared by leave request create and update
+ */
+const leavePeriodValidators = [
   body('startDate')
     .notEmpty().withMessage('Start date is required')
     .isISO8601().withMessage('Start date must be a valid date (YYYY-MM-DD)'),
@@ -98,9 +525,192 @@ const validateLeaveRequest = [
       }
       return true;
     }),
+  body('leaveTypeId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Leave type ID must be a positive integer'),
+  body('documentUrl')
+    .optional()
+    .isURL().withMessage('Document URL must be a valid URL'),
+  body('exceptionRequested')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('exceptionRequested must be a boolean'),
+  body('exceptionReason')
+    .if(body('exceptionRequested').equals('true'))
+    .trim()
+    .notEmpty().withMessage('An exception reason is required when requesting an exception')
+    .isLength({ max: 500 }).withMessage('Exception reason must be at most 500 characters'),
+  ...partialDayValidators
+];
+
+/**
+ * Leave request validation rules
+ */
+const validateLeaveRequest = [
+  // Defaults to the logged-in employee; required for API key callers
+  body('employeeId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Employee ID must be a positive integer'),
   body('idempotencyKey')
     .optional()
     .isString().withMessage('Idempotency key must be a string'),
+  ...leavePeriodValidators,
+  handleValidationErrors
+];
+
+/**
+ * Leave request update validation rules
+ * The period is replaced as a whole; the employee cannot be changed
+ */
+const validateLeaveRequestUpdate = [
+  body('employeeId')
+    .not().exists().withMessage('The employee of a leave request cannot be changed'),
+  ...leavePeriodValidators,
+  handleValidationErrors
+];
+
+/**
+ * Leave type rule fields shared by create and update
+ */
+const leaveTypeRuleValidators = [
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 }).withMessage('Description must be at most 255 characters'),
+  body('countsAgainstBalance')
+    .optional()
+    .isBoolean().withMessage('countsAgainstBalance must be a boolean'),
+  body('requiresDocument')
+    .optional()
+    .isBoolean().withMessage('requiresDocument must be a boolean'),
+  body('maxConsecutiveDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Max consecutive days must be a positive integer'),
+  body('autoApproveMaxDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 }).withMessage('Auto-approval threshold must be a non-negative integer'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+];
+
+/**
+ * Leave type validation rules
+ */
+const validateLeaveType = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Leave type code is required')
+    .matches(/^[A-Z][A-Z0-9_]{0,49}$/).withMessage('Leave type code must be uppercase letters, digits or underscores'),
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Leave type name is required')
+    .isLength({ min: 2, max: 100 }).withMessage('Leave type name must be between 2 and 100 characters'),
+  ...leaveTypeRuleValidators,
+  handleValidationErrors
+];
+
+/**
+ * Leave type update validation rules (partial)
+ */
+const validateLeaveTypeUpdate = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Z][A-Z0-9_]{0,49}$/).withMessage('Leave type code must be uppercase letters, digits or underscores'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Leave type name must be between 2 and 100 characters'),
+  ...leaveTypeRuleValidators,
+  body().custom((value, { req }) => {
+    if (!Object.keys(req.body || {}).length) {
+      throw new Error('At least one field must be provided for update');
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
+
+/**
+ * Blackout period fields shared by create and update
+ */
+const blackoutPeriodFieldValidators = [
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 255 }).withMessage('Description must be at most 255 characters'),
+  body('scope')
+    .optional()
+    .isIn(Object.values(BLACKOUT_SCOPE))
+    .withMessage(`Scope must be one of ${Object.values(BLACKOUT_SCOPE).join(', ')}`),
+  body('departmentId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Department ID must be a positive integer'),
+  body('leaveTypeId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Leave type ID must be a positive integer')
+];
+
+/**
+ * Blackout period validation rules
+ */
+const validateBlackoutPeriod = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Blackout period name is required')
+    .isLength({ min: 2, max: 100 }).withMessage('Blackout period name must be between 2 and 100 characters'),
+  body('startDate')
+    .notEmpty().withMessage('Start date is required')
+    .isISO8601().withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  body('endDate')
+    .notEmpty().withMessage('End date is required')
+    .isISO8601().withMessage('End date must be a valid date (YYYY-MM-DD)'),
+  ...blackoutPeriodFieldValidators,
+  handleValidationErrors
+];
+
+/**
+ * Blackout period update validation rules (partial)
+ */
+const validateBlackoutPeriodUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Blackout period name must be between 2 and 100 characters'),
+  body('startDate')
+    .optional()
+    .isISO8601().withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  body('endDate')
+    .optional()
+    .isISO8601().withMessage('End date must be a valid date (YYYY-MM-DD)'),
+  ...blackoutPeriodFieldValidators,
+  body().custom((value, { req }) => {
+    if (!Object.keys(req.body || {}).length) {
+      throw new Error('At least one field must be provided for update');
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
+
+/**
+ * Blackout period filters validation (query params)
+ */
+const validateBlackoutPeriodFilters = [
+  query('scope')
+    .optional()
+    .isIn(Object.values(BLACKOUT_SCOPE))
+    .withMessage('Invalid scope filter'),
+  query('departmentId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Department ID filter must be a positive integer'),
+  query('leaveTypeId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Leave type ID filter must be a positive integer'),
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid date (YYYY-MM-DD)'),
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid date (YYYY-MM-DD)'),
   handleValidationErrors
 ];
 
@@ -133,6 +743,28 @@ const validateEmployeeIdBody = [
   handleValidationErrors
 ];
 
+/**
+ * Leave request cancellation validation rules
+ */
+const validateCancellation = [
+  body('reason')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Cancellation reason must be at most 500 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Leave request withdrawal validation rules
+ */
+const validateWithdrawal = [
+  body('reason')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Withdrawal reason must be at most 500 characters'),
+  handleValidationErrors
+];
+
 /**
  * Pagination validation
  */
@@ -159,6 +791,17 @@ const validateEmployeeListFilters = [
   handleValidationErrors
 ];
 
+/**
+ * Export format (query param)
+ */
+const validateExportFormat = [
+  query('format')
+    .optional()
+    .isIn(Object.values(SPREADSHEET_FORMAT))
+    .withMessage(`Format must be one of ${Object.values(SPREADSHEET_FORMAT).join(', ')}`),
+  handleValidationErrors
+];
+
 /**
  * Status validation
  */
@@ -167,9 +810,36 @@ const validateStatus = [
     .notEmpty().withMessage('Status is required')
     .isIn(Object.values(LEAVE_REQUEST_STATUS))
     .withMessage('Invalid status value'),
+  body('approverId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Approver ID must be a positive integer'),
+  body('comment')
+    .optional()
+    .isString().withMessage('Comment must be a string')
+    .isLength({ max: 500 }).withMessage('Comment must be at most 500 characters'),
+  body('acceptException')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('acceptException must be a boolean'),
   handleValidationErrors
 ];
 
+/**
+ * Bulk status update validation rules
+ */
+const validateBulkStatus = [
+  body('ids')
+    .isArray({ min: 1, max: BULK_STATUS_MAX_ITEMS })
+    .withMessage(`IDs must be an array of 1 to ${BULK_STATUS_MAX_ITEMS} leave request IDs`),
+  body('ids.*')
+    .isInt({ min: 1 }).withMessage('IDs must be positive integers')
+    .toInt(),
+  body('mode')
+    .optional()
+    .isIn(Object.values(BULK_STATUS_MODE))
+    .withMessage(`Mode must be one of: ${Object.values(BULK_STATUS_MODE).join(', ')}`),
+  ...validateStatus
+];
+
 /**
  * Status query validation
  */
@@ -192,6 +862,9 @@ const validateLeaveRequestFilters = [
     .optional()
     .isIn(Object.values(LEAVE_REQUEST_STATUS))
     .withMessage('Invalid status filter'),
+  query('leaveTypeId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Leave type ID filter must be a positive integer'),
   query('startDate')
     .optional()
     .isISO8601().withMessage('Start date filter must be a valid date (YYYY-MM-DD)'),
@@ -201,6 +874,19 @@ const validateLeaveRequestFilters = [
   handleValidationErrors
 ];
 
+/**
+ * Availability range validation (query params)
+ */
+const validateAvailabilityRange = [
+  query('from')
+    .notEmpty().withMessage('from is required')
+    .isISO8601().withMessage('from must be a valid date (YYYY-MM-DD)'),
+  query('to')
+    .notEmpty().withMessage('to is required')
+    .isISO8601().withMessage('to must be a valid date (YYYY-MM-DD)'),
+  handleValidationErrors
+];
+
 /**
  * Year query validation (e.g., stats endpoints)
  */
@@ -212,18 +898,46 @@ const validateYearQuery = [
 ];
 
 module.exports = {
+  runValidators,
+  validateLogin,
+  validateApiKey,
+  validateCalendarFeedToken,
+  validateCalendarFeedQuery,
+  validateRolePermissions,
+  validateDeadLetterReplay,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookDeliveryFilters,
+  validateNotificationPreferences,
+  validateNotificationFilters,
   validateDepartment,
+  validateApprovalChain,
+  validateHolidayCalendar,
+  validateHolidayCalendarUpdate,
+  validateHoliday,
   validateEmployee,
+  validateEmployeeImportQuery,
   validateEmployeeUpdate,
   validateLeaveRequest,
+  validateLeaveRequestUpdate,
+  validateLeaveType,
+  validateLeaveTypeUpdate,
+  validateBlackoutPeriod,
+  validateBlackoutPeriodUpdate,
+  validateBlackoutPeriodFilters,
   validateId,
   validateEmployeeIdParam,
   validateEmployeeIdBody,
+  validateCancellation,
+  validateWithdrawal,
   validatePagination,
   validateEmployeeListFilters,
+  validateExportFormat,
   validateStatus,
+  validateBulkStatus,
   validateStatusQuery,
   validateLeaveRequestFilters,
+  validateAvailabilityRange,
   validateYearQuery,
   buildIdValidator,
   handleValidationErrors
@@ -0,0 +1,98 @@
+/**
+ * ApiKey Model
+ * Credential for service integrations calling the API without an employee login.
+ * Only a SHA-256 hash of the key is stored.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { ROLE } = require('../utils/constants');
+
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 100]
+    }
+  },
+  keyPrefix: {
+    // First characters of the key, shown so keys can be told apart
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    field: 'key_prefix'
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'key_hash'
+  },
+  role: {
+    // Keys are not linked to an employee, so only unrestricted roles make sense
+    type: DataTypes.ENUM(ROLE.HR, ROLE.ADMIN),
+    allowNull: false,
+    defaultValue: ROLE.HR
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'created_by_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'expires_at'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_used_at'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['key_hash']
+    }
+  ]
+});
+
+ApiKey.prototype.toJSON = function toJSON() {
+  const values = { ...this.get() };
+  delete values.keyHash;
+  return values;
+};
+
+module.exports = ApiKey;
@@ -0,0 +1,58 @@
+/**
+ * ApprovalChain Model
+ * Ordered approval stages a department's leave requests must pass
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ApprovalChain = sequelize.define('ApprovalChain', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  departmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    field: 'department_id',
+    references: {
+      model: 'departments',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 100]
+    }
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'approval_chains',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['department_id']
+    }
+  ]
+});
+
+module.exports = ApprovalChain;
@@ -0,0 +1,81 @@
+/**
+ * ApprovalChainStage Model
+ * One step of an approval chain
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { APPROVER_ROLE } = require('../utils/constants');
+
+const ApprovalChainStage = sequelize.define('ApprovalChainStage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'chain_id',
+    references: {
+      model: 'approval_chains',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  stageOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'stage_order',
+    validate: {
+      min: 1
+    }
+  },
+  approverRole: {
+    type: DataTypes.ENUM(...Object.values(APPROVER_ROLE)),
+    allowNull: false,
+    field: 'approver_role'
+  },
+  approverId: {
+    // Named approver, required for HR stages
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'approver_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  minDurationDays: {
+    // Stage only applies to requests at least this long; null applies to all
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true,
+    field: 'min_duration_days'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'approval_chain_stages',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['chain_id', 'stage_order']
+    }
+  ]
+});
+
+module.exports = ApprovalChainStage;
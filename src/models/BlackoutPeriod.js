@@ -0,0 +1,118 @@
+/**
+ * BlackoutPeriod Model
+ * Window in which leave is only allowed by exception, company-wide or
+ * limited to a department or a leave type
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { BLACKOUT_SCOPE } = require('../utils/constants');
+
+const BlackoutPeriod = sequelize.define('BlackoutPeriod', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 100]
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  scope: {
+    type: DataTypes.ENUM(...Object.values(BLACKOUT_SCOPE)),
+    allowNull: false,
+    defaultValue: BLACKOUT_SCOPE.COMPANY
+  },
+  departmentId: {
+    // Set for DEPARTMENT scope only
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'department_id',
+    references: {
+      model: 'departments',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  leaveTypeId: {
+    // Set for LEAVE_TYPE scope only
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'leave_type_id',
+    references: {
+      model: 'leave_types',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'start_date',
+    validate: {
+      isDate: true
+    }
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'end_date',
+    validate: {
+      isDate: true
+    }
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'blackout_periods',
+  timestamps: true,
+  validate: {
+    scopeTarget() {
+      if (this.scope === BLACKOUT_SCOPE.DEPARTMENT && !this.departmentId) {
+        throw new Error('Department blackout periods require a department');
+      }
+
+      if (this.scope === BLACKOUT_SCOPE.LEAVE_TYPE && !this.leaveTypeId) {
+        throw new Error('Leave type blackout periods require a leave type');
+      }
+    },
+    dateOrder() {
+      if (this.startDate && this.endDate && this.startDate > this.endDate) {
+        throw new Error('Blackout period must start on or before its end date');
+      }
+    }
+  },
+  indexes: [
+    {
+      fields: ['start_date', 'end_date']
+    },
+    {
+      fields: ['department_id']
+    },
+    {
+      fields: ['leave_type_id']
+    }
+  ]
+});
+
+module.exports = BlackoutPeriod;
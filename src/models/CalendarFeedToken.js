@@ -0,0 +1,103 @@
+/**
+ * CalendarFeedToken Model
+ * Private URL token letting calendar clients subscribe to a leave feed without
+ * API credentials. The feed is read with the access rights of the employee who
+ * created the token. Only a SHA-256 hash of the token is stored.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { CALENDAR_FEED_SCOPE } = require('../utils/constants');
+
+const CalendarFeedToken = sequelize.define('CalendarFeedToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  scope: {
+    type: DataTypes.ENUM(...Object.values(CALENDAR_FEED_SCOPE)),
+    allowNull: false
+  },
+  scopeId: {
+    // Employee or department ID; null for the company-wide feed
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'scope_id'
+  },
+  includePending: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'include_pending'
+  },
+  tokenPrefix: {
+    // First characters of the token, shown so tokens can be told apart
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    field: 'token_prefix'
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_hash'
+  },
+  ownerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'owner_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_used_at'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'calendar_feed_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['token_hash']
+    },
+    {
+      fields: ['owner_id']
+    }
+  ]
+});
+
+CalendarFeedToken.prototype.toJSON = function toJSON() {
+  const values = { ...this.get() };
+  delete values.tokenHash;
+  return values;
+};
+
+module.exports = CalendarFeedToken;
@@ -21,6 +21,61 @@ const Department = sequelize.define('Department', {
       len: [2, 100]
     }
   },
+  holidayCalendarId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'holiday_calendar_id',
+    references: {
+      model: 'holiday_calendars',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  headId: {
+    // No FK constraint: employees already reference departments, and a
+    // constraint in both directions would make table creation cyclic
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'head_id'
+  },
+  minPresent: {
+    // Fewest employees (in full-time equivalents) who must be present on a working day
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'min_present',
+    validate: {
+      min: 0
+    }
+  },
+  maxConcurrentAbsences: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'max_concurrent_absences',
+    validate: {
+      min: 0
+    }
+  },
+  blackoutPeriods: {
+    // [{ name, startDate, endDate }] with inclusive YYYY-MM-DD dates
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    field: 'blackout_periods',
+    validate: {
+      isBlackoutList(value) {
+        const isDate = (date) => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date);
+
+        if (!Array.isArray(value) || value.some(period => !period || !period.name ||
+            !isDate(period.startDate) || !isDate(period.endDate) ||
+            period.startDate > period.endDate)) {
+          throw new Error(
+            'Blackout periods need a name and a start date (YYYY-MM-DD) on or before their end date'
+          );
+        }
+      }
+    }
+  },
   createdAt: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -41,6 +96,9 @@ const Department = sequelize.define('Department', {
       unique: true,
       fields: ['name']
     },
+    {
+      fields: ['head_id']
+    },
     {
       fields: ['created_at']
     }
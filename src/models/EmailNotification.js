@@ -0,0 +1,113 @@
+/**
+ * EmailNotification Model
+ * A rendered email for one recipient, with the outcome of the last send attempt
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { EMAIL_NOTIFICATION_STATUS, NOTIFICATION_TYPE } = require('../utils/constants');
+
+const EmailNotification = sequelize.define('EmailNotification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  eventId: {
+    // Event envelope ID; an event produces at most one email per type and recipient
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'event_id'
+  },
+  type: {
+    type: DataTypes.ENUM(...Object.values(NOTIFICATION_TYPE)),
+    allowNull: false
+  },
+  recipientId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'recipient_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  recipientEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'recipient_email'
+  },
+  leaveRequestId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'leave_request_id'
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  textBody: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    field: 'text_body'
+  },
+  htmlBody: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    field: 'html_body'
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(EMAIL_NOTIFICATION_STATUS)),
+    allowNull: false,
+    defaultValue: EMAIL_NOTIFICATION_STATUS.PENDING
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    field: 'next_attempt_at'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error'
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'sent_at'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'email_notifications',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['event_id', 'type', 'recipient_id']
+    },
+    {
+      fields: ['status', 'next_attempt_at']
+    }
+  ]
+});
+
+module.exports = EmailNotification;
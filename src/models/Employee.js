@@ -5,6 +5,7 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { ROLE } = require('../utils/constants');
 
 const Employee = sequelize.define('Employee', {
   id: {
@@ -40,6 +41,28 @@ const Employee = sequelize.define('Employee', {
     onUpdate: 'CASCADE',
     onDelete: 'RESTRICT'
   },
+  role: {
+    type: DataTypes.ENUM(...Object.values(ROLE)),
+    allowNull: false,
+    defaultValue: ROLE.EMPLOYEE
+  },
+  passwordHash: {
+    // Employees without a password cannot log in
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'password_hash'
+  },
+  managerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'manager_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
   createdAt: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -55,6 +78,14 @@ const Employee = sequelize.define('Employee', {
 }, {
   tableName: 'employees',
   timestamps: true,
+  defaultScope: {
+    attributes: { exclude: ['passwordHash'] }
+  },
+  scopes: {
+    withPassword: {
+      attributes: { include: ['passwordHash'] }
+    }
+  },
   indexes: [
     {
       unique: true,
@@ -63,6 +94,9 @@ const Employee = sequelize.define('Employee', {
     {
       fields: ['department_id']
     },
+    {
+      fields: ['manager_id']
+    },
     {
       fields: ['created_at']
     },
@@ -72,4 +106,11 @@ const Employee = sequelize.define('Employee', {
   ]
 });
 
+// Never serialise password hashes, even when loaded through the withPassword scope
+Employee.prototype.toJSON = function toJSON() {
+  const values = { ...this.get() };
+  delete values.passwordHash;
+  return values;
+};
+
 module.exports = Employee;
@@ -0,0 +1,67 @@
+/**
+ * Holiday Model
+ * Public holiday belonging to a holiday calendar
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Holiday = sequelize.define('Holiday', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  calendarId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'calendar_id',
+    references: {
+      model: 'holiday_calendars',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    validate: {
+      isDate: true,
+      notEmpty: true
+    }
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'holidays',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['calendar_id', 'date']
+    },
+    {
+      fields: ['date']
+    }
+  ]
+});
+
+module.exports = Holiday;
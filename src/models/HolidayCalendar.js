@@ -0,0 +1,67 @@
+/**
+ * HolidayCalendar Model
+ * Working week and public holidays assignable to departments
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { DEFAULT_WORKING_DAYS } = require('../utils/constants');
+
+const HolidayCalendar = sequelize.define('HolidayCalendar', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true,
+      len: [2, 100]
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  workingDays: {
+    // ISO weekdays (1 = Monday ... 7 = Sunday)
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: DEFAULT_WORKING_DAYS,
+    field: 'working_days',
+    validate: {
+      isWorkingWeek(value) {
+        if (!Array.isArray(value) || !value.length ||
+            value.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+          throw new Error('Working days must be a non-empty list of ISO weekdays (1-7)');
+        }
+      }
+    }
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'holiday_calendars',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['name']
+    }
+  ]
+});
+
+module.exports = HolidayCalendar;
@@ -0,0 +1,99 @@
+/**
+ * LeaveApproval Model
+ * Decision record for one approval stage of a leave request
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { APPROVER_ROLE, LEAVE_APPROVAL_STATUS } = require('../utils/constants');
+
+const LeaveApproval = sequelize.define('LeaveApproval', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  leaveRequestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'leave_request_id',
+    references: {
+      model: 'leave_requests',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  stageOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'stage_order'
+  },
+  approverRole: {
+    type: DataTypes.ENUM(...Object.values(APPROVER_ROLE)),
+    allowNull: false,
+    field: 'approver_role'
+  },
+  approverId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'approver_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(LEAVE_APPROVAL_STATUS)),
+    allowNull: false,
+    defaultValue: LEAVE_APPROVAL_STATUS.PENDING
+  },
+  decidedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'decided_by_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  decidedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'decided_at'
+  },
+  comment: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'leave_approvals',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['leave_request_id', 'stage_order']
+    },
+    {
+      fields: ['approver_id', 'status']
+    }
+  ]
+});
+
+module.exports = LeaveApproval;
@@ -0,0 +1,94 @@
+/**
+ * LeaveBalanceTransaction Model
+ * Ledger entry affecting an employee's leave balance for a given year
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LEAVE_BALANCE_TRANSACTION_TYPE } = require('../utils/constants');
+
+const LeaveBalanceTransaction = sequelize.define('LeaveBalanceTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  employeeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1970,
+      max: 3000
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(...Object.values(LEAVE_BALANCE_TRANSACTION_TYPE)),
+    allowNull: false
+  },
+  days: {
+    // Positive values credit the balance, negative values debit it
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: false
+  },
+  leaveRequestId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'leave_request_id',
+    references: {
+      model: 'leave_requests',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  reference: {
+    // Natural key preventing the same accrual, deduction or refund being booked twice
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'leave_balance_transactions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['reference']
+    },
+    {
+      fields: ['employee_id', 'year']
+    },
+    {
+      fields: ['leave_request_id']
+    }
+  ]
+});
+
+module.exports = LeaveBalanceTransaction;
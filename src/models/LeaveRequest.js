@@ -5,7 +5,12 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
-const { LEAVE_REQUEST_STATUS } = require('../utils/constants');
+const {
+  LEAVE_REQUEST_STATUS,
+  LEAVE_GRANULARITY,
+  HALF_DAY_PERIOD
+} = require('../utils/constants');
+const { toDateOnlyString } = require('../utils/leaveDuration');
 
 const LeaveRequest = sequelize.define('LeaveRequest', {
   id: {
@@ -24,6 +29,17 @@ const LeaveRequest = sequelize.define('LeaveRequest', {
     onUpdate: 'CASCADE',
     onDelete: 'CASCADE'
   },
+  leaveTypeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'leave_type_id',
+    references: {
+      model: 'leave_types',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'RESTRICT'
+  },
   startDate: {
     type: DataTypes.DATEONLY,
     allowNull: false,
@@ -47,21 +63,91 @@ const LeaveRequest = sequelize.define('LeaveRequest', {
       }
     }
   },
+  granularity: {
+    type: DataTypes.ENUM(...Object.values(LEAVE_GRANULARITY)),
+    allowNull: false,
+    defaultValue: LEAVE_GRANULARITY.FULL_DAY
+  },
+  halfDayPeriod: {
+    // Set for HALF_DAY requests only
+    type: DataTypes.ENUM(...Object.values(HALF_DAY_PERIOD)),
+    allowNull: true,
+    field: 'half_day_period'
+  },
+  startTime: {
+    // Set for HOURLY requests only
+    type: DataTypes.TIME,
+    allowNull: true,
+    field: 'start_time'
+  },
+  endTime: {
+    // Set for HOURLY requests only
+    type: DataTypes.TIME,
+    allowNull: true,
+    field: 'end_time'
+  },
+  documentUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'document_url'
+  },
+  durationDays: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true,
+    field: 'duration_days'
+  },
   status: {
     type: DataTypes.ENUM(
       LEAVE_REQUEST_STATUS.PENDING,
       LEAVE_REQUEST_STATUS.APPROVED,
       LEAVE_REQUEST_STATUS.REJECTED,
-      LEAVE_REQUEST_STATUS.PENDING_APPROVAL
+      LEAVE_REQUEST_STATUS.PENDING_APPROVAL,
+      LEAVE_REQUEST_STATUS.CANCELLED,
+      LEAVE_REQUEST_STATUS.WITHDRAWN
     ),
     allowNull: false,
     defaultValue: LEAVE_REQUEST_STATUS.PENDING
   },
+  approverId: {
+    // Employee who must decide the request once it is PENDING_APPROVAL
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'approver_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
   processedAt: {
     type: DataTypes.DATE,
     allowNull: true,
     field: 'processed_at'
   },
+  cancellationReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'cancellation_reason'
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'cancelled_at'
+  },
+  exceptionRequested: {
+    // Set when the employee asks to take leave during a blackout period;
+    // such requests are never auto-approved
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'exception_requested'
+  },
+  exceptionReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'exception_reason'
+  },
   idempotencyKey: {
     type: DataTypes.STRING(255),
     allowNull: true,
@@ -83,6 +169,25 @@ const LeaveRequest = sequelize.define('LeaveRequest', {
 }, {
   tableName: 'leave_requests',
   timestamps: true,
+  validate: {
+    partialDayFields() {
+      if (this.granularity === LEAVE_GRANULARITY.FULL_DAY) {
+        return;
+      }
+
+      if (toDateOnlyString(this.startDate) !== toDateOnlyString(this.endDate)) {
+        throw new Error('Half-day and hourly leave must start and end on the same date');
+      }
+
+      if (this.granularity === LEAVE_GRANULARITY.HALF_DAY && !this.halfDayPeriod) {
+        throw new Error('Half-day leave requires a half-day period (AM or PM)');
+      }
+
+      if (this.granularity === LEAVE_GRANULARITY.HOURLY && (!this.startTime || !this.endTime)) {
+        throw new Error('Hourly leave requires a start and end time');
+      }
+    }
+  },
   indexes: [
     {
       fields: ['employee_id']
@@ -90,6 +195,12 @@ const LeaveRequest = sequelize.define('LeaveRequest', {
     {
       fields: ['status']
     },
+    {
+      fields: ['leave_type_id']
+    },
+    {
+      fields: ['approver_id', 'status']
+    },
     {
       fields: ['start_date']
     },
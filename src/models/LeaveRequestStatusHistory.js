@@ -0,0 +1,71 @@
+/**
+ * LeaveRequestStatusHistory Model
+ * Audit record of a leave request status transition
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LEAVE_REQUEST_STATUS } = require('../utils/constants');
+
+const LeaveRequestStatusHistory = sequelize.define('LeaveRequestStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  leaveRequestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'leave_request_id',
+    references: {
+      model: 'leave_requests',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  fromStatus: {
+    // Null for the entry recording the creation of the request
+    type: DataTypes.ENUM(...Object.values(LEAVE_REQUEST_STATUS)),
+    allowNull: true,
+    field: 'from_status'
+  },
+  toStatus: {
+    type: DataTypes.ENUM(...Object.values(LEAVE_REQUEST_STATUS)),
+    allowNull: false,
+    field: 'to_status'
+  },
+  actorId: {
+    // Null when the transition was made by the system (e.g. the queue processor)
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'actor_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  }
+}, {
+  tableName: 'leave_request_status_history',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['leave_request_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = LeaveRequestStatusHistory;
@@ -0,0 +1,98 @@
+/**
+ * LeaveType Model
+ * Represents a kind of leave (annual, sick, unpaid, ...) and the rules applied to it
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const LeaveType = sequelize.define('LeaveType', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true,
+      is: /^[A-Z][A-Z0-9_]*$/
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 100]
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  countsAgainstBalance: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'counts_against_balance'
+  },
+  requiresDocument: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'requires_document'
+  },
+  maxConsecutiveDays: {
+    // Null means no limit
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'max_consecutive_days',
+    validate: {
+      min: 1
+    }
+  },
+  autoApproveMaxDays: {
+    // Null falls back to AUTO_APPROVE_DAYS_THRESHOLD, 0 disables auto-approval
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'auto_approve_max_days',
+    validate: {
+      min: 0
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'leave_types',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['code']
+    },
+    {
+      fields: ['is_active']
+    }
+  ]
+});
+
+module.exports = LeaveType;
@@ -0,0 +1,81 @@
+/**
+ * NotificationPreference Model
+ * Which email notifications an employee receives; employees without a row get all of them
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const NotificationPreference = sequelize.define('NotificationPreference', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  employeeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  emailEnabled: {
+    // Master switch: false suppresses every email notification
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'email_enabled'
+  },
+  leaveSubmitted: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'leave_submitted'
+  },
+  leaveApproved: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'leave_approved'
+  },
+  leaveRejected: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'leave_rejected'
+  },
+  leaveCancelled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'leave_cancelled'
+  },
+  approvalRequested: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'approval_requested'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'notification_preferences',
+  timestamps: true
+});
+
+module.exports = NotificationPreference;
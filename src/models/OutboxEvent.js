@@ -0,0 +1,75 @@
+/**
+ * OutboxEvent Model
+ * Event written in the same transaction as the change it describes and
+ * published to RabbitMQ afterwards by the outbox relay
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { OUTBOX_STATUS } = require('../utils/constants');
+
+const OutboxEvent = sequelize.define('OutboxEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  routingKey: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'routing_key'
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(OUTBOX_STATUS)),
+    allowNull: false,
+    defaultValue: OUTBOX_STATUS.PENDING
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  availableAt: {
+    // Earliest time of the next publish attempt
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'available_at'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error'
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'delivered_at'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'outbox',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'available_at']
+    }
+  ]
+});
+
+module.exports = OutboxEvent;
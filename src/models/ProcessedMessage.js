@@ -0,0 +1,50 @@
+/**
+ * ProcessedMessage Model
+ * Marks an event as handled by a consumer, so redeliveries and duplicate
+ * publishes are not processed twice
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ProcessedMessage = sequelize.define('ProcessedMessage', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  eventId: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'event_id'
+  },
+  consumer: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  routingKey: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'routing_key'
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'processed_at'
+  }
+}, {
+  tableName: 'processed_messages',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['event_id', 'consumer', 'routing_key']
+    },
+    {
+      fields: ['processed_at']
+    }
+  ]
+});
+
+module.exports = ProcessedMessage;
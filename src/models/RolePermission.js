@@ -0,0 +1,47 @@
+/**
+ * RolePermission Model
+ * Grants a permission to every principal holding a role
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { ROLE, PERMISSION } = require('../utils/constants');
+
+const RolePermission = sequelize.define('RolePermission', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  role: {
+    type: DataTypes.ENUM(...Object.values(ROLE)),
+    allowNull: false
+  },
+  permission: {
+    type: DataTypes.ENUM(...Object.values(PERMISSION)),
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'role_permissions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['role', 'permission']
+    }
+  ]
+});
+
+module.exports = RolePermission;
@@ -0,0 +1,110 @@
+/**
+ * WebhookDelivery Model
+ * One event to be delivered to one subscription, with the outcome of the last attempt
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { WEBHOOK_DELIVERY_STATUS } = require('../utils/constants');
+
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subscriptionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'subscription_id',
+    references: {
+      model: 'webhook_subscriptions',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  eventId: {
+    // Event envelope ID; the same event is delivered once per subscription
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'event_id'
+  },
+  eventType: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'event_type'
+  },
+  payload: {
+    // Event envelope sent as the request body
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(WEBHOOK_DELIVERY_STATUS)),
+    allowNull: false,
+    defaultValue: WEBHOOK_DELIVERY_STATUS.PENDING
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    field: 'next_attempt_at'
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'response_status'
+  },
+  responseBody: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'response_body'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error'
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_attempt_at'
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'delivered_at'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['subscription_id', 'event_id']
+    },
+    {
+      fields: ['status', 'next_attempt_at']
+    }
+  ]
+});
+
+module.exports = WebhookDelivery;
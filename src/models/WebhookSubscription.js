@@ -0,0 +1,80 @@
+/**
+ * WebhookSubscription Model
+ * External endpoint receiving HMAC-signed leave lifecycle events
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookSubscription = sequelize.define('WebhookSubscription', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 100]
+    }
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false,
+    validate: {
+      isUrl: true
+    }
+  },
+  events: {
+    // Routing keys or topic patterns (e.g. "leave.approved", "leave.*")
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  secret: {
+    // Used to sign payloads; only returned when the subscription is created
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'created_by_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'webhook_subscriptions',
+  timestamps: true
+});
+
+WebhookSubscription.prototype.toJSON = function toJSON() {
+  const values = { ...this.get() };
+  delete values.secret;
+  return values;
+};
+
+module.exports = WebhookSubscription;
@@ -6,6 +6,24 @@
 const Department = require('./Department');
 const Employee = require('./Employee');
 const LeaveRequest = require('./LeaveRequest');
+const LeaveBalanceTransaction = require('./LeaveBalanceTransaction');
+const LeaveType = require('./LeaveType');
+const HolidayCalendar = require('./HolidayCalendar');
+const Holiday = require('./Holiday');
+const ApprovalChain = require('./ApprovalChain');
+const ApprovalChainStage = require('./ApprovalChainStage');
+const LeaveApproval = require('./LeaveApproval');
+const LeaveRequestStatusHistory = require('./LeaveRequestStatusHistory');
+const ApiKey = require('./ApiKey');
+const RolePermission = require('./RolePermission');
+const OutboxEvent = require('./OutboxEvent');
+const WebhookSubscription = require('./WebhookSubscription');
+const WebhookDelivery = require('./WebhookDelivery');
+const ProcessedMessage = require('./ProcessedMessage');
+const NotificationPreference = require('./NotificationPreference');
+const EmailNotification = require('./EmailNotification');
+const CalendarFeedToken = require('./CalendarFeedToken');
+const BlackoutPeriod = require('./BlackoutPeriod');
 
 // Define relationships
 
@@ -25,6 +43,29 @@ Employee.belongsTo(Department, {
   onUpdate: 'CASCADE'
 });
 
+// Employee reports to a manager
+Employee.belongsTo(Employee, {
+  foreignKey: 'managerId',
+  as: 'manager',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Manager has many direct reports
+Employee.hasMany(Employee, {
+  foreignKey: 'managerId',
+  as: 'directReports',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Department is led by a head (see Department.headId for why there is no constraint)
+Department.belongsTo(Employee, {
+  foreignKey: 'headId',
+  as: 'head',
+  constraints: false
+});
+
 // Employee has many LeaveRequests
 Employee.hasMany(LeaveRequest, {
   foreignKey: 'employeeId',
@@ -41,8 +82,252 @@ LeaveRequest.belongsTo(Employee, {
   onUpdate: 'CASCADE'
 });
 
+// LeaveRequest is assigned to an approver
+LeaveRequest.belongsTo(Employee, {
+  foreignKey: 'approverId',
+  as: 'approver',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// LeaveType has many LeaveRequests
+LeaveType.hasMany(LeaveRequest, {
+  foreignKey: 'leaveTypeId',
+  as: 'leaveRequests',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE'
+});
+
+// LeaveRequest belongs to LeaveType
+LeaveRequest.belongsTo(LeaveType, {
+  foreignKey: 'leaveTypeId',
+  as: 'leaveType',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE'
+});
+
+// HolidayCalendar has many Holidays
+HolidayCalendar.hasMany(Holiday, {
+  foreignKey: 'calendarId',
+  as: 'holidays',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// Holiday belongs to HolidayCalendar
+Holiday.belongsTo(HolidayCalendar, {
+  foreignKey: 'calendarId',
+  as: 'calendar',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// HolidayCalendar is assigned to many Departments
+HolidayCalendar.hasMany(Department, {
+  foreignKey: 'holidayCalendarId',
+  as: 'departments',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Department optionally belongs to HolidayCalendar
+Department.belongsTo(HolidayCalendar, {
+  foreignKey: 'holidayCalendarId',
+  as: 'holidayCalendar',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Department has one ApprovalChain
+Department.hasOne(ApprovalChain, {
+  foreignKey: 'departmentId',
+  as: 'approvalChain',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// ApprovalChain belongs to Department
+ApprovalChain.belongsTo(Department, {
+  foreignKey: 'departmentId',
+  as: 'department',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// ApprovalChain has many ApprovalChainStages
+ApprovalChain.hasMany(ApprovalChainStage, {
+  foreignKey: 'chainId',
+  as: 'stages',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// ApprovalChainStage belongs to ApprovalChain
+ApprovalChainStage.belongsTo(ApprovalChain, {
+  foreignKey: 'chainId',
+  as: 'chain',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// LeaveRequest has many LeaveApprovals (one per stage)
+LeaveRequest.hasMany(LeaveApproval, {
+  foreignKey: 'leaveRequestId',
+  as: 'approvals',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// LeaveApproval belongs to LeaveRequest
+LeaveApproval.belongsTo(LeaveRequest, {
+  foreignKey: 'leaveRequestId',
+  as: 'leaveRequest',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// LeaveApproval is assigned to an approver
+LeaveApproval.belongsTo(Employee, {
+  foreignKey: 'approverId',
+  as: 'approver',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// LeaveRequest has many status history entries
+LeaveRequest.hasMany(LeaveRequestStatusHistory, {
+  foreignKey: 'leaveRequestId',
+  as: 'statusHistory',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// LeaveRequestStatusHistory belongs to LeaveRequest
+LeaveRequestStatusHistory.belongsTo(LeaveRequest, {
+  foreignKey: 'leaveRequestId',
+  as: 'leaveRequest'
+});
+
+// LeaveRequestStatusHistory optionally records the acting employee
+LeaveRequestStatusHistory.belongsTo(Employee, {
+  foreignKey: 'actorId',
+  as: 'actor',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// ApiKey optionally records the employee who created it
+ApiKey.belongsTo(Employee, {
+  foreignKey: 'createdById',
+  as: 'createdBy',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// WebhookSubscription optionally records the employee who created it
+WebhookSubscription.belongsTo(Employee, {
+  foreignKey: 'createdById',
+  as: 'createdBy',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// WebhookSubscription has many WebhookDeliveries
+WebhookSubscription.hasMany(WebhookDelivery, {
+  foreignKey: 'subscriptionId',
+  as: 'deliveries',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// WebhookDelivery belongs to WebhookSubscription
+WebhookDelivery.belongsTo(WebhookSubscription, {
+  foreignKey: 'subscriptionId',
+  as: 'subscription'
+});
+
+// Employee has one NotificationPreference
+Employee.hasOne(NotificationPreference, {
+  foreignKey: 'employeeId',
+  as: 'notificationPreference',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// EmailNotification belongs to the receiving Employee
+EmailNotification.belongsTo(Employee, {
+  foreignKey: 'recipientId',
+  as: 'recipient',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// CalendarFeedToken belongs to the Employee whose access rights it uses
+CalendarFeedToken.belongsTo(Employee, {
+  foreignKey: 'ownerId',
+  as: 'owner',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// BlackoutPeriod optionally applies to a single Department
+BlackoutPeriod.belongsTo(Department, {
+  foreignKey: 'departmentId',
+  as: 'department',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// BlackoutPeriod optionally applies to a single LeaveType
+BlackoutPeriod.belongsTo(LeaveType, {
+  foreignKey: 'leaveTypeId',
+  as: 'leaveType',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// Employee has many LeaveBalanceTransactions
+Employee.hasMany(LeaveBalanceTransaction, {
+  foreignKey: 'employeeId',
+  as: 'leaveBalanceTransactions',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+// LeaveBalanceTransaction belongs to Employee
+LeaveBalanceTransaction.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+// LeaveBalanceTransaction optionally belongs to LeaveRequest
+LeaveBalanceTransaction.belongsTo(LeaveRequest, {
+  foreignKey: 'leaveRequestId',
+  as: 'leaveRequest',
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
 module.exports = {
   Department,
   Employee,
-  LeaveRequest
+  LeaveRequest,
+  LeaveBalanceTransaction,
+  LeaveType,
+  HolidayCalendar,
+  Holiday,
+  ApprovalChain,
+  ApprovalChainStage,
+  LeaveApproval,
+  LeaveRequestStatusHistory,
+  ApiKey,
+  RolePermission,
+  OutboxEvent,
+  WebhookSubscription,
+  WebhookDelivery,
+  ProcessedMessage,
+  NotificationPreference,
+  EmailNotification,
+  CalendarFeedToken,
+  BlackoutPeriod
 };
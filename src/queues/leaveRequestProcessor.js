@@ -4,34 +4,58 @@ const {
   QUEUE_EVENTS
 } = require('../utils/constants');
 const LeaveRequestRepository = require('../repositories/LeaveRequestRepository');
-const { consumeMessages, publishMessage } = require('../config/rabbitmq');
+const LeaveBalanceService = require('../services/LeaveBalanceService');
+const HolidayCalendarService = require('../services/HolidayCalendarService');
+const ApprovalRoutingService = require('../services/ApprovalRoutingService');
+const StaffingRuleService = require('../services/StaffingRuleService');
+const BlackoutPeriodService = require('../services/BlackoutPeriodService');
+const LeaveRequestStatusService = require('../services/LeaveRequestStatusService');
+const OutboxService = require('../services/OutboxService');
+const ProcessedMessageService = require('../services/ProcessedMessageService');
+const { sequelize } = require('../config/database');
+const broker = require('../config/broker');
+const { leavePeriodPayload, leaveRequestCorrelationId } = require('../utils/events');
 const logger = require('../utils/logger');
 
-const MILLISECONDS_IN_DAY = 1000 * 60 * 60 * 24;
+// Name under which processed events are recorded (see ProcessedMessageService)
+const CONSUMER_NAME = 'leave-request-processor';
 
-const areRabbitCredentialsPresent = () => (
-  process.env.RABBITMQ_URL &&
-  process.env.RABBITMQ_EXCHANGE_NAME &&
-  process.env.RABBITMQ_QUEUE_NAME
+// Joins the caller's transaction when there is one, otherwise opens its own
+const withTransaction = (options, work) => (
+  options.transaction ? work(options.transaction) : sequelize.transaction(work)
 );
 
-const calculateLeaveDuration = (startDate, endDate) => {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
+// Reason recorded in the status history for the processor's decision
+const describeDecision = (leaveRequest, nextStatus, duration, autoApproveMaxDays, checks) => {
+  const { blackoutPeriods, staffingViolations } = checks;
 
-  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
-    return null;
+  if (nextStatus === LEAVE_REQUEST_STATUS.APPROVED) {
+    return `Auto-approved: ${duration} day(s) within the ${autoApproveMaxDays} day threshold`;
+  }
+
+  if (leaveRequest.exceptionRequested) {
+    return 'Routed for manual approval: blackout exception requested';
+  }
+
+  if (blackoutPeriods.length) {
+    const description = BlackoutPeriodService.describeBlackoutPeriods(blackoutPeriods);
+    return `Routed for manual approval: within blackout period(s) ${description}`.slice(0, 500);
   }
 
-  return Math.max(1, Math.ceil((end - start) / MILLISECONDS_IN_DAY) + 1);
+  if (staffingViolations.length) {
+    const description = StaffingRuleService.describeViolations(staffingViolations);
+    return `Routed for manual approval: ${description}`.slice(0, 500);
+  }
+
+  return 'Routed for manual approval';
 };
 
-const autoProcessLeaveRequest = async (leaveRequest) => {
+const autoProcessLeaveRequest = async (leaveRequest, options = {}) => {
   if (!leaveRequest || leaveRequest.status !== LEAVE_REQUEST_STATUS.PENDING) {
     return;
   }
 
-  const duration = calculateLeaveDuration(leaveRequest.startDate, leaveRequest.endDate);
+  const duration = await HolidayCalendarService.resolveWorkingDays(leaveRequest);
 
   if (!duration) {
     logger.warn('Unable to determine leave duration', { leaveRequestId: leaveRequest.id });
@@ -40,51 +64,106 @@ const autoProcessLeaveRequest = async (leaveRequest) => {
 
   let nextStatus = LEAVE_REQUEST_STATUS.PENDING_APPROVAL;
 
-  if (duration <= AUTO_APPROVE_DAYS_THRESHOLD) {
+  // Leave types may override the global threshold; 0 disables auto-approval entirely
+  const autoApproveMaxDays = leaveRequest.leaveType?.autoApproveMaxDays ?? AUTO_APPROVE_DAYS_THRESHOLD;
+
+  // Never auto-approve leave the balance cannot cover; a manager decides instead
+  if (
+    duration <= autoApproveMaxDays &&
+    await LeaveBalanceService.canCover(leaveRequest, { transaction: options.transaction })
+  ) {
     nextStatus = LEAVE_REQUEST_STATUS.APPROVED;
   }
 
+  // Exception requests, leave within a blackout period (including periods added
+  // after the request was made) and leave breaching department staffing rules
+  // are left to a manager instead
+  const checks = { blackoutPeriods: [], staffingViolations: [] };
+
+  if (nextStatus === LEAVE_REQUEST_STATUS.APPROVED && leaveRequest.exceptionRequested) {
+    nextStatus = LEAVE_REQUEST_STATUS.PENDING_APPROVAL;
+  }
+
+  if (nextStatus === LEAVE_REQUEST_STATUS.APPROVED) {
+    checks.blackoutPeriods = await BlackoutPeriodService.findIntersecting(leaveRequest, {
+      transaction: options.transaction
+    });
+    checks.staffingViolations = await StaffingRuleService.findViolations(leaveRequest, {
+      transaction: options.transaction
+    });
+  }
+
+  if (checks.blackoutPeriods.length || checks.staffingViolations.length) {
+    nextStatus = LEAVE_REQUEST_STATUS.PENDING_APPROVAL;
+  }
+
   if (nextStatus === leaveRequest.status) {
     return;
   }
 
-  await LeaveRequestRepository.updateStatus(leaveRequest.id, nextStatus);
-  logger.info('Leave request auto-processed', {
-    leaveRequestId: leaveRequest.id,
-    nextStatus,
-    duration
-  });
-
-  if (nextStatus === LEAVE_REQUEST_STATUS.APPROVED) {
-    try {
-      await publishMessage(QUEUE_EVENTS.LEAVE_APPROVED, {
-        id: leaveRequest.id,
-        employeeId: leaveRequest.employeeId,
-        startDate: leaveRequest.startDate,
-        endDate: leaveRequest.endDate,
-        processedAt: new Date().toISOString()
+  let approverId = null;
+
+  await withTransaction(options, async (transaction) => {
+    if (nextStatus === LEAVE_REQUEST_STATUS.APPROVED) {
+      await LeaveBalanceService.deductForLeaveRequest(leaveRequest, { transaction });
+    } else {
+      approverId = await ApprovalRoutingService.createApprovalStages(
+        leaveRequest,
+        duration,
+        { transaction }
+      );
+      await LeaveRequestRepository.assignApprover(leaveRequest.id, approverId, { transaction });
+      await ApprovalRoutingService.enqueueApprovalRequest(leaveRequest, approverId, 1, {
+        transaction,
+        correlationId: options.correlationId
       });
-    } catch (error) {
-      logger.error('Failed to publish auto-approval event', error);
     }
-  }
-};
 
-const handleQueueMessage = async (payload, rawMessage) => {
-  const routingKey = rawMessage?.fields?.routingKey;
+    await LeaveRequestStatusService.transition(leaveRequest, nextStatus, {
+      reason: describeDecision(leaveRequest, nextStatus, duration, autoApproveMaxDays, checks),
+      system: true
+    }, { transaction });
+
+    if (nextStatus === LEAVE_REQUEST_STATUS.APPROVED) {
+      await OutboxService.enqueue(QUEUE_EVENTS.LEAVE_APPROVED, {
+        ...leavePeriodPayload(leaveRequest),
+        approverId: null,
+        comment: null,
+        autoApproved: true
+      }, { transaction, correlationId: options.correlationId });
+    }
+  });
 
-  if (routingKey !== QUEUE_EVENTS.LEAVE_REQUESTED) {
-    logger.debug('Ignoring unsupported routing key', { routingKey });
-    return;
+  if (nextStatus === LEAVE_REQUEST_STATUS.PENDING_APPROVAL && !approverId) {
+    logger.warn('No approver found for leave request', {
+      leaveRequestId: leaveRequest.id,
+      employeeId: leaveRequest.employeeId
+    });
   }
 
-  const leaveRequestId = payload?.id;
+  logger.info('Leave request auto-processed', {
+    leaveRequestId: leaveRequest.id,
+    nextStatus,
+    approverId,
+    duration,
+    autoApproveMaxDays,
+    exceptionRequested: leaveRequest.exceptionRequested,
+    blackoutPeriods: checks.blackoutPeriods.map(period => period.id),
+    staffingViolations: checks.staffingViolations.map(violation => violation.rule)
+  });
+};
+
+// New and edited requests are both decided from scratch
+const PROCESSED_EVENTS = [QUEUE_EVENTS.LEAVE_REQUESTED, QUEUE_EVENTS.LEAVE_UPDATED];
 
-  if (!leaveRequestId) {
-    logger.warn('Received leave request message without ID');
+// Events arrive validated against their schema (see utils/events)
+const handleQueueMessage = async (event, rawMessage, options = {}) => {
+  if (!PROCESSED_EVENTS.includes(event.type)) {
+    logger.debug('Ignoring unsupported event type', { type: event.type });
     return;
   }
 
+  const leaveRequestId = event.payload.id;
   const leaveRequest = await LeaveRequestRepository.findById(leaveRequestId);
 
   if (!leaveRequest) {
@@ -92,17 +171,24 @@ const handleQueueMessage = async (payload, rawMessage) => {
     return;
   }
 
-  await autoProcessLeaveRequest(leaveRequest);
+  await autoProcessLeaveRequest(leaveRequest, {
+    transaction: options.transaction,
+    correlationId: event.correlationId || leaveRequestCorrelationId(leaveRequestId)
+  });
 };
 
 const startLeaveRequestConsumer = async () => {
-  if (!areRabbitCredentialsPresent()) {
-    logger.warn('RabbitMQ environment variables missing, skipping consumer startup');
+  if (!broker.isConfigured()) {
+    logger.warn('Message broker is not configured, skipping consumer startup', {
+      broker: broker.name
+    });
     return;
   }
 
-  await consumeMessages(handleQueueMessage);
-  logger.info('Leave request consumer started');
+  await broker.consumeMessages(
+    ProcessedMessageService.wrapConsumer(CONSUMER_NAME, handleQueueMessage, broker.getRoutingKey)
+  );
+  logger.info('Leave request consumer started', { broker: broker.name });
 };
 
 module.exports = {
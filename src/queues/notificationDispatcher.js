@@ -0,0 +1,61 @@
+const NotificationService = require('../services/NotificationService');
+const ProcessedMessageService = require('../services/ProcessedMessageService');
+const broker = require('../config/broker');
+const mailer = require('../config/mailer');
+const { EMAIL_DELIVERY } = require('../utils/constants');
+const { createPoller } = require('../utils/poller');
+const logger = require('../utils/logger');
+
+// Dedicated queue, so notifications receive every leave event independently of the processor
+const CONSUMER_NAME = 'notifications';
+
+// Events arrive validated against their schema (see utils/events)
+const handleNotificationEvent = async (event, rawMessage, options = {}) => {
+  await NotificationService.recordEvent(event, options);
+};
+
+const poller = createPoller({
+  name: 'Email notification',
+  intervalMs: EMAIL_DELIVERY.POLL_INTERVAL_MS,
+  // Keep going without waiting while full batches are due
+  batchSize: EMAIL_DELIVERY.BATCH_SIZE,
+  runBatch: async () => {
+    const { sent, failed } = await NotificationService.sendDueBatch();
+
+    if (sent || failed) {
+      logger.info('Email batch sent', { sent, failed });
+    }
+
+    return sent + failed;
+  }
+});
+
+const startNotificationDispatcher = async () => {
+  if (!broker.isConfigured()) {
+    logger.warn('Message broker is not configured, skipping notification dispatcher startup', {
+      broker: broker.name
+    });
+    return;
+  }
+
+  await broker.consumeMessages(
+    ProcessedMessageService.wrapConsumer(CONSUMER_NAME, handleNotificationEvent, broker.getRoutingKey),
+    { consumer: CONSUMER_NAME }
+  );
+
+  poller.start();
+  logger.info('Notification dispatcher started', {
+    transport: mailer.name,
+    pollIntervalMs: EMAIL_DELIVERY.POLL_INTERVAL_MS
+  });
+};
+
+const stopNotificationDispatcher = () => {
+  poller.stop();
+  mailer.closeTransport();
+};
+
+module.exports = {
+  startNotificationDispatcher,
+  stopNotificationDispatcher
+};
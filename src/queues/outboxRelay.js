@@ -0,0 +1,46 @@
+const OutboxService = require('../services/OutboxService');
+const broker = require('../config/broker');
+const { OUTBOX_RELAY } = require('../utils/constants');
+const { createPoller } = require('../utils/poller');
+const logger = require('../utils/logger');
+
+const poller = createPoller({
+  name: 'Outbox relay',
+  intervalMs: OUTBOX_RELAY.POLL_INTERVAL_MS,
+  // Keep draining without waiting while full batches are being delivered
+  batchSize: OUTBOX_RELAY.BATCH_SIZE,
+  runBatch: async () => {
+    const { delivered, failed } = await OutboxService.relayBatch();
+
+    if (delivered || failed) {
+      logger.info('Outbox batch relayed', { delivered, failed });
+    }
+
+    return delivered;
+  }
+});
+
+const startOutboxRelay = () => {
+  if (!broker.isConfigured()) {
+    logger.warn('Message broker is not configured, outbox events will stay pending', {
+      broker: broker.name
+    });
+    return;
+  }
+
+  if (poller.start()) {
+    logger.info('Outbox relay started', {
+      broker: broker.name,
+      pollIntervalMs: OUTBOX_RELAY.POLL_INTERVAL_MS
+    });
+  }
+};
+
+const stopOutboxRelay = () => {
+  poller.stop();
+};
+
+module.exports = {
+  startOutboxRelay,
+  stopOutboxRelay
+};
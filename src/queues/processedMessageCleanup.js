@@ -0,0 +1,28 @@
+const ProcessedMessageService = require('../services/ProcessedMessageService');
+const { PROCESSED_MESSAGE_RETENTION } = require('../utils/constants');
+const { createPoller } = require('../utils/poller');
+const logger = require('../utils/logger');
+
+const poller = createPoller({
+  name: 'Processed message cleanup',
+  intervalMs: PROCESSED_MESSAGE_RETENTION.CLEANUP_INTERVAL_MS,
+  runBatch: () => ProcessedMessageService.cleanup()
+});
+
+const startProcessedMessageCleanup = () => {
+  if (poller.start()) {
+    logger.info('Processed message cleanup started', {
+      retentionDays: PROCESSED_MESSAGE_RETENTION.RETENTION_DAYS,
+      intervalMs: PROCESSED_MESSAGE_RETENTION.CLEANUP_INTERVAL_MS
+    });
+  }
+};
+
+const stopProcessedMessageCleanup = () => {
+  poller.stop();
+};
+
+module.exports = {
+  startProcessedMessageCleanup,
+  stopProcessedMessageCleanup
+};
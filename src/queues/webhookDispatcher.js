@@ -0,0 +1,56 @@
+const WebhookService = require('../services/WebhookService');
+const ProcessedMessageService = require('../services/ProcessedMessageService');
+const broker = require('../config/broker');
+const { WEBHOOK_DELIVERY } = require('../utils/constants');
+const { createPoller } = require('../utils/poller');
+const logger = require('../utils/logger');
+
+// Dedicated queue, so webhooks receive every leave event independently of the processor
+const CONSUMER_NAME = 'webhooks';
+
+// Events arrive validated against their schema (see utils/events)
+const handleWebhookEvent = async (event, rawMessage, options = {}) => {
+  await WebhookService.recordEvent(event, options);
+};
+
+const poller = createPoller({
+  name: 'Webhook delivery',
+  intervalMs: WEBHOOK_DELIVERY.POLL_INTERVAL_MS,
+  // Keep going without waiting while full batches are due
+  batchSize: WEBHOOK_DELIVERY.BATCH_SIZE,
+  runBatch: async () => {
+    const { delivered, failed } = await WebhookService.deliverDueBatch();
+
+    if (delivered || failed) {
+      logger.info('Webhook batch delivered', { delivered, failed });
+    }
+
+    return delivered + failed;
+  }
+});
+
+const startWebhookDispatcher = async () => {
+  if (!broker.isConfigured()) {
+    logger.warn('Message broker is not configured, skipping webhook dispatcher startup', {
+      broker: broker.name
+    });
+    return;
+  }
+
+  await broker.consumeMessages(
+    ProcessedMessageService.wrapConsumer(CONSUMER_NAME, handleWebhookEvent, broker.getRoutingKey),
+    { consumer: CONSUMER_NAME }
+  );
+
+  poller.start();
+  logger.info('Webhook dispatcher started', { pollIntervalMs: WEBHOOK_DELIVERY.POLL_INTERVAL_MS });
+};
+
+const stopWebhookDispatcher = () => {
+  poller.stop();
+};
+
+module.exports = {
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+};
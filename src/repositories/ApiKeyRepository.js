@@ -0,0 +1,67 @@
+/**
+ * ApiKey Repository
+ * Handles all database operations for ApiKey entity
+ */
+
+const { ApiKey } = require('../models');
+
+class ApiKeyRepository {
+  /**
+   * Create a new API key
+   * @param {Object} apiKeyData - API key data (with keyHash)
+   * @returns {Promise<ApiKey>}
+   */
+  async create(apiKeyData) {
+    return await ApiKey.create(apiKeyData);
+  }
+
+  /**
+   * Find API key by ID
+   * @param {number} id - API key ID
+   * @returns {Promise<ApiKey|null>}
+   */
+  async findById(id) {
+    return await ApiKey.findByPk(id);
+  }
+
+  /**
+   * Find API key by the hash of its secret
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<ApiKey|null>}
+   */
+  async findByHash(keyHash) {
+    return await ApiKey.findOne({
+      where: { keyHash }
+    });
+  }
+
+  /**
+   * Find all API keys with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<{rows: ApiKey[], count: number}>}
+   */
+  async findAll(options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const offset = (page - 1) * limit;
+
+    return await ApiKey.findAndCountAll({
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Update API key
+   * @param {number} id - API key ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<[number]>}
+   */
+  async update(id, updateData) {
+    return await ApiKey.update(updateData, {
+      where: { id }
+    });
+  }
+}
+
+module.exports = new ApiKeyRepository();
@@ -0,0 +1,69 @@
+/**
+ * ApprovalChain Repository
+ * Handles all database operations for ApprovalChain and ApprovalChainStage entities
+ */
+
+const { ApprovalChain, ApprovalChainStage } = require('../models');
+
+class ApprovalChainRepository {
+  /**
+   * Find the approval chain of a department with its ordered stages
+   * @param {number} departmentId - Department ID
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<ApprovalChain|null>}
+   */
+  async findByDepartmentId(departmentId, options = {}) {
+    return await ApprovalChain.findOne({
+      where: { departmentId },
+      include: [
+        {
+          model: ApprovalChainStage,
+          as: 'stages'
+        }
+      ],
+      order: [[{ model: ApprovalChainStage, as: 'stages' }, 'stageOrder', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Create or replace the approval chain of a department
+   * @param {number} departmentId - Department ID
+   * @param {Object} chainData - Chain data ({ name, stages })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<ApprovalChain>}
+   */
+  async replaceForDepartment(departmentId, chainData, options = {}) {
+    const { transaction } = options;
+    const { name, stages } = chainData;
+
+    let chain = await ApprovalChain.findOne({ where: { departmentId }, transaction });
+
+    if (chain) {
+      await chain.update({ name }, { transaction });
+      await ApprovalChainStage.destroy({ where: { chainId: chain.id }, transaction });
+    } else {
+      chain = await ApprovalChain.create({ departmentId, name }, { transaction });
+    }
+
+    await ApprovalChainStage.bulkCreate(
+      stages.map(stage => ({ ...stage, chainId: chain.id })),
+      { transaction }
+    );
+
+    return chain;
+  }
+
+  /**
+   * Delete the approval chain of a department (stages are removed by cascade)
+   * @param {number} departmentId - Department ID
+   * @returns {Promise<number>}
+   */
+  async deleteByDepartmentId(departmentId) {
+    return await ApprovalChain.destroy({
+      where: { departmentId }
+    });
+  }
+}
+
+module.exports = new ApprovalChainRepository();
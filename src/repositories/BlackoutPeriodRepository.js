@@ -0,0 +1,158 @@
+/**
+ * BlackoutPeriod Repository
+ * Handles all database operations for BlackoutPeriod entity
+ */
+
+const { BlackoutPeriod, Department, LeaveType } = require('../models');
+const { Op } = require('sequelize');
+const { BLACKOUT_SCOPE } = require('../utils/constants');
+
+const targetIncludes = [
+  {
+    model: Department,
+    as: 'department',
+    attributes: ['id', 'name']
+  },
+  {
+    model: LeaveType,
+    as: 'leaveType',
+    attributes: ['id', 'code', 'name']
+  }
+];
+
+class BlackoutPeriodRepository {
+  /**
+   * Create a new blackout period
+   * @param {Object} blackoutData - Blackout period data
+   * @returns {Promise<BlackoutPeriod>}
+   */
+  async create(blackoutData) {
+    return await BlackoutPeriod.create(blackoutData);
+  }
+
+  /**
+   * Find blackout period by ID
+   * @param {number} id - Blackout period ID
+   * @returns {Promise<BlackoutPeriod|null>}
+   */
+  async findById(id) {
+    return await BlackoutPeriod.findByPk(id, { include: targetIncludes });
+  }
+
+  /**
+   * Find all blackout periods with pagination
+   * @param {Object} options - Query options (scope, departmentId, leaveTypeId,
+   *   from/to to keep periods intersecting a date range)
+   * @returns {Promise<{rows: BlackoutPeriod[], count: number}>}
+   */
+  async findAll(options = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      scope = null,
+      departmentId = null,
+      leaveTypeId = null,
+      from = null,
+      to = null
+    } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+
+    if (scope) {
+      where.scope = scope;
+    }
+
+    if (departmentId) {
+      where.departmentId = departmentId;
+    }
+
+    if (leaveTypeId) {
+      where.leaveTypeId = leaveTypeId;
+    }
+
+    if (from) {
+      where.endDate = { [Op.gte]: from };
+    }
+
+    if (to) {
+      where.startDate = { [Op.lte]: to };
+    }
+
+    return await BlackoutPeriod.findAndCountAll({
+      where,
+      include: targetIncludes,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['startDate', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Find the blackout periods that apply to a leave period: company-wide ones,
+   * those of the employee's department and those of the requested leave type
+   * @param {Object} criteria - { startDate, endDate, departmentId, leaveTypeId }
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<BlackoutPeriod[]>}
+   */
+  async findApplicable(criteria, options = {}) {
+    const { startDate, endDate, departmentId = null, leaveTypeId = null } = criteria;
+
+    const scopes = [{ scope: BLACKOUT_SCOPE.COMPANY }];
+
+    if (departmentId) {
+      scopes.push({ scope: BLACKOUT_SCOPE.DEPARTMENT, departmentId });
+    }
+
+    if (leaveTypeId) {
+      scopes.push({ scope: BLACKOUT_SCOPE.LEAVE_TYPE, leaveTypeId });
+    }
+
+    return await BlackoutPeriod.findAll({
+      where: {
+        startDate: { [Op.lte]: endDate },
+        endDate: { [Op.gte]: startDate },
+        [Op.or]: scopes
+      },
+      order: [['startDate', 'ASC'], ['id', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Update blackout period
+   * @param {number} id - Blackout period ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<[number, BlackoutPeriod[]]>}
+   */
+  async update(id, updateData) {
+    return await BlackoutPeriod.update(updateData, {
+      where: { id }
+    });
+  }
+
+  /**
+   * Delete blackout period
+   * @param {number} id - Blackout period ID
+   * @returns {Promise<number>}
+   */
+  async delete(id) {
+    return await BlackoutPeriod.destroy({
+      where: { id }
+    });
+  }
+
+  /**
+   * Check if blackout period exists
+   * @param {number} id - Blackout period ID
+   * @returns {Promise<boolean>}
+   */
+  async exists(id) {
+    const count = await BlackoutPeriod.count({
+      where: { id }
+    });
+    return count > 0;
+  }
+}
+
+module.exports = new BlackoutPeriodRepository();
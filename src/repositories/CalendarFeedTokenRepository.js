@@ -0,0 +1,69 @@
+/**
+ * CalendarFeedToken Repository
+ * Handles all database operations for CalendarFeedToken entity
+ */
+
+const { CalendarFeedToken } = require('../models');
+
+class CalendarFeedTokenRepository {
+  /**
+   * Create a new feed token
+   * @param {Object} tokenData - Feed token data (with tokenHash)
+   * @returns {Promise<CalendarFeedToken>}
+   */
+  async create(tokenData) {
+    return await CalendarFeedToken.create(tokenData);
+  }
+
+  /**
+   * Find feed token by ID
+   * @param {number} id - Feed token ID
+   * @returns {Promise<CalendarFeedToken|null>}
+   */
+  async findById(id) {
+    return await CalendarFeedToken.findByPk(id);
+  }
+
+  /**
+   * Find feed token by the hash of its secret
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<CalendarFeedToken|null>}
+   */
+  async findByHash(tokenHash) {
+    return await CalendarFeedToken.findOne({
+      where: { tokenHash }
+    });
+  }
+
+  /**
+   * Find the active feed tokens of an employee with pagination
+   * @param {number} ownerId - Employee ID
+   * @param {Object} options - Query options
+   * @returns {Promise<{rows: CalendarFeedToken[], count: number}>}
+   */
+  async findByOwner(ownerId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const offset = (page - 1) * limit;
+
+    return await CalendarFeedToken.findAndCountAll({
+      where: { ownerId, revokedAt: null },
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Update feed token
+   * @param {number} id - Feed token ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<[number]>}
+   */
+  async update(id, updateData) {
+    return await CalendarFeedToken.update(updateData, {
+      where: { id }
+    });
+  }
+}
+
+module.exports = new CalendarFeedTokenRepository();
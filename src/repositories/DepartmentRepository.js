@@ -10,19 +10,21 @@ class DepartmentRepository {
   /**
    * Create a new department
    * @param {Object} departmentData - Department data
+   * @param {Object} options - Query options (e.g. transaction)
    * @returns {Promise<Department>}
    */
-  async create(departmentData) {
-    return await Department.create(departmentData);
+  async create(departmentData, options = {}) {
+    return await Department.create(departmentData, { transaction: options.transaction });
   }
 
   /**
    * Find department by ID
    * @param {number} id - Department ID
+   * @param {Object} options - Query options (e.g. transaction)
    * @returns {Promise<Department|null>}
    */
-  async findById(id) {
-    return await Department.findByPk(id);
+  async findById(id, options = {}) {
+    return await Department.findByPk(id, { transaction: options.transaction });
   }
 
   /**
@@ -36,6 +38,21 @@ class DepartmentRepository {
     });
   }
 
+  /**
+   * Find departments by name
+   * @param {string[]} names - Department names
+   * @returns {Promise<Department[]>}
+   */
+  async findByNames(names) {
+    if (!names.length) {
+      return [];
+    }
+
+    return await Department.findAll({
+      where: { name: { [Op.in]: names } }
+    });
+  }
+
   /**
    * Find all departments with pagination
    * @param {Object} options - Query options
@@ -107,6 +124,18 @@ class DepartmentRepository {
     });
   }
 
+  /**
+   * Remove an employee as head of any department
+   * @param {number} employeeId - Employee ID
+   * @returns {Promise<[number]>}
+   */
+  async clearHead(employeeId) {
+    return await Department.update(
+      { headId: null },
+      { where: { headId: employeeId } }
+    );
+  }
+
   /**
    * Delete department
    * @param {number} id - Department ID
@@ -6,14 +6,49 @@
 const { Employee, Department, LeaveRequest } = require('../models');
 const { Op } = require('sequelize');
 
+/**
+ * Build the where clause of the employee list filters
+ * @param {Object} options - Filters (departmentId, search, accessScope restricting rows
+ *   to an employee and optionally their direct reports)
+ * @returns {Object}
+ */
+const buildListWhere = (options = {}) => {
+  const { departmentId = null, search = '', accessScope = null } = options;
+  const where = {};
+
+  if (accessScope) {
+    const visible = [{ id: accessScope.employeeId }];
+
+    if (accessScope.includeReports) {
+      visible.push({ managerId: accessScope.employeeId });
+    }
+
+    where[Op.and] = [{ [Op.or]: visible }];
+  }
+  
+  if (departmentId) {
+    where.departmentId = departmentId;
+  }
+
+  if (search) {
+    where[Op.or] = [
+      { name: { [Op.like]: `%${search}%` } },
+      { email: { [Op.like]: `%${search}%` } }
+    ];
+  }
+
+  return where;
+};
+
 class EmployeeRepository {
   /**
    * Create a new employee
    * @param {Object} employeeData - Employee data
+   * @param {Object} options - Query options (e.g. transaction)
    * @returns {Promise<Employee>}
    */
-  async create(employeeData) {
-    return await Employee.create(employeeData);
+  async create(employeeData, options = {}) {
+    return await Employee.create(employeeData, { transaction: options.transaction });
   }
 
   /**
@@ -32,7 +67,12 @@ class EmployeeRepository {
         {
           model: Department,
           as: 'department',
-          attributes: ['id', 'name']
+          attributes: ['id', 'name', 'headId']
+        },
+        {
+          model: Employee,
+          as: 'manager',
+          attributes: ['id', 'name', 'email']
         }
       ];
     }
@@ -51,30 +91,45 @@ class EmployeeRepository {
     });
   }
 
+  /**
+   * Find employees by email
+   * @param {string[]} emails - Employee emails
+   * @returns {Promise<Employee[]>}
+   */
+  async findByEmails(emails) {
+    if (!emails.length) {
+      return [];
+    }
+
+    return await Employee.findAll({
+      where: { email: { [Op.in]: emails } },
+      attributes: ['id', 'name', 'email', 'managerId']
+    });
+  }
+
+  /**
+   * Find employee by email including the password hash (for login)
+   * @param {string} email - Employee email
+   * @returns {Promise<Employee|null>}
+   */
+  async findByEmailWithPassword(email) {
+    return await Employee.scope('withPassword').findOne({
+      where: { email }
+    });
+  }
+
   /**
    * Find all employees with pagination
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (accessScope restricts rows to an
+   *   employee and optionally their direct reports)
    * @returns {Promise<{rows: Employee[], count: number}>}
    */
   async findAll(options = {}) {
-    const { page = 1, limit = 10, departmentId = null, search = '' } = options;
+    const { page = 1, limit = 10 } = options;
     const offset = (page - 1) * limit;
 
-    const where = {};
-    
-    if (departmentId) {
-      where.departmentId = departmentId;
-    }
-
-    if (search) {
-      where[Op.or] = [
-        { name: { [Op.like]: `%${search}%` } },
-        { email: { [Op.like]: `%${search}%` } }
-      ];
-    }
-
     return await Employee.findAndCountAll({
-      where,
+      where: buildListWhere(options),
       include: [
         {
           model: Department,
@@ -88,6 +143,50 @@ class EmployeeRepository {
     });
   }
 
+  /**
+   * Read every employee matching the list filters, with department and manager,
+   * chunk by chunk in ID order so large exports never hold more than one chunk in memory
+   * @param {Object} options - Same filters as findAll (page and limit are ignored)
+   * @param {number} chunkSize - Rows per query
+   * @returns {AsyncGenerator<Employee[]>}
+   */
+  async *findAllInChunks(options = {}, chunkSize = 500) {
+    const where = buildListWhere(options);
+    let afterId = 0;
+
+    while (true) {
+      const rows = await Employee.findAll({
+        where: { ...where, id: { [Op.gt]: afterId } },
+        include: [
+          {
+            model: Department,
+            as: 'department',
+            attributes: ['id', 'name']
+          },
+          {
+            model: Employee,
+            as: 'manager',
+            attributes: ['id', 'name', 'email']
+          }
+        ],
+        limit: chunkSize,
+        order: [['id', 'ASC']]
+      });
+
+      if (!rows.length) {
+        return;
+      }
+
+      yield rows;
+
+      if (rows.length < chunkSize) {
+        return;
+      }
+
+      afterId = rows[rows.length - 1].id;
+    }
+  }
+
   /**
    * Find employees by department
    * @param {number} departmentId - Department ID
@@ -110,12 +209,14 @@ class EmployeeRepository {
    * Update employee
    * @param {number} id - Employee ID
    * @param {Object} updateData - Update data
+   * @param {Object} options - Query options (e.g. transaction)
    * @returns {Promise<[number, Employee[]]>}
    */
-  async update(id, updateData) {
+  async update(id, updateData, options = {}) {
     return await Employee.update(updateData, {
       where: { id },
-      returning: true
+      returning: true,
+      transaction: options.transaction
     });
   }
 
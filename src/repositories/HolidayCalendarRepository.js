@@ -0,0 +1,208 @@
+/**
+ * HolidayCalendar Repository
+ * Handles all database operations for HolidayCalendar and Holiday entities
+ */
+
+const { HolidayCalendar, Holiday, Department } = require('../models');
+const { Op } = require('sequelize');
+
+class HolidayCalendarRepository {
+  /**
+   * Create a new holiday calendar
+   * @param {Object} calendarData - Calendar data
+   * @returns {Promise<HolidayCalendar>}
+   */
+  async create(calendarData) {
+    return await HolidayCalendar.create(calendarData);
+  }
+
+  /**
+   * Find holiday calendar by ID
+   * @param {number} id - Calendar ID
+   * @returns {Promise<HolidayCalendar|null>}
+   */
+  async findById(id) {
+    return await HolidayCalendar.findByPk(id);
+  }
+
+  /**
+   * Find holiday calendar by name
+   * @param {string} name - Calendar name
+   * @returns {Promise<HolidayCalendar|null>}
+   */
+  async findByName(name) {
+    return await HolidayCalendar.findOne({
+      where: { name }
+    });
+  }
+
+  /**
+   * Find the holiday calendar assigned to a department
+   * @param {number} departmentId - Department ID
+   * @returns {Promise<HolidayCalendar|null>}
+   */
+  async findByDepartmentId(departmentId) {
+    const department = await Department.findByPk(departmentId, {
+      attributes: ['id', 'holidayCalendarId'],
+      include: [
+        {
+          model: HolidayCalendar,
+          as: 'holidayCalendar'
+        }
+      ]
+    });
+
+    return department ? department.holidayCalendar : null;
+  }
+
+  /**
+   * Find all holiday calendars with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<{rows: HolidayCalendar[], count: number}>}
+   */
+  async findAll(options = {}) {
+    const { page = 1, limit = 10, search = '' } = options;
+    const offset = (page - 1) * limit;
+
+    const where = search ? {
+      name: {
+        [Op.like]: `%${search}%`
+      }
+    } : {};
+
+    return await HolidayCalendar.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Update holiday calendar
+   * @param {number} id - Calendar ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<[number, HolidayCalendar[]]>}
+   */
+  async update(id, updateData) {
+    return await HolidayCalendar.update(updateData, {
+      where: { id },
+      returning: true
+    });
+  }
+
+  /**
+   * Delete holiday calendar (holidays are removed by cascade)
+   * @param {number} id - Calendar ID
+   * @returns {Promise<number>}
+   */
+  async delete(id) {
+    return await HolidayCalendar.destroy({
+      where: { id }
+    });
+  }
+
+  /**
+   * Check if holiday calendar exists
+   * @param {number} id - Calendar ID
+   * @returns {Promise<boolean>}
+   */
+  async exists(id) {
+    const count = await HolidayCalendar.count({
+      where: { id }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Count departments using a holiday calendar
+   * @param {number} id - Calendar ID
+   * @returns {Promise<number>}
+   */
+  async countDepartments(id) {
+    return await Department.count({
+      where: { holidayCalendarId: id }
+    });
+  }
+
+  /**
+   * Find holidays of a calendar, optionally restricted to a date range
+   * @param {number} calendarId - Calendar ID
+   * @param {Object} options - Query options (from, to)
+   * @returns {Promise<Holiday[]>}
+   */
+  async findHolidays(calendarId, options = {}) {
+    const { from = null, to = null } = options;
+    const where = { calendarId };
+
+    if (from && to) {
+      where.date = { [Op.between]: [from, to] };
+    } else if (from) {
+      where.date = { [Op.gte]: from };
+    } else if (to) {
+      where.date = { [Op.lte]: to };
+    }
+
+    return await Holiday.findAll({
+      where,
+      order: [['date', 'ASC']]
+    });
+  }
+
+  /**
+   * Find a holiday of a calendar
+   * @param {number} calendarId - Calendar ID
+   * @param {number} holidayId - Holiday ID
+   * @returns {Promise<Holiday|null>}
+   */
+  async findHoliday(calendarId, holidayId) {
+    return await Holiday.findOne({
+      where: { id: holidayId, calendarId }
+    });
+  }
+
+  /**
+   * Find a holiday of a calendar by date
+   * @param {number} calendarId - Calendar ID
+   * @param {string} date - Holiday date (YYYY-MM-DD)
+   * @returns {Promise<Holiday|null>}
+   */
+  async findHolidayByDate(calendarId, date) {
+    return await Holiday.findOne({
+      where: { calendarId, date }
+    });
+  }
+
+  /**
+   * Create a holiday
+   * @param {Object} holidayData - Holiday data
+   * @returns {Promise<Holiday>}
+   */
+  async createHoliday(holidayData) {
+    return await Holiday.create(holidayData);
+  }
+
+  /**
+   * Insert holidays, renaming the ones already present on the same date
+   * @param {Object[]} holidays - Holiday data
+   * @returns {Promise<Holiday[]>}
+   */
+  async upsertHolidays(holidays) {
+    return await Holiday.bulkCreate(holidays, {
+      updateOnDuplicate: ['name', 'updatedAt']
+    });
+  }
+
+  /**
+   * Delete a holiday
+   * @param {number} holidayId - Holiday ID
+   * @returns {Promise<number>}
+   */
+  async deleteHoliday(holidayId) {
+    return await Holiday.destroy({
+      where: { id: holidayId }
+    });
+  }
+}
+
+module.exports = new HolidayCalendarRepository();
@@ -0,0 +1,81 @@
+/**
+ * LeaveApproval Repository
+ * Handles all database operations for LeaveApproval entity
+ */
+
+const { LeaveApproval, Employee } = require('../models');
+const { LEAVE_APPROVAL_STATUS } = require('../utils/constants');
+
+class LeaveApprovalRepository {
+  /**
+   * Create approval stages for a leave request
+   * @param {Object[]} approvals - Approval stage data
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<LeaveApproval[]>}
+   */
+  async bulkCreate(approvals, options = {}) {
+    return await LeaveApproval.bulkCreate(approvals, {
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Find the approval stages of a leave request in order
+   * @param {number} leaveRequestId - Leave request ID
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<LeaveApproval[]>}
+   */
+  async findByLeaveRequest(leaveRequestId, options = {}) {
+    return await LeaveApproval.findAll({
+      where: { leaveRequestId },
+      include: [
+        {
+          model: Employee,
+          as: 'approver',
+          attributes: ['id', 'name', 'email']
+        }
+      ],
+      order: [['stageOrder', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Record a decision on an approval stage
+   * @param {number} id - Leave approval ID
+   * @param {Object} decision - Decision ({ status, decidedById, comment })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<[number]>}
+   */
+  async recordDecision(id, decision, options = {}) {
+    return await LeaveApproval.update(
+      {
+        status: decision.status,
+        decidedById: decision.decidedById || null,
+        comment: decision.comment || null,
+        decidedAt: new Date()
+      },
+      {
+        // Only undecided stages can be decided
+        where: { id, status: LEAVE_APPROVAL_STATUS.PENDING },
+        transaction: options.transaction
+      }
+    );
+  }
+
+  /**
+   * Delete the approval stages of a leave request, e.g. when it is edited
+   * and has to be routed again
+   * @param {number} leaveRequestId - Leave request ID
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<number>}
+   */
+  async deleteByLeaveRequest(leaveRequestId, options = {}) {
+    return await LeaveApproval.destroy({
+      where: { leaveRequestId },
+      transaction: options.transaction
+    });
+  }
+}
+
+module.exports = new LeaveApprovalRepository();
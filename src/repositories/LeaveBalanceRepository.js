@@ -0,0 +1,119 @@
+/**
+ * LeaveBalance Repository
+ * Handles all database operations for the leave balance ledger
+ */
+
+const { LeaveBalanceTransaction, LeaveRequest } = require('../models');
+
+class LeaveBalanceRepository {
+  /**
+   * Create a ledger entry unless one with the same reference already exists
+   * @param {Object} entryData - Ledger entry data (must include reference)
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<[LeaveBalanceTransaction, boolean]>}
+   */
+  async createIfMissing(entryData, options = {}) {
+    return await LeaveBalanceTransaction.findOrCreate({
+      where: { reference: entryData.reference },
+      defaults: entryData,
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Change the days of a ledger entry (used for recalculated carry-over)
+   * @param {number} id - Ledger entry ID
+   * @param {number} days - New number of days
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<[number]>}
+   */
+  async updateDays(id, days, options = {}) {
+    return await LeaveBalanceTransaction.update({ days }, {
+      where: { id },
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Find ledger entry by reference
+   * @param {string} reference - Ledger entry reference
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<LeaveBalanceTransaction|null>}
+   */
+  async findByReference(reference, options = {}) {
+    return await LeaveBalanceTransaction.findOne({
+      where: { reference },
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Find the ledger entries of one type booked for a leave request
+   * @param {number} leaveRequestId - Leave request ID
+   * @param {string} type - LEAVE_BALANCE_TRANSACTION_TYPE value
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<LeaveBalanceTransaction[]>}
+   */
+  async findByLeaveRequest(leaveRequestId, type, options = {}) {
+    return await LeaveBalanceTransaction.findAll({
+      where: { leaveRequestId, type },
+      order: [['year', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Find all ledger entries for an employee and year
+   * @param {number} employeeId - Employee ID
+   * @param {number} year - Leave year
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<LeaveBalanceTransaction[]>}
+   */
+  async findByEmployeeAndYear(employeeId, year, options = {}) {
+    return await LeaveBalanceTransaction.findAll({
+      where: { employeeId, year },
+      include: [
+        {
+          model: LeaveRequest,
+          as: 'leaveRequest',
+          attributes: ['id', 'startDate', 'endDate', 'status']
+        }
+      ],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Sum ledger entries for an employee and year
+   * @param {number} employeeId - Employee ID
+   * @param {number} year - Leave year
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<number>}
+   */
+  async sumByEmployeeAndYear(employeeId, year, options = {}) {
+    const total = await LeaveBalanceTransaction.sum('days', {
+      where: { employeeId, year },
+      transaction: options.transaction
+    });
+
+    return Number(total) || 0;
+  }
+
+  /**
+   * Check whether any ledger entry exists for an employee and year
+   * @param {number} employeeId - Employee ID
+   * @param {number} year - Leave year
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<boolean>}
+   */
+  async hasEntriesForYear(employeeId, year, options = {}) {
+    const count = await LeaveBalanceTransaction.count({
+      where: { employeeId, year },
+      transaction: options.transaction
+    });
+    return count > 0;
+  }
+}
+
+module.exports = new LeaveBalanceRepository();
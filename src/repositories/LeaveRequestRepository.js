@@ -3,18 +3,109 @@
  * Handles all database operations for LeaveRequest entity
  */
 
-const { LeaveRequest, Employee, Department } = require('../models');
+const { LeaveRequest, Employee, Department, LeaveType } = require('../models');
 const { Op } = require('sequelize');
-const { LEAVE_REQUEST_STATUS } = require('../utils/constants');
+const {
+  DEFAULT_WORKING_DAYS,
+  LEAVE_REQUEST_STATUS,
+  WORKING_HOURS_PER_DAY
+} = require('../utils/constants');
+const {
+  resolveLeaveDuration,
+  leavePeriodsOverlap,
+  eachDateInRange,
+  getIsoWeekday,
+  getDayFraction,
+  toDateOnlyString
+} = require('../utils/leaveDuration');
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+const leaveTypeInclude = {
+  model: LeaveType,
+  as: 'leaveType',
+  attributes: ['id', 'code', 'name', 'countsAgainstBalance', 'requiresDocument', 'autoApproveMaxDays']
+};
+
+/**
+ * Build the where clause of the leave request list filters
+ * @param {Object} options - Filters (employeeId, status, leaveTypeId, startDate, endDate,
+ *   accessScope restricting rows to an employee and optionally their direct reports)
+ * @returns {Object}
+ */
+const buildListWhere = (options = {}) => {
+  const {
+    employeeId = null,
+    status = null,
+    leaveTypeId = null,
+    startDate = null,
+    endDate = null,
+    accessScope = null
+  } = options;
+
+  const where = {};
+
+  if (accessScope) {
+    const visible = [{ employeeId: accessScope.employeeId }];
+
+    if (accessScope.includeReports) {
+      visible.push({ '$employee.manager_id$': accessScope.employeeId });
+    }
+
+    where[Op.and] = [{ [Op.or]: visible }];
+  }
+
+  if (employeeId) {
+    where.employeeId = employeeId;
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (leaveTypeId) {
+    where.leaveTypeId = leaveTypeId;
+  }
+
+  if (startDate) {
+    where.startDate = { [Op.gte]: startDate };
+  }
+
+  if (endDate) {
+    where.endDate = { [Op.lte]: endDate };
+  }
+
+  return where;
+};
+
+// Employee details shown in lists; also needed by the access scope filter
+const listIncludes = () => [
+  leaveTypeInclude,
+  {
+    model: Employee,
+    as: 'employee',
+    attributes: ['id', 'name', 'email'],
+    include: [
+      {
+        model: Department,
+        as: 'department',
+        attributes: ['id', 'name']
+      }
+    ]
+  }
+];
 
 class LeaveRequestRepository {
   /**
    * Create a new leave request
    * @param {Object} leaveRequestData - Leave request data
+   * @param {Object} options - Query options (e.g. transaction)
    * @returns {Promise<LeaveRequest>}
    */
-  async create(leaveRequestData) {
-    return await LeaveRequest.create(leaveRequestData);
+  async create(leaveRequestData, options = {}) {
+    return await LeaveRequest.create(leaveRequestData, {
+      transaction: options.transaction
+    });
   }
 
   /**
@@ -25,24 +116,23 @@ class LeaveRequestRepository {
    */
   async findById(id, includeEmployee = false) {
     const options = {
-      where: { id }
+      where: { id },
+      include: [leaveTypeInclude]
     };
 
     if (includeEmployee) {
-      options.include = [
-        {
-          model: Employee,
-          as: 'employee',
-          attributes: ['id', 'name', 'email', 'departmentId'],
-          include: [
-            {
-              model: Department,
-              as: 'department',
-              attributes: ['id', 'name']
-            }
-          ]
-        }
-      ];
+      options.include.push({
+        model: Employee,
+        as: 'employee',
+        attributes: ['id', 'name', 'email', 'departmentId'],
+        include: [
+          {
+            model: Department,
+            as: 'department',
+            attributes: ['id', 'name']
+          }
+        ]
+      });
     }
 
     return await LeaveRequest.findOne(options);
@@ -61,60 +151,56 @@ class LeaveRequestRepository {
 
   /**
    * Find all leave requests with pagination
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (accessScope restricts rows to an
+   *   employee and optionally their direct reports)
    * @returns {Promise<{rows: LeaveRequest[], count: number}>}
    */
   async findAll(options = {}) {
-    const { 
-      page = 1, 
-      limit = 10, 
-      employeeId = null, 
-      status = null,
-      startDate = null,
-      endDate = null
-    } = options;
-    
+    const { page = 1, limit = 10 } = options;
     const offset = (page - 1) * limit;
-    const where = {};
-
-    if (employeeId) {
-      where.employeeId = employeeId;
-    }
-
-    if (status) {
-      where.status = status;
-    }
-
-    if (startDate) {
-      where.startDate = { [Op.gte]: startDate };
-    }
-
-    if (endDate) {
-      where.endDate = { [Op.lte]: endDate };
-    }
 
     return await LeaveRequest.findAndCountAll({
-      where,
-      include: [
-        {
-          model: Employee,
-          as: 'employee',
-          attributes: ['id', 'name', 'email'],
-          include: [
-            {
-              model: Department,
-              as: 'department',
-              attributes: ['id', 'name']
-            }
-          ]
-        }
-      ],
+      where: buildListWhere(options),
+      include: listIncludes(),
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [['createdAt', 'DESC']]
     });
   }
 
+  /**
+   * Read every leave request matching the list filters, chunk by chunk in ID order,
+   * so large exports never hold more than one chunk in memory
+   * @param {Object} options - Same filters as findAll (page and limit are ignored)
+   * @param {number} chunkSize - Rows per query
+   * @returns {AsyncGenerator<LeaveRequest[]>}
+   */
+  async *findAllInChunks(options = {}, chunkSize = 500) {
+    const where = buildListWhere(options);
+    let afterId = 0;
+
+    while (true) {
+      const rows = await LeaveRequest.findAll({
+        where: { ...where, id: { [Op.gt]: afterId } },
+        include: listIncludes(),
+        limit: chunkSize,
+        order: [['id', 'ASC']]
+      });
+
+      if (!rows.length) {
+        return;
+      }
+
+      yield rows;
+
+      if (rows.length < chunkSize) {
+        return;
+      }
+
+      afterId = rows[rows.length - 1].id;
+    }
+  }
+
   /**
    * Find leave requests by employee
    * @param {number} employeeId - Employee ID
@@ -145,9 +231,10 @@ class LeaveRequestRepository {
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
    * @param {number} excludeId - Leave request ID to exclude
+   * @param {Object} period - Partial-day details ({ granularity, halfDayPeriod, startTime, endTime })
    * @returns {Promise<LeaveRequest[]>}
    */
-  async findOverlapping(employeeId, startDate, endDate, excludeId = null) {
+  async findOverlapping(employeeId, startDate, endDate, excludeId = null, period = {}) {
     const where = {
       employeeId,
       status: {
@@ -177,19 +264,27 @@ class LeaveRequestRepository {
       where.id = { [Op.ne]: excludeId };
     }
 
-    return await LeaveRequest.findAll({ where });
+    const candidates = await LeaveRequest.findAll({ where });
+
+    // Same-day requests only clash when their half-day or hourly windows intersect
+    return candidates.filter(candidate => leavePeriodsOverlap(
+      { ...period, startDate, endDate },
+      candidate
+    ));
   }
 
   /**
    * Update leave request
    * @param {number} id - Leave request ID
    * @param {Object} updateData - Update data
+   * @param {Object} options - Query options (e.g. transaction)
    * @returns {Promise<[number, LeaveRequest[]]>}
    */
-  async update(id, updateData) {
+  async update(id, updateData, options = {}) {
     return await LeaveRequest.update(updateData, {
       where: { id },
-      returning: true
+      returning: true,
+      transaction: options.transaction
     });
   }
 
@@ -197,29 +292,326 @@ class LeaveRequestRepository {
    * Update leave request status
    * @param {number} id - Leave request ID
    * @param {string} status - New status
+   * @param {Object} options - Query options (expectedStatus to guard against
+   *   concurrent changes, transaction)
    * @returns {Promise<[number, LeaveRequest[]]>}
    */
-  async updateStatus(id, status) {
+  async updateStatus(id, status, options = {}) {
+    const where = { id };
+
+    if (options.expectedStatus) {
+      where.status = options.expectedStatus;
+    }
+
     return await LeaveRequest.update(
       { 
         status,
         processedAt: new Date()
       },
+      {
+        where,
+        returning: true,
+        transaction: options.transaction
+      }
+    );
+  }
+
+  /**
+   * Record the cancellation details of a leave request
+   * @param {number} id - Leave request ID
+   * @param {string|null} reason - Cancellation reason
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<[number]>}
+   */
+  async markCancelled(id, reason, options = {}) {
+    return await LeaveRequest.update(
+      {
+        cancellationReason: reason || null,
+        cancelledAt: new Date()
+      },
       {
         where: { id },
-        returning: true
+        transaction: options.transaction
       }
     );
   }
 
+  /**
+   * Assign the approver who must decide a leave request
+   * @param {number} id - Leave request ID
+   * @param {number|null} approverId - Approver employee ID
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<[number]>}
+   */
+  async assignApprover(id, approverId, options = {}) {
+    return await LeaveRequest.update(
+      { approverId },
+      {
+        where: { id },
+        transaction: options.transaction
+      }
+    );
+  }
+
+  /**
+   * Find leave requests assigned to an approver
+   * @param {number} approverId - Approver employee ID
+   * @param {Object} options - Query options
+   * @returns {Promise<{rows: LeaveRequest[], count: number}>}
+   */
+  async findByApprover(approverId, options = {}) {
+    const { page = 1, limit = 10, status = LEAVE_REQUEST_STATUS.PENDING_APPROVAL } = options;
+    const offset = (page - 1) * limit;
+
+    return await LeaveRequest.findAndCountAll({
+      where: { approverId, status },
+      include: [
+        leaveTypeInclude,
+        {
+          model: Employee,
+          as: 'employee',
+          attributes: ['id', 'name', 'email'],
+          include: [
+            {
+              model: Department,
+              as: 'department',
+              attributes: ['id', 'name']
+            }
+          ]
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      // Oldest first: requests waiting longest are decided first
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Find undecided leave requests charged against a given year
+   * @param {number} employeeId - Employee ID
+   * @param {number} year - Leave year
+   * @param {Object} options - Query options (excludeId, transaction)
+   * @returns {Promise<LeaveRequest[]>}
+   */
+  async findPendingForYear(employeeId, year, options = {}) {
+    const { excludeId = null, transaction } = options;
+
+    const where = {
+      employeeId,
+      status: {
+        [Op.in]: [LEAVE_REQUEST_STATUS.PENDING, LEAVE_REQUEST_STATUS.PENDING_APPROVAL]
+      },
+      startDate: {
+        [Op.between]: [`${year}-01-01`, `${year}-12-31`]
+      }
+    };
+
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+
+    return await LeaveRequest.findAll({
+      where,
+      attributes: [
+        'id',
+        'leaveTypeId',
+        'startDate',
+        'endDate',
+        'granularity',
+        'halfDayPeriod',
+        'startTime',
+        'endTime',
+        'durationDays',
+        'status'
+      ],
+      include: [leaveTypeInclude],
+      transaction
+    });
+  }
+
+  /**
+   * Find leave requests intersecting a date range, for calendar feeds
+   * @param {Object} options - Query options ({ from, to, statuses, employeeId, departmentId })
+   * @returns {Promise<LeaveRequest[]>}
+   */
+  async findInRange(options = {}) {
+    const { from, to, statuses, employeeId = null, departmentId = null } = options;
+
+    const where = {
+      status: { [Op.in]: statuses },
+      startDate: { [Op.lte]: to },
+      endDate: { [Op.gte]: from }
+    };
+
+    if (employeeId) {
+      where.employeeId = employeeId;
+    }
+
+    return await LeaveRequest.findAll({
+      where,
+      attributes: [
+        'id',
+        'employeeId',
+        'startDate',
+        'endDate',
+        'granularity',
+        'halfDayPeriod',
+        'startTime',
+        'endTime',
+        'durationDays',
+        'status',
+        'updatedAt'
+      ],
+      include: [
+        leaveTypeInclude,
+        {
+          model: Employee,
+          as: 'employee',
+          attributes: ['id', 'name', 'departmentId'],
+          where: departmentId ? { departmentId } : undefined
+        }
+      ],
+      order: [['startDate', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Get the day-by-day availability of a department: who is on approved or
+   * pending leave, how many people are present and the percentage available.
+   * By default pending leave counts as absent so plans do not rely on people who may be away.
+   * @param {number} departmentId - Department ID
+   * @param {string} from - Range start (YYYY-MM-DD)
+   * @param {string} to - Range end (YYYY-MM-DD)
+   * @param {Object} calendar - Working calendar of the department ({ workingDays, holidays })
+   * @param {Object} options - Query options (statuses counted as absent, excludeId, transaction)
+   * @returns {Promise<Object>}
+   */
+  async getDepartmentAvailability(departmentId, from, to, calendar = {}, options = {}) {
+    const { workingDays = DEFAULT_WORKING_DAYS, holidays = new Set() } = calendar;
+    const {
+      statuses = [
+        LEAVE_REQUEST_STATUS.APPROVED,
+        LEAVE_REQUEST_STATUS.PENDING,
+        LEAVE_REQUEST_STATUS.PENDING_APPROVAL
+      ],
+      excludeId = null,
+      transaction
+    } = options;
+
+    const where = {
+      status: { [Op.in]: statuses },
+      startDate: { [Op.lte]: to },
+      endDate: { [Op.gte]: from }
+    };
+
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+
+    const [headcount, requests] = await Promise.all([
+      Employee.count({ where: { departmentId }, transaction }),
+      LeaveRequest.findAll({
+        where,
+        attributes: [
+          'id',
+          'employeeId',
+          'startDate',
+          'endDate',
+          'granularity',
+          'halfDayPeriod',
+          'startTime',
+          'endTime',
+          'status'
+        ],
+        include: [
+          {
+            model: LeaveType,
+            as: 'leaveType',
+            attributes: ['code']
+          },
+          {
+            model: Employee,
+            as: 'employee',
+            attributes: ['id', 'name'],
+            where: { departmentId }
+          }
+        ],
+        transaction
+      })
+    ]);
+
+    const days = eachDateInRange(from, to).map(date => ({
+      date,
+      workingDay: workingDays.includes(getIsoWeekday(date)) && !holidays.has(date),
+      absences: new Map()
+    }));
+    const daysByDate = new Map(days.map(day => [day.date, day]));
+
+    requests.forEach(request => {
+      const fraction = getDayFraction(request);
+      const start = toDateOnlyString(request.startDate) < from ? from : request.startDate;
+      const end = toDateOnlyString(request.endDate) > to ? to : request.endDate;
+
+      eachDateInRange(start, end).forEach(date => {
+        const day = daysByDate.get(date);
+
+        if (!day || !day.workingDay) {
+          return;
+        }
+
+        // Several requests of one employee on the same day (e.g. AM and PM) add up
+        const absence = day.absences.get(request.employeeId) || {
+          employeeId: request.employeeId,
+          name: request.employee.name,
+          fraction: 0,
+          leaveRequests: []
+        };
+
+        absence.fraction = Math.min(1, roundTo2(absence.fraction + fraction));
+        absence.leaveRequests.push({
+          id: request.id,
+          status: request.status,
+          leaveType: request.leaveType ? request.leaveType.code : null,
+          granularity: request.granularity,
+          halfDayPeriod: request.halfDayPeriod,
+          startTime: request.startTime,
+          endTime: request.endTime
+        });
+
+        day.absences.set(request.employeeId, absence);
+      });
+    });
+
+    return {
+      headcount,
+      days: days.map(({ date, workingDay, absences }) => {
+        const onLeave = Array.from(absences.values());
+        const absent = roundTo2(onLeave.reduce((total, absence) => total + absence.fraction, 0));
+        const present = roundTo2(Math.max(0, headcount - absent));
+
+        return {
+          date,
+          workingDay,
+          onLeave,
+          absent,
+          present,
+          availability: headcount ? roundTo2(present / headcount * 100) : null
+        };
+      })
+    };
+  }
+
   /**
    * Delete leave request
    * @param {number} id - Leave request ID
+   * @param {Object} options - Query options (e.g. transaction)
    * @returns {Promise<number>}
    */
-  async delete(id) {
+  async delete(id, options = {}) {
     return await LeaveRequest.destroy({
-      where: { id }
+      where: { id },
+      transaction: options.transaction
     });
   }
 
@@ -239,9 +631,10 @@ class LeaveRequestRepository {
    * Get leave request statistics for employee
    * @param {number} employeeId - Employee ID
    * @param {number} year - Year
+   * @param {Object} calendar - Working calendar for requests without a stored duration
    * @returns {Promise<Object>}
    */
-  async getEmployeeStats(employeeId, year = new Date().getFullYear()) {
+  async getEmployeeStats(employeeId, year = new Date().getFullYear(), calendar = {}) {
     const startOfYear = new Date(year, 0, 1);
     const endOfYear = new Date(year, 11, 31);
 
@@ -252,31 +645,64 @@ class LeaveRequestRepository {
           [Op.between]: [startOfYear, endOfYear]
         }
       },
-      attributes: ['status', 'startDate', 'endDate']
+      attributes: [
+        'status',
+        'startDate',
+        'endDate',
+        'granularity',
+        'halfDayPeriod',
+        'startTime',
+        'endTime',
+        'durationDays'
+      ],
+      include: [
+        {
+          model: LeaveType,
+          as: 'leaveType',
+          attributes: ['code']
+        }
+      ]
     });
 
-    const stats = {
-      total: requests.length,
+    const emptyCounters = () => ({
       approved: 0,
       pending: 0,
       rejected: 0,
-      totalDays: 0
+      cancelled: 0,
+      withdrawn: 0,
+      totalDays: 0,
+      totalHours: 0
+    });
+
+    const stats = {
+      total: requests.length,
+      ...emptyCounters(),
+      byType: {}
     };
 
     requests.forEach(request => {
-      const days = Math.ceil(
-        (new Date(request.endDate) - new Date(request.startDate)) / (1000 * 60 * 60 * 24)
-      ) + 1;
-
-      if (request.status === LEAVE_REQUEST_STATUS.APPROVED) {
-        stats.approved++;
-        stats.totalDays += days;
-      } else if (request.status === LEAVE_REQUEST_STATUS.PENDING || 
-                 request.status === LEAVE_REQUEST_STATUS.PENDING_APPROVAL) {
-        stats.pending++;
-      } else if (request.status === LEAVE_REQUEST_STATUS.REJECTED) {
-        stats.rejected++;
-      }
+      const days = resolveLeaveDuration(request, calendar) || 0;
+
+      // Requests created before leave types existed are reported as UNSPECIFIED
+      const typeCode = request.leaveType ? request.leaveType.code : 'UNSPECIFIED';
+      const typeStats = stats.byType[typeCode] || (stats.byType[typeCode] = emptyCounters());
+
+      [stats, typeStats].forEach(counters => {
+        if (request.status === LEAVE_REQUEST_STATUS.APPROVED) {
+          counters.approved++;
+          counters.totalDays = roundTo2(counters.totalDays + days);
+          counters.totalHours = roundTo2(counters.totalHours + days * WORKING_HOURS_PER_DAY);
+        } else if (request.status === LEAVE_REQUEST_STATUS.PENDING || 
+                   request.status === LEAVE_REQUEST_STATUS.PENDING_APPROVAL) {
+          counters.pending++;
+        } else if (request.status === LEAVE_REQUEST_STATUS.REJECTED) {
+          counters.rejected++;
+        } else if (request.status === LEAVE_REQUEST_STATUS.CANCELLED) {
+          counters.cancelled++;
+        } else if (request.status === LEAVE_REQUEST_STATUS.WITHDRAWN) {
+          counters.withdrawn++;
+        }
+      });
     });
 
     return stats;
@@ -0,0 +1,41 @@
+/**
+ * LeaveRequestStatusHistory Repository
+ * Handles all database operations for leave request status history
+ */
+
+const { LeaveRequestStatusHistory, Employee } = require('../models');
+
+class LeaveRequestStatusHistoryRepository {
+  /**
+   * Record a status transition
+   * @param {Object} entryData - History entry data
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<LeaveRequestStatusHistory>}
+   */
+  async create(entryData, options = {}) {
+    return await LeaveRequestStatusHistory.create(entryData, {
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Find the status history of a leave request, oldest first
+   * @param {number} leaveRequestId - Leave request ID
+   * @returns {Promise<LeaveRequestStatusHistory[]>}
+   */
+  async findByLeaveRequest(leaveRequestId) {
+    return await LeaveRequestStatusHistory.findAll({
+      where: { leaveRequestId },
+      include: [
+        {
+          model: Employee,
+          as: 'actor',
+          attributes: ['id', 'name', 'email']
+        }
+      ],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+  }
+}
+
+module.exports = new LeaveRequestStatusHistoryRepository();
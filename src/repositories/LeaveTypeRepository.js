@@ -0,0 +1,118 @@
+/**
+ * LeaveType Repository
+ * Handles all database operations for LeaveType entity
+ */
+
+const { LeaveType, LeaveRequest } = require('../models');
+const { Op } = require('sequelize');
+
+class LeaveTypeRepository {
+  /**
+   * Create a new leave type
+   * @param {Object} leaveTypeData - Leave type data
+   * @returns {Promise<LeaveType>}
+   */
+  async create(leaveTypeData) {
+    return await LeaveType.create(leaveTypeData);
+  }
+
+  /**
+   * Find leave type by ID
+   * @param {number} id - Leave type ID
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<LeaveType|null>}
+   */
+  async findById(id, options = {}) {
+    return await LeaveType.findByPk(id, { transaction: options.transaction });
+  }
+
+  /**
+   * Find leave type by code
+   * @param {string} code - Leave type code
+   * @returns {Promise<LeaveType|null>}
+   */
+  async findByCode(code) {
+    return await LeaveType.findOne({
+      where: { code }
+    });
+  }
+
+  /**
+   * Find all leave types with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<{rows: LeaveType[], count: number}>}
+   */
+  async findAll(options = {}) {
+    const { page = 1, limit = 10, search = '', includeInactive = false } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+
+    if (!includeInactive) {
+      where.isActive = true;
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { name: { [Op.like]: `%${search}%` } },
+        { code: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    return await LeaveType.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Update leave type
+   * @param {number} id - Leave type ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<[number, LeaveType[]]>}
+   */
+  async update(id, updateData) {
+    return await LeaveType.update(updateData, {
+      where: { id },
+      returning: true
+    });
+  }
+
+  /**
+   * Delete leave type
+   * @param {number} id - Leave type ID
+   * @returns {Promise<number>}
+   */
+  async delete(id) {
+    return await LeaveType.destroy({
+      where: { id }
+    });
+  }
+
+  /**
+   * Check if leave type exists
+   * @param {number} id - Leave type ID
+   * @returns {Promise<boolean>}
+   */
+  async exists(id) {
+    const count = await LeaveType.count({
+      where: { id }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Count leave requests using a leave type
+   * @param {number} id - Leave type ID
+   * @returns {Promise<number>}
+   */
+  async countLeaveRequests(id) {
+    return await LeaveRequest.count({
+      where: { leaveTypeId: id }
+    });
+  }
+}
+
+module.exports = new LeaveTypeRepository();
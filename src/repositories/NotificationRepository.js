@@ -0,0 +1,126 @@
+/**
+ * Notification Repository
+ * Handles all database operations for notification preferences and email notifications
+ */
+
+const { Op } = require('sequelize');
+const { NotificationPreference, EmailNotification } = require('../models');
+const { EMAIL_NOTIFICATION_STATUS } = require('../utils/constants');
+
+class NotificationRepository {
+  /**
+   * Find the notification preferences of an employee
+   * @param {number} employeeId - Employee ID
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<NotificationPreference|null>}
+   */
+  async findPreferences(employeeId, options = {}) {
+    return await NotificationPreference.findOne({
+      where: { employeeId },
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Create or update the notification preferences of an employee
+   * @param {number} employeeId - Employee ID
+   * @param {Object} preferenceData - Preference flags
+   * @returns {Promise<NotificationPreference>}
+   */
+  async upsertPreferences(employeeId, preferenceData) {
+    const [preferences] = await NotificationPreference.upsert({
+      ...preferenceData,
+      employeeId
+    });
+
+    return preferences;
+  }
+
+  /**
+   * Record email notifications; notifications already recorded for the same
+   * event, type and recipient are skipped
+   * @param {Object[]} notifications - Notification data
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<EmailNotification[]>}
+   */
+  async createEmails(notifications, options = {}) {
+    return await EmailNotification.bulkCreate(notifications, {
+      ignoreDuplicates: true,
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Find the email notifications sent to an employee, newest first
+   * @param {number} recipientId - Employee ID
+   * @param {Object} options - Query options (page, limit, status)
+   * @returns {Promise<{rows: EmailNotification[], count: number}>}
+   */
+  async findEmailsByRecipient(recipientId, options = {}) {
+    const { page = 1, limit = 10, status } = options;
+    const offset = (page - 1) * limit;
+    const where = { recipientId };
+
+    if (status) {
+      where.status = status;
+    }
+
+    return await EmailNotification.findAndCountAll({
+      where,
+      attributes: { exclude: ['htmlBody'] },
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['id', 'DESC']]
+    });
+  }
+
+  /**
+   * Claim due email notifications: rows are locked, skipping rows another worker
+   * holds, and their next attempt is pushed back by the lease so they are not
+   * picked up again while being sent
+   * @param {number} limit - Maximum number of notifications
+   * @param {number} leaseMs - Lease duration in milliseconds
+   * @param {Object} options - Query options (transaction required)
+   * @returns {Promise<EmailNotification[]>}
+   */
+  async claimDueEmails(limit, leaseMs, options = {}) {
+    const { transaction } = options;
+
+    const notifications = await EmailNotification.findAll({
+      where: {
+        status: EMAIL_NOTIFICATION_STATUS.PENDING,
+        nextAttemptAt: { [Op.lte]: new Date() }
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit,
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      skipLocked: Boolean(transaction)
+    });
+
+    if (notifications.length) {
+      await EmailNotification.update({
+        nextAttemptAt: new Date(Date.now() + leaseMs)
+      }, {
+        where: { id: notifications.map(notification => notification.id) },
+        transaction
+      });
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Update email notification
+   * @param {number} id - Notification ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<[number]>}
+   */
+  async updateEmail(id, updateData) {
+    return await EmailNotification.update(updateData, {
+      where: { id }
+    });
+  }
+}
+
+module.exports = new NotificationRepository();
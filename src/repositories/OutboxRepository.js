@@ -0,0 +1,74 @@
+/**
+ * Outbox Repository
+ * Handles all database operations for the transactional outbox
+ */
+
+const { Op } = require('sequelize');
+const { OutboxEvent } = require('../models');
+const { OUTBOX_STATUS } = require('../utils/constants');
+
+class OutboxRepository {
+  /**
+   * Add an event to the outbox
+   * @param {Object} eventData - Event data ({ routingKey, payload })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<OutboxEvent>}
+   */
+  async create(eventData, options = {}) {
+    return await OutboxEvent.create(eventData, {
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Claim pending events that are due for publishing, oldest first: rows are
+   * locked, skipping rows another relay holds, and their availability is pushed
+   * back by the lease so they are not picked up again while being published
+   * @param {number} limit - Maximum number of events
+   * @param {number} leaseMs - Lease duration in milliseconds
+   * @param {Object} options - Query options (transaction required)
+   * @returns {Promise<OutboxEvent[]>}
+   */
+  async claimDue(limit, leaseMs, options = {}) {
+    const { transaction } = options;
+
+    const events = await OutboxEvent.findAll({
+      where: {
+        status: OUTBOX_STATUS.PENDING,
+        availableAt: { [Op.lte]: new Date() }
+      },
+      order: [['id', 'ASC']],
+      limit,
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      skipLocked: Boolean(transaction)
+    });
+
+    if (events.length) {
+      await OutboxEvent.update({
+        availableAt: new Date(Date.now() + leaseMs)
+      }, {
+        where: { id: events.map(event => event.id) },
+        transaction
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Update an outbox event
+   * @param {number} id - Outbox event ID
+   * @param {Object} updateData - Update data
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<[number]>}
+   */
+  async update(id, updateData, options = {}) {
+    return await OutboxEvent.update(updateData, {
+      where: { id },
+      transaction: options.transaction
+    });
+  }
+}
+
+module.exports = new OutboxRepository();
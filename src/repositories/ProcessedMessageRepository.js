@@ -0,0 +1,49 @@
+/**
+ * ProcessedMessage Repository
+ * Handles all database operations for the processed-message store
+ */
+
+const { Op } = require('sequelize');
+const { ProcessedMessage } = require('../models');
+
+class ProcessedMessageRepository {
+  /**
+   * Record a processed message. Fails with a unique constraint error when the
+   * consumer already recorded the same event and routing key.
+   * @param {Object} messageData - { eventId, consumer, routingKey }
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<ProcessedMessage>}
+   */
+  async create(messageData, options = {}) {
+    return await ProcessedMessage.create(messageData, {
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Delete records processed before a date, oldest first
+   * @param {Date} before - Cut-off date
+   * @param {number} limit - Maximum number of rows to delete
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async deleteProcessedBefore(before, limit) {
+    const rows = await ProcessedMessage.findAll({
+      attributes: ['id'],
+      where: {
+        processedAt: { [Op.lt]: before }
+      },
+      order: [['id', 'ASC']],
+      limit
+    });
+
+    if (!rows.length) {
+      return 0;
+    }
+
+    return await ProcessedMessage.destroy({
+      where: { id: rows.map(row => row.id) }
+    });
+  }
+}
+
+module.exports = new ProcessedMessageRepository();
@@ -0,0 +1,60 @@
+/**
+ * RolePermission Repository
+ * Handles all database operations for RolePermission entity
+ */
+
+const { RolePermission } = require('../models');
+
+class RolePermissionRepository {
+  /**
+   * Find all role permission grants
+   * @returns {Promise<RolePermission[]>}
+   */
+  async findAll() {
+    return await RolePermission.findAll({
+      order: [['role', 'ASC'], ['permission', 'ASC']]
+    });
+  }
+
+  /**
+   * Count role permission grants
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return await RolePermission.count();
+  }
+
+  /**
+   * Create several grants at once
+   * @param {Object[]} grants - Grants ({ role, permission })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<RolePermission[]>}
+   */
+  async bulkCreate(grants, options = {}) {
+    return await RolePermission.bulkCreate(grants, {
+      ignoreDuplicates: true,
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Replace the permissions of a role
+   * @param {string} role - Role
+   * @param {string[]} permissions - Permissions to grant
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<void>}
+   */
+  async replaceForRole(role, permissions, options = {}) {
+    await RolePermission.destroy({
+      where: { role },
+      transaction: options.transaction
+    });
+
+    await RolePermission.bulkCreate(
+      permissions.map(permission => ({ role, permission })),
+      { transaction: options.transaction }
+    );
+  }
+}
+
+module.exports = new RolePermissionRepository();
@@ -0,0 +1,192 @@
+/**
+ * Webhook Repository
+ * Handles all database operations for webhook subscriptions and deliveries
+ */
+
+const { Op } = require('sequelize');
+const { WebhookSubscription, WebhookDelivery } = require('../models');
+const { WEBHOOK_DELIVERY_STATUS } = require('../utils/constants');
+
+class WebhookRepository {
+  /**
+   * Create a new subscription
+   * @param {Object} subscriptionData - Subscription data
+   * @returns {Promise<WebhookSubscription>}
+   */
+  async create(subscriptionData) {
+    return await WebhookSubscription.create(subscriptionData);
+  }
+
+  /**
+   * Find subscription by ID
+   * @param {number} id - Subscription ID
+   * @returns {Promise<WebhookSubscription|null>}
+   */
+  async findById(id) {
+    return await WebhookSubscription.findByPk(id);
+  }
+
+  /**
+   * Find all subscriptions with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<{rows: WebhookSubscription[], count: number}>}
+   */
+  async findAll(options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const offset = (page - 1) * limit;
+
+    return await WebhookSubscription.findAndCountAll({
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Find all active subscriptions
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<WebhookSubscription[]>}
+   */
+  async findActive(options = {}) {
+    return await WebhookSubscription.findAll({
+      where: { isActive: true },
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Update subscription
+   * @param {number} id - Subscription ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<[number]>}
+   */
+  async update(id, updateData) {
+    return await WebhookSubscription.update(updateData, {
+      where: { id }
+    });
+  }
+
+  /**
+   * Delete subscription (and its delivery log)
+   * @param {number} id - Subscription ID
+   * @returns {Promise<number>}
+   */
+  async delete(id) {
+    return await WebhookSubscription.destroy({
+      where: { id }
+    });
+  }
+
+  /**
+   * Check if subscription exists
+   * @param {number} id - Subscription ID
+   * @returns {Promise<boolean>}
+   */
+  async exists(id) {
+    const count = await WebhookSubscription.count({
+      where: { id }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Create deliveries, skipping events a subscription already has
+   * @param {Object[]} deliveries - Delivery data
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<WebhookDelivery[]>}
+   */
+  async createDeliveries(deliveries, options = {}) {
+    return await WebhookDelivery.bulkCreate(deliveries, {
+      ignoreDuplicates: true,
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Find delivery of a subscription
+   * @param {number} subscriptionId - Subscription ID
+   * @param {number} deliveryId - Delivery ID
+   * @param {boolean} includeSubscription - Include the subscription (with its secret)
+   * @returns {Promise<WebhookDelivery|null>}
+   */
+  async findDelivery(subscriptionId, deliveryId, includeSubscription = false) {
+    return await WebhookDelivery.findOne({
+      where: { id: deliveryId, subscriptionId },
+      include: includeSubscription ? [{ model: WebhookSubscription, as: 'subscription' }] : []
+    });
+  }
+
+  /**
+   * Find deliveries of a subscription, newest first
+   * @param {number} subscriptionId - Subscription ID
+   * @param {Object} options - Query options (page, limit, status)
+   * @returns {Promise<{rows: WebhookDelivery[], count: number}>}
+   */
+  async findDeliveries(subscriptionId, options = {}) {
+    const { page = 1, limit = 10, status } = options;
+    const offset = (page - 1) * limit;
+    const where = { subscriptionId };
+
+    if (status) {
+      where.status = status;
+    }
+
+    return await WebhookDelivery.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['id', 'DESC']]
+    });
+  }
+
+  /**
+   * Claim due deliveries: rows are locked, skipping rows another worker holds,
+   * and their next attempt is pushed back by the lease so they are not picked up
+   * again while being sent
+   * @param {number} limit - Maximum number of deliveries
+   * @param {number} leaseMs - Lease duration in milliseconds
+   * @param {Object} options - Query options (transaction required)
+   * @returns {Promise<WebhookDelivery[]>}
+   */
+  async claimDue(limit, leaseMs, options = {}) {
+    const { transaction } = options;
+
+    const deliveries = await WebhookDelivery.findAll({
+      where: {
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        nextAttemptAt: { [Op.lte]: new Date() }
+      },
+      include: [{ model: WebhookSubscription, as: 'subscription' }],
+      order: [['nextAttemptAt', 'ASC']],
+      limit,
+      transaction,
+      lock: transaction ? { level: transaction.LOCK.UPDATE, of: WebhookDelivery } : undefined,
+      skipLocked: Boolean(transaction)
+    });
+
+    if (deliveries.length) {
+      await WebhookDelivery.update({
+        nextAttemptAt: new Date(Date.now() + leaseMs)
+      }, {
+        where: { id: deliveries.map(delivery => delivery.id) },
+        transaction
+      });
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Update delivery
+   * @param {number} id - Delivery ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<[number]>}
+   */
+  async updateDelivery(id, updateData) {
+    return await WebhookDelivery.update(updateData, {
+      where: { id }
+    });
+  }
+}
+
+module.exports = new WebhookRepository();
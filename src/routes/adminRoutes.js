@@ -0,0 +1,21 @@
+const express = require('express');
+
+const DeadLetterController = require('../controllers/DeadLetterController');
+const {
+  validateDeadLetterReplay,
+  validatePagination
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/authorize');
+const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(standardRateLimiter);
+router.use(authorize(PERMISSION.QUEUE_MANAGE));
+
+router.get('/dead-letters', validatePagination, DeadLetterController.getDeadLetters);
+router.post('/dead-letters/replay', validateDeadLetterReplay, DeadLetterController.replayDeadLetters);
+router.get('/quarantine', validatePagination, DeadLetterController.getQuarantinedMessages);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+
+const ApiKeyController = require('../controllers/ApiKeyController');
+const {
+  validateApiKey,
+  validatePagination,
+  validateId
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/authorize');
+const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(standardRateLimiter);
+router.use(authorize(PERMISSION.API_KEY_MANAGE));
+
+router.post('/', validateApiKey, ApiKeyController.createApiKey);
+router.get('/', validatePagination, ApiKeyController.getAllApiKeys);
+router.delete('/:id', validateId, ApiKeyController.revokeApiKey);
+
+module.exports = router;
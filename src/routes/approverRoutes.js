@@ -0,0 +1,25 @@
+const express = require('express');
+
+const ApproverController = require('../controllers/ApproverController');
+const {
+  validatePagination,
+  validateEmployeeIdParam
+} = require('../middleware/validation');
+const { authorize, authorizeEmployeeAccess } = require('../middleware/authorize');
+const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(standardRateLimiter);
+
+router.get(
+  '/:employeeId/inbox',
+  authorize(PERMISSION.LEAVE_DECIDE),
+  validateEmployeeIdParam,
+  validatePagination,
+  authorizeEmployeeAccess('employeeId'),
+  ApproverController.getInbox
+);
+
+module.exports = router;
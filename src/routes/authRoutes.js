@@ -0,0 +1,12 @@
+const express = require('express');
+
+const AuthController = require('../controllers/AuthController');
+const { validateLogin } = require('../middleware/validation');
+const { strictRateLimiter, standardRateLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+router.post('/login', strictRateLimiter, validateLogin, AuthController.login);
+router.get('/me', standardRateLimiter, AuthController.getCurrentPrincipal);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+
+const BlackoutPeriodController = require('../controllers/BlackoutPeriodController');
+const {
+  validateBlackoutPeriod,
+  validateBlackoutPeriodUpdate,
+  validateBlackoutPeriodFilters,
+  validatePagination,
+  validateId
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/authorize');
+const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(standardRateLimiter);
+
+router.post(
+  '/',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateBlackoutPeriod,
+  BlackoutPeriodController.createBlackoutPeriod
+);
+router.get(
+  '/',
+  authorize(PERMISSION.LEAVE_READ),
+  validatePagination,
+  validateBlackoutPeriodFilters,
+  BlackoutPeriodController.getAllBlackoutPeriods
+);
+router.get(
+  '/:id',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  BlackoutPeriodController.getBlackoutPeriodById
+);
+router.put(
+  '/:id',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateId,
+  validateBlackoutPeriodUpdate,
+  BlackoutPeriodController.updateBlackoutPeriod
+);
+router.delete(
+  '/:id',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateId,
+  BlackoutPeriodController.deleteBlackoutPeriod
+);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+
+const CalendarFeedController = require('../controllers/CalendarFeedController');
+const {
+  validateCalendarFeedToken,
+  validatePagination,
+  validateId
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/authorize');
+const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(standardRateLimiter);
+
+// Public: the token in the URL is the credential (see middleware/authenticate)
+router.get('/:token/leave.ics', CalendarFeedController.getFeedByToken);
+
+router.post(
+  '/',
+  authorize(PERMISSION.LEAVE_READ),
+  validateCalendarFeedToken,
+  CalendarFeedController.createFeedToken
+);
+router.get(
+  '/',
+  authorize(PERMISSION.LEAVE_READ),
+  validatePagination,
+  CalendarFeedController.getFeedTokens
+);
+router.delete(
+  '/:id',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  CalendarFeedController.revokeFeedToken
+);
+
+module.exports = router;
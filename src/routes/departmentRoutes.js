@@ -1,27 +1,93 @@
 const express = require('express');
 
 const DepartmentController = require('../controllers/DepartmentController');
+const CalendarFeedController = require('../controllers/CalendarFeedController');
 const {
   validateDepartment,
+  validateApprovalChain,
+  validateCalendarFeedQuery,
+  validateAvailabilityRange,
   validatePagination,
   validateId
 } = require('../middleware/validation');
+const { authorize } = require('../middleware/authorize');
 const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
 
 const router = express.Router();
 
 router.use(standardRateLimiter);
 
-router.post('/', validateDepartment, DepartmentController.createDepartment);
-router.get('/', validatePagination, DepartmentController.getAllDepartments);
-router.get('/:id', validateId, DepartmentController.getDepartmentById);
+router.post(
+  '/',
+  authorize(PERMISSION.DEPARTMENT_MANAGE),
+  validateDepartment,
+  DepartmentController.createDepartment
+);
+router.get(
+  '/',
+  authorize(PERMISSION.DEPARTMENT_READ),
+  validatePagination,
+  DepartmentController.getAllDepartments
+);
+router.get(
+  '/:id',
+  authorize(PERMISSION.DEPARTMENT_READ),
+  validateId,
+  DepartmentController.getDepartmentById
+);
 router.get(
   '/:id/employees',
+  authorize(PERMISSION.EMPLOYEE_READ),
   validateId,
   validatePagination,
   DepartmentController.getDepartmentWithEmployees
 );
-router.put('/:id', validateId, validateDepartment, DepartmentController.updateDepartment);
-router.delete('/:id', validateId, DepartmentController.deleteDepartment);
+router.put(
+  '/:id',
+  authorize(PERMISSION.DEPARTMENT_MANAGE),
+  validateId,
+  validateDepartment,
+  DepartmentController.updateDepartment
+);
+router.delete(
+  '/:id',
+  authorize(PERMISSION.DEPARTMENT_MANAGE),
+  validateId,
+  DepartmentController.deleteDepartment
+);
+router.get(
+  '/:id/approval-chain',
+  authorize(PERMISSION.DEPARTMENT_READ),
+  validateId,
+  DepartmentController.getApprovalChain
+);
+router.put(
+  '/:id/approval-chain',
+  authorize(PERMISSION.DEPARTMENT_MANAGE),
+  validateId,
+  validateApprovalChain,
+  DepartmentController.setApprovalChain
+);
+router.delete(
+  '/:id/approval-chain',
+  authorize(PERMISSION.DEPARTMENT_MANAGE),
+  validateId,
+  DepartmentController.deleteApprovalChain
+);
+router.get(
+  '/:id/availability',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  validateAvailabilityRange,
+  DepartmentController.getDepartmentAvailability
+);
+router.get(
+  '/:id/leave.ics',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  validateCalendarFeedQuery,
+  CalendarFeedController.getDepartmentFeed
+);
 
 module.exports = router;
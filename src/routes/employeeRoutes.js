@@ -1,36 +1,126 @@
 const express = require('express');
 
 const EmployeeController = require('../controllers/EmployeeController');
+const CalendarFeedController = require('../controllers/CalendarFeedController');
 const {
   validateEmployee,
+  validateEmployeeImportQuery,
   validateEmployeeUpdate,
+  validateCalendarFeedQuery,
   validatePagination,
   validateEmployeeListFilters,
+  validateExportFormat,
+  validateNotificationPreferences,
+  validateNotificationFilters,
   validateId,
-  validateStatusQuery
+  validateStatusQuery,
+  validateYearQuery
 } = require('../middleware/validation');
+const { authorize, authorizeEmployeeAccess } = require('../middleware/authorize');
 const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION, SPREADSHEET_CONTENT_TYPE } = require('../utils/constants');
 
 const router = express.Router();
 
 router.use(standardRateLimiter);
 
-router.post('/', validateEmployee, EmployeeController.createEmployee);
+router.post(
+  '/',
+  authorize(PERMISSION.EMPLOYEE_MANAGE),
+  validateEmployee,
+  EmployeeController.createEmployee
+);
+router.post(
+  '/import',
+  authorize(PERMISSION.EMPLOYEE_MANAGE),
+  validateEmployeeImportQuery,
+  express.raw({
+    type: [...Object.values(SPREADSHEET_CONTENT_TYPE), 'application/csv', 'text/plain'],
+    limit: '5mb'
+  }),
+  EmployeeController.importEmployees
+);
 router.get(
   '/',
+  authorize(PERMISSION.EMPLOYEE_READ),
   validatePagination,
   validateEmployeeListFilters,
   EmployeeController.getAllEmployees
 );
-router.get('/:id', validateId, EmployeeController.getEmployeeById);
-router.put('/:id', validateId, validateEmployeeUpdate, EmployeeController.updateEmployee);
-router.delete('/:id', validateId, EmployeeController.deleteEmployee);
+// Declared before /:id so "export" is not taken for an ID
+router.get(
+  '/export',
+  authorize(PERMISSION.EMPLOYEE_READ),
+  validateEmployeeListFilters,
+  validateExportFormat,
+  EmployeeController.exportEmployees
+);
+router.get(
+  '/:id',
+  authorize(PERMISSION.EMPLOYEE_READ),
+  validateId,
+  authorizeEmployeeAccess('id'),
+  EmployeeController.getEmployeeById
+);
+router.put(
+  '/:id',
+  authorize(PERMISSION.EMPLOYEE_MANAGE),
+  validateId,
+  validateEmployeeUpdate,
+  EmployeeController.updateEmployee
+);
+router.delete(
+  '/:id',
+  authorize(PERMISSION.EMPLOYEE_MANAGE),
+  validateId,
+  EmployeeController.deleteEmployee
+);
 router.get(
   '/:id/leave-requests',
+  authorize(PERMISSION.LEAVE_READ),
   validateId,
   validatePagination,
   validateStatusQuery,
+  authorizeEmployeeAccess('id'),
   EmployeeController.getEmployeeWithLeaveRequests
 );
+router.get(
+  '/:id/leave-balance',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  validateYearQuery,
+  authorizeEmployeeAccess('id'),
+  EmployeeController.getLeaveBalance
+);
+router.get(
+  '/:id/leave.ics',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  validateCalendarFeedQuery,
+  CalendarFeedController.getEmployeeFeed
+);
+router.get(
+  '/:id/notification-preferences',
+  authorize(PERMISSION.EMPLOYEE_READ),
+  validateId,
+  authorizeEmployeeAccess('id'),
+  EmployeeController.getNotificationPreferences
+);
+router.put(
+  '/:id/notification-preferences',
+  authorize(PERMISSION.EMPLOYEE_READ),
+  validateId,
+  validateNotificationPreferences,
+  EmployeeController.updateNotificationPreferences
+);
+router.get(
+  '/:id/notifications',
+  authorize(PERMISSION.EMPLOYEE_READ),
+  validateId,
+  validatePagination,
+  validateNotificationFilters,
+  authorizeEmployeeAccess('id'),
+  EmployeeController.getNotifications
+);
 
 module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+
+const HolidayCalendarController = require('../controllers/HolidayCalendarController');
+const {
+  validateHolidayCalendar,
+  validateHolidayCalendarUpdate,
+  validateHoliday,
+  validatePagination,
+  validateId,
+  validateYearQuery,
+  buildIdValidator
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/authorize');
+const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(standardRateLimiter);
+
+router.post(
+  '/',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateHolidayCalendar,
+  HolidayCalendarController.createHolidayCalendar
+);
+router.get(
+  '/',
+  authorize(PERMISSION.LEAVE_READ),
+  validatePagination,
+  HolidayCalendarController.getAllHolidayCalendars
+);
+router.get(
+  '/:id',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  HolidayCalendarController.getHolidayCalendarById
+);
+router.put(
+  '/:id',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateId,
+  validateHolidayCalendarUpdate,
+  HolidayCalendarController.updateHolidayCalendar
+);
+router.delete(
+  '/:id',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateId,
+  HolidayCalendarController.deleteHolidayCalendar
+);
+router.get(
+  '/:id/holidays',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  validateYearQuery,
+  HolidayCalendarController.getHolidays
+);
+router.post(
+  '/:id/holidays',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateId,
+  validateHoliday,
+  HolidayCalendarController.addHoliday
+);
+router.delete(
+  '/:id/holidays/:holidayId',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateId,
+  buildIdValidator('holidayId'),
+  HolidayCalendarController.deleteHoliday
+);
+router.post(
+  '/:id/import',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateId,
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }),
+  HolidayCalendarController.importHolidays
+);
+
+module.exports = router;
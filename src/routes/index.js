@@ -1,13 +1,33 @@
 const express = require('express');
 
+const authRoutes = require('./authRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
+const roleRoutes = require('./roleRoutes');
 const departmentRoutes = require('./departmentRoutes');
 const employeeRoutes = require('./employeeRoutes');
 const leaveRequestRoutes = require('./leaveRequestRoutes');
+const leaveTypeRoutes = require('./leaveTypeRoutes');
+const holidayCalendarRoutes = require('./holidayCalendarRoutes');
+const approverRoutes = require('./approverRoutes');
+const adminRoutes = require('./adminRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const calendarFeedRoutes = require('./calendarFeedRoutes');
+const blackoutPeriodRoutes = require('./blackoutPeriodRoutes');
 
 const router = express.Router();
 
+router.use('/auth', authRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/roles', roleRoutes);
 router.use('/departments', departmentRoutes);
 router.use('/employees', employeeRoutes);
 router.use('/leave-requests', leaveRequestRoutes);
+router.use('/leave-types', leaveTypeRoutes);
+router.use('/holiday-calendars', holidayCalendarRoutes);
+router.use('/approvers', approverRoutes);
+router.use('/admin', adminRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/calendar-feeds', calendarFeedRoutes);
+router.use('/blackout-periods', blackoutPeriodRoutes);
 
 module.exports = router;
@@ -1,46 +1,122 @@
 const express = require('express');
 
 const LeaveRequestController = require('../controllers/LeaveRequestController');
+const CalendarFeedController = require('../controllers/CalendarFeedController');
 const {
   validateLeaveRequest,
+  validateLeaveRequestUpdate,
+  validateCalendarFeedQuery,
   validatePagination,
   validateLeaveRequestFilters,
+  validateExportFormat,
   validateStatus,
+  validateBulkStatus,
   validateId,
-  validateEmployeeIdBody,
+  validateCancellation,
+  validateWithdrawal,
   validateEmployeeIdParam,
   validateYearQuery
 } = require('../middleware/validation');
+const {
+  authorize,
+  authorizeEmployeeAccess,
+  authorizeLeaveRequestAccess
+} = require('../middleware/authorize');
 const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
 
 const router = express.Router();
 
 router.use(standardRateLimiter);
 
-router.post('/', validateLeaveRequest, LeaveRequestController.createLeaveRequest);
+router.post(
+  '/',
+  authorize(PERMISSION.LEAVE_CREATE),
+  validateLeaveRequest,
+  LeaveRequestController.createLeaveRequest
+);
+router.post(
+  '/bulk-status',
+  authorize(PERMISSION.LEAVE_DECIDE),
+  validateBulkStatus,
+  LeaveRequestController.bulkUpdateLeaveRequestStatus
+);
 router.get(
   '/',
+  authorize(PERMISSION.LEAVE_READ),
   validatePagination,
   validateLeaveRequestFilters,
   LeaveRequestController.getAllLeaveRequests
 );
-router.get('/:id', validateId, LeaveRequestController.getLeaveRequestById);
+// Declared before /:id so "export" and "leave.ics" are not taken for an ID
+router.get(
+  '/export',
+  authorize(PERMISSION.LEAVE_READ),
+  validateLeaveRequestFilters,
+  validateExportFormat,
+  LeaveRequestController.exportLeaveRequests
+);
+router.get(
+  '/leave.ics',
+  authorize(PERMISSION.LEAVE_READ),
+  validateCalendarFeedQuery,
+  CalendarFeedController.getCompanyFeed
+);
+router.get(
+  '/:id',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  authorizeLeaveRequestAccess,
+  LeaveRequestController.getLeaveRequestById
+);
+router.put(
+  '/:id',
+  authorize(PERMISSION.LEAVE_CREATE),
+  validateId,
+  validateLeaveRequestUpdate,
+  LeaveRequestController.updateLeaveRequest
+);
+router.get(
+  '/:id/approvals',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  authorizeLeaveRequestAccess,
+  LeaveRequestController.getLeaveRequestApprovals
+);
+router.get(
+  '/:id/history',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  authorizeLeaveRequestAccess,
+  LeaveRequestController.getLeaveRequestHistory
+);
 router.patch(
   '/:id/status',
+  authorize(PERMISSION.LEAVE_DECIDE),
   validateId,
   validateStatus,
   LeaveRequestController.updateLeaveRequestStatus
 );
+router.post(
+  '/:id/withdraw',
+  authorize(PERMISSION.LEAVE_CANCEL),
+  validateId,
+  validateWithdrawal,
+  LeaveRequestController.withdrawLeaveRequest
+);
 router.delete(
   '/:id',
+  authorize(PERMISSION.LEAVE_CANCEL),
   validateId,
-  validateEmployeeIdBody,
+  validateCancellation,
   LeaveRequestController.cancelLeaveRequest
 );
 router.get(
   '/stats/:employeeId',
+  authorize(PERMISSION.LEAVE_READ),
   validateEmployeeIdParam,
   validateYearQuery,
+  authorizeEmployeeAccess('employeeId'),
   LeaveRequestController.getEmployeeLeaveStats
 );
 
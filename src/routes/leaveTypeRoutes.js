@@ -0,0 +1,50 @@
+const express = require('express');
+
+const LeaveTypeController = require('../controllers/LeaveTypeController');
+const {
+  validateLeaveType,
+  validateLeaveTypeUpdate,
+  validatePagination,
+  validateId
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/authorize');
+const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(standardRateLimiter);
+
+router.post(
+  '/',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateLeaveType,
+  LeaveTypeController.createLeaveType
+);
+router.get(
+  '/',
+  authorize(PERMISSION.LEAVE_READ),
+  validatePagination,
+  LeaveTypeController.getAllLeaveTypes
+);
+router.get(
+  '/:id',
+  authorize(PERMISSION.LEAVE_READ),
+  validateId,
+  LeaveTypeController.getLeaveTypeById
+);
+router.put(
+  '/:id',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateId,
+  validateLeaveTypeUpdate,
+  LeaveTypeController.updateLeaveType
+);
+router.delete(
+  '/:id',
+  authorize(PERMISSION.LEAVE_CONFIG_MANAGE),
+  validateId,
+  LeaveTypeController.deleteLeaveType
+);
+
+module.exports = router;
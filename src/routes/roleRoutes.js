@@ -0,0 +1,17 @@
+const express = require('express');
+
+const RoleController = require('../controllers/RoleController');
+const { validateRolePermissions } = require('../middleware/validation');
+const { authorize } = require('../middleware/authorize');
+const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(standardRateLimiter);
+router.use(authorize(PERMISSION.ROLE_MANAGE));
+
+router.get('/', RoleController.getRoles);
+router.put('/:role/permissions', validateRolePermissions, RoleController.updateRolePermissions);
+
+module.exports = router;
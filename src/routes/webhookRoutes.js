@@ -0,0 +1,40 @@
+const express = require('express');
+
+const WebhookController = require('../controllers/WebhookController');
+const {
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookDeliveryFilters,
+  validatePagination,
+  validateId,
+  buildIdValidator
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/authorize');
+const { standardRateLimiter } = require('../middleware/rateLimiter');
+const { PERMISSION } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(standardRateLimiter);
+router.use(authorize(PERMISSION.WEBHOOK_MANAGE));
+
+router.post('/', validateWebhook, WebhookController.createWebhook);
+router.get('/', validatePagination, WebhookController.getAllWebhooks);
+router.get('/:id', validateId, WebhookController.getWebhookById);
+router.put('/:id', validateId, validateWebhookUpdate, WebhookController.updateWebhook);
+router.delete('/:id', validateId, WebhookController.deleteWebhook);
+router.get(
+  '/:id/deliveries',
+  validateId,
+  validatePagination,
+  validateWebhookDeliveryFilters,
+  WebhookController.getDeliveries
+);
+router.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  validateId,
+  buildIdValidator('deliveryId'),
+  WebhookController.redeliver
+);
+
+module.exports = router;
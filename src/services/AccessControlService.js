@@ -0,0 +1,279 @@
+/**
+ * AccessControl Service
+ * Role permissions and row-level access rules for authenticated principals
+ */
+
+const RolePermissionRepository = require('../repositories/RolePermissionRepository');
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const DepartmentRepository = require('../repositories/DepartmentRepository');
+const LeaveRequestRepository = require('../repositories/LeaveRequestRepository');
+const { sequelize } = require('../config/database');
+const {
+  DEFAULT_ROLE_PERMISSIONS,
+  HTTP_STATUS,
+  PERMISSION,
+  PRINCIPAL_TYPE,
+  ROLE,
+  UNRESTRICTED_ROLES
+} = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class AccessControlService {
+  constructor() {
+    // role -> Set of permissions, loaded lazily from role_permissions
+    this.permissionsByRole = null;
+  }
+
+  /**
+   * Load (and cache) the permissions granted to each role
+   * @returns {Promise<Map<string, Set<string>>>}
+   */
+  async getPermissionMap() {
+    if (!this.permissionsByRole) {
+      const grants = await RolePermissionRepository.findAll();
+      const permissionsByRole = new Map();
+
+      grants.forEach(grant => {
+        if (!permissionsByRole.has(grant.role)) {
+          permissionsByRole.set(grant.role, new Set());
+        }
+        permissionsByRole.get(grant.role).add(grant.permission);
+      });
+
+      this.permissionsByRole = permissionsByRole;
+    }
+
+    return this.permissionsByRole;
+  }
+
+  /**
+   * Check whether a role grants a permission
+   * @param {string} role - Role
+   * @param {string} permission - Permission
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission(role, permission) {
+    if (role === ROLE.ADMIN) {
+      return true;
+    }
+
+    const permissionsByRole = await this.getPermissionMap();
+    const permissions = permissionsByRole.get(role);
+
+    return Boolean(permissions && permissions.has(permission));
+  }
+
+  /**
+   * Seed the default role permissions when none are stored yet
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultRolePermissions() {
+    const existing = await RolePermissionRepository.count();
+
+    if (existing > 0) {
+      return;
+    }
+
+    const grants = Object.entries(DEFAULT_ROLE_PERMISSIONS).flatMap(
+      ([role, permissions]) => permissions.map(permission => ({ role, permission }))
+    );
+
+    await RolePermissionRepository.bulkCreate(grants);
+    this.permissionsByRole = null;
+
+    logger.info('Default role permissions seeded', { grants: grants.length });
+  }
+
+  /**
+   * Get every role with its permissions
+   * @returns {Promise<Object>}
+   */
+  async getRoles() {
+    try {
+      const permissionsByRole = await this.getPermissionMap();
+
+      const roles = Object.values(ROLE).map(role => ({
+        role,
+        permissions: role === ROLE.ADMIN
+          ? Object.values(PERMISSION)
+          : Array.from(permissionsByRole.get(role) || []).sort(),
+        editable: role !== ROLE.ADMIN
+      }));
+
+      return {
+        success: true,
+        data: roles
+      };
+    } catch (error) {
+      logger.error('Error fetching roles', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the permissions of a role
+   * @param {string} role - Role
+   * @param {string[]} permissions - Permissions to grant
+   * @returns {Promise<Object>}
+   */
+  async updateRolePermissions(role, permissions) {
+    try {
+      if (role === ROLE.ADMIN) {
+        throw new AppError('ADMIN permissions cannot be changed', HTTP_STATUS.CONFLICT);
+      }
+
+      const uniquePermissions = Array.from(new Set(permissions));
+
+      await sequelize.transaction(async (transaction) => {
+        await RolePermissionRepository.replaceForRole(role, uniquePermissions, { transaction });
+      });
+      this.permissionsByRole = null;
+
+      logger.info('Role permissions updated', { role, permissions: uniquePermissions });
+
+      return {
+        success: true,
+        data: {
+          role,
+          permissions: uniquePermissions.sort(),
+          editable: true
+        }
+      };
+    } catch (error) {
+      logger.error('Error updating role permissions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a principal may see every employee's records
+   * @param {Object} principal - Authenticated principal
+   * @returns {boolean}
+   */
+  hasUnrestrictedAccess(principal) {
+    return Boolean(principal && UNRESTRICTED_ROLES.includes(principal.role));
+  }
+
+  /**
+   * Build the row-level scope applied to list queries
+   * @param {Object} principal - Authenticated principal
+   * @returns {Object|null} null when unrestricted, otherwise { employeeId, includeReports }
+   */
+  getAccessScope(principal) {
+    if (this.hasUnrestrictedAccess(principal)) {
+      return null;
+    }
+
+    if (!principal || principal.type !== PRINCIPAL_TYPE.EMPLOYEE) {
+      throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+    }
+
+    return {
+      employeeId: principal.employeeId,
+      includeReports: principal.role === ROLE.MANAGER
+    };
+  }
+
+  /**
+   * Ensure a principal may access an employee's records:
+   * themselves, their direct reports (managers) or anyone (HR and admins)
+   * @param {Object} principal - Authenticated principal
+   * @param {number} employeeId - Employee ID
+   * @returns {Promise<void>}
+   */
+  async assertCanAccessEmployee(principal, employeeId) {
+    const scope = this.getAccessScope(principal);
+    const id = parseInt(employeeId);
+
+    if (!scope || scope.employeeId === id) {
+      return;
+    }
+
+    if (scope.includeReports) {
+      const employee = await EmployeeRepository.findById(id);
+
+      // Unknown employees are reported as such by the service
+      if (!employee || employee.managerId === scope.employeeId) {
+        return;
+      }
+    }
+
+    throw new AppError('You do not have access to this employee', HTTP_STATUS.FORBIDDEN);
+  }
+
+  /**
+   * Ensure a principal may see the leave of a whole department:
+   * its members and head, or anyone (HR and admins)
+   * @param {Object} principal - Authenticated principal
+   * @param {number} departmentId - Department ID
+   * @returns {Promise<void>}
+   */
+  async assertCanAccessDepartmentLeave(principal, departmentId) {
+    const scope = this.getAccessScope(principal);
+    const id = parseInt(departmentId);
+
+    if (!scope) {
+      return;
+    }
+
+    const [employee, department] = await Promise.all([
+      EmployeeRepository.findById(scope.employeeId),
+      DepartmentRepository.findById(id)
+    ]);
+
+    // Unknown departments are reported as such by the service
+    if (!department || (employee && employee.departmentId === id) ||
+      department.headId === scope.employeeId) {
+      return;
+    }
+
+    throw new AppError('You do not have access to this department', HTTP_STATUS.FORBIDDEN);
+  }
+
+  /**
+   * Ensure a principal may access a leave request
+   * @param {Object} principal - Authenticated principal
+   * @param {number} leaveRequestId - Leave request ID
+   * @returns {Promise<void>}
+   */
+  async assertCanAccessLeaveRequest(principal, leaveRequestId) {
+    if (this.hasUnrestrictedAccess(principal)) {
+      return;
+    }
+
+    const leaveRequest = await LeaveRequestRepository.findById(leaveRequestId);
+
+    if (leaveRequest) {
+      await this.assertCanAccessEmployee(principal, leaveRequest.employeeId);
+    }
+  }
+
+  /**
+   * Ensure a principal may decide a leave request: its assigned approver, the
+   * employee's manager, or HR and admins. Only admins may decide their own leave.
+   * @param {Object} principal - Authenticated principal
+   * @param {Object} leaveRequest - Leave request
+   * @returns {Promise<void>}
+   */
+  async assertCanDecideLeaveRequest(principal, leaveRequest) {
+    if (principal && principal.role === ROLE.ADMIN) {
+      return;
+    }
+
+    const isOwnRequest = principal && principal.type === PRINCIPAL_TYPE.EMPLOYEE &&
+      principal.employeeId === leaveRequest.employeeId;
+
+    if (isOwnRequest) {
+      throw new AppError('You cannot decide your own leave request', HTTP_STATUS.FORBIDDEN);
+    }
+
+    if (this.hasUnrestrictedAccess(principal) || leaveRequest.approverId === principal.employeeId) {
+      return;
+    }
+
+    await this.assertCanAccessEmployee(principal, leaveRequest.employeeId);
+  }
+}
+
+module.exports = new AccessControlService();
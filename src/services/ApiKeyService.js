@@ -0,0 +1,138 @@
+/**
+ * ApiKey Service
+ * Contains business logic for service API keys
+ */
+
+const crypto = require('crypto');
+
+const ApiKeyRepository = require('../repositories/ApiKeyRepository');
+const AuthService = require('./AuthService');
+const authConfig = require('../config/auth');
+const { API_KEY_PREFIX, PRINCIPAL_TYPE, ROLE } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX_LENGTH = 12;
+
+class ApiKeyService {
+  /**
+   * Create a new API key. The plain text key is only returned here.
+   * @param {Object} apiKeyData - API key data ({ name, role, expiresAt })
+   * @param {Object} principal - Authenticated principal creating the key
+   * @returns {Promise<Object>}
+   */
+  async createApiKey(apiKeyData, principal = {}) {
+    try {
+      const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+      const apiKey = await ApiKeyRepository.create({
+        name: apiKeyData.name,
+        role: apiKeyData.role || ROLE.HR,
+        expiresAt: apiKeyData.expiresAt || null,
+        keyPrefix: key.slice(0, KEY_PREFIX_LENGTH),
+        keyHash: AuthService.hashApiKey(key),
+        createdById: principal.type === PRINCIPAL_TYPE.EMPLOYEE ? principal.employeeId : null
+      });
+
+      logger.info('API key created', { apiKeyId: apiKey.id });
+
+      return {
+        success: true,
+        data: {
+          ...apiKey.toJSON(),
+          key
+        },
+        message: 'Store this key now, it cannot be retrieved again'
+      };
+    } catch (error) {
+      logger.error('Error creating API key', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all API keys with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>}
+   */
+  async getAllApiKeys(options = {}) {
+    try {
+      const { rows, count } = await ApiKeyRepository.findAll(options);
+
+      const { page = 1, limit = 10 } = options;
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching API keys', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {number} id - API key ID
+   * @returns {Promise<Object>}
+   */
+  async revokeApiKey(id) {
+    try {
+      const apiKey = await ApiKeyRepository.findById(id);
+
+      if (!apiKey) {
+        throw new Error('API key not found');
+      }
+
+      if (!apiKey.revokedAt) {
+        await ApiKeyRepository.update(id, { revokedAt: new Date() });
+      }
+
+      logger.info('API key revoked', { apiKeyId: id });
+
+      return {
+        success: true,
+        message: 'API key revoked successfully'
+      };
+    } catch (error) {
+      logger.error('Error revoking API key', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register the bootstrap API key from AUTH_BOOTSTRAP_API_KEY, if set
+   * @returns {Promise<void>}
+   */
+  async ensureBootstrapApiKey() {
+    const key = authConfig.bootstrapApiKey;
+
+    if (!key) {
+      return;
+    }
+
+    const keyHash = AuthService.hashApiKey(key);
+    const existing = await ApiKeyRepository.findByHash(keyHash);
+
+    if (existing) {
+      return;
+    }
+
+    await ApiKeyRepository.create({
+      name: 'bootstrap',
+      role: ROLE.ADMIN,
+      keyPrefix: key.slice(0, KEY_PREFIX_LENGTH),
+      keyHash
+    });
+
+    logger.info('Bootstrap API key registered');
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,122 @@
+/**
+ * ApprovalChain Service
+ * Contains business logic for configuring department approval chains
+ */
+
+const ApprovalChainRepository = require('../repositories/ApprovalChainRepository');
+const DepartmentRepository = require('../repositories/DepartmentRepository');
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const { sequelize } = require('../config/database');
+const { APPROVER_ROLE } = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class ApprovalChainService {
+  /**
+   * Get the approval chain of a department
+   * @param {number} departmentId - Department ID
+   * @returns {Promise<Object>}
+   */
+  async getDepartmentApprovalChain(departmentId) {
+    try {
+      const departmentExists = await DepartmentRepository.exists(departmentId);
+
+      if (!departmentExists) {
+        throw new Error('Department not found');
+      }
+
+      const chain = await ApprovalChainRepository.findByDepartmentId(departmentId);
+
+      if (!chain) {
+        throw new Error('Approval chain not found for this department');
+      }
+
+      return {
+        success: true,
+        data: chain
+      };
+    } catch (error) {
+      logger.error('Error fetching approval chain', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the approval chain of a department
+   * @param {number} departmentId - Department ID
+   * @param {Object} chainData - Chain data ({ name, stages: [{ approverRole, approverId, minDurationDays }] })
+   * @returns {Promise<Object>}
+   */
+  async setDepartmentApprovalChain(departmentId, chainData) {
+    try {
+      const department = await DepartmentRepository.findById(departmentId);
+
+      if (!department) {
+        throw new Error('Department not found');
+      }
+
+      const stages = chainData.stages.map((stage, index) => ({
+        stageOrder: index + 1,
+        approverRole: stage.approverRole,
+        approverId: stage.approverId || null,
+        minDurationDays: stage.minDurationDays ?? null
+      }));
+
+      for (const stage of stages) {
+        if (stage.approverRole === APPROVER_ROLE.HR && !stage.approverId) {
+          throw new AppError(`Stage ${stage.stageOrder}: HR stages require an approverId`);
+        }
+
+        if (stage.approverId && !(await EmployeeRepository.exists(stage.approverId))) {
+          throw new AppError(`Stage ${stage.stageOrder}: approver does not exist`);
+        }
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await ApprovalChainRepository.replaceForDepartment(departmentId, {
+          name: chainData.name || `${department.name} approval chain`,
+          stages
+        }, { transaction });
+      });
+
+      const chain = await ApprovalChainRepository.findByDepartmentId(departmentId);
+
+      logger.info('Approval chain updated', { departmentId, stages: stages.length });
+
+      return {
+        success: true,
+        data: chain
+      };
+    } catch (error) {
+      logger.error('Error updating approval chain', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the approval chain of a department (falls back to manager approval)
+   * @param {number} departmentId - Department ID
+   * @returns {Promise<Object>}
+   */
+  async deleteDepartmentApprovalChain(departmentId) {
+    try {
+      const deleted = await ApprovalChainRepository.deleteByDepartmentId(departmentId);
+
+      if (!deleted) {
+        throw new Error('Approval chain not found for this department');
+      }
+
+      logger.info('Approval chain deleted', { departmentId });
+
+      return {
+        success: true,
+        message: 'Approval chain deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting approval chain', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ApprovalChainService();
@@ -0,0 +1,265 @@
+/**
+ * ApprovalRouting Service
+ * Decides who must approve a leave request, tracks per-stage decisions
+ * and serves approver inboxes
+ */
+
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const LeaveRequestRepository = require('../repositories/LeaveRequestRepository');
+const ApprovalChainRepository = require('../repositories/ApprovalChainRepository');
+const LeaveApprovalRepository = require('../repositories/LeaveApprovalRepository');
+const OutboxService = require('./OutboxService');
+const {
+  APPROVER_ROLE,
+  HTTP_STATUS,
+  LEAVE_APPROVAL_STATUS,
+  LEAVE_REQUEST_STATUS,
+  QUEUE_EVENTS
+} = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { leavePeriodPayload, leaveRequestCorrelationId } = require('../utils/events');
+const logger = require('../utils/logger');
+
+// Used for departments without a configured approval chain
+const DEFAULT_STAGES = [
+  { stageOrder: 1, approverRole: APPROVER_ROLE.MANAGER, approverId: null, minDurationDays: null }
+];
+
+class ApprovalRoutingService {
+  /**
+   * Pick the first candidate who is not the requesting employee
+   * @param {Object} employee - Requesting employee
+   * @param {Array<number|null>} candidates - Candidate approver IDs in order of preference
+   * @returns {number|null}
+   */
+  pickApprover(employee, candidates) {
+    const approverId = candidates.find(candidateId => candidateId && candidateId !== employee.id);
+    return approverId || null;
+  }
+
+  /**
+   * Resolve the approver of a chain stage for an employee
+   * @param {Object} employee - Requesting employee (with department)
+   * @param {Object} stage - Chain stage
+   * @returns {number|null}
+   */
+  resolveStageApprover(employee, stage) {
+    const headId = employee.department ? employee.department.headId : null;
+
+    switch (stage.approverRole) {
+      case APPROVER_ROLE.MANAGER:
+        return this.pickApprover(employee, [employee.managerId, headId]);
+      case APPROVER_ROLE.DEPARTMENT_HEAD:
+        return this.pickApprover(employee, [headId, employee.managerId]);
+      case APPROVER_ROLE.HR:
+        return this.pickApprover(employee, [stage.approverId]);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Create the approval stages a leave request must pass and return the first approver.
+   * Stages whose duration condition is not met are skipped, as are consecutive
+   * stages that would ask the same person twice.
+   * @param {Object} leaveRequest - Leave request moving to PENDING_APPROVAL
+   * @param {number} duration - Leave duration in working days
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<number|null>} Approver of the first stage
+   */
+  async createApprovalStages(leaveRequest, duration, options = {}) {
+    const employee = await EmployeeRepository.findById(leaveRequest.employeeId, true);
+
+    if (!employee) {
+      return null;
+    }
+
+    const chain = await ApprovalChainRepository.findByDepartmentId(employee.departmentId, options);
+    const chainStages = chain && chain.stages.length ? chain.stages : DEFAULT_STAGES;
+
+    const approvals = [];
+
+    chainStages
+      .filter(stage => stage.minDurationDays === null || duration >= Number(stage.minDurationDays))
+      .forEach(stage => {
+        const approverId = this.resolveStageApprover(employee, stage);
+        const previous = approvals[approvals.length - 1];
+
+        if (previous && approverId && previous.approverId === approverId) {
+          return;
+        }
+
+        approvals.push({
+          leaveRequestId: leaveRequest.id,
+          stageOrder: approvals.length + 1,
+          approverRole: stage.approverRole,
+          approverId,
+          status: LEAVE_APPROVAL_STATUS.PENDING
+        });
+      });
+
+    if (!approvals.length) {
+      return null;
+    }
+
+    await LeaveApprovalRepository.bulkCreate(approvals, options);
+
+    logger.info('Approval stages created', {
+      leaveRequestId: leaveRequest.id,
+      stages: approvals.map(approval => approval.approverRole)
+    });
+
+    return approvals[0].approverId;
+  }
+
+  /**
+   * Record an approver's decision on the current stage of a leave request
+   * @param {Object} leaveRequest - Leave request awaiting approval
+   * @param {string} decision - APPROVED or REJECTED
+   * @param {Object} actor - Decision details ({ approverId, comment, override })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<{finalStatus: string|null, nextApproverId: number|null, nextStageOrder: number|null}>}
+   *   finalStatus is null while further stages still have to approve
+   */
+  async recordDecision(leaveRequest, decision, actor = {}, options = {}) {
+    const approvals = await LeaveApprovalRepository.findByLeaveRequest(leaveRequest.id, options);
+    const pendingStages = approvals.filter(
+      approval => approval.status === LEAVE_APPROVAL_STATUS.PENDING
+    );
+
+    // Requests routed before approval chains existed are decided in one step
+    if (!pendingStages.length) {
+      return { finalStatus: decision, nextApproverId: null, nextStageOrder: null };
+    }
+
+    const [currentStage, nextStage] = pendingStages;
+    const actorId = actor.approverId ? parseInt(actor.approverId) : null;
+
+    if (currentStage.approverId && currentStage.approverId !== actorId && !actor.override) {
+      throw new AppError(
+        `Stage ${currentStage.stageOrder} (${currentStage.approverRole}) must be decided by its assigned approver`,
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const stageStatus = decision === LEAVE_REQUEST_STATUS.APPROVED
+      ? LEAVE_APPROVAL_STATUS.APPROVED
+      : LEAVE_APPROVAL_STATUS.REJECTED;
+
+    const [updated] = await LeaveApprovalRepository.recordDecision(currentStage.id, {
+      status: stageStatus,
+      decidedById: actorId,
+      comment: actor.comment
+    }, options);
+
+    if (!updated) {
+      throw new AppError('Approval stage has already been decided', HTTP_STATUS.CONFLICT);
+    }
+
+    logger.info('Approval stage decided', {
+      leaveRequestId: leaveRequest.id,
+      stageOrder: currentStage.stageOrder,
+      decision: stageStatus
+    });
+
+    if (stageStatus === LEAVE_APPROVAL_STATUS.REJECTED) {
+      return { finalStatus: LEAVE_REQUEST_STATUS.REJECTED, nextApproverId: null, nextStageOrder: null };
+    }
+
+    if (nextStage) {
+      return {
+        finalStatus: null,
+        nextApproverId: nextStage.approverId,
+        nextStageOrder: nextStage.stageOrder
+      };
+    }
+
+    return { finalStatus: LEAVE_REQUEST_STATUS.APPROVED, nextApproverId: null, nextStageOrder: null };
+  }
+
+  /**
+   * Record a leave.approval_requested event in the outbox when a request is
+   * handed to an approver. Unassigned stages raise no event.
+   * @param {Object} leaveRequest - Leave request awaiting approval
+   * @param {number|null} approverId - Approver of the current stage
+   * @param {number|null} stageOrder - Current stage, null for requests without stages
+   * @param {Object} options - Query options (transaction of the routing change, correlationId)
+   * @returns {Promise<void>}
+   */
+  async enqueueApprovalRequest(leaveRequest, approverId, stageOrder, options = {}) {
+    if (!approverId) {
+      return;
+    }
+
+    await OutboxService.enqueue(QUEUE_EVENTS.LEAVE_APPROVAL_REQUESTED, {
+      ...leavePeriodPayload(leaveRequest),
+      approverId,
+      stageOrder
+    }, {
+      transaction: options.transaction,
+      correlationId: options.correlationId || leaveRequestCorrelationId(leaveRequest.id)
+    });
+  }
+
+  /**
+   * Get the approval stages of a leave request
+   * @param {number} leaveRequestId - Leave request ID
+   * @returns {Promise<Object>}
+   */
+  async getLeaveRequestApprovals(leaveRequestId) {
+    try {
+      const exists = await LeaveRequestRepository.exists(leaveRequestId);
+
+      if (!exists) {
+        throw new Error('Leave request not found');
+      }
+
+      const approvals = await LeaveApprovalRepository.findByLeaveRequest(leaveRequestId);
+
+      return {
+        success: true,
+        data: approvals
+      };
+    } catch (error) {
+      logger.error('Error fetching leave request approvals', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the leave requests waiting for an approver's decision
+   * @param {number} approverId - Approver employee ID
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>}
+   */
+  async getApproverInbox(approverId, options = {}) {
+    try {
+      const approverExists = await EmployeeRepository.exists(approverId);
+
+      if (!approverExists) {
+        throw new Error('Approver not found');
+      }
+
+      const { rows, count } = await LeaveRequestRepository.findByApprover(approverId, options);
+
+      const { page = 1, limit = 10 } = options;
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching approver inbox', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ApprovalRoutingService();
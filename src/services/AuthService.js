@@ -0,0 +1,202 @@
+/**
+ * Auth Service
+ * Password hashing, employee login with signed JWTs and resolution of
+ * the authenticated principal from a token or service API key
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const ApiKeyRepository = require('../repositories/ApiKeyRepository');
+const authConfig = require('../config/auth');
+const { HTTP_STATUS, PRINCIPAL_TYPE } = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_KEY_LENGTH = 64;
+
+class AuthService {
+  /**
+   * Hash a password as scrypt$<salt>$<hash>
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>}
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+
+    return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   * @param {string} password - Plain text password
+   * @param {string|null} passwordHash - Stored hash
+   * @returns {Promise<boolean>}
+   */
+  async verifyPassword(password, passwordHash) {
+    const [scheme, salt, expected] = (passwordHash || '').split('$');
+
+    if (scheme !== 'scrypt' || !salt || !expected) {
+      return false;
+    }
+
+    const derivedKey = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    const expectedKey = Buffer.from(expected, 'hex');
+
+    return expectedKey.length === derivedKey.length &&
+      crypto.timingSafeEqual(expectedKey, derivedKey);
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} apiKey - Plain text API key
+   * @returns {string}
+   */
+  hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Get the JWT signing secret
+   * @returns {string}
+   */
+  getJwtSecret() {
+    if (!authConfig.jwtSecret) {
+      throw new AppError('JWT authentication is not configured', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    return authConfig.jwtSecret;
+  }
+
+  /**
+   * Log an employee in with email and password
+   * @param {string} email - Employee email
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>}
+   */
+  async login(email, password) {
+    try {
+      const employee = await EmployeeRepository.findByEmailWithPassword(email);
+
+      // Same error for unknown emails and wrong passwords
+      if (!employee || !(await this.verifyPassword(password, employee.passwordHash))) {
+        throw new AppError('Invalid email or password', HTTP_STATUS.UNAUTHORIZED);
+      }
+
+      const token = jwt.sign(
+        {
+          type: PRINCIPAL_TYPE.EMPLOYEE,
+          email: employee.email
+        },
+        this.getJwtSecret(),
+        {
+          subject: String(employee.id),
+          issuer: authConfig.jwtIssuer,
+          expiresIn: authConfig.jwtExpiresIn
+        }
+      );
+
+      logger.info('Employee logged in', { employeeId: employee.id });
+
+      return {
+        success: true,
+        data: {
+          token,
+          tokenType: 'Bearer',
+          expiresIn: authConfig.jwtExpiresIn,
+          employee
+        }
+      };
+    } catch (error) {
+      logger.error('Error logging in', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the principal of a bearer token
+   * @param {string} token - JWT
+   * @returns {Promise<Object>} Principal ({ type, employeeId, email, role })
+   */
+  async authenticateToken(token) {
+    let claims;
+
+    try {
+      claims = jwt.verify(token, this.getJwtSecret(), { issuer: authConfig.jwtIssuer });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      throw new AppError('Invalid or expired token', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    // The role is read on every request so role changes apply immediately,
+    // and tokens of deleted employees stop working
+    const employee = await EmployeeRepository.findById(parseInt(claims.sub));
+
+    if (!employee) {
+      throw new AppError('Invalid or expired token', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    return {
+      type: PRINCIPAL_TYPE.EMPLOYEE,
+      employeeId: employee.id,
+      email: employee.email,
+      role: employee.role
+    };
+  }
+
+  /**
+   * Resolve the principal of a service API key
+   * @param {string} apiKey - Plain text API key
+   * @returns {Promise<Object>} Principal ({ type, apiKeyId, name, role })
+   */
+  async authenticateApiKey(apiKey) {
+    const record = await ApiKeyRepository.findByHash(this.hashApiKey(apiKey));
+    const now = new Date();
+
+    if (!record || record.revokedAt || (record.expiresAt && record.expiresAt <= now)) {
+      throw new AppError('Invalid API key', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    await ApiKeyRepository.update(record.id, { lastUsedAt: now });
+
+    return {
+      type: PRINCIPAL_TYPE.SERVICE,
+      apiKeyId: record.id,
+      name: record.name,
+      role: record.role
+    };
+  }
+
+  /**
+   * Describe the authenticated principal
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<Object>}
+   */
+  async getCurrentPrincipal(principal) {
+    try {
+      const data = { ...principal };
+
+      if (principal.type === PRINCIPAL_TYPE.EMPLOYEE) {
+        data.employee = await EmployeeRepository.findById(principal.employeeId, true);
+      }
+
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      logger.error('Error fetching current principal', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,230 @@
+/**
+ * BlackoutPeriod Service
+ * Contains business logic for blackout periods: windows in which leave is only
+ * booked as an exception that a manager decides on
+ */
+
+const BlackoutPeriodRepository = require('../repositories/BlackoutPeriodRepository');
+const DepartmentRepository = require('../repositories/DepartmentRepository');
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const LeaveTypeRepository = require('../repositories/LeaveTypeRepository');
+const { BLACKOUT_SCOPE } = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { toDateOnlyString } = require('../utils/leaveDuration');
+const logger = require('../utils/logger');
+
+class BlackoutPeriodService {
+  /**
+   * Check the dates and target of a blackout period and clear the target
+   * fields that do not belong to its scope
+   * @param {Object} blackoutData - Blackout period data (merged with the stored row on update)
+   * @returns {Promise<Object>}
+   */
+  async resolveTarget(blackoutData) {
+    const scope = blackoutData.scope || BLACKOUT_SCOPE.COMPANY;
+    const data = {
+      ...blackoutData,
+      scope,
+      departmentId: scope === BLACKOUT_SCOPE.DEPARTMENT ? blackoutData.departmentId : null,
+      leaveTypeId: scope === BLACKOUT_SCOPE.LEAVE_TYPE ? blackoutData.leaveTypeId : null
+    };
+
+    if (toDateOnlyString(data.startDate) > toDateOnlyString(data.endDate)) {
+      throw new AppError('Blackout period must start on or before its end date');
+    }
+
+    if (scope === BLACKOUT_SCOPE.DEPARTMENT) {
+      if (!data.departmentId) {
+        throw new AppError('Department blackout periods require a departmentId');
+      }
+
+      if (!(await DepartmentRepository.exists(data.departmentId))) {
+        throw new Error('Department not found');
+      }
+    }
+
+    if (scope === BLACKOUT_SCOPE.LEAVE_TYPE) {
+      if (!data.leaveTypeId) {
+        throw new AppError('Leave type blackout periods require a leaveTypeId');
+      }
+
+      if (!(await LeaveTypeRepository.exists(data.leaveTypeId))) {
+        throw new Error('Leave type not found');
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Create a new blackout period
+   * @param {Object} blackoutData - Blackout period data
+   * @returns {Promise<Object>}
+   */
+  async createBlackoutPeriod(blackoutData) {
+    try {
+      const data = await this.resolveTarget(blackoutData);
+      const blackoutPeriod = await BlackoutPeriodRepository.create(data);
+
+      logger.info('Blackout period created', { blackoutPeriodId: blackoutPeriod.id });
+
+      return {
+        success: true,
+        data: await BlackoutPeriodRepository.findById(blackoutPeriod.id)
+      };
+    } catch (error) {
+      logger.error('Error creating blackout period', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get blackout period by ID
+   * @param {number} id - Blackout period ID
+   * @returns {Promise<Object>}
+   */
+  async getBlackoutPeriodById(id) {
+    try {
+      const blackoutPeriod = await BlackoutPeriodRepository.findById(id);
+
+      if (!blackoutPeriod) {
+        throw new Error('Blackout period not found');
+      }
+
+      return {
+        success: true,
+        data: blackoutPeriod
+      };
+    } catch (error) {
+      logger.error('Error fetching blackout period', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all blackout periods with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>}
+   */
+  async getAllBlackoutPeriods(options = {}) {
+    try {
+      const { rows, count } = await BlackoutPeriodRepository.findAll(options);
+
+      const { page = 1, limit = 10 } = options;
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching blackout periods', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update blackout period
+   * @param {number} id - Blackout period ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>}
+   */
+  async updateBlackoutPeriod(id, updateData) {
+    try {
+      const blackoutPeriod = await BlackoutPeriodRepository.findById(id);
+
+      if (!blackoutPeriod) {
+        throw new Error('Blackout period not found');
+      }
+
+      const data = await this.resolveTarget({
+        ...blackoutPeriod.get({ plain: true }),
+        ...updateData
+      });
+
+      await BlackoutPeriodRepository.update(id, {
+        name: data.name,
+        description: data.description,
+        scope: data.scope,
+        departmentId: data.departmentId,
+        leaveTypeId: data.leaveTypeId,
+        startDate: data.startDate,
+        endDate: data.endDate
+      });
+
+      logger.info('Blackout period updated', { blackoutPeriodId: id });
+
+      return {
+        success: true,
+        data: await BlackoutPeriodRepository.findById(id)
+      };
+    } catch (error) {
+      logger.error('Error updating blackout period', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete blackout period
+   * @param {number} id - Blackout period ID
+   * @returns {Promise<Object>}
+   */
+  async deleteBlackoutPeriod(id) {
+    try {
+      const exists = await BlackoutPeriodRepository.exists(id);
+
+      if (!exists) {
+        throw new Error('Blackout period not found');
+      }
+
+      await BlackoutPeriodRepository.delete(id);
+
+      logger.info('Blackout period deleted', { blackoutPeriodId: id });
+
+      return {
+        success: true,
+        message: 'Blackout period deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting blackout period', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the blackout periods a leave request intersects
+   * @param {Object} leaveRequest - Leave request or period
+   *   ({ employeeId, leaveTypeId, startDate, endDate })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<BlackoutPeriod[]>}
+   */
+  async findIntersecting(leaveRequest, options = {}) {
+    const employee = await EmployeeRepository.findById(leaveRequest.employeeId);
+
+    return await BlackoutPeriodRepository.findApplicable({
+      startDate: toDateOnlyString(leaveRequest.startDate),
+      endDate: toDateOnlyString(leaveRequest.endDate),
+      departmentId: employee ? employee.departmentId : null,
+      leaveTypeId: leaveRequest.leaveTypeId
+    }, options);
+  }
+
+  /**
+   * Describe blackout periods for error messages and status history
+   * @param {Array<Object>} blackoutPeriods - Blackout periods
+   * @returns {string}
+   */
+  describeBlackoutPeriods(blackoutPeriods) {
+    return blackoutPeriods
+      .map(period => `${period.name} (${period.startDate} to ${period.endDate})`)
+      .join(', ');
+  }
+}
+
+module.exports = new BlackoutPeriodService();
@@ -0,0 +1,325 @@
+/**
+ * CalendarFeed Service
+ * Renders approved (and optionally pending) leave as iCalendar feeds per
+ * employee, department or company, and manages private feed URL tokens
+ */
+
+const crypto = require('crypto');
+
+const CalendarFeedTokenRepository = require('../repositories/CalendarFeedTokenRepository');
+const LeaveRequestRepository = require('../repositories/LeaveRequestRepository');
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const DepartmentRepository = require('../repositories/DepartmentRepository');
+const AccessControlService = require('./AccessControlService');
+const AuthService = require('./AuthService');
+const {
+  CALENDAR_FEED,
+  CALENDAR_FEED_SCOPE,
+  CALENDAR_FEED_TOKEN_PREFIX,
+  HTTP_STATUS,
+  LEAVE_GRANULARITY,
+  LEAVE_REQUEST_STATUS,
+  PRINCIPAL_TYPE
+} = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { buildCalendar } = require('../utils/icalendar');
+const { getDailyTimeWindow, toDateOnlyString } = require('../utils/leaveDuration');
+const { resolveActingEmployeeId } = require('../utils/principal');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOKEN_PREFIX_LENGTH = 12;
+const UID_DOMAIN = 'workforce-management';
+
+const PENDING_STATUSES = [LEAVE_REQUEST_STATUS.PENDING, LEAVE_REQUEST_STATUS.PENDING_APPROVAL];
+
+class CalendarFeedService {
+  /**
+   * Ensure a principal may read a feed
+   * @param {Object} principal - Authenticated principal
+   * @param {string} scope - Feed scope (see CALENDAR_FEED_SCOPE)
+   * @param {number|null} scopeId - Employee or department ID
+   * @returns {Promise<void>}
+   */
+  async assertCanReadFeed(principal, scope, scopeId) {
+    switch (scope) {
+      case CALENDAR_FEED_SCOPE.EMPLOYEE:
+        return await AccessControlService.assertCanAccessEmployee(principal, scopeId);
+      case CALENDAR_FEED_SCOPE.DEPARTMENT:
+        return await AccessControlService.assertCanAccessDepartmentLeave(principal, scopeId);
+      default:
+        if (!AccessControlService.hasUnrestrictedAccess(principal)) {
+          throw new AppError('Only HR and admins can read the company calendar', HTTP_STATUS.FORBIDDEN);
+        }
+    }
+  }
+
+  /**
+   * Resolve the calendar name of a feed, failing for unknown employees or departments
+   * @param {string} scope - Feed scope
+   * @param {number|null} scopeId - Employee or department ID
+   * @returns {Promise<string>}
+   */
+  async resolveFeedName(scope, scopeId) {
+    if (scope === CALENDAR_FEED_SCOPE.EMPLOYEE) {
+      const employee = await EmployeeRepository.findById(scopeId);
+
+      if (!employee) {
+        throw new Error('Employee not found');
+      }
+
+      return `Leave – ${employee.name}`;
+    }
+
+    if (scope === CALENDAR_FEED_SCOPE.DEPARTMENT) {
+      const department = await DepartmentRepository.findById(scopeId);
+
+      if (!department) {
+        throw new Error('Department not found');
+      }
+
+      return `Leave – ${department.name}`;
+    }
+
+    return 'Leave – Company';
+  }
+
+  /**
+   * Convert a leave request into a calendar event
+   * @param {Object} leaveRequest - Leave request (with employee and leave type)
+   * @returns {Object}
+   */
+  toCalendarEvent(leaveRequest) {
+    const isPending = PENDING_STATUSES.includes(leaveRequest.status);
+    const leaveTypeName = leaveRequest.leaveType ? leaveRequest.leaveType.name : 'Leave';
+    const employeeName = leaveRequest.employee ? leaveRequest.employee.name : `Employee #${leaveRequest.employeeId}`;
+    const event = {
+      uid: `leave-request-${leaveRequest.id}@${UID_DOMAIN}`,
+      startDate: toDateOnlyString(leaveRequest.startDate),
+      endDate: toDateOnlyString(leaveRequest.endDate),
+      summary: `${isPending ? '(Pending) ' : ''}${employeeName} – ${leaveTypeName}`,
+      description: [
+        `Status: ${leaveRequest.status}`,
+        leaveRequest.durationDays !== null && leaveRequest.durationDays !== undefined
+          ? `Duration: ${Number(leaveRequest.durationDays)} working day(s)`
+          : null
+      ].filter(Boolean).join('\n'),
+      categories: [leaveTypeName],
+      status: isPending ? 'TENTATIVE' : 'CONFIRMED',
+      lastModified: leaveRequest.updatedAt
+    };
+
+    // Half-day and hourly leave become timed events
+    if (leaveRequest.granularity && leaveRequest.granularity !== LEAVE_GRANULARITY.FULL_DAY) {
+      const window = getDailyTimeWindow(leaveRequest);
+      event.startMinutes = window.start;
+      event.endMinutes = window.end;
+    }
+
+    return event;
+  }
+
+  /**
+   * Render a leave feed as an iCalendar document
+   * @param {string} scope - Feed scope (see CALENDAR_FEED_SCOPE)
+   * @param {number|null} scopeId - Employee or department ID
+   * @param {Object} options - { includePending }
+   * @returns {Promise<string>}
+   */
+  async renderFeed(scope, scopeId, options = {}) {
+    const name = await this.resolveFeedName(scope, scopeId);
+    const now = Date.now();
+
+    const leaveRequests = await LeaveRequestRepository.findInRange({
+      from: toDateOnlyString(new Date(now - CALENDAR_FEED.PAST_DAYS * DAY_MS)),
+      to: toDateOnlyString(new Date(now + CALENDAR_FEED.FUTURE_DAYS * DAY_MS)),
+      statuses: options.includePending
+        ? [LEAVE_REQUEST_STATUS.APPROVED, ...PENDING_STATUSES]
+        : [LEAVE_REQUEST_STATUS.APPROVED],
+      employeeId: scope === CALENDAR_FEED_SCOPE.EMPLOYEE ? scopeId : null,
+      departmentId: scope === CALENDAR_FEED_SCOPE.DEPARTMENT ? scopeId : null
+    });
+
+    return buildCalendar({
+      name,
+      events: leaveRequests.map(leaveRequest => this.toCalendarEvent(leaveRequest))
+    });
+  }
+
+  /**
+   * Get a leave feed for an authenticated principal
+   * @param {string} scope - Feed scope (see CALENDAR_FEED_SCOPE)
+   * @param {number|null} scopeId - Employee or department ID
+   * @param {Object} options - { includePending }
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<string>} iCalendar document
+   */
+  async getFeed(scope, scopeId, options = {}, principal = null) {
+    try {
+      await this.assertCanReadFeed(principal, scope, scopeId);
+
+      return await this.renderFeed(scope, scopeId, options);
+    } catch (error) {
+      logger.error('Error rendering calendar feed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the feed behind a private feed token. The feed is read with the
+   * current access rights of the token's owner.
+   * @param {string} token - Plain text feed token
+   * @returns {Promise<string>} iCalendar document
+   */
+  async getFeedByToken(token) {
+    try {
+      const feedToken = await CalendarFeedTokenRepository.findByHash(AuthService.hashApiKey(token));
+      const owner = feedToken && !feedToken.revokedAt
+        ? await EmployeeRepository.findById(feedToken.ownerId)
+        : null;
+
+      // Same error for unknown, revoked and orphaned tokens
+      if (!owner) {
+        throw new AppError('Calendar feed not found', HTTP_STATUS.NOT_FOUND);
+      }
+
+      await this.assertCanReadFeed({
+        type: PRINCIPAL_TYPE.EMPLOYEE,
+        employeeId: owner.id,
+        email: owner.email,
+        role: owner.role
+      }, feedToken.scope, feedToken.scopeId);
+
+      await CalendarFeedTokenRepository.update(feedToken.id, { lastUsedAt: new Date() });
+
+      return await this.renderFeed(feedToken.scope, feedToken.scopeId, {
+        includePending: feedToken.includePending
+      });
+    } catch (error) {
+      logger.error('Error rendering calendar feed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a private feed token for the authenticated employee.
+   * The token is only returned here.
+   * @param {Object} tokenData - { name, scope, scopeId, includePending }
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<Object>}
+   */
+  async createFeedToken(tokenData, principal = null) {
+    try {
+      const ownerId = resolveActingEmployeeId(principal);
+
+      if (!ownerId) {
+        throw new AppError('Calendar feed tokens belong to an employee login', HTTP_STATUS.FORBIDDEN);
+      }
+
+      const scope = tokenData.scope;
+      const scopeId = scope === CALENDAR_FEED_SCOPE.COMPANY ? null : parseInt(tokenData.scopeId);
+
+      await this.assertCanReadFeed(principal, scope, scopeId);
+      await this.resolveFeedName(scope, scopeId);
+
+      const token = `${CALENDAR_FEED_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+      const feedToken = await CalendarFeedTokenRepository.create({
+        name: tokenData.name || null,
+        scope,
+        scopeId,
+        includePending: Boolean(tokenData.includePending),
+        tokenPrefix: token.slice(0, TOKEN_PREFIX_LENGTH),
+        tokenHash: AuthService.hashApiKey(token),
+        ownerId
+      });
+
+      logger.info('Calendar feed token created', { feedTokenId: feedToken.id, scope, scopeId });
+
+      return {
+        success: true,
+        data: {
+          ...feedToken.toJSON(),
+          token,
+          path: `/api/calendar-feeds/${token}/leave.ics`
+        },
+        message: 'Store this URL now, it cannot be retrieved again'
+      };
+    } catch (error) {
+      logger.error('Error creating calendar feed token', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active feed tokens of the authenticated employee
+   * @param {Object} options - Pagination options
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<Object>}
+   */
+  async getFeedTokens(options = {}, principal = null) {
+    try {
+      const ownerId = resolveActingEmployeeId(principal);
+
+      if (!ownerId) {
+        throw new AppError('Calendar feed tokens belong to an employee login', HTTP_STATUS.FORBIDDEN);
+      }
+
+      const { rows, count } = await CalendarFeedTokenRepository.findByOwner(ownerId, options);
+
+      const { page = 1, limit = 10 } = options;
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching calendar feed tokens', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a feed token. Owners revoke their own tokens, HR and admins anyone's.
+   * @param {number} id - Feed token ID
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<Object>}
+   */
+  async revokeFeedToken(id, principal = null) {
+    try {
+      const feedToken = await CalendarFeedTokenRepository.findById(id);
+
+      if (!feedToken) {
+        throw new Error('Calendar feed token not found');
+      }
+
+      if (!AccessControlService.hasUnrestrictedAccess(principal) &&
+        resolveActingEmployeeId(principal) !== feedToken.ownerId) {
+        throw new AppError('You can only revoke your own calendar feed tokens', HTTP_STATUS.FORBIDDEN);
+      }
+
+      if (!feedToken.revokedAt) {
+        await CalendarFeedTokenRepository.update(id, { revokedAt: new Date() });
+      }
+
+      logger.info('Calendar feed token revoked', { feedTokenId: id });
+
+      return {
+        success: true,
+        message: 'Calendar feed token revoked successfully'
+      };
+    } catch (error) {
+      logger.error('Error revoking calendar feed token', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CalendarFeedService();
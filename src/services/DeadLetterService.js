@@ -0,0 +1,103 @@
+/**
+ * DeadLetter Service
+ * Inspects and replays messages that exhausted their retries,
+ * and inspects messages quarantined as invalid events
+ */
+
+const broker = require('../config/broker');
+const { HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class DeadLetterService {
+  /**
+   * Ensure the message broker is configured
+   */
+  assertBrokerConfigured() {
+    if (!broker.isConfigured()) {
+      throw new AppError('Message broker is not configured', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+  }
+
+  /**
+   * Get dead-lettered messages, oldest first, leaving them in the queue
+   * @param {Object} options - Query options ({ limit })
+   * @returns {Promise<Object>}
+   */
+  async getDeadLetters(options = {}) {
+    try {
+      this.assertBrokerConfigured();
+
+      const { total, messages } = await broker.peekDeadLetters(parseInt(options.limit) || 10);
+
+      return {
+        success: true,
+        data: messages,
+        pagination: {
+          limit: parseInt(options.limit) || 10,
+          total
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching dead letters', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get quarantined messages, oldest first, leaving them in the queue
+   * @param {Object} options - Query options ({ limit })
+   * @returns {Promise<Object>}
+   */
+  async getQuarantinedMessages(options = {}) {
+    try {
+      this.assertBrokerConfigured();
+
+      const { total, messages } = await broker.peekQuarantine(parseInt(options.limit) || 10);
+
+      return {
+        success: true,
+        data: messages,
+        pagination: {
+          limit: parseInt(options.limit) || 10,
+          total
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching quarantined messages', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send dead-lettered messages back to the queue with a fresh retry budget
+   * @param {Object} replayData - { messageIds: replay only these, limit }
+   * @returns {Promise<Object>}
+   */
+  async replayDeadLetters(replayData = {}) {
+    try {
+      this.assertBrokerConfigured();
+
+      const replayed = await broker.replayDeadLetters({
+        messageIds: replayData.messageIds || null,
+        limit: parseInt(replayData.limit) || 100
+      });
+
+      logger.info('Dead letters replayed', {
+        count: replayed.length,
+        messageIds: replayed.map(message => message.messageId)
+      });
+
+      return {
+        success: true,
+        data: replayed,
+        message: `${replayed.length} message(s) replayed`
+      };
+    } catch (error) {
+      logger.error('Error replaying dead letters', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DeadLetterService();
@@ -4,6 +4,14 @@
  */
 
 const DepartmentRepository = require('../repositories/DepartmentRepository');
+const HolidayCalendarRepository = require('../repositories/HolidayCalendarRepository');
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const LeaveRequestRepository = require('../repositories/LeaveRequestRepository');
+const AccessControlService = require('./AccessControlService');
+const HolidayCalendarService = require('./HolidayCalendarService');
+const { AVAILABILITY_MAX_RANGE_DAYS } = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { eachDateInRange, toDateOnlyString } = require('../utils/leaveDuration');
 const logger = require('../utils/logger');
 
 class DepartmentService {
@@ -21,6 +29,14 @@ class DepartmentService {
         throw new Error('Department with this name already exists');
       }
 
+      if (departmentData.holidayCalendarId) {
+        await this.assertHolidayCalendarExists(departmentData.holidayCalendarId);
+      }
+
+      if (departmentData.headId) {
+        await this.assertHeadExists(departmentData.headId);
+      }
+
       const department = await DepartmentRepository.create(departmentData);
       
       logger.info('Department created', { departmentId: department.id });
@@ -151,6 +167,14 @@ class DepartmentService {
         }
       }
 
+      if (updateData.holidayCalendarId) {
+        await this.assertHolidayCalendarExists(updateData.holidayCalendarId);
+      }
+
+      if (updateData.headId) {
+        await this.assertHeadExists(updateData.headId);
+      }
+
       await DepartmentRepository.update(id, updateData);
       const updatedDepartment = await DepartmentRepository.findById(id);
 
@@ -198,6 +222,85 @@ class DepartmentService {
       throw error;
     }
   }
+
+  /**
+   * Get the day-by-day availability of a department over a date range
+   * @param {number} id - Department ID
+   * @param {Object} range - Date range ({ from, to })
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<Object>}
+   */
+  async getDepartmentAvailability(id, range, principal = null) {
+    try {
+      const from = toDateOnlyString(range.from);
+      const to = toDateOnlyString(range.to);
+
+      if (to < from) {
+        throw new AppError('The end of the range cannot be before its start');
+      }
+
+      if (eachDateInRange(from, to).length > AVAILABILITY_MAX_RANGE_DAYS) {
+        throw new AppError(
+          `Availability can be requested for at most ${AVAILABILITY_MAX_RANGE_DAYS} days`
+        );
+      }
+
+      await AccessControlService.assertCanAccessDepartmentLeave(principal, id);
+
+      const department = await DepartmentRepository.findById(id);
+
+      if (!department) {
+        throw new Error('Department not found');
+      }
+
+      const calendar = await HolidayCalendarService.getWorkingCalendarForDepartment(id, from, to);
+      const availability = await LeaveRequestRepository.getDepartmentAvailability(
+        department.id,
+        from,
+        to,
+        calendar
+      );
+
+      return {
+        success: true,
+        data: {
+          departmentId: department.id,
+          from,
+          to,
+          ...availability
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching department availability', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure a holiday calendar exists before assigning it
+   * @param {number} holidayCalendarId - Holiday calendar ID
+   * @returns {Promise<void>}
+   */
+  async assertHolidayCalendarExists(holidayCalendarId) {
+    const calendarExists = await HolidayCalendarRepository.exists(holidayCalendarId);
+
+    if (!calendarExists) {
+      throw new Error('Holiday calendar not found');
+    }
+  }
+
+  /**
+   * Ensure the proposed department head exists
+   * @param {number} headId - Employee ID
+   * @returns {Promise<void>}
+   */
+  async assertHeadExists(headId) {
+    const employeeExists = await EmployeeRepository.exists(headId);
+
+    if (!employeeExists) {
+      throw new Error('Department head not found');
+    }
+  }
 }
 
 module.exports = new DepartmentService();
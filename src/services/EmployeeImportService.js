@@ -0,0 +1,463 @@
+/**
+ * EmployeeImport Service
+ * Imports employees (and the departments they belong to) from CSV or XLSX uploads.
+ * Every row is checked before anything is written; the import is then committed
+ * in one transaction, or not at all.
+ */
+
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const DepartmentRepository = require('../repositories/DepartmentRepository');
+const EmployeeService = require('./EmployeeService');
+const AccessControlService = require('./AccessControlService');
+const { sequelize } = require('../config/database');
+const { runValidators, validateDepartment, validateEmployee } = require('../middleware/validation');
+const {
+  EMPLOYEE_IMPORT_MAX_COLUMNS,
+  EMPLOYEE_IMPORT_MAX_ROWS,
+  PERMISSION,
+  SPREADSHEET_CONTENT_TYPE,
+  SPREADSHEET_FORMAT
+} = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { formatFromContentType, readSpreadsheet } = require('../utils/spreadsheet');
+const logger = require('../utils/logger');
+
+// Accepted headers per field, compared lowercased without spaces, dashes or underscores
+const COLUMN_ALIASES = {
+  name: ['name', 'fullname', 'employeename'],
+  email: ['email', 'emailaddress', 'workemail'],
+  department: ['department', 'departmentname'],
+  departmentId: ['departmentid'],
+  managerEmail: ['manager', 'manageremail'],
+  managerId: ['managerid'],
+  role: ['role'],
+  password: ['password']
+};
+
+const IMPORT_ROW_STATUS = {
+  VALID: 'VALID',
+  INVALID: 'INVALID',
+  CREATED: 'CREATED'
+};
+
+/**
+ * Normalise a header or department name for case-insensitive matching
+ * @param {string} value - Header or name
+ * @returns {string}
+ */
+const normaliseKey = (value) => value.toLowerCase().replace(/[\s_-]+/g, '');
+
+class EmployeeImportService {
+  /**
+   * Map the header row of a spreadsheet to employee fields
+   * @param {string[]} headers - Header cells
+   * @returns {{columns: Object, ignoredColumns: string[]}} columns maps fields to column indexes
+   */
+  mapColumns(headers) {
+    const columns = {};
+    const ignoredColumns = [];
+
+    headers.forEach((header, index) => {
+      const key = normaliseKey(header);
+      const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+
+      if (!field) {
+        if (header) {
+          ignoredColumns.push(header);
+        }
+        return;
+      }
+
+      if (field in columns) {
+        throw new AppError(`Column "${header}" maps to ${field}, which is already mapped`);
+      }
+
+      columns[field] = index;
+    });
+
+    const missing = ['name', 'email'].filter(field => !(field in columns));
+
+    if (!('department' in columns) && !('departmentId' in columns)) {
+      missing.push('department');
+    }
+
+    if (missing.length) {
+      throw new AppError(`Missing required column(s): ${missing.join(', ')}`);
+    }
+
+    return { columns, ignoredColumns };
+  }
+
+  /**
+   * Import employees from a spreadsheet
+   * @param {Buffer} content - Uploaded file
+   * @param {string} contentType - Content-Type of the upload
+   * @param {Object} options - Import options ({ dryRun })
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<Object>} Per-row report; success is false when rows are invalid
+   */
+  async importEmployees(content, contentType, options = {}, principal = null) {
+    try {
+      const dryRun = Boolean(options.dryRun);
+      const format = formatFromContentType(contentType);
+
+      if (!format) {
+        throw new AppError(
+          `Upload a CSV (${SPREADSHEET_CONTENT_TYPE[SPREADSHEET_FORMAT.CSV]}) or ` +
+            `XLSX (${SPREADSHEET_CONTENT_TYPE[SPREADSHEET_FORMAT.XLSX]}) file`
+        );
+      }
+
+      if (!Buffer.isBuffer(content) || !content.length) {
+        throw new AppError('The uploaded file is empty');
+      }
+
+      let sheetRows;
+
+      try {
+        // The header row comes on top of the employee rows; reading stops past the
+        // limit, so an oversized file is refused below without being read in full
+        sheetRows = await readSpreadsheet(content, format, {
+          maxRows: EMPLOYEE_IMPORT_MAX_ROWS + 1,
+          maxColumns: EMPLOYEE_IMPORT_MAX_COLUMNS
+        });
+      } catch (error) {
+        if (error instanceof AppError) {
+          throw error;
+        }
+
+        throw new AppError(`The uploaded file is not a readable ${format.toUpperCase()} file`);
+      }
+
+      const headerIndex = sheetRows.findIndex(row => row.some(Boolean));
+
+      if (headerIndex === -1) {
+        throw new AppError('The uploaded file has no header row');
+      }
+
+      const { columns, ignoredColumns } = this.mapColumns(sheetRows[headerIndex]);
+
+      const rows = sheetRows
+        .map((cells, index) => ({ rowNumber: index + 1, cells }))
+        .slice(headerIndex + 1)
+        .filter(row => row.cells.some(Boolean))
+        .map(({ rowNumber, cells }) => {
+          const values = { rowNumber };
+          Object.entries(columns).forEach(([field, index]) => {
+            values[field] = cells[index] || '';
+          });
+          return values;
+        });
+
+      if (!rows.length) {
+        throw new AppError('The uploaded file has no employee rows');
+      }
+
+      if (rows.length > EMPLOYEE_IMPORT_MAX_ROWS) {
+        throw new AppError(`An import may contain at most ${EMPLOYEE_IMPORT_MAX_ROWS} rows`);
+      }
+
+      const plan = await this.planImport(rows, principal);
+      const invalid = plan.rows.filter(row => row.errors.length).length;
+      const committed = !dryRun && invalid === 0;
+
+      if (committed) {
+        await this.commitImport(plan);
+      }
+
+      const report = {
+        dryRun,
+        format,
+        committed,
+        summary: {
+          rows: plan.rows.length,
+          valid: plan.rows.length - invalid,
+          invalid,
+          departmentsCreated: plan.newDepartments.map(department => department.name)
+        },
+        ignoredColumns,
+        rows: plan.rows.map(row => ({
+          row: row.rowNumber,
+          email: row.sourceEmail || null,
+          status: row.errors.length
+            ? IMPORT_ROW_STATUS.INVALID
+            : committed ? IMPORT_ROW_STATUS.CREATED : IMPORT_ROW_STATUS.VALID,
+          ...(row.employeeId ? { employeeId: row.employeeId } : {}),
+          errors: row.errors
+        }))
+      };
+
+      logger.info('Employee import processed', {
+        dryRun,
+        format,
+        rows: report.summary.rows,
+        invalid,
+        committed
+      });
+
+      if (!dryRun && invalid) {
+        return {
+          success: false,
+          data: report,
+          message: `${invalid} row(s) are invalid; nothing was imported`
+        };
+      }
+
+      return {
+        success: true,
+        data: report,
+        message: committed
+          ? `${report.summary.rows} employee(s) imported`
+          : 'Dry run: nothing was imported'
+      };
+    } catch (error) {
+      logger.error('Error importing employees', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check every row and work out the departments, employees and manager links to create
+   * @param {Array<Object>} rows - Mapped rows ({ rowNumber, name, email, department, ... })
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<{rows: Array<Object>, newDepartments: Array<Object>}>}
+   */
+  async planImport(rows, principal) {
+    const role = principal ? principal.role : null;
+    const canManageDepartments = await AccessControlService.hasPermission(
+      role,
+      PERMISSION.DEPARTMENT_MANAGE
+    );
+
+    // Departments named in the file, resolved to existing ones or planned for creation
+    const departmentNames = [...new Set(rows.map(row => row.department).filter(Boolean))];
+    const existingDepartments = await DepartmentRepository.findByNames(departmentNames);
+    const departmentsByName = new Map(
+      existingDepartments.map(department => [normaliseKey(department.name), department])
+    );
+    const newDepartments = [];
+
+    for (const name of departmentNames) {
+      if (departmentsByName.has(normaliseKey(name))) {
+        continue;
+      }
+
+      const { errors } = await runValidators(validateDepartment, { name });
+      const department = { name, id: null, errors: errors.map(error => error.message) };
+
+      departmentsByName.set(normaliseKey(name), department);
+      if (!department.errors.length) {
+        newDepartments.push(department);
+      }
+    }
+
+    const departmentIds = [
+      ...new Set(rows.map(row => parseInt(row.departmentId)).filter(Boolean))
+    ];
+    const knownDepartmentIds = new Set();
+    for (const id of departmentIds) {
+      if (await DepartmentRepository.exists(id)) {
+        knownDepartmentIds.add(id);
+      }
+    }
+
+    const planned = [];
+
+    for (const row of rows) {
+      const errors = [];
+      const departmentId = parseInt(row.departmentId);
+      let department = null;
+
+      if (row.department) {
+        department = departmentsByName.get(normaliseKey(row.department));
+
+        if (department.errors && department.errors.length) {
+          errors.push(...department.errors);
+        } else if (!department.id && !canManageDepartments) {
+          errors.push(
+            `Department "${row.department}" does not exist and you may not create departments`
+          );
+        } else if (row.departmentId && department.id !== departmentId) {
+          errors.push('department and departmentId refer to different departments');
+        }
+      } else if (!row.departmentId) {
+        errors.push('Department is required');
+      } else if (departmentId > 0 && !knownDepartmentIds.has(departmentId)) {
+        errors.push('Department not found');
+      }
+
+      const candidate = {
+        name: row.name,
+        email: row.email,
+        departmentId: department ? department.id || undefined : row.departmentId || undefined,
+        managerId: row.managerId || undefined,
+        role: row.role ? row.role.toUpperCase() : undefined,
+        password: row.password || undefined
+      };
+
+      const { data, errors: fieldErrors } = await runValidators(validateEmployee, candidate);
+
+      // Departments given by name (including those the import creates, which have no ID
+      // yet) and missing departments are reported above
+      fieldErrors
+        .filter(error => error.field !== 'departmentId' || (row.departmentId && !department))
+        .forEach(error => errors.push(error.message));
+
+      if (data.role) {
+        try {
+          await EmployeeService.assertCanAssignRole(data, principal);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+
+      if (row.managerEmail && row.managerId) {
+        errors.push('Give either a manager email or a managerId, not both');
+      }
+
+      planned.push({
+        rowNumber: row.rowNumber,
+        sourceEmail: row.email,
+        data,
+        department,
+        managerEmail: row.managerEmail ? row.managerEmail.toLowerCase() : null,
+        errors
+      });
+    }
+
+    await this.checkEmails(planned);
+    await this.resolveManagers(planned);
+
+    return { rows: planned, newDepartments };
+  }
+
+  /**
+   * Reject emails used twice in the file or already used by an employee
+   * @param {Array<Object>} planned - Planned rows
+   * @returns {Promise<void>}
+   */
+  async checkEmails(planned) {
+    const rowsByEmail = new Map();
+
+    planned.filter(row => row.data.email).forEach(row => {
+      const email = row.data.email.toLowerCase();
+      rowsByEmail.set(email, [...(rowsByEmail.get(email) || []), row]);
+    });
+
+    rowsByEmail.forEach(rows => {
+      if (rows.length > 1) {
+        const rowNumbers = rows.map(row => row.rowNumber).join(', ');
+        rows.forEach(row => row.errors.push(`Email appears more than once (rows ${rowNumbers})`));
+      }
+    });
+
+    const existing = await EmployeeRepository.findByEmails([...rowsByEmail.keys()]);
+
+    existing.forEach(employee => {
+      (rowsByEmail.get(employee.email.toLowerCase()) || []).forEach(row => {
+        row.errors.push('Employee with this email already exists');
+      });
+    });
+  }
+
+  /**
+   * Resolve managers given by email (an existing employee or another row of the file)
+   * or by ID, and reject reporting cycles between imported employees
+   * @param {Array<Object>} planned - Planned rows
+   * @returns {Promise<void>}
+   */
+  async resolveManagers(planned) {
+    const rowsByEmail = new Map(
+      planned.filter(row => row.data.email).map(row => [row.data.email.toLowerCase(), row])
+    );
+    const managerEmails = [...new Set(
+      planned.map(row => row.managerEmail).filter(email => email && !rowsByEmail.has(email))
+    )];
+    const existingManagers = new Map(
+      (await EmployeeRepository.findByEmails(managerEmails))
+        .map(employee => [employee.email.toLowerCase(), employee])
+    );
+
+    for (const row of planned) {
+      if (row.managerEmail) {
+        if (rowsByEmail.has(row.managerEmail)) {
+          row.managerRow = rowsByEmail.get(row.managerEmail);
+
+          if (row.managerRow === row) {
+            row.errors.push('An employee cannot be their own manager');
+          }
+        } else if (existingManagers.has(row.managerEmail)) {
+          row.data.managerId = existingManagers.get(row.managerEmail).id;
+        } else {
+          row.errors.push(`Manager ${row.managerEmail} not found`);
+        }
+      } else if (row.data.managerId && !(await EmployeeRepository.exists(row.data.managerId))) {
+        row.errors.push('Manager not found');
+      }
+    }
+
+    // Existing employees never report to imported ones, so cycles can only form within the file
+    planned.filter(row => row.managerRow && row.managerRow !== row).forEach(row => {
+      const visited = new Set([row]);
+      let current = row.managerRow;
+
+      while (current && current.managerRow) {
+        if (current.managerRow === row) {
+          row.errors.push('Manager assignment would create a reporting cycle');
+          return;
+        }
+
+        if (visited.has(current)) {
+          return;
+        }
+        visited.add(current);
+        current = current.managerRow;
+      }
+    });
+  }
+
+  /**
+   * Create the planned departments and employees in one transaction
+   * @param {Object} plan - Import plan (see planImport)
+   * @returns {Promise<void>}
+   */
+  async commitImport(plan) {
+    await sequelize.transaction(async (transaction) => {
+      for (const department of plan.newDepartments) {
+        const created = await DepartmentRepository.create(
+          { name: department.name },
+          { transaction }
+        );
+        department.id = created.id;
+      }
+
+      for (const row of plan.rows) {
+        const employee = await EmployeeRepository.create(
+          await EmployeeService.withPasswordHash({
+            ...row.data,
+            departmentId: row.department ? row.department.id : parseInt(row.data.departmentId),
+            managerId: row.data.managerId ? parseInt(row.data.managerId) : null
+          }),
+          { transaction }
+        );
+        row.employeeId = employee.id;
+      }
+
+      // Managers imported in the same file only have an ID once every row is created
+      for (const row of plan.rows.filter(planned => planned.managerRow)) {
+        await EmployeeRepository.update(
+          row.employeeId,
+          { managerId: row.managerRow.employeeId },
+          { transaction }
+        );
+      }
+    });
+
+    logger.info('Employees imported', {
+      employees: plan.rows.length,
+      departmentsCreated: plan.newDepartments.length
+    });
+  }
+}
+
+module.exports = new EmployeeImportService();
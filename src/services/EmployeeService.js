@@ -5,16 +5,42 @@
 
 const EmployeeRepository = require('../repositories/EmployeeRepository');
 const DepartmentRepository = require('../repositories/DepartmentRepository');
+const AuthService = require('./AuthService');
+const AccessControlService = require('./AccessControlService');
+const {
+  EXPORT_CHUNK_SIZE,
+  HTTP_STATUS,
+  PERMISSION,
+  ROLE_RANK
+} = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { createSpreadsheetWriter } = require('../utils/spreadsheet');
 const logger = require('../utils/logger');
 
+// Columns of employee exports; the headers match the employee import
+const EXPORT_COLUMNS = [
+  { header: 'id', value: employee => employee.id },
+  { header: 'name', value: employee => employee.name },
+  { header: 'email', value: employee => employee.email },
+  { header: 'departmentId', value: employee => employee.departmentId },
+  { header: 'department', value: employee => employee.department?.name },
+  { header: 'managerId', value: employee => employee.managerId },
+  { header: 'manager', value: employee => employee.manager?.email },
+  { header: 'role', value: employee => employee.role },
+  { header: 'createdAt', value: employee => employee.createdAt }
+];
+
 class EmployeeService {
   /**
    * Create a new employee
    * @param {Object} employeeData - Employee data
+   * @param {Object} principal - Authenticated principal
    * @returns {Promise<Object>}
    */
-  async createEmployee(employeeData) {
+  async createEmployee(employeeData, principal = null) {
     try {
+      await this.assertCanAssignRole(employeeData, principal);
+
       // Validate department exists
       const departmentExists = await DepartmentRepository.exists(employeeData.departmentId);
       
@@ -29,7 +55,13 @@ class EmployeeService {
         throw new Error('Employee with this email already exists');
       }
 
-      const employee = await EmployeeRepository.create(employeeData);
+      if (employeeData.managerId) {
+        await this.assertValidManager(null, employeeData.managerId);
+      }
+
+      const employee = await EmployeeRepository.create(
+        await this.withPasswordHash(employeeData)
+      );
       
       // Fetch with department info
       const employeeWithDepartment = await EmployeeRepository.findById(employee.id, true);
@@ -72,11 +104,15 @@ class EmployeeService {
   /**
    * Get all employees with pagination
    * @param {Object} options - Query options
+   * @param {Object} principal - Authenticated principal (scopes the rows returned)
    * @returns {Promise<Object>}
    */
-  async getAllEmployees(options = {}) {
+  async getAllEmployees(options = {}, principal = null) {
     try {
-      const { rows, count } = await EmployeeRepository.findAll(options);
+      const { rows, count } = await EmployeeRepository.findAll({
+        ...options,
+        accessScope: AccessControlService.getAccessScope(principal)
+      });
       
       const { page = 1, limit = 10 } = options;
       const totalPages = Math.ceil(count / limit);
@@ -97,6 +133,47 @@ class EmployeeService {
     }
   }
 
+  /**
+   * Stream employees matching the list filters to an output as CSV or XLSX
+   * Rows are read in chunks of EXPORT_CHUNK_SIZE, so the size of an export is
+   * not limited by memory.
+   * @param {Object} filters - Same filters as getAllEmployees (without pagination)
+   * @param {string} format - SPREADSHEET_FORMAT value
+   * @param {stream.Writable} output - Destination (e.g. the HTTP response)
+   * @param {Object} principal - Authenticated principal (scopes the rows exported)
+   * @returns {Promise<number>} Number of exported employees
+   */
+  async exportEmployees(filters, format, output, principal = null) {
+    try {
+      const chunks = EmployeeRepository.findAllInChunks({
+        ...filters,
+        accessScope: AccessControlService.getAccessScope(principal)
+      }, EXPORT_CHUNK_SIZE);
+      const writer = createSpreadsheetWriter(output, format, EXPORT_COLUMNS);
+      let exported = 0;
+
+      for await (const chunk of chunks) {
+        await writer.writeRows(chunk);
+        exported += chunk.length;
+
+        // The client went away: stop reading from the database
+        if (output.destroyed) {
+          logger.warn('Employees export aborted by the client', { format, exported });
+          return exported;
+        }
+      }
+
+      await writer.end();
+
+      logger.info('Employees exported', { format, exported });
+
+      return exported;
+    } catch (error) {
+      logger.error('Error exporting employees', error);
+      throw error;
+    }
+  }
+
   /**
    * Get employees by department
    * @param {number} departmentId - Department ID
@@ -137,16 +214,25 @@ class EmployeeService {
    * Update employee
    * @param {number} id - Employee ID
    * @param {Object} updateData - Update data
+   * @param {Object} principal - Authenticated principal
    * @returns {Promise<Object>}
    */
-  async updateEmployee(id, updateData) {
+  async updateEmployee(id, updateData, principal = null) {
     try {
-      const exists = await EmployeeRepository.exists(id);
+      await this.assertCanAssignRole(updateData, principal);
+
+      const employee = await EmployeeRepository.findById(id);
       
-      if (!exists) {
+      if (!employee) {
         throw new Error('Employee not found');
       }
 
+      await this.assertCanManageAccount(employee, principal, {
+        credentials: Boolean(
+          updateData.password || (updateData.email && updateData.email !== employee.email)
+        )
+      });
+
       // Validate department if being updated
       if (updateData.departmentId) {
         const departmentExists = await DepartmentRepository.exists(updateData.departmentId);
@@ -155,6 +241,11 @@ class EmployeeService {
         }
       }
 
+      // Validate manager if being updated
+      if (updateData.managerId) {
+        await this.assertValidManager(parseInt(id), updateData.managerId);
+      }
+
       // Check email uniqueness if being updated
       if (updateData.email) {
         const emailExists = await EmployeeRepository.emailExists(updateData.email, id);
@@ -163,7 +254,7 @@ class EmployeeService {
         }
       }
 
-      await EmployeeRepository.update(id, updateData);
+      await EmployeeRepository.update(id, await this.withPasswordHash(updateData));
       const updatedEmployee = await EmployeeRepository.findById(id, true);
 
       logger.info('Employee updated', { employeeId: id });
@@ -181,16 +272,21 @@ class EmployeeService {
   /**
    * Delete employee
    * @param {number} id - Employee ID
+   * @param {Object} principal - Authenticated principal
    * @returns {Promise<Object>}
    */
-  async deleteEmployee(id) {
+  async deleteEmployee(id, principal = null) {
     try {
-      const exists = await EmployeeRepository.exists(id);
+      const employee = await EmployeeRepository.findById(id);
       
-      if (!exists) {
+      if (!employee) {
         throw new Error('Employee not found');
       }
 
+      await this.assertCanManageAccount(employee, principal);
+
+      // Department heads are not constrained by a foreign key, so clear them explicitly
+      await DepartmentRepository.clearHead(id);
       await EmployeeRepository.delete(id);
 
       logger.info('Employee deleted', { employeeId: id });
@@ -228,6 +324,114 @@ class EmployeeService {
       throw error;
     }
   }
+
+  /**
+   * Ensure a manager exists and that assigning them does not create a reporting cycle
+   * @param {number|null} employeeId - Employee being updated (null when creating)
+   * @param {number} managerId - Proposed manager ID
+   * @returns {Promise<void>}
+   */
+  async assertValidManager(employeeId, managerId) {
+    const visited = new Set();
+    let currentId = parseInt(managerId);
+
+    while (currentId) {
+      if (currentId === employeeId) {
+        throw new AppError(
+          employeeId === parseInt(managerId)
+            ? 'An employee cannot be their own manager'
+            : 'Manager assignment would create a reporting cycle'
+        );
+      }
+
+      if (visited.has(currentId)) {
+        break;
+      }
+      visited.add(currentId);
+
+      const manager = await EmployeeRepository.findById(currentId);
+
+      if (!manager) {
+        // Only the proposed manager has to exist; the chain above it is already stored
+        if (currentId === parseInt(managerId)) {
+          throw new Error('Manager not found');
+        }
+        break;
+      }
+
+      currentId = manager.managerId;
+    }
+  }
+
+  /**
+   * Ensure the principal may assign the role contained in employee data
+   * @param {Object} employeeData - Employee data (may include role)
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<void>}
+   */
+  async assertCanAssignRole(employeeData, principal) {
+    if (!employeeData.role) {
+      return;
+    }
+
+    const role = principal ? principal.role : null;
+
+    if (!(await AccessControlService.hasPermission(role, PERMISSION.ROLE_MANAGE))) {
+      throw new AppError('Only administrators can assign roles', HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
+  /**
+   * Ensure the principal may edit or delete another employee's account.
+   * Without role:manage, accounts ranked above the principal's role are off limits
+   * and the login credentials (email, password) of other accounts cannot be changed,
+   * so employee:manage cannot be used to take over a more privileged account.
+   * @param {Object} employee - Employee being edited or deleted
+   * @param {Object} principal - Authenticated principal
+   * @param {Object} options - { credentials: true when the email or password changes }
+   * @returns {Promise<void>}
+   */
+  async assertCanManageAccount(employee, principal, options = {}) {
+    const role = principal ? principal.role : null;
+
+    if (await AccessControlService.hasPermission(role, PERMISSION.ROLE_MANAGE)) {
+      return;
+    }
+
+    if (principal && principal.employeeId === employee.id) {
+      return;
+    }
+
+    if ((ROLE_RANK[employee.role] || 0) > (ROLE_RANK[role] || 0)) {
+      throw new AppError(
+        'Cannot manage the account of an employee with a more privileged role',
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    if (options.credentials) {
+      throw new AppError(
+        'Only administrators can change the email or password of another employee',
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+  }
+
+  /**
+   * Replace a plain text password with its hash
+   * @param {Object} employeeData - Employee data (may include password)
+   * @returns {Promise<Object>}
+   */
+  async withPasswordHash(employeeData) {
+    // A client-supplied passwordHash is discarded, only password is accepted
+    const { password, passwordHash, ...data } = employeeData;
+
+    if (password) {
+      data.passwordHash = await AuthService.hashPassword(password);
+    }
+
+    return data;
+  }
 }
 
 module.exports = new EmployeeService();
@@ -0,0 +1,395 @@
+/**
+ * HolidayCalendar Service
+ * Contains business logic for holiday calendars and working-day calculations
+ */
+
+const HolidayCalendarRepository = require('../repositories/HolidayCalendarRepository');
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const { DEFAULT_WORKING_DAYS, HTTP_STATUS } = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { parseEvents } = require('../utils/icalendar');
+const {
+  calculatePeriodDuration,
+  resolveLeaveDuration,
+  toDateOnlyString
+} = require('../utils/leaveDuration');
+const logger = require('../utils/logger');
+
+class HolidayCalendarService {
+  /**
+   * Create a new holiday calendar
+   * @param {Object} calendarData - Calendar data
+   * @returns {Promise<Object>}
+   */
+  async createHolidayCalendar(calendarData) {
+    try {
+      const existingCalendar = await HolidayCalendarRepository.findByName(calendarData.name);
+
+      if (existingCalendar) {
+        throw new Error('Holiday calendar with this name already exists');
+      }
+
+      const calendar = await HolidayCalendarRepository.create(calendarData);
+
+      logger.info('Holiday calendar created', { calendarId: calendar.id });
+
+      return {
+        success: true,
+        data: calendar
+      };
+    } catch (error) {
+      logger.error('Error creating holiday calendar', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get holiday calendar by ID
+   * @param {number} id - Calendar ID
+   * @returns {Promise<Object>}
+   */
+  async getHolidayCalendarById(id) {
+    try {
+      const calendar = await HolidayCalendarRepository.findById(id);
+
+      if (!calendar) {
+        throw new Error('Holiday calendar not found');
+      }
+
+      return {
+        success: true,
+        data: calendar
+      };
+    } catch (error) {
+      logger.error('Error fetching holiday calendar', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all holiday calendars with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>}
+   */
+  async getAllHolidayCalendars(options = {}) {
+    try {
+      const { rows, count } = await HolidayCalendarRepository.findAll(options);
+
+      const { page = 1, limit = 10 } = options;
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching holiday calendars', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update holiday calendar
+   * @param {number} id - Calendar ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>}
+   */
+  async updateHolidayCalendar(id, updateData) {
+    try {
+      const exists = await HolidayCalendarRepository.exists(id);
+
+      if (!exists) {
+        throw new Error('Holiday calendar not found');
+      }
+
+      // Check if new name conflicts with existing calendar
+      if (updateData.name) {
+        const existingCalendar = await HolidayCalendarRepository.findByName(updateData.name);
+        if (existingCalendar && existingCalendar.id !== parseInt(id)) {
+          throw new Error('Holiday calendar with this name already exists');
+        }
+      }
+
+      await HolidayCalendarRepository.update(id, updateData);
+      const updatedCalendar = await HolidayCalendarRepository.findById(id);
+
+      logger.info('Holiday calendar updated', { calendarId: id });
+
+      return {
+        success: true,
+        data: updatedCalendar
+      };
+    } catch (error) {
+      logger.error('Error updating holiday calendar', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete holiday calendar
+   * @param {number} id - Calendar ID
+   * @returns {Promise<Object>}
+   */
+  async deleteHolidayCalendar(id) {
+    try {
+      const exists = await HolidayCalendarRepository.exists(id);
+
+      if (!exists) {
+        throw new Error('Holiday calendar not found');
+      }
+
+      const departmentCount = await HolidayCalendarRepository.countDepartments(id);
+      if (departmentCount > 0) {
+        throw new AppError(
+          'Cannot delete holiday calendar assigned to departments',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      await HolidayCalendarRepository.delete(id);
+
+      logger.info('Holiday calendar deleted', { calendarId: id });
+
+      return {
+        success: true,
+        message: 'Holiday calendar deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting holiday calendar', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get holidays of a calendar
+   * @param {number} calendarId - Calendar ID
+   * @param {number|null} year - Optional year filter
+   * @returns {Promise<Object>}
+   */
+  async getHolidays(calendarId, year = null) {
+    try {
+      const exists = await HolidayCalendarRepository.exists(calendarId);
+
+      if (!exists) {
+        throw new Error('Holiday calendar not found');
+      }
+
+      const range = year ? { from: `${year}-01-01`, to: `${year}-12-31` } : {};
+      const holidays = await HolidayCalendarRepository.findHolidays(calendarId, range);
+
+      return {
+        success: true,
+        data: holidays
+      };
+    } catch (error) {
+      logger.error('Error fetching holidays', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a holiday to a calendar
+   * @param {number} calendarId - Calendar ID
+   * @param {Object} holidayData - Holiday data ({ date, name })
+   * @returns {Promise<Object>}
+   */
+  async addHoliday(calendarId, holidayData) {
+    try {
+      const exists = await HolidayCalendarRepository.exists(calendarId);
+
+      if (!exists) {
+        throw new Error('Holiday calendar not found');
+      }
+
+      const date = toDateOnlyString(holidayData.date);
+      const existingHoliday = await HolidayCalendarRepository.findHolidayByDate(calendarId, date);
+
+      if (existingHoliday) {
+        throw new AppError('A holiday already exists on this date', HTTP_STATUS.CONFLICT);
+      }
+
+      const holiday = await HolidayCalendarRepository.createHoliday({
+        calendarId,
+        date,
+        name: holidayData.name
+      });
+
+      logger.info('Holiday added', { calendarId, holidayId: holiday.id });
+
+      return {
+        success: true,
+        data: holiday
+      };
+    } catch (error) {
+      logger.error('Error adding holiday', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a holiday from a calendar
+   * @param {number} calendarId - Calendar ID
+   * @param {number} holidayId - Holiday ID
+   * @returns {Promise<Object>}
+   */
+  async deleteHoliday(calendarId, holidayId) {
+    try {
+      const holiday = await HolidayCalendarRepository.findHoliday(calendarId, holidayId);
+
+      if (!holiday) {
+        throw new Error('Holiday not found');
+      }
+
+      await HolidayCalendarRepository.deleteHoliday(holidayId);
+
+      logger.info('Holiday deleted', { calendarId, holidayId });
+
+      return {
+        success: true,
+        message: 'Holiday deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting holiday', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import holidays from an iCalendar (.ics) document
+   * Events spanning several days create one holiday per day; existing dates are renamed.
+   * @param {number} calendarId - Calendar ID
+   * @param {string} icsContent - iCalendar text
+   * @returns {Promise<Object>}
+   */
+  async importHolidays(calendarId, icsContent) {
+    try {
+      const exists = await HolidayCalendarRepository.exists(calendarId);
+
+      if (!exists) {
+        throw new Error('Holiday calendar not found');
+      }
+
+      if (typeof icsContent !== 'string' || !icsContent.includes('BEGIN:VCALENDAR')) {
+        throw new AppError('Request body must be an iCalendar document');
+      }
+
+      const holidaysByDate = new Map();
+
+      parseEvents(icsContent).forEach(event => {
+        event.dates.forEach(date => {
+          holidaysByDate.set(date, {
+            calendarId,
+            date,
+            name: event.summary.slice(0, 255)
+          });
+        });
+      });
+
+      const holidays = Array.from(holidaysByDate.values());
+
+      if (holidays.length) {
+        await HolidayCalendarRepository.upsertHolidays(holidays);
+      }
+
+      logger.info('Holidays imported', { calendarId, count: holidays.length });
+
+      return {
+        success: true,
+        data: {
+          imported: holidays.length,
+          dates: holidays.map(holiday => holiday.date)
+        }
+      };
+    } catch (error) {
+      logger.error('Error importing holidays', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the working calendar (working week and holidays) that applies to an employee
+   * @param {number} employeeId - Employee ID
+   * @param {string|Date} from - Range start
+   * @param {string|Date} to - Range end
+   * @returns {Promise<{workingDays: number[], holidays: Set<string>}>}
+   */
+  async getWorkingCalendarForEmployee(employeeId, from, to) {
+    const employee = await EmployeeRepository.findById(employeeId);
+
+    return await this.getWorkingCalendarForDepartment(
+      employee ? employee.departmentId : null,
+      from,
+      to
+    );
+  }
+
+  /**
+   * Build the working calendar (working week and holidays) that applies to a department
+   * @param {number|null} departmentId - Department ID
+   * @param {string|Date} from - Range start
+   * @param {string|Date} to - Range end
+   * @returns {Promise<{workingDays: number[], holidays: Set<string>}>}
+   */
+  async getWorkingCalendarForDepartment(departmentId, from, to) {
+    const calendar = departmentId
+      ? await HolidayCalendarRepository.findByDepartmentId(departmentId)
+      : null;
+
+    if (!calendar) {
+      return { workingDays: DEFAULT_WORKING_DAYS, holidays: new Set() };
+    }
+
+    const holidays = await HolidayCalendarRepository.findHolidays(calendar.id, {
+      from: toDateOnlyString(from),
+      to: toDateOnlyString(to)
+    });
+
+    return {
+      workingDays: calendar.workingDays,
+      holidays: new Set(holidays.map(holiday => holiday.date))
+    };
+  }
+
+  /**
+   * Calculate the duration of a leave period for an employee, in working days
+   * (fractional for half-day and hourly leave)
+   * @param {number} employeeId - Employee ID
+   * @param {Object} period - Leave period ({ startDate, endDate, granularity, ... })
+   * @returns {Promise<number|null>}
+   */
+  async calculateLeaveDuration(employeeId, period) {
+    const calendar = await this.getWorkingCalendarForEmployee(
+      employeeId,
+      period.startDate,
+      period.endDate
+    );
+
+    return calculatePeriodDuration(period, calendar);
+  }
+
+  /**
+   * Resolve the working days of a leave request: the duration stored at creation,
+   * or the employee's calendar for requests created before durations were stored
+   * @param {Object} leaveRequest - Leave request
+   * @returns {Promise<number|null>}
+   */
+  async resolveWorkingDays(leaveRequest) {
+    const calendar = leaveRequest.durationDays === null || leaveRequest.durationDays === undefined
+      ? await this.getWorkingCalendarForEmployee(
+        leaveRequest.employeeId,
+        leaveRequest.startDate,
+        leaveRequest.endDate
+      )
+      : {};
+
+    return resolveLeaveDuration(leaveRequest, calendar);
+  }
+}
+
+module.exports = new HolidayCalendarService();
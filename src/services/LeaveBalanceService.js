@@ -0,0 +1,400 @@
+/**
+ * LeaveBalance Service
+ * Maintains the per-employee, per-year leave ledger: accruals, carry-over,
+ * deductions on approval and refunds on cancellation/rejection
+ */
+
+const LeaveBalanceRepository = require('../repositories/LeaveBalanceRepository');
+const LeaveRequestRepository = require('../repositories/LeaveRequestRepository');
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const LeaveTypeRepository = require('../repositories/LeaveTypeRepository');
+const HolidayCalendarService = require('./HolidayCalendarService');
+const {
+  HTTP_STATUS,
+  LEAVE_BALANCE_POLICY,
+  LEAVE_BALANCE_TRANSACTION_TYPE
+} = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const {
+  calculatePeriodDuration,
+  resolveLeaveDuration,
+  splitPeriodByYear
+} = require('../utils/leaveDuration');
+const logger = require('../utils/logger');
+
+const roundDays = (value) => Math.round(value * 100) / 100;
+
+class LeaveBalanceService {
+  /**
+   * Open a leave year for an employee: carry over the previous year's
+   * remaining balance (capped) and book the annual accrual. Safe to call repeatedly.
+   * @param {number} employeeId - Employee ID
+   * @param {number} year - Leave year
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<void>}
+   */
+  async openYear(employeeId, year, options = {}) {
+    const accrualReference = `accrual:${employeeId}:${year}`;
+    const existingAccrual = await LeaveBalanceRepository.findByReference(accrualReference, options);
+
+    if (existingAccrual) {
+      return;
+    }
+
+    await this.syncCarryOver(employeeId, year, options);
+
+    await LeaveBalanceRepository.createIfMissing({
+      employeeId,
+      year,
+      type: LEAVE_BALANCE_TRANSACTION_TYPE.ACCRUAL,
+      days: LEAVE_BALANCE_POLICY.ANNUAL_ALLOWANCE_DAYS,
+      reference: accrualReference,
+      description: `Annual allowance for ${year}`
+    }, options);
+
+    // A later year may have been opened first, before this one had a balance
+    await this.syncFollowingYear(employeeId, year, options);
+
+    logger.info('Leave year opened', { employeeId, year });
+  }
+
+  /**
+   * Set the carry-over of a year to the previous year's remaining balance
+   * (capped). The carry-over changes whenever the previous year's ledger does,
+   * so leave booked ahead does not freeze it; later opened years follow along.
+   * @param {number} employeeId - Employee ID
+   * @param {number} year - Leave year receiving the carry-over
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<void>}
+   */
+  async syncCarryOver(employeeId, year, options = {}) {
+    const previousYear = year - 1;
+    const hasPreviousYear = await LeaveBalanceRepository.hasEntriesForYear(
+      employeeId,
+      previousYear,
+      options
+    );
+
+    if (!hasPreviousYear) {
+      return;
+    }
+
+    const previousBalance = await LeaveBalanceRepository.sumByEmployeeAndYear(
+      employeeId,
+      previousYear,
+      options
+    );
+    const carriedOver = roundDays(
+      Math.max(0, Math.min(previousBalance, LEAVE_BALANCE_POLICY.CARRY_OVER_CAP_DAYS))
+    );
+    const reference = `carry-over:${employeeId}:${year}`;
+    const existing = await LeaveBalanceRepository.findByReference(reference, options);
+
+    if (existing) {
+      if (Number(existing.days) === carriedOver) {
+        return;
+      }
+
+      await LeaveBalanceRepository.updateDays(existing.id, carriedOver, options);
+
+      logger.info('Leave carry-over adjusted', {
+        employeeId,
+        year,
+        from: Number(existing.days),
+        to: carriedOver
+      });
+    } else if (carriedOver > 0) {
+      await LeaveBalanceRepository.createIfMissing({
+        employeeId,
+        year,
+        type: LEAVE_BALANCE_TRANSACTION_TYPE.CARRY_OVER,
+        days: carriedOver,
+        reference,
+        description: `Carried over from ${previousYear}`
+      }, options);
+    } else {
+      return;
+    }
+
+    await this.syncFollowingYear(employeeId, year, options);
+  }
+
+  /**
+   * Recalculate the carry-over of the year after a changed one, if it is open
+   * @param {number} employeeId - Employee ID
+   * @param {number} year - Leave year whose ledger changed
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<void>}
+   */
+  async syncFollowingYear(employeeId, year, options = {}) {
+    const nextYear = year + 1;
+    const nextYearOpened = await LeaveBalanceRepository.findByReference(
+      `accrual:${employeeId}:${nextYear}`,
+      options
+    );
+
+    if (nextYearOpened) {
+      await this.syncCarryOver(employeeId, nextYear, options);
+    }
+  }
+
+  /**
+   * Calculate balance figures for an employee and year
+   * @param {number} employeeId - Employee ID
+   * @param {number} year - Leave year
+   * @param {Object} options - Query options (excludeLeaveRequestId, transaction)
+   * @returns {Promise<Object>}
+   */
+  async calculateBalance(employeeId, year, options = {}) {
+    const { excludeLeaveRequestId = null, transaction } = options;
+
+    await this.openYear(employeeId, year, { transaction });
+
+    const [balance, pendingRequests] = await Promise.all([
+      LeaveBalanceRepository.sumByEmployeeAndYear(employeeId, year, { transaction }),
+      LeaveRequestRepository.findPendingForYear(employeeId, year, {
+        excludeId: excludeLeaveRequestId,
+        transaction
+      })
+    ]);
+
+    const pending = pendingRequests
+      .filter(request => !request.leaveType || request.leaveType.countsAgainstBalance)
+      .reduce((total, request) => total + (resolveLeaveDuration(request) || 0), 0);
+
+    return {
+      balance: roundDays(balance),
+      pending: roundDays(pending),
+      available: roundDays(balance - pending)
+    };
+  }
+
+  /**
+   * Get leave balance with ledger for an employee
+   * @param {number} employeeId - Employee ID
+   * @param {number} year - Leave year
+   * @returns {Promise<Object>}
+   */
+  async getEmployeeLeaveBalance(employeeId, year) {
+    try {
+      const employeeExists = await EmployeeRepository.exists(employeeId);
+
+      if (!employeeExists) {
+        throw new Error('Employee not found');
+      }
+
+      const figures = await this.calculateBalance(employeeId, year);
+      const transactions = await LeaveBalanceRepository.findByEmployeeAndYear(employeeId, year);
+
+      const totals = {
+        [LEAVE_BALANCE_TRANSACTION_TYPE.ACCRUAL]: 0,
+        [LEAVE_BALANCE_TRANSACTION_TYPE.CARRY_OVER]: 0,
+        [LEAVE_BALANCE_TRANSACTION_TYPE.DEDUCTION]: 0,
+        [LEAVE_BALANCE_TRANSACTION_TYPE.REFUND]: 0
+      };
+
+      transactions.forEach(entry => {
+        totals[entry.type] += Number(entry.days);
+      });
+
+      return {
+        success: true,
+        data: {
+          employeeId: parseInt(employeeId),
+          year,
+          accrued: roundDays(totals[LEAVE_BALANCE_TRANSACTION_TYPE.ACCRUAL]),
+          carriedOver: roundDays(totals[LEAVE_BALANCE_TRANSACTION_TYPE.CARRY_OVER]),
+          used: roundDays(-totals[LEAVE_BALANCE_TRANSACTION_TYPE.DEDUCTION]),
+          refunded: roundDays(totals[LEAVE_BALANCE_TRANSACTION_TYPE.REFUND]),
+          ...figures,
+          carryOverCap: LEAVE_BALANCE_POLICY.CARRY_OVER_CAP_DAYS,
+          transactions
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching leave balance', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure an employee can request a leave period, taking other undecided
+   * requests into account; each leave year must cover its share of the period
+   * @param {Object} leaveRequest - Requested period ({ employeeId, startDate, endDate, durationDays, ... })
+   * @param {Object} options - Query options (excludeLeaveRequestId, transaction)
+   * @returns {Promise<void>}
+   */
+  async assertCanRequest(leaveRequest, options = {}) {
+    const allocations = await this.allocateByYear(leaveRequest, options);
+
+    for (const { year, days } of allocations) {
+      const { available } = await this.calculateBalance(leaveRequest.employeeId, year, options);
+
+      if (days > available) {
+        throw new AppError(
+          `Insufficient leave balance: ${days} day(s) requested in ${year}, ${available} available`,
+          HTTP_STATUS.CONFLICT
+        );
+      }
+    }
+  }
+
+  /**
+   * Work out how many days of a leave request each leave year is charged.
+   * Requests spanning New Year are split with the employee's working calendar;
+   * the last year takes the remainder so the total matches the stored duration.
+   * @param {Object} leaveRequest - Leave request
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<Array<{year: number, days: number}>>}
+   */
+  async allocateByYear(leaveRequest, options = {}) {
+    const parts = splitPeriodByYear(leaveRequest);
+
+    if (parts.length <= 1) {
+      return parts.map(part => ({ year: part.year, days: resolveLeaveDuration(leaveRequest) }));
+    }
+
+    const calendar = await HolidayCalendarService.getWorkingCalendarForEmployee(
+      leaveRequest.employeeId,
+      leaveRequest.startDate,
+      leaveRequest.endDate
+    );
+    const total = resolveLeaveDuration(leaveRequest, calendar);
+    let remaining = total;
+
+    return parts.map((part, index) => {
+      const days = index === parts.length - 1
+        ? roundDays(remaining)
+        : Math.min(remaining, calculatePeriodDuration(part, calendar));
+
+      remaining = roundDays(remaining - days);
+
+      return { year: part.year, days };
+    });
+  }
+
+  /**
+   * Check whether a leave request is charged against the balance
+   * @param {Object} leaveRequest - Leave request
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<boolean>}
+   */
+  async countsAgainstBalance(leaveRequest, options = {}) {
+    // Requests created before leave types existed are treated as annual leave
+    if (!leaveRequest.leaveTypeId) {
+      return true;
+    }
+
+    const leaveType = leaveRequest.leaveType ||
+      await LeaveTypeRepository.findById(leaveRequest.leaveTypeId, options);
+
+    return leaveType ? leaveType.countsAgainstBalance : true;
+  }
+
+  /**
+   * Check whether an approval of this leave request can be covered by the balance
+   * @param {Object} leaveRequest - Leave request
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<boolean>}
+   */
+  async canCover(leaveRequest, options = {}) {
+    if (!(await this.countsAgainstBalance(leaveRequest, options))) {
+      return true;
+    }
+
+    const allocations = await this.allocateByYear(leaveRequest, options);
+
+    for (const { year, days } of allocations) {
+      const { balance } = await this.calculateBalance(leaveRequest.employeeId, year, options);
+
+      if (days > balance) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Deduct an approved leave request from the balance, charging each leave
+   * year its share of the request
+   * @param {Object} leaveRequest - Leave request being approved
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<void>}
+   */
+  async deductForLeaveRequest(leaveRequest, options = {}) {
+    const reference = `deduction:${leaveRequest.id}`;
+    const existing = await LeaveBalanceRepository.findByReference(reference, options);
+
+    if (existing || !(await this.countsAgainstBalance(leaveRequest, options))) {
+      return;
+    }
+
+    if (!(await this.canCover(leaveRequest, options))) {
+      throw new AppError('Insufficient leave balance to approve this request', HTTP_STATUS.CONFLICT);
+    }
+
+    const allocations = await this.allocateByYear(leaveRequest, options);
+
+    for (const [index, { year, days }] of allocations.entries()) {
+      if (!days) {
+        continue;
+      }
+
+      // The start year keeps the plain reference; later years are suffixed
+      await LeaveBalanceRepository.createIfMissing({
+        employeeId: leaveRequest.employeeId,
+        year,
+        type: LEAVE_BALANCE_TRANSACTION_TYPE.DEDUCTION,
+        days: -days,
+        leaveRequestId: leaveRequest.id,
+        reference: index ? `${reference}:${year}` : reference,
+        description: `Leave ${leaveRequest.startDate} to ${leaveRequest.endDate}`
+      }, options);
+
+      await this.syncFollowingYear(leaveRequest.employeeId, year, options);
+    }
+
+    logger.info('Leave balance deducted', {
+      leaveRequestId: leaveRequest.id,
+      days: allocations.map(({ year, days }) => `${year}: ${days}`).join(', ')
+    });
+  }
+
+  /**
+   * Refund every deduction of a leave request to the balance
+   * @param {Object} leaveRequest - Leave request being cancelled or rejected
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<void>}
+   */
+  async refundForLeaveRequest(leaveRequest, options = {}) {
+    const deductions = await LeaveBalanceRepository.findByLeaveRequest(
+      leaveRequest.id,
+      LEAVE_BALANCE_TRANSACTION_TYPE.DEDUCTION,
+      options
+    );
+
+    for (const deduction of deductions) {
+      const [, created] = await LeaveBalanceRepository.createIfMissing({
+        employeeId: deduction.employeeId,
+        year: deduction.year,
+        type: LEAVE_BALANCE_TRANSACTION_TYPE.REFUND,
+        days: -Number(deduction.days),
+        leaveRequestId: leaveRequest.id,
+        reference: deduction.reference.replace(/^deduction:/, 'refund:'),
+        description: `Refund for leave ${leaveRequest.startDate} to ${leaveRequest.endDate}`
+      }, options);
+
+      if (created) {
+        await this.syncFollowingYear(deduction.employeeId, deduction.year, options);
+
+        logger.info('Leave balance refunded', {
+          leaveRequestId: leaveRequest.id,
+          year: deduction.year
+        });
+      }
+    }
+  }
+}
+
+module.exports = new LeaveBalanceService();
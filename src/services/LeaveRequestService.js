@@ -1,53 +1,102 @@
 /**
  * LeaveRequest Service
  * Contains business logic for leave request operations
- * Integrates with RabbitMQ for async processing
+ * Integrates with RabbitMQ for async processing through the transactional outbox
  */
 
 const LeaveRequestRepository = require('../repositories/LeaveRequestRepository');
+const LeaveApprovalRepository = require('../repositories/LeaveApprovalRepository');
 const EmployeeRepository = require('../repositories/EmployeeRepository');
-const { publishMessage } = require('../config/rabbitmq');
-const { QUEUE_EVENTS, LEAVE_REQUEST_STATUS } = require('../utils/constants');
+const LeaveBalanceService = require('./LeaveBalanceService');
+const LeaveTypeService = require('./LeaveTypeService');
+const HolidayCalendarService = require('./HolidayCalendarService');
+const ApprovalRoutingService = require('./ApprovalRoutingService');
+const LeaveRequestStatusService = require('./LeaveRequestStatusService');
+const AccessControlService = require('./AccessControlService');
+const StaffingRuleService = require('./StaffingRuleService');
+const BlackoutPeriodService = require('./BlackoutPeriodService');
+const OutboxService = require('./OutboxService');
+const { sequelize } = require('../config/database');
+const {
+  BULK_STATUS_MODE,
+  EDITABLE_LEAVE_REQUEST_STATUSES,
+  EXPORT_CHUNK_SIZE,
+  HTTP_STATUS,
+  QUEUE_EVENTS,
+  ROLE,
+  LEAVE_REQUEST_STATUS,
+  LEAVE_GRANULARITY,
+  STAFFING_RULE
+} = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { toDateOnlyString } = require('../utils/leaveDuration');
+const { resolveActingEmployeeId } = require('../utils/principal');
+const { createSpreadsheetWriter } = require('../utils/spreadsheet');
+const { leavePeriodPayload, leaveRequestCorrelationId } = require('../utils/events');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 
+// Events recorded when a manual decision settles a request
+const DECISION_EVENTS = {
+  [LEAVE_REQUEST_STATUS.APPROVED]: QUEUE_EVENTS.LEAVE_APPROVED,
+  [LEAVE_REQUEST_STATUS.REJECTED]: QUEUE_EVENTS.LEAVE_REJECTED
+};
+
+// Columns of leave request exports, one row per request
+const EXPORT_COLUMNS = [
+  { header: 'id', value: lr => lr.id },
+  { header: 'employeeId', value: lr => lr.employeeId },
+  { header: 'employeeName', value: lr => lr.employee?.name },
+  { header: 'employeeEmail', value: lr => lr.employee?.email },
+  { header: 'department', value: lr => lr.employee?.department?.name },
+  { header: 'leaveType', value: lr => lr.leaveType?.code },
+  { header: 'status', value: lr => lr.status },
+  { header: 'startDate', value: lr => lr.startDate },
+  { header: 'endDate', value: lr => lr.endDate },
+  { header: 'granularity', value: lr => lr.granularity },
+  { header: 'halfDayPeriod', value: lr => lr.halfDayPeriod },
+  { header: 'startTime', value: lr => lr.startTime },
+  { header: 'endTime', value: lr => lr.endTime },
+  {
+    header: 'durationDays',
+    value: lr => (lr.durationDays === null ? null : Number(lr.durationDays))
+  },
+  { header: 'approverId', value: lr => lr.approverId },
+  { header: 'exceptionRequested', value: lr => lr.exceptionRequested },
+  { header: 'cancellationReason', value: lr => lr.cancellationReason },
+  { header: 'createdAt', value: lr => lr.createdAt },
+  { header: 'processedAt', value: lr => lr.processedAt },
+  { header: 'cancelledAt', value: lr => lr.cancelledAt }
+];
+
 class LeaveRequestService {
   /**
    * Create a new leave request
    * @param {Object} leaveRequestData - Leave request data
+   * @param {Object} principal - Authenticated principal
    * @returns {Promise<Object>}
    */
-  async createLeaveRequest(leaveRequestData) {
+  async createLeaveRequest(leaveRequestData, principal = null) {
     try {
-      // Validate employee exists
-      const employeeExists = await EmployeeRepository.exists(leaveRequestData.employeeId);
-      
-      if (!employeeExists) {
-        throw new Error('Employee not found');
+      // Defaults to the logged-in employee; requesting for someone else needs
+      // access to them (managers for their reports, HR and admins for anyone)
+      const employeeId = leaveRequestData.employeeId
+        ? parseInt(leaveRequestData.employeeId)
+        : resolveActingEmployeeId(principal);
+
+      if (!employeeId) {
+        throw new AppError('Employee ID is required');
       }
 
-      // Validate dates
-      const startDate = new Date(leaveRequestData.startDate);
-      const endDate = new Date(leaveRequestData.endDate);
-      
-      if (startDate > endDate) {
-        throw new Error('Start date must be before or equal to end date');
-      }
+      await AccessControlService.assertCanAccessEmployee(principal, employeeId);
 
-      if (startDate < new Date().setHours(0, 0, 0, 0)) {
-        throw new Error('Cannot create leave request for past dates');
-      }
+      leaveRequestData = { ...leaveRequestData, employeeId };
 
-      // Check for overlapping leave requests
-      const overlapping = await LeaveRequestRepository.findOverlapping(
-        leaveRequestData.employeeId,
-        leaveRequestData.startDate,
-        leaveRequestData.endDate
-      );
+      const validation = await this.validateLeavePeriod(leaveRequestData);
+      const { leaveType, durationDays, exceptionRequested, staffingViolations } = validation;
+      const flags = this.describeApprovalFlags(validation);
 
-      if (overlapping.length > 0) {
-        throw new Error('Leave request overlaps with existing approved or pending request');
-      }
+      leaveRequestData = validation.leaveRequestData;
 
       // Generate idempotency key if not provided
       const idempotencyKey = leaveRequestData.idempotencyKey || 
@@ -68,38 +117,50 @@ class LeaveRequestService {
       }
 
       // Create leave request with PENDING status
-      const leaveRequest = await LeaveRequestRepository.create({
-        ...leaveRequestData,
-        status: LEAVE_REQUEST_STATUS.PENDING,
-        idempotencyKey
+      const leaveRequest = await sequelize.transaction(async (transaction) => {
+        const created = await LeaveRequestRepository.create({
+          ...leaveRequestData,
+          leaveTypeId: leaveType.id,
+          durationDays,
+          status: LEAVE_REQUEST_STATUS.PENDING,
+          exceptionRequested,
+          exceptionReason: exceptionRequested ? leaveRequestData.exceptionReason : null,
+          idempotencyKey
+        }, { transaction });
+
+        await LeaveRequestStatusService.recordTransition(
+          created.id,
+          null,
+          LEAVE_REQUEST_STATUS.PENDING,
+          {
+            actorId: resolveActingEmployeeId(principal),
+            reason: flags.length ? flags.join('; ').slice(0, 500) : null
+          },
+          { transaction }
+        );
+
+        // Recorded with the request so the event survives a broker outage;
+        // the outbox relay publishes it for async processing
+        await OutboxService.enqueue(QUEUE_EVENTS.LEAVE_REQUESTED, {
+          ...leavePeriodPayload(created),
+          granularity: created.granularity || LEAVE_GRANULARITY.FULL_DAY,
+          durationDays: created.durationDays === null ? null : Number(created.durationDays),
+          idempotencyKey: created.idempotencyKey
+        }, { transaction, correlationId: leaveRequestCorrelationId(created.id) });
+
+        return created;
       });
 
       logger.info('Leave request created', { leaveRequestId: leaveRequest.id });
 
-      // Publish to queue for async processing
-      try {
-        await publishMessage(QUEUE_EVENTS.LEAVE_REQUESTED, {
-          id: leaveRequest.id,
-          employeeId: leaveRequest.employeeId,
-          startDate: leaveRequest.startDate,
-          endDate: leaveRequest.endDate,
-          status: leaveRequest.status,
-          idempotencyKey: leaveRequest.idempotencyKey,
-          timestamp: new Date().toISOString()
-        });
-
-        logger.info('Leave request published to queue', { leaveRequestId: leaveRequest.id });
-      } catch (queueError) {
-        logger.error('Failed to publish to queue', queueError);
-        // Don't fail the request, it's already created
-      }
-
       // Fetch with employee details
       const leaveRequestWithDetails = await LeaveRequestRepository.findById(leaveRequest.id, true);
 
       return {
         success: true,
-        data: leaveRequestWithDetails
+        data: leaveRequestWithDetails,
+        // Breaches send the request to manual approval instead of refusing it
+        ...(staffingViolations.length ? { staffingViolations } : {})
       };
     } catch (error) {
       logger.error('Error creating leave request', error);
@@ -107,6 +168,157 @@ class LeaveRequestService {
     }
   }
 
+  /**
+   * Validate a leave period for an employee and work out what booking it involves:
+   * dates, overlaps, staffing rules, leave type rules, blackout periods and balance
+   * @param {Object} leaveRequestData - Leave request data (with employeeId)
+   * @param {Object} options - Validation options (excludeId: request being edited)
+   * @returns {Promise<Object>} Normalised data, leave type, duration, blackout details
+   *   and staffing rule breaches
+   */
+  async validateLeavePeriod(leaveRequestData, options = {}) {
+    const { excludeId = null } = options;
+
+    // Validate employee exists
+    const employeeExists = await EmployeeRepository.exists(leaveRequestData.employeeId);
+    
+    if (!employeeExists) {
+      throw new Error('Employee not found');
+    }
+
+    // Validate dates
+    const startDate = new Date(leaveRequestData.startDate);
+    const endDate = new Date(leaveRequestData.endDate);
+    
+    if (startDate > endDate) {
+      throw new Error('Start date must be before or equal to end date');
+    }
+
+    if (startDate < new Date().setHours(0, 0, 0, 0)) {
+      throw new Error('Cannot create leave request for past dates');
+    }
+
+    // Only keep the partial-day fields relevant to the requested granularity
+    const granularity = leaveRequestData.granularity || LEAVE_GRANULARITY.FULL_DAY;
+    leaveRequestData = {
+      ...leaveRequestData,
+      granularity,
+      halfDayPeriod: granularity === LEAVE_GRANULARITY.HALF_DAY
+        ? leaveRequestData.halfDayPeriod
+        : null,
+      startTime: granularity === LEAVE_GRANULARITY.HOURLY ? leaveRequestData.startTime : null,
+      endTime: granularity === LEAVE_GRANULARITY.HOURLY ? leaveRequestData.endTime : null
+    };
+
+    // Check for overlapping leave requests (half-days and hours only clash within the same window)
+    const overlapping = await LeaveRequestRepository.findOverlapping(
+      leaveRequestData.employeeId,
+      leaveRequestData.startDate,
+      leaveRequestData.endDate,
+      excludeId,
+      leaveRequestData
+    );
+
+    if (overlapping.length > 0) {
+      throw new Error('Leave request overlaps with existing approved or pending request');
+    }
+
+    // Department staffing rules do not refuse leave: breaches of minimum present and
+    // concurrent absences are flagged and send the request to manual approval, while
+    // department blackout periods are handled like blackout periods below
+    const violations = await StaffingRuleService.findViolations({
+      ...leaveRequestData,
+      id: excludeId
+    });
+    const staffingViolations = violations.filter(
+      violation => violation.rule !== STAFFING_RULE.BLACKOUT_PERIOD
+    );
+
+    const leaveType = await LeaveTypeService.resolveLeaveType(leaveRequestData.leaveTypeId);
+    const durationDays = await HolidayCalendarService.calculateLeaveDuration(
+      leaveRequestData.employeeId,
+      leaveRequestData
+    );
+
+    if (!durationDays) {
+      throw new AppError('Leave request does not include any working days');
+    }
+
+    // Apply leave type rules
+    if (leaveType.requiresDocument && !leaveRequestData.documentUrl) {
+      throw new AppError(`${leaveType.name} requires a supporting document`);
+    }
+
+    if (leaveType.maxConsecutiveDays && durationDays > leaveType.maxConsecutiveDays) {
+      throw new AppError(
+        `${leaveType.name} cannot exceed ${leaveType.maxConsecutiveDays} consecutive day(s)`
+      );
+    }
+
+    // Leave during a blackout period is only accepted as an exception request,
+    // which always goes to a manager
+    const exceptionRequested = leaveRequestData.exceptionRequested === true;
+    const blackoutPeriods = [
+      ...await BlackoutPeriodService.findIntersecting({
+        ...leaveRequestData,
+        leaveTypeId: leaveType.id
+      }),
+      ...violations
+        .filter(violation => violation.rule === STAFFING_RULE.BLACKOUT_PERIOD)
+        .map(violation => violation.period)
+    ];
+    const blackoutDescription = BlackoutPeriodService.describeBlackoutPeriods(blackoutPeriods);
+
+    if (blackoutPeriods.length && !exceptionRequested) {
+      throw new AppError(
+        `Leave request falls within blackout period(s) ${blackoutDescription}; ` +
+          'set exceptionRequested with an exceptionReason to ask for an exception',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    // Check the request fits in the remaining leave balance
+    if (leaveType.countsAgainstBalance) {
+      await LeaveBalanceService.assertCanRequest(
+        { ...leaveRequestData, durationDays },
+        { excludeLeaveRequestId: excludeId }
+      );
+    }
+
+    return {
+      leaveRequestData,
+      leaveType,
+      durationDays,
+      exceptionRequested,
+      blackoutPeriods,
+      blackoutDescription,
+      staffingViolations
+    };
+  }
+
+  /**
+   * Describe what sends a new or edited leave request to manual approval, for its
+   * status history
+   * @param {Object} validation - Result of validateLeavePeriod
+   * @returns {Array<string>}
+   */
+  describeApprovalFlags(validation) {
+    const { blackoutPeriods, blackoutDescription, staffingViolations } = validation;
+    const flags = [];
+
+    if (blackoutPeriods.length) {
+      flags.push(`Exception requested for blackout period(s) ${blackoutDescription}`);
+    }
+
+    if (staffingViolations.length) {
+      flags.push(
+        `Breaches staffing rules: ${StaffingRuleService.describeViolations(staffingViolations)}`
+      );
+    }
+
+    return flags;
+  }
+
   /**
    * Get leave request by ID
    * @param {number} id - Leave request ID
@@ -133,11 +345,15 @@ class LeaveRequestService {
   /**
    * Get all leave requests with pagination
    * @param {Object} options - Query options
+   * @param {Object} principal - Authenticated principal (scopes the rows returned)
    * @returns {Promise<Object>}
    */
-  async getAllLeaveRequests(options = {}) {
+  async getAllLeaveRequests(options = {}, principal = null) {
     try {
-      const { rows, count } = await LeaveRequestRepository.findAll(options);
+      const { rows, count } = await LeaveRequestRepository.findAll({
+        ...options,
+        accessScope: AccessControlService.getAccessScope(principal)
+      });
       
       const { page = 1, limit = 10 } = options;
       const totalPages = Math.ceil(count / limit);
@@ -158,6 +374,47 @@ class LeaveRequestService {
     }
   }
 
+  /**
+   * Stream leave requests matching the list filters to an output as CSV or XLSX
+   * Rows are read in chunks of EXPORT_CHUNK_SIZE, so the size of an export is
+   * not limited by memory.
+   * @param {Object} filters - Same filters as getAllLeaveRequests (without pagination)
+   * @param {string} format - SPREADSHEET_FORMAT value
+   * @param {stream.Writable} output - Destination (e.g. the HTTP response)
+   * @param {Object} principal - Authenticated principal (scopes the rows exported)
+   * @returns {Promise<number>} Number of exported leave requests
+   */
+  async exportLeaveRequests(filters, format, output, principal = null) {
+    try {
+      const chunks = LeaveRequestRepository.findAllInChunks({
+        ...filters,
+        accessScope: AccessControlService.getAccessScope(principal)
+      }, EXPORT_CHUNK_SIZE);
+      const writer = createSpreadsheetWriter(output, format, EXPORT_COLUMNS);
+      let exported = 0;
+
+      for await (const chunk of chunks) {
+        await writer.writeRows(chunk);
+        exported += chunk.length;
+
+        // The client went away: stop reading from the database
+        if (output.destroyed) {
+          logger.warn('Leave requests export aborted by the client', { format, exported });
+          return exported;
+        }
+      }
+
+      await writer.end();
+
+      logger.info('Leave requests exported', { format, exported });
+
+      return exported;
+    } catch (error) {
+      logger.error('Error exporting leave requests', error);
+      throw error;
+    }
+  }
+
   /**
    * Get leave requests by employee
    * @param {number} employeeId - Employee ID
@@ -193,30 +450,143 @@ class LeaveRequestService {
     }
   }
 
+  /**
+   * Update an undecided leave request
+   * The edited period is validated like a new request (excluding the request itself),
+   * its approval routing is cleared and it goes back to PENDING so the processor
+   * decides on it again.
+   * @param {number} id - Leave request ID
+   * @param {Object} updateData - Leave request data (without employeeId)
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<Object>}
+   */
+  async updateLeaveRequest(id, updateData, principal = null) {
+    try {
+      const leaveRequest = await LeaveRequestRepository.findById(id);
+
+      if (!leaveRequest) {
+        throw new Error('Leave request not found');
+      }
+
+      // Same rule as cancelling: own leave, reports' leave for managers, anyone's for HR and admins
+      await AccessControlService.assertCanAccessEmployee(principal, leaveRequest.employeeId);
+
+      if (!EDITABLE_LEAVE_REQUEST_STATUSES.includes(leaveRequest.status)) {
+        throw new AppError(
+          `Cannot edit a leave request that is ${leaveRequest.status}`,
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      const validation = await this.validateLeavePeriod({
+        ...updateData,
+        employeeId: leaveRequest.employeeId
+      }, { excludeId: leaveRequest.id });
+      const {
+        leaveRequestData,
+        leaveType,
+        durationDays,
+        exceptionRequested,
+        staffingViolations
+      } = validation;
+
+      const reason = ['Edited by employee', ...this.describeApprovalFlags(validation)].join('; ');
+
+      await sequelize.transaction(async (transaction) => {
+        await LeaveRequestRepository.update(id, {
+          leaveTypeId: leaveType.id,
+          startDate: leaveRequestData.startDate,
+          endDate: leaveRequestData.endDate,
+          granularity: leaveRequestData.granularity,
+          halfDayPeriod: leaveRequestData.halfDayPeriod,
+          startTime: leaveRequestData.startTime,
+          endTime: leaveRequestData.endTime,
+          documentUrl: leaveRequestData.documentUrl || null,
+          durationDays,
+          exceptionRequested,
+          exceptionReason: exceptionRequested ? leaveRequestData.exceptionReason : null,
+          approverId: null
+        }, { transaction });
+
+        // The edited request is routed from scratch
+        await LeaveApprovalRepository.deleteByLeaveRequest(id, { transaction });
+
+        await LeaveRequestStatusService.resetForReprocessing(
+          leaveRequest,
+          { actorId: resolveActingEmployeeId(principal), reason: reason.slice(0, 500) },
+          { transaction }
+        );
+
+        await OutboxService.enqueue(QUEUE_EVENTS.LEAVE_UPDATED, {
+          // The route ID is a string; the event carries the stored numeric ID
+          ...leavePeriodPayload({
+            ...leaveRequestData,
+            id: leaveRequest.id,
+            leaveTypeId: leaveType.id
+          }),
+          granularity: leaveRequestData.granularity,
+          durationDays: Number(durationDays),
+          previousStatus: leaveRequest.status,
+          previousStartDate: toDateOnlyString(leaveRequest.startDate),
+          previousEndDate: toDateOnlyString(leaveRequest.endDate)
+        }, { transaction, correlationId: leaveRequestCorrelationId(leaveRequest.id) });
+      });
+
+      logger.info('Leave request updated', { leaveRequestId: id });
+
+      const updatedLeaveRequest = await LeaveRequestRepository.findById(id, true);
+
+      return {
+        success: true,
+        data: updatedLeaveRequest,
+        ...(staffingViolations.length ? { staffingViolations } : {})
+      };
+    } catch (error) {
+      logger.error('Error updating leave request', error);
+      throw error;
+    }
+  }
+
   /**
    * Update leave request status
+   * Only transitions allowed by the leave request state machine are accepted.
+   * Decisions on requests awaiting approval are recorded against the current
+   * approval stage; the final status only changes once every stage has approved
+   * or any stage has rejected.
    * @param {number} id - Leave request ID
    * @param {string} status - New status
+   * @param {Object} decision - Approval details ({ approverId, comment, acceptException })
+   * @param {Object} principal - Authenticated principal
    * @returns {Promise<Object>}
    */
-  async updateLeaveRequestStatus(id, status) {
+  async updateLeaveRequestStatus(id, status, decision = {}, principal = null) {
     try {
-      const exists = await LeaveRequestRepository.exists(id);
+      decision = this.resolveDecision(decision, principal);
+
+      const leaveRequest = await LeaveRequestRepository.findById(id);
       
-      if (!exists) {
+      if (!leaveRequest) {
         throw new Error('Leave request not found');
       }
 
-      // Validate status
-      const validStatuses = Object.values(LEAVE_REQUEST_STATUS);
-      if (!validStatuses.includes(status)) {
-        throw new Error('Invalid status');
-      }
+      let finalStatus = null;
+
+      await sequelize.transaction(async (transaction) => {
+        finalStatus = await this.applyStatusChange(
+          leaveRequest,
+          status,
+          decision,
+          principal,
+          { transaction }
+        );
+      });
 
-      await LeaveRequestRepository.updateStatus(id, status);
       const updatedLeaveRequest = await LeaveRequestRepository.findById(id, true);
 
-      logger.info('Leave request status updated', { leaveRequestId: id, status });
+      logger.info('Leave request status updated', {
+        leaveRequestId: id,
+        status: finalStatus || leaveRequest.status
+      });
 
       return {
         success: true,
@@ -228,13 +598,245 @@ class LeaveRequestService {
     }
   }
 
+  /**
+   * Update the status of several leave requests with the same decision
+   * In ATOMIC mode all requests change in one transaction and the first failure
+   * rolls every change back; in PARTIAL mode each request is changed in its own
+   * transaction and failures are reported per request.
+   * @param {Array<number>} ids - Leave request IDs
+   * @param {string} status - New status
+   * @param {Object} decision - Approval details ({ approverId, comment, acceptException })
+   * @param {Object} principal - Authenticated principal
+   * @param {string} mode - BULK_STATUS_MODE value
+   * @returns {Promise<Object>}
+   */
+  async bulkUpdateLeaveRequestStatus(
+    ids,
+    status,
+    decision = {},
+    principal = null,
+    mode = BULK_STATUS_MODE.ATOMIC
+  ) {
+    try {
+      decision = this.resolveDecision(decision, principal);
+
+      const uniqueIds = [...new Set(ids.map(id => parseInt(id)))];
+
+      const changeOne = async (id, transaction) => {
+        const leaveRequest = await LeaveRequestRepository.findById(id);
+
+        if (!leaveRequest) {
+          throw new Error('Leave request not found');
+        }
+
+        const finalStatus = await this.applyStatusChange(
+          leaveRequest,
+          status,
+          decision,
+          principal,
+          { transaction }
+        );
+
+        return { id, success: true, status: finalStatus || leaveRequest.status };
+      };
+
+      const results = [];
+
+      if (mode === BULK_STATUS_MODE.PARTIAL) {
+        for (const id of uniqueIds) {
+          try {
+            results.push(await sequelize.transaction(transaction => changeOne(id, transaction)));
+          } catch (error) {
+            logger.warn('Bulk status change skipped leave request', {
+              leaveRequestId: id,
+              error: error.message
+            });
+            results.push({ id, success: false, error: error.message });
+          }
+        }
+      } else {
+        await sequelize.transaction(async (transaction) => {
+          // Sequential on purpose: staffing checks must see the approvals made before them
+          for (const id of uniqueIds) {
+            try {
+              results.push(await changeOne(id, transaction));
+            } catch (error) {
+              // Point the caller at the request that rolled the whole batch back
+              if (error instanceof AppError || error.message.includes('not found')) {
+                throw new AppError(
+                  `Leave request ${id}: ${error.message}`,
+                  error.statusCode || HTTP_STATUS.NOT_FOUND
+                );
+              }
+
+              throw error;
+            }
+          }
+        });
+      }
+
+      const succeeded = results.filter(result => result.success).length;
+
+      logger.info('Leave request statuses updated in bulk', {
+        mode,
+        status,
+        succeeded,
+        failed: results.length - succeeded
+      });
+
+      return {
+        success: true,
+        data: {
+          mode,
+          results,
+          succeeded,
+          failed: results.length - succeeded
+        }
+      };
+    } catch (error) {
+      logger.error('Error updating leave request statuses in bulk', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve who a decision is made by and whether it may override stage assignments
+   * @param {Object} decision - Approval details ({ approverId, comment, acceptException })
+   * @param {Object} principal - Authenticated principal
+   * @returns {Object}
+   */
+  resolveDecision(decision, principal) {
+    return {
+      ...decision,
+      // Employees decide as themselves; API key callers may name the approver
+      approverId: resolveActingEmployeeId(principal, decision.approverId),
+      // Admins may decide stages assigned to someone else
+      override: Boolean(principal && principal.role === ROLE.ADMIN)
+    };
+  }
+
+  /**
+   * Apply a status change to a leave request within a transaction: approval
+   * stages, staffing rules, balance, status history and the resulting event
+   * @param {Object} leaveRequest - Leave request
+   * @param {string} status - New status
+   * @param {Object} decision - Resolved decision (see resolveDecision)
+   * @param {Object} principal - Authenticated principal
+   * @param {Object} options - Query options (transaction)
+   * @returns {Promise<string|null>} Final status, null while further stages must approve
+   */
+  async applyStatusChange(leaveRequest, status, decision, principal, options = {}) {
+    const { transaction } = options;
+    const id = leaveRequest.id;
+
+    // Validate status
+    const validStatuses = Object.values(LEAVE_REQUEST_STATUS);
+    if (!validStatuses.includes(status)) {
+      throw new Error('Invalid status');
+    }
+
+    const isDecision = [LEAVE_REQUEST_STATUS.APPROVED, LEAVE_REQUEST_STATUS.REJECTED].includes(status);
+
+    // Requests the processor has not routed yet have no approval stages, so
+    // deciding them would skip the chain; only an admin override may do that
+    const decidesUnrouted = isDecision && leaveRequest.status === LEAVE_REQUEST_STATUS.PENDING;
+
+    if (decidesUnrouted && !decision.override) {
+      throw new AppError(
+        'Leave request has not been routed for approval yet, please retry shortly',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    LeaveRequestStatusService.assertTransition(leaveRequest.status, status, {
+      system: decidesUnrouted
+    });
+    await AccessControlService.assertCanDecideLeaveRequest(principal, leaveRequest);
+
+    const isStagedDecision = isDecision &&
+      leaveRequest.status === LEAVE_REQUEST_STATUS.PENDING_APPROVAL;
+
+    let finalStatus = status;
+
+    if (isStagedDecision) {
+      const outcome = await ApprovalRoutingService.recordDecision(
+        leaveRequest,
+        status,
+        decision,
+        { transaction }
+      );
+
+      finalStatus = outcome.finalStatus;
+
+      // Further stages must still approve: hand the request to the next approver
+      if (!finalStatus) {
+        await LeaveRequestRepository.assignApprover(id, outcome.nextApproverId, { transaction });
+        await ApprovalRoutingService.enqueueApprovalRequest(
+          leaveRequest,
+          outcome.nextApproverId,
+          outcome.nextStageOrder,
+          { transaction }
+        );
+        return null;
+      }
+    }
+
+    let reason = decision.comment;
+
+    if (finalStatus === LEAVE_REQUEST_STATUS.APPROVED) {
+      // Approvers may knowingly accept a staffing rule breach; admins always may
+      const acceptedViolations = await StaffingRuleService.assertCanApprove(leaveRequest, {
+        acceptException: decision.override || decision.acceptException === true,
+        transaction
+      });
+
+      if (acceptedViolations.length) {
+        const description = StaffingRuleService.describeViolations(acceptedViolations);
+        reason = [decision.comment, `Staffing exception accepted: ${description}`]
+          .filter(Boolean)
+          .join('; ')
+          .slice(0, 500);
+      }
+
+      await LeaveBalanceService.deductForLeaveRequest(leaveRequest, { transaction });
+    } else if (leaveRequest.status === LEAVE_REQUEST_STATUS.APPROVED) {
+      await LeaveBalanceService.refundForLeaveRequest(leaveRequest, { transaction });
+    }
+
+    await LeaveRequestStatusService.transition(
+      leaveRequest,
+      finalStatus,
+      { actorId: decision.approverId, reason, system: decidesUnrouted },
+      { transaction }
+    );
+
+    if (finalStatus === LEAVE_REQUEST_STATUS.CANCELLED) {
+      await LeaveRequestRepository.markCancelled(id, decision.comment, { transaction });
+      await this.enqueueCancellation(leaveRequest, decision.comment, { transaction });
+    } else if (finalStatus === LEAVE_REQUEST_STATUS.WITHDRAWN) {
+      await this.enqueueWithdrawal(leaveRequest, decision.comment, { transaction });
+    } else if (DECISION_EVENTS[finalStatus]) {
+      await OutboxService.enqueue(DECISION_EVENTS[finalStatus], {
+        ...leavePeriodPayload(leaveRequest),
+        approverId: decision.approverId ? parseInt(decision.approverId) : null,
+        comment: decision.comment || null,
+        ...(finalStatus === LEAVE_REQUEST_STATUS.APPROVED ? { autoApproved: false } : {})
+      }, { transaction, correlationId: leaveRequestCorrelationId(leaveRequest.id) });
+    }
+
+    return finalStatus;
+  }
+
   /**
    * Cancel leave request
+   * The request is kept with a CANCELLED status so it stays visible in lists,
+   * audits and exports; any balance it consumed is refunded.
    * @param {number} id - Leave request ID
-   * @param {number} employeeId - Employee ID (for authorization)
+   * @param {Object} principal - Authenticated principal
+   * @param {string} reason - Cancellation reason
    * @returns {Promise<Object>}
    */
-  async cancelLeaveRequest(id, employeeId) {
+  async cancelLeaveRequest(id, principal, reason = null) {
     try {
       const leaveRequest = await LeaveRequestRepository.findById(id);
       
@@ -242,20 +844,35 @@ class LeaveRequestService {
         throw new Error('Leave request not found');
       }
 
-      if (leaveRequest.employeeId !== employeeId) {
-        throw new Error('Unauthorized to cancel this leave request');
-      }
+      // Employees cancel their own leave, managers their reports', HR and admins anyone's
+      await AccessControlService.assertCanAccessEmployee(principal, leaveRequest.employeeId);
 
-      if (leaveRequest.status === LEAVE_REQUEST_STATUS.REJECTED) {
-        throw new Error('Cannot cancel rejected leave request');
-      }
+      const employeeId = resolveActingEmployeeId(principal);
 
-      await LeaveRequestRepository.delete(id);
+      LeaveRequestStatusService.assertTransition(
+        leaveRequest.status,
+        LEAVE_REQUEST_STATUS.CANCELLED
+      );
+
+      await sequelize.transaction(async (transaction) => {
+        await LeaveBalanceService.refundForLeaveRequest(leaveRequest, { transaction });
+        await LeaveRequestStatusService.transition(
+          leaveRequest,
+          LEAVE_REQUEST_STATUS.CANCELLED,
+          { actorId: employeeId, reason },
+          { transaction }
+        );
+        await LeaveRequestRepository.markCancelled(id, reason, { transaction });
+        await this.enqueueCancellation(leaveRequest, reason, { transaction });
+      });
 
       logger.info('Leave request cancelled', { leaveRequestId: id });
 
+      const cancelledLeaveRequest = await LeaveRequestRepository.findById(id, true);
+
       return {
         success: true,
+        data: cancelledLeaveRequest,
         message: 'Leave request cancelled successfully'
       };
     } catch (error) {
@@ -264,6 +881,86 @@ class LeaveRequestService {
     }
   }
 
+  /**
+   * Record a leave.cancelled event in the outbox as part of the cancellation
+   * @param {Object} leaveRequest - Leave request as it was before cancellation
+   * @param {string|null} reason - Cancellation reason
+   * @param {Object} options - Query options (transaction of the cancellation)
+   * @returns {Promise<void>}
+   */
+  async enqueueCancellation(leaveRequest, reason, options = {}) {
+    await OutboxService.enqueue(QUEUE_EVENTS.LEAVE_CANCELLED, {
+      ...leavePeriodPayload(leaveRequest),
+      previousStatus: leaveRequest.status,
+      reason: reason || null
+    }, { ...options, correlationId: leaveRequestCorrelationId(leaveRequest.id) });
+  }
+
+  /**
+   * Withdraw an undecided leave request
+   * Unlike decisions, this is open to whoever may cancel the request, including
+   * the requesting employee. Undecided requests have consumed no balance.
+   * @param {number} id - Leave request ID
+   * @param {Object} principal - Authenticated principal
+   * @param {string} reason - Withdrawal reason
+   * @returns {Promise<Object>}
+   */
+  async withdrawLeaveRequest(id, principal, reason = null) {
+    try {
+      const leaveRequest = await LeaveRequestRepository.findById(id);
+
+      if (!leaveRequest) {
+        throw new Error('Leave request not found');
+      }
+
+      // Same rule as cancelling: own leave, reports' leave for managers, anyone's for HR and admins
+      await AccessControlService.assertCanAccessEmployee(principal, leaveRequest.employeeId);
+
+      LeaveRequestStatusService.assertTransition(
+        leaveRequest.status,
+        LEAVE_REQUEST_STATUS.WITHDRAWN
+      );
+
+      await sequelize.transaction(async (transaction) => {
+        await LeaveRequestStatusService.transition(
+          leaveRequest,
+          LEAVE_REQUEST_STATUS.WITHDRAWN,
+          { actorId: resolveActingEmployeeId(principal), reason },
+          { transaction }
+        );
+        await this.enqueueWithdrawal(leaveRequest, reason, { transaction });
+      });
+
+      logger.info('Leave request withdrawn', { leaveRequestId: leaveRequest.id });
+
+      const withdrawnLeaveRequest = await LeaveRequestRepository.findById(id, true);
+
+      return {
+        success: true,
+        data: withdrawnLeaveRequest,
+        message: 'Leave request withdrawn successfully'
+      };
+    } catch (error) {
+      logger.error('Error withdrawing leave request', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a leave.withdrawn event in the outbox as part of the withdrawal
+   * @param {Object} leaveRequest - Leave request as it was before withdrawal
+   * @param {string|null} reason - Withdrawal reason
+   * @param {Object} options - Query options (transaction of the withdrawal)
+   * @returns {Promise<void>}
+   */
+  async enqueueWithdrawal(leaveRequest, reason, options = {}) {
+    await OutboxService.enqueue(QUEUE_EVENTS.LEAVE_WITHDRAWN, {
+      ...leavePeriodPayload(leaveRequest),
+      previousStatus: leaveRequest.status,
+      reason: reason || null
+    }, { ...options, correlationId: leaveRequestCorrelationId(leaveRequest.id) });
+  }
+
   /**
    * Get employee leave statistics
    * @param {number} employeeId - Employee ID
@@ -278,7 +975,13 @@ class LeaveRequestService {
         throw new Error('Employee not found');
       }
 
-      const stats = await LeaveRequestRepository.getEmployeeStats(employeeId, year);
+      // Used for requests created before working-day durations were stored
+      const calendar = await HolidayCalendarService.getWorkingCalendarForEmployee(
+        employeeId,
+        `${year}-01-01`,
+        `${year + 1}-12-31`
+      );
+      const stats = await LeaveRequestRepository.getEmployeeStats(employeeId, year, calendar);
 
       return {
         success: true,
@@ -0,0 +1,175 @@
+/**
+ * LeaveRequestStatus Service
+ * Enforces the leave request state machine and records every transition
+ */
+
+const LeaveRequestRepository = require('../repositories/LeaveRequestRepository');
+const LeaveRequestStatusHistoryRepository = require('../repositories/LeaveRequestStatusHistoryRepository');
+const {
+  EDITABLE_LEAVE_REQUEST_STATUSES,
+  HTTP_STATUS,
+  LEAVE_REQUEST_STATUS,
+  LEAVE_REQUEST_TRANSITIONS,
+  SYSTEM_LEAVE_REQUEST_TRANSITIONS
+} = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class LeaveRequestStatusService {
+  /**
+   * Check whether a status transition is allowed
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Target status
+   * @param {Object} options - Transition options ({ system }: made by the system, not a person)
+   * @returns {boolean}
+   */
+  canTransition(fromStatus, toStatus, options = {}) {
+    if ((LEAVE_REQUEST_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+      return true;
+    }
+
+    return Boolean(options.system) &&
+      (SYSTEM_LEAVE_REQUEST_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Ensure a status transition is allowed
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Target status
+   * @param {Object} options - Transition options ({ system })
+   * @returns {void}
+   */
+  assertTransition(fromStatus, toStatus, options = {}) {
+    if (!this.canTransition(fromStatus, toStatus, options)) {
+      throw new AppError(
+        `Cannot change leave request status from ${fromStatus} to ${toStatus}`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  /**
+   * Move a leave request to a new status and record the transition
+   * @param {Object} leaveRequest - Leave request (with its current status)
+   * @param {string} toStatus - Target status
+   * @param {Object} context - Transition context ({ actorId, reason, system })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<void>}
+   */
+  async transition(leaveRequest, toStatus, context = {}, options = {}) {
+    const fromStatus = leaveRequest.status;
+
+    this.assertTransition(fromStatus, toStatus, { system: context.system });
+
+    const [updated] = await LeaveRequestRepository.updateStatus(leaveRequest.id, toStatus, {
+      expectedStatus: fromStatus,
+      transaction: options.transaction
+    });
+
+    // Someone else changed the status since the request was read
+    if (!updated) {
+      throw new AppError(
+        'Leave request status was changed concurrently, please retry',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    await this.recordTransition(leaveRequest.id, fromStatus, toStatus, context, options);
+
+    logger.info('Leave request status transitioned', {
+      leaveRequestId: leaveRequest.id,
+      fromStatus,
+      toStatus,
+      actorId: context.actorId || null
+    });
+  }
+
+  /**
+   * Send an edited leave request back to PENDING so it is processed again.
+   * This is not part of the state machine: only editing a request may do it.
+   * @param {Object} leaveRequest - Leave request (with its current status)
+   * @param {Object} context - Transition context ({ actorId, reason })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<void>}
+   */
+  async resetForReprocessing(leaveRequest, context = {}, options = {}) {
+    const fromStatus = leaveRequest.status;
+
+    if (!EDITABLE_LEAVE_REQUEST_STATUSES.includes(fromStatus)) {
+      throw new AppError(`Cannot edit a leave request that is ${fromStatus}`, HTTP_STATUS.CONFLICT);
+    }
+
+    const [updated] = await LeaveRequestRepository.updateStatus(
+      leaveRequest.id,
+      LEAVE_REQUEST_STATUS.PENDING,
+      { expectedStatus: fromStatus, transaction: options.transaction }
+    );
+
+    if (!updated) {
+      throw new AppError(
+        'Leave request status was changed concurrently, please retry',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    await this.recordTransition(
+      leaveRequest.id,
+      fromStatus,
+      LEAVE_REQUEST_STATUS.PENDING,
+      context,
+      options
+    );
+
+    logger.info('Leave request reset for reprocessing', {
+      leaveRequestId: leaveRequest.id,
+      fromStatus,
+      actorId: context.actorId || null
+    });
+  }
+
+  /**
+   * Record a status transition in the history
+   * @param {number} leaveRequestId - Leave request ID
+   * @param {string|null} fromStatus - Previous status (null on creation)
+   * @param {string} toStatus - New status
+   * @param {Object} context - Transition context ({ actorId, reason })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<Object>}
+   */
+  async recordTransition(leaveRequestId, fromStatus, toStatus, context = {}, options = {}) {
+    return await LeaveRequestStatusHistoryRepository.create({
+      leaveRequestId,
+      fromStatus,
+      toStatus,
+      actorId: context.actorId || null,
+      reason: context.reason || null
+    }, options);
+  }
+
+  /**
+   * Get the status history of a leave request
+   * @param {number} leaveRequestId - Leave request ID
+   * @returns {Promise<Object>}
+   */
+  async getLeaveRequestHistory(leaveRequestId) {
+    try {
+      const exists = await LeaveRequestRepository.exists(leaveRequestId);
+
+      if (!exists) {
+        throw new Error('Leave request not found');
+      }
+
+      const history = await LeaveRequestStatusHistoryRepository.findByLeaveRequest(leaveRequestId);
+
+      return {
+        success: true,
+        data: history
+      };
+    } catch (error) {
+      logger.error('Error fetching leave request history', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new LeaveRequestStatusService();
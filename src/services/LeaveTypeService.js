@@ -0,0 +1,196 @@
+/**
+ * LeaveType Service
+ * Contains business logic for leave type operations
+ */
+
+const LeaveTypeRepository = require('../repositories/LeaveTypeRepository');
+const { DEFAULT_LEAVE_TYPES, LEAVE_TYPE_CODES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+class LeaveTypeService {
+  /**
+   * Create a new leave type
+   * @param {Object} leaveTypeData - Leave type data
+   * @returns {Promise<Object>}
+   */
+  async createLeaveType(leaveTypeData) {
+    try {
+      const existingLeaveType = await LeaveTypeRepository.findByCode(leaveTypeData.code);
+
+      if (existingLeaveType) {
+        throw new Error('Leave type with this code already exists');
+      }
+
+      const leaveType = await LeaveTypeRepository.create(leaveTypeData);
+
+      logger.info('Leave type created', { leaveTypeId: leaveType.id });
+
+      return {
+        success: true,
+        data: leaveType
+      };
+    } catch (error) {
+      logger.error('Error creating leave type', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get leave type by ID
+   * @param {number} id - Leave type ID
+   * @returns {Promise<Object>}
+   */
+  async getLeaveTypeById(id) {
+    try {
+      const leaveType = await LeaveTypeRepository.findById(id);
+
+      if (!leaveType) {
+        throw new Error('Leave type not found');
+      }
+
+      return {
+        success: true,
+        data: leaveType
+      };
+    } catch (error) {
+      logger.error('Error fetching leave type', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all leave types with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>}
+   */
+  async getAllLeaveTypes(options = {}) {
+    try {
+      const { rows, count } = await LeaveTypeRepository.findAll(options);
+
+      const { page = 1, limit = 10 } = options;
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching leave types', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update leave type
+   * @param {number} id - Leave type ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>}
+   */
+  async updateLeaveType(id, updateData) {
+    try {
+      const exists = await LeaveTypeRepository.exists(id);
+
+      if (!exists) {
+        throw new Error('Leave type not found');
+      }
+
+      // Check if new code conflicts with existing leave type
+      if (updateData.code) {
+        const existingLeaveType = await LeaveTypeRepository.findByCode(updateData.code);
+        if (existingLeaveType && existingLeaveType.id !== parseInt(id)) {
+          throw new Error('Leave type with this code already exists');
+        }
+      }
+
+      await LeaveTypeRepository.update(id, updateData);
+      const updatedLeaveType = await LeaveTypeRepository.findById(id);
+
+      logger.info('Leave type updated', { leaveTypeId: id });
+
+      return {
+        success: true,
+        data: updatedLeaveType
+      };
+    } catch (error) {
+      logger.error('Error updating leave type', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete leave type
+   * @param {number} id - Leave type ID
+   * @returns {Promise<Object>}
+   */
+  async deleteLeaveType(id) {
+    try {
+      const exists = await LeaveTypeRepository.exists(id);
+
+      if (!exists) {
+        throw new Error('Leave type not found');
+      }
+
+      // Leave types referenced by requests can only be deactivated
+      const requestCount = await LeaveTypeRepository.countLeaveRequests(id);
+      if (requestCount > 0) {
+        throw new Error('Cannot delete leave type with existing leave requests, deactivate it instead');
+      }
+
+      await LeaveTypeRepository.delete(id);
+
+      logger.info('Leave type deleted', { leaveTypeId: id });
+
+      return {
+        success: true,
+        message: 'Leave type deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting leave type', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the leave type for a new request, defaulting to annual leave
+   * @param {number|null} leaveTypeId - Requested leave type ID
+   * @returns {Promise<LeaveType>}
+   */
+  async resolveLeaveType(leaveTypeId) {
+    const leaveType = leaveTypeId
+      ? await LeaveTypeRepository.findById(leaveTypeId)
+      : await LeaveTypeRepository.findByCode(LEAVE_TYPE_CODES.ANNUAL);
+
+    if (!leaveType) {
+      throw new Error('Leave type not found');
+    }
+
+    if (!leaveType.isActive) {
+      throw new Error('Leave type is no longer available');
+    }
+
+    return leaveType;
+  }
+
+  /**
+   * Seed the default leave types if they are missing
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultLeaveTypes() {
+    for (const defaults of DEFAULT_LEAVE_TYPES) {
+      const existing = await LeaveTypeRepository.findByCode(defaults.code);
+
+      if (!existing) {
+        await LeaveTypeRepository.create(defaults);
+        logger.info('Default leave type created', { code: defaults.code });
+      }
+    }
+  }
+}
+
+module.exports = new LeaveTypeService();
@@ -0,0 +1,330 @@
+/**
+ * Notification Service
+ * Turns leave events into templated emails for the employees concerned,
+ * honours their notification preferences and sends the emails with retries
+ */
+
+const NotificationRepository = require('../repositories/NotificationRepository');
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const LeaveTypeRepository = require('../repositories/LeaveTypeRepository');
+const AccessControlService = require('./AccessControlService');
+const mailer = require('../config/mailer');
+const { sequelize } = require('../config/database');
+const {
+  EMAIL_DELIVERY,
+  EMAIL_NOTIFICATION_STATUS,
+  HTTP_STATUS,
+  NOTIFICATION_TYPE,
+  QUEUE_EVENTS
+} = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { renderEmail } = require('../utils/emailTemplates');
+const { resolveActingEmployeeId } = require('../utils/principal');
+const logger = require('../utils/logger');
+
+// Notifications raised by each event type and the payload field naming their recipient
+const EVENT_NOTIFICATIONS = {
+  [QUEUE_EVENTS.LEAVE_REQUESTED]: { type: NOTIFICATION_TYPE.LEAVE_SUBMITTED, recipientField: 'employeeId' },
+  [QUEUE_EVENTS.LEAVE_APPROVED]: { type: NOTIFICATION_TYPE.LEAVE_APPROVED, recipientField: 'employeeId' },
+  [QUEUE_EVENTS.LEAVE_REJECTED]: { type: NOTIFICATION_TYPE.LEAVE_REJECTED, recipientField: 'employeeId' },
+  [QUEUE_EVENTS.LEAVE_CANCELLED]: { type: NOTIFICATION_TYPE.LEAVE_CANCELLED, recipientField: 'employeeId' },
+  [QUEUE_EVENTS.LEAVE_APPROVAL_REQUESTED]: { type: NOTIFICATION_TYPE.APPROVAL_REQUESTED, recipientField: 'approverId' }
+};
+
+// Preference flag controlling each notification type
+const PREFERENCE_FIELDS = {
+  [NOTIFICATION_TYPE.LEAVE_SUBMITTED]: 'leaveSubmitted',
+  [NOTIFICATION_TYPE.LEAVE_APPROVED]: 'leaveApproved',
+  [NOTIFICATION_TYPE.LEAVE_REJECTED]: 'leaveRejected',
+  [NOTIFICATION_TYPE.LEAVE_CANCELLED]: 'leaveCancelled',
+  [NOTIFICATION_TYPE.APPROVAL_REQUESTED]: 'approvalRequested'
+};
+
+const DEFAULT_PREFERENCES = {
+  emailEnabled: true,
+  ...Object.fromEntries(Object.values(PREFERENCE_FIELDS).map(field => [field, true]))
+};
+
+class NotificationService {
+  /**
+   * Resolve an employee's preferences, falling back to the defaults
+   * @param {number} employeeId - Employee ID
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<Object>}
+   */
+  async resolvePreferences(employeeId, options = {}) {
+    const preferences = await NotificationRepository.findPreferences(employeeId, options);
+    const values = { ...DEFAULT_PREFERENCES };
+
+    if (preferences) {
+      Object.keys(DEFAULT_PREFERENCES).forEach(field => {
+        values[field] = preferences[field];
+      });
+    }
+
+    return { employeeId: parseInt(employeeId), ...values };
+  }
+
+  /**
+   * Get the notification preferences of an employee
+   * @param {number} employeeId - Employee ID
+   * @returns {Promise<Object>}
+   */
+  async getPreferences(employeeId) {
+    try {
+      const employeeExists = await EmployeeRepository.exists(employeeId);
+
+      if (!employeeExists) {
+        throw new Error('Employee not found');
+      }
+
+      return {
+        success: true,
+        data: await this.resolvePreferences(employeeId)
+      };
+    } catch (error) {
+      logger.error('Error fetching notification preferences', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the notification preferences of an employee.
+   * Employees change their own preferences; HR and admins anyone's.
+   * @param {number} employeeId - Employee ID
+   * @param {Object} updateData - Preference flags to change
+   * @param {Object} principal - Authenticated principal
+   * @returns {Promise<Object>}
+   */
+  async updatePreferences(employeeId, updateData, principal = null) {
+    try {
+      if (!AccessControlService.hasUnrestrictedAccess(principal) &&
+        resolveActingEmployeeId(principal) !== parseInt(employeeId)) {
+        throw new AppError(
+          'You can only change your own notification preferences',
+          HTTP_STATUS.FORBIDDEN
+        );
+      }
+
+      const employeeExists = await EmployeeRepository.exists(employeeId);
+
+      if (!employeeExists) {
+        throw new Error('Employee not found');
+      }
+
+      const current = await this.resolvePreferences(employeeId);
+      const changes = {};
+
+      Object.keys(DEFAULT_PREFERENCES).forEach(field => {
+        changes[field] = updateData[field] !== undefined ? updateData[field] : current[field];
+      });
+
+      await NotificationRepository.upsertPreferences(employeeId, changes);
+
+      logger.info('Notification preferences updated', { employeeId });
+
+      return {
+        success: true,
+        data: await this.resolvePreferences(employeeId)
+      };
+    } catch (error) {
+      logger.error('Error updating notification preferences', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the email notifications of an employee
+   * @param {number} employeeId - Employee ID
+   * @param {Object} options - Query options (page, limit, status)
+   * @returns {Promise<Object>}
+   */
+  async getNotifications(employeeId, options = {}) {
+    try {
+      const employeeExists = await EmployeeRepository.exists(employeeId);
+
+      if (!employeeExists) {
+        throw new Error('Employee not found');
+      }
+
+      const { rows, count } = await NotificationRepository.findEmailsByRecipient(employeeId, options);
+
+      const { page = 1, limit = 10 } = options;
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching notifications', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render and record the email an event raises, if its recipient wants it
+   * @param {Object} event - Event envelope
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<number>} Number of emails recorded
+   */
+  async recordEvent(event, options = {}) {
+    const notification = EVENT_NOTIFICATIONS[event.type];
+
+    if (!notification) {
+      return 0;
+    }
+
+    const { payload } = event;
+    const recipientId = payload[notification.recipientField];
+    const recipient = recipientId ? await EmployeeRepository.findById(recipientId) : null;
+
+    if (!recipient || !recipient.email) {
+      logger.warn('No recipient for notification', { eventId: event.id, type: notification.type });
+      return 0;
+    }
+
+    const preferences = await this.resolvePreferences(recipient.id, options);
+
+    if (!preferences.emailEnabled || !preferences[PREFERENCE_FIELDS[notification.type]]) {
+      logger.debug('Notification disabled by recipient', { recipientId, type: notification.type });
+      return 0;
+    }
+
+    const employee = payload.employeeId === recipient.id
+      ? recipient
+      : await EmployeeRepository.findById(payload.employeeId);
+    const approver = payload.approverId && payload.approverId !== recipient.id
+      ? await EmployeeRepository.findById(payload.approverId)
+      : null;
+    const leaveType = payload.leaveTypeId
+      ? await LeaveTypeRepository.findById(payload.leaveTypeId, options)
+      : null;
+
+    const email = renderEmail(notification.type, {
+      ...payload,
+      leaveRequestId: payload.id,
+      recipientName: recipient.name,
+      employeeName: employee ? employee.name : `Employee #${payload.employeeId}`,
+      approverName: approver ? approver.name : null,
+      leaveTypeName: leaveType ? leaveType.name : null
+    });
+
+    await NotificationRepository.createEmails([{
+      eventId: event.id,
+      type: notification.type,
+      recipientId: recipient.id,
+      recipientEmail: recipient.email,
+      leaveRequestId: payload.id,
+      subject: email.subject,
+      textBody: email.text,
+      htmlBody: email.html
+    }], options);
+
+    logger.info('Email notification recorded', {
+      eventId: event.id,
+      type: notification.type,
+      recipientId: recipient.id
+    });
+
+    return 1;
+  }
+
+  /**
+   * Delay before the next attempt after a failed send
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(
+      EMAIL_DELIVERY.RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1),
+      EMAIL_DELIVERY.RETRY_MAX_DELAY_MS
+    );
+  }
+
+  /**
+   * Send an email notification and record the outcome
+   * @param {Object} notification - Email notification
+   * @returns {Promise<boolean>} Whether the transport accepted the email
+   */
+  async attemptSend(notification) {
+    const attempts = notification.attempts + 1;
+    let lastError = null;
+
+    try {
+      await mailer.sendMail({
+        to: notification.recipientEmail,
+        subject: notification.subject,
+        text: notification.textBody,
+        html: notification.htmlBody
+      });
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    const sent = !lastError;
+    let status = EMAIL_NOTIFICATION_STATUS.PENDING;
+
+    if (sent) {
+      status = EMAIL_NOTIFICATION_STATUS.SENT;
+    } else if (attempts >= EMAIL_DELIVERY.MAX_ATTEMPTS) {
+      status = EMAIL_NOTIFICATION_STATUS.FAILED;
+    }
+
+    await NotificationRepository.updateEmail(notification.id, {
+      status,
+      attempts,
+      lastError,
+      sentAt: sent ? new Date() : null,
+      nextAttemptAt: status === EMAIL_NOTIFICATION_STATUS.PENDING
+        ? new Date(Date.now() + this.getRetryDelay(attempts))
+        : null
+    });
+
+    if (!sent) {
+      logger.warn('Email notification failed', {
+        notificationId: notification.id,
+        attempts,
+        status,
+        error: lastError
+      });
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send one batch of due email notifications
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async sendDueBatch() {
+    // Claimed in a short transaction so no lock is held while talking to the mail server
+    const notifications = await sequelize.transaction(async (transaction) => (
+      NotificationRepository.claimDueEmails(
+        EMAIL_DELIVERY.BATCH_SIZE,
+        EMAIL_DELIVERY.SEND_TIMEOUT_MS * 2,
+        { transaction }
+      )
+    ));
+
+    const result = { sent: 0, failed: 0 };
+
+    for (const notification of notifications) {
+      if (await this.attemptSend(notification)) {
+        result.sent++;
+      } else {
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,120 @@
+/**
+ * Outbox Service
+ * Records events in the outbox table and relays them to the message broker
+ */
+
+const OutboxRepository = require('../repositories/OutboxRepository');
+const { sequelize } = require('../config/database');
+const broker = require('../config/broker');
+const { OUTBOX_RELAY, OUTBOX_STATUS } = require('../utils/constants');
+const { createEvent, validateEvent } = require('../utils/events');
+const logger = require('../utils/logger');
+
+class OutboxService {
+  /**
+   * Record an event to be published once the surrounding transaction commits.
+   * The payload is wrapped in a versioned envelope and validated against its
+   * schema, so an invalid event aborts the transaction.
+   * @param {string} routingKey - Event type (see QUEUE_EVENTS)
+   * @param {Object} payload - Event payload
+   * @param {Object} options - Query options (transaction of the change the event
+   *   describes) and the correlationId of the envelope
+   * @returns {Promise<Object>}
+   */
+  async enqueue(routingKey, payload, options = {}) {
+    const event = createEvent(routingKey, payload, { correlationId: options.correlationId });
+
+    return await OutboxRepository.create({ routingKey, payload: event }, options);
+  }
+
+  /**
+   * Delay before the next attempt after a failed publish
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(
+      OUTBOX_RELAY.RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1),
+      OUTBOX_RELAY.RETRY_MAX_DELAY_MS
+    );
+  }
+
+  /**
+   * Publish one batch of due events
+   * @returns {Promise<{delivered: number, failed: number}>}
+   */
+  async relayBatch() {
+    // Claimed in a short transaction so no lock is held while publishing
+    const events = await sequelize.transaction(async (transaction) => (
+      OutboxRepository.claimDue(
+        OUTBOX_RELAY.BATCH_SIZE,
+        OUTBOX_RELAY.CLAIM_LEASE_MS,
+        { transaction }
+      )
+    ));
+
+    const result = { delivered: 0, failed: 0 };
+
+    for (const event of events) {
+      // Rows written before events had envelopes can never be published
+      const { error: invalidEvent } = validateEvent(event.payload);
+
+      if (invalidEvent) {
+        await OutboxRepository.update(event.id, {
+          status: OUTBOX_STATUS.FAILED,
+          lastError: `Invalid event: ${invalidEvent}`
+        });
+
+        result.failed++;
+        logger.error('Invalid outbox event marked as failed', { outboxEventId: event.id });
+        continue;
+      }
+
+      try {
+        // The event ID doubles as message ID so consumers recognise events published twice.
+        // Only resolves once the broker has confirmed the message, so an event is never
+        // marked delivered while it only sits in a local buffer.
+        const published = await broker.publishMessage(event.routingKey, event.payload, {
+          messageId: event.payload.id
+        });
+
+        if (!published) {
+          throw new Error('Broker did not confirm the event');
+        }
+
+        await OutboxRepository.update(event.id, {
+          status: OUTBOX_STATUS.DELIVERED,
+          attempts: event.attempts + 1,
+          deliveredAt: new Date(),
+          lastError: null
+        });
+
+        result.delivered++;
+      } catch (error) {
+        const attempts = event.attempts + 1;
+        const exhausted = attempts >= OUTBOX_RELAY.MAX_ATTEMPTS;
+
+        await OutboxRepository.update(event.id, {
+          status: exhausted ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+          attempts,
+          availableAt: new Date(Date.now() + this.getRetryDelay(attempts)),
+          lastError: error.message
+        });
+
+        result.failed++;
+
+        logger[exhausted ? 'error' : 'warn']('Failed to relay outbox event', {
+          outboxEventId: event.id,
+          routingKey: event.routingKey,
+          attempts,
+          exhausted,
+          error: error.message
+        });
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new OutboxService();
@@ -0,0 +1,100 @@
+/**
+ * ProcessedMessage Service
+ * Makes queue consumers exactly-once in effect: an event is handled in the
+ * same transaction that records it as processed, so a redelivered or
+ * duplicated event is skipped, and a failed handler leaves no record behind
+ */
+
+const { UniqueConstraintError } = require('sequelize');
+
+const ProcessedMessageRepository = require('../repositories/ProcessedMessageRepository');
+const { sequelize } = require('../config/database');
+const { PROCESSED_MESSAGE_RETENTION } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ProcessedMessageService {
+  /**
+   * Handle an event once per consumer
+   * @param {string} consumer - Consumer name
+   * @param {Object} event - Event envelope
+   * @param {string} routingKey - Routing key the event was delivered with
+   * @param {Function} handler - Receives { transaction }; its writes must use it
+   * @returns {Promise<boolean>} False when the event had already been processed
+   */
+  async processOnce(consumer, event, routingKey, handler) {
+    let duplicate = false;
+
+    await sequelize.transaction(async (transaction) => {
+      // Recorded first: a concurrent duplicate blocks on the unique key until
+      // this transaction ends and then fails
+      try {
+        await ProcessedMessageRepository.create({
+          eventId: event.id,
+          consumer,
+          routingKey
+        }, { transaction });
+      } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+          duplicate = true;
+          return;
+        }
+
+        throw error;
+      }
+
+      await handler({ transaction });
+    });
+
+    if (duplicate) {
+      logger.info('Skipping already processed event', { consumer, eventId: event.id, routingKey });
+    }
+
+    return !duplicate;
+  }
+
+  /**
+   * Wrap a broker consumer callback so each event is processed once
+   * @param {string} consumer - Consumer name
+   * @param {Function} handler - Receives (event, rawMessage, { transaction })
+   * @param {Function} getRoutingKey - Resolves the routing key of a raw message
+   * @returns {Function} Broker consumer callback
+   */
+  wrapConsumer(consumer, handler, getRoutingKey) {
+    return async (event, rawMessage) => {
+      await this.processOnce(
+        consumer,
+        event,
+        getRoutingKey(rawMessage),
+        (options) => handler(event, rawMessage, options)
+      );
+    };
+  }
+
+  /**
+   * Delete records older than the retention period, in batches
+   * @returns {Promise<number>} Number of deleted records
+   */
+  async cleanup() {
+    const before = new Date(Date.now() - PROCESSED_MESSAGE_RETENTION.RETENTION_DAYS * DAY_MS);
+    let total = 0;
+    let deleted;
+
+    do {
+      deleted = await ProcessedMessageRepository.deleteProcessedBefore(
+        before,
+        PROCESSED_MESSAGE_RETENTION.CLEANUP_BATCH_SIZE
+      );
+      total += deleted;
+    } while (deleted >= PROCESSED_MESSAGE_RETENTION.CLEANUP_BATCH_SIZE);
+
+    if (total) {
+      logger.info('Processed messages cleaned up', { deleted: total, before: before.toISOString() });
+    }
+
+    return total;
+  }
+}
+
+module.exports = new ProcessedMessageService();
@@ -0,0 +1,155 @@
+/**
+ * StaffingRule Service
+ * Checks leave against the staffing rules of the employee's department:
+ * minimum people present, maximum concurrent absences and blackout periods
+ */
+
+const DepartmentRepository = require('../repositories/DepartmentRepository');
+const EmployeeRepository = require('../repositories/EmployeeRepository');
+const LeaveRequestRepository = require('../repositories/LeaveRequestRepository');
+const HolidayCalendarService = require('./HolidayCalendarService');
+const { HTTP_STATUS, LEAVE_REQUEST_STATUS, STAFFING_RULE } = require('../utils/constants');
+const { AppError } = require('../utils/errors');
+const { getDayFraction, toDateOnlyString } = require('../utils/leaveDuration');
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+class StaffingRuleService {
+  /**
+   * Check whether a department has any staffing rule configured
+   * @param {Object} department - Department
+   * @returns {boolean}
+   */
+  hasRules(department) {
+    return department.minPresent !== null ||
+      department.maxConcurrentAbsences !== null ||
+      (department.blackoutPeriods || []).length > 0;
+  }
+
+  /**
+   * Find the staffing rules a leave period would breach. Only approved leave of
+   * colleagues is taken into account: pending requests have not taken the slot yet.
+   * @param {Object} leaveRequest - Leave request or period being booked
+   *   ({ id, employeeId, startDate, endDate, granularity, ... })
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<Array<{rule: string, date: string|null, message: string}>>}
+   */
+  async findViolations(leaveRequest, options = {}) {
+    const employee = await EmployeeRepository.findById(leaveRequest.employeeId);
+    const department = employee && employee.departmentId
+      ? await DepartmentRepository.findById(employee.departmentId, options)
+      : null;
+
+    if (!department || !this.hasRules(department)) {
+      return [];
+    }
+
+    const startDate = toDateOnlyString(leaveRequest.startDate);
+    const endDate = toDateOnlyString(leaveRequest.endDate);
+
+    const violations = (department.blackoutPeriods || [])
+      .filter(period => period.startDate <= endDate && startDate <= period.endDate)
+      .map(period => ({
+        rule: STAFFING_RULE.BLACKOUT_PERIOD,
+        date: null,
+        message: `${department.name} does not allow leave during ${period.name} ` +
+          `(${period.startDate} to ${period.endDate})`,
+        period: { name: period.name, startDate: period.startDate, endDate: period.endDate }
+      }));
+
+    if (department.minPresent === null && department.maxConcurrentAbsences === null) {
+      return violations;
+    }
+
+    const calendar = await HolidayCalendarService.getWorkingCalendarForDepartment(
+      department.id,
+      startDate,
+      endDate
+    );
+    const { headcount, days } = await LeaveRequestRepository.getDepartmentAvailability(
+      department.id,
+      startDate,
+      endDate,
+      calendar,
+      {
+        statuses: [LEAVE_REQUEST_STATUS.APPROVED],
+        excludeId: leaveRequest.id,
+        transaction: options.transaction
+      }
+    );
+    const fraction = getDayFraction(leaveRequest);
+    const { minPresent, maxConcurrentAbsences } = department;
+
+    days.filter(day => day.workingDay).forEach(day => {
+      // The employee may already be away for part of the day (e.g. AM booked, PM requested)
+      const own = day.onLeave.find(absence => absence.employeeId === leaveRequest.employeeId);
+      const ownFraction = own ? own.fraction : 0;
+      const absentees = day.onLeave.length + (own ? 0 : 1);
+      const present = roundTo2(
+        headcount - (day.absent - ownFraction + Math.min(1, ownFraction + fraction))
+      );
+
+      if (maxConcurrentAbsences !== null && absentees > maxConcurrentAbsences) {
+        violations.push({
+          rule: STAFFING_RULE.MAX_CONCURRENT_ABSENCES,
+          date: day.date,
+          message: `${absentees} employees of ${department.name} would be absent on ${day.date}, ` +
+            `at most ${maxConcurrentAbsences} allowed`
+        });
+      }
+
+      if (minPresent !== null && present < minPresent) {
+        violations.push({
+          rule: STAFFING_RULE.MIN_PRESENT,
+          date: day.date,
+          message: `Only ${Math.max(0, present)} employees of ${department.name} would be ` +
+            `present on ${day.date}, at least ${minPresent} required`
+        });
+      }
+    });
+
+    return violations;
+  }
+
+  /**
+   * Describe staffing rule violations in one sentence
+   * @param {Array<Object>} violations - Violations from findViolations
+   * @returns {string}
+   */
+  describeViolations(violations) {
+    const [first] = violations;
+    const others = violations.length - 1;
+
+    return others > 0
+      ? `${first.message} (and ${others} more staffing rule breach(es))`
+      : first.message;
+  }
+
+  /**
+   * Ensure a leave request may be approved under its department's staffing rules.
+   * Department blackout periods are waived when the employee asked for an exception;
+   * any other breach is refused unless the approver explicitly accepts it.
+   * @param {Object} leaveRequest - Leave request being approved
+   * @param {Object} options - { acceptException, transaction }
+   * @returns {Promise<Array<Object>>} Breaches accepted by the approver
+   */
+  async assertCanApprove(leaveRequest, options = {}) {
+    const { acceptException = false, transaction } = options;
+    const violations = (await this.findViolations(leaveRequest, { transaction })).filter(
+      violation => !(
+        leaveRequest.exceptionRequested && violation.rule === STAFFING_RULE.BLACKOUT_PERIOD
+      )
+    );
+
+    if (violations.length && !acceptException) {
+      throw new AppError(
+        `${this.describeViolations(violations)}; set acceptException to approve anyway`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    return violations;
+  }
+}
+
+module.exports = new StaffingRuleService();
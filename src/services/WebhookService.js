@@ -0,0 +1,450 @@
+/**
+ * Webhook Service
+ * Manages webhook subscriptions and delivers leave events to them as
+ * HMAC-signed HTTP POST requests with retries and a delivery log
+ */
+
+const crypto = require('crypto');
+const { Agent, fetch } = require('undici');
+
+const WebhookRepository = require('../repositories/WebhookRepository');
+const { sequelize } = require('../config/database');
+const { matchesTopic } = require('../config/messaging');
+const {
+  PRINCIPAL_TYPE,
+  WEBHOOK_DELIVERY,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_SECRET_PREFIX
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+const { assertPublicUrl, publicLookup } = require('../utils/network');
+
+const RESPONSE_BODY_LIMIT = 2000;
+
+/**
+ * Read the start of a response body, cancelling the download once enough is read
+ * @param {Response} response - Fetch response
+ * @param {number} limit - Characters to keep
+ * @returns {Promise<string>}
+ */
+const readBodyPrefix = async (response, limit) => {
+  if (!response.body) {
+    return '';
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+
+  try {
+    while (text.length < limit) {
+      const { done, value } = await reader.read();
+
+      if (done) {
+        break;
+      }
+
+      text += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+
+  return text.slice(0, limit);
+};
+
+// Connects only to the addresses publicLookup approved, whatever the host
+// resolves to by the time of the request
+const deliveryAgent = new Agent({ connect: { lookup: publicLookup } });
+
+class WebhookService {
+  /**
+   * Create a new webhook subscription. The signing secret is only returned here.
+   * @param {Object} webhookData - Subscription data ({ name, url, events, secret, isActive })
+   * @param {Object} principal - Authenticated principal creating the subscription
+   * @returns {Promise<Object>}
+   */
+  async createWebhook(webhookData, principal = {}) {
+    try {
+      // Deliveries must not reach internal services (their responses end up in the log)
+      await assertPublicUrl(webhookData.url);
+
+      const secret = webhookData.secret ||
+        `${WEBHOOK_SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+      const webhook = await WebhookRepository.create({
+        name: webhookData.name,
+        url: webhookData.url,
+        events: webhookData.events,
+        isActive: webhookData.isActive !== undefined ? webhookData.isActive : true,
+        secret,
+        createdById: principal.type === PRINCIPAL_TYPE.EMPLOYEE ? principal.employeeId : null
+      });
+
+      logger.info('Webhook created', { webhookId: webhook.id });
+
+      return {
+        success: true,
+        data: {
+          ...webhook.toJSON(),
+          secret
+        },
+        message: 'Store this secret now, it cannot be retrieved again'
+      };
+    } catch (error) {
+      logger.error('Error creating webhook', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get webhook subscription by ID
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object>}
+   */
+  async getWebhookById(id) {
+    try {
+      const webhook = await WebhookRepository.findById(id);
+
+      if (!webhook) {
+        throw new Error('Webhook not found');
+      }
+
+      return {
+        success: true,
+        data: webhook
+      };
+    } catch (error) {
+      logger.error('Error fetching webhook', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all webhook subscriptions with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>}
+   */
+  async getAllWebhooks(options = {}) {
+    try {
+      const { rows, count } = await WebhookRepository.findAll(options);
+
+      const { page = 1, limit = 10 } = options;
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching webhooks', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update webhook subscription
+   * @param {number} id - Subscription ID
+   * @param {Object} updateData - Update data ({ name, url, events, isActive })
+   * @returns {Promise<Object>}
+   */
+  async updateWebhook(id, updateData) {
+    try {
+      const exists = await WebhookRepository.exists(id);
+
+      if (!exists) {
+        throw new Error('Webhook not found');
+      }
+
+      const allowedFields = ['name', 'url', 'events', 'isActive'];
+      const changes = Object.fromEntries(
+        Object.entries(updateData).filter(([field]) => allowedFields.includes(field))
+      );
+
+      if (changes.url) {
+        await assertPublicUrl(changes.url);
+      }
+
+      await WebhookRepository.update(id, changes);
+      const updatedWebhook = await WebhookRepository.findById(id);
+
+      logger.info('Webhook updated', { webhookId: id });
+
+      return {
+        success: true,
+        data: updatedWebhook
+      };
+    } catch (error) {
+      logger.error('Error updating webhook', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete webhook subscription together with its delivery log
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object>}
+   */
+  async deleteWebhook(id) {
+    try {
+      const exists = await WebhookRepository.exists(id);
+
+      if (!exists) {
+        throw new Error('Webhook not found');
+      }
+
+      await WebhookRepository.delete(id);
+
+      logger.info('Webhook deleted', { webhookId: id });
+
+      return {
+        success: true,
+        message: 'Webhook deleted successfully'
+      };
+    } catch (error) {
+      logger.error('Error deleting webhook', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the delivery log of a webhook subscription
+   * @param {number} id - Subscription ID
+   * @param {Object} options - Query options (page, limit, status)
+   * @returns {Promise<Object>}
+   */
+  async getDeliveries(id, options = {}) {
+    try {
+      const exists = await WebhookRepository.exists(id);
+
+      if (!exists) {
+        throw new Error('Webhook not found');
+      }
+
+      const { rows, count } = await WebhookRepository.findDeliveries(id, options);
+
+      const { page = 1, limit = 10 } = options;
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching webhook deliveries', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver an event again right away, whatever the state of the delivery
+   * @param {number} id - Subscription ID
+   * @param {number} deliveryId - Delivery ID
+   * @returns {Promise<Object>}
+   */
+  async redeliver(id, deliveryId) {
+    try {
+      const delivery = await WebhookRepository.findDelivery(id, deliveryId, true);
+
+      if (!delivery) {
+        throw new Error('Webhook delivery not found');
+      }
+
+      await this.attemptDelivery(delivery);
+
+      const updatedDelivery = await WebhookRepository.findDelivery(id, deliveryId);
+
+      logger.info('Webhook delivery redelivered', { webhookId: id, deliveryId });
+
+      return {
+        success: true,
+        data: updatedDelivery
+      };
+    } catch (error) {
+      logger.error('Error redelivering webhook', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record deliveries of an event for every active subscription whose filters match
+   * @param {Object} event - Event envelope
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<number>} Number of subscriptions matched
+   */
+  async recordEvent(event, options = {}) {
+    const { id: eventId, type: eventType } = event;
+    const subscriptions = await WebhookRepository.findActive(options);
+    const matching = subscriptions.filter(subscription => (
+      (subscription.events || []).some(pattern => matchesTopic(pattern, eventType))
+    ));
+
+    if (!matching.length) {
+      return 0;
+    }
+
+    await WebhookRepository.createDeliveries(matching.map(subscription => ({
+      subscriptionId: subscription.id,
+      eventId,
+      eventType,
+      payload: event
+    })), options);
+
+    logger.info('Webhook deliveries recorded', {
+      eventType,
+      eventId,
+      webhookIds: matching.map(subscription => subscription.id)
+    });
+
+    return matching.length;
+  }
+
+  /**
+   * Sign a payload: HMAC-SHA256 over "<timestamp>.<body>" with the subscription secret
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw request body
+   * @returns {string}
+   */
+  signPayload(secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Delay before the next attempt after a failed delivery
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(
+      WEBHOOK_DELIVERY.RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1),
+      WEBHOOK_DELIVERY.RETRY_MAX_DELAY_MS
+    );
+  }
+
+  /**
+   * Send a delivery to its subscription and record the outcome
+   * @param {Object} delivery - Delivery (with subscription)
+   * @returns {Promise<boolean>} Whether the endpoint accepted the event
+   */
+  async attemptDelivery(delivery) {
+    const { subscription } = delivery;
+    const attempts = delivery.attempts + 1;
+    // The body is the event envelope as published
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const outcome = { responseStatus: null, responseBody: null, lastError: null };
+
+    try {
+      if (!subscription.isActive) {
+        throw new Error('Webhook subscription is inactive');
+      }
+
+      // Checked again on every attempt: the host may resolve elsewhere by now.
+      // The agent enforces it on the connection itself; this also covers IP literals.
+      await assertPublicUrl(subscription.url);
+
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'workforce-management-webhooks',
+          'X-Webhook-Id': String(delivery.id),
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.signPayload(subscription.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        dispatcher: deliveryAgent,
+        signal: AbortSignal.timeout(WEBHOOK_DELIVERY.TIMEOUT_MS)
+      });
+
+      outcome.responseStatus = response.status;
+      outcome.responseBody = await readBodyPrefix(response, RESPONSE_BODY_LIMIT);
+
+      if (!response.ok) {
+        outcome.lastError = `Endpoint responded with ${response.status}`;
+      }
+    } catch (error) {
+      outcome.lastError = error.message;
+    }
+
+    const succeeded = !outcome.lastError;
+    const exhausted = !succeeded && attempts >= WEBHOOK_DELIVERY.MAX_ATTEMPTS;
+    let status = WEBHOOK_DELIVERY_STATUS.PENDING;
+
+    if (succeeded) {
+      status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+    } else if (exhausted || !subscription.isActive) {
+      status = WEBHOOK_DELIVERY_STATUS.FAILED;
+    }
+
+    await WebhookRepository.updateDelivery(delivery.id, {
+      ...outcome,
+      status,
+      attempts,
+      lastAttemptAt: new Date(),
+      deliveredAt: succeeded ? new Date() : delivery.deliveredAt,
+      nextAttemptAt: status === WEBHOOK_DELIVERY_STATUS.PENDING
+        ? new Date(Date.now() + this.getRetryDelay(attempts))
+        : null
+    });
+
+    if (!succeeded) {
+      logger.warn('Webhook delivery failed', {
+        webhookId: subscription.id,
+        deliveryId: delivery.id,
+        attempts,
+        status,
+        error: outcome.lastError
+      });
+    }
+
+    return succeeded;
+  }
+
+  /**
+   * Deliver one batch of due deliveries
+   * @returns {Promise<{delivered: number, failed: number}>}
+   */
+  async deliverDueBatch() {
+    // Claimed in a short transaction so no lock is held during the HTTP calls
+    const deliveries = await sequelize.transaction(async (transaction) => (
+      WebhookRepository.claimDue(
+        WEBHOOK_DELIVERY.BATCH_SIZE,
+        WEBHOOK_DELIVERY.TIMEOUT_MS * 2,
+        { transaction }
+      )
+    ));
+
+    const result = { delivered: 0, failed: 0 };
+
+    for (const delivery of deliveries) {
+      if (await this.attemptDelivery(delivery)) {
+        result.delivered++;
+      } else {
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new WebhookService();
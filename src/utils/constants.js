@@ -6,17 +6,359 @@ const LEAVE_REQUEST_STATUS = {
   PENDING: 'PENDING',
   APPROVED: 'APPROVED',
   REJECTED: 'REJECTED',
-  PENDING_APPROVAL: 'PENDING_APPROVAL'
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  CANCELLED: 'CANCELLED',
+  WITHDRAWN: 'WITHDRAWN'
 };
 
+// Allowed status transitions; REJECTED, CANCELLED and WITHDRAWN are final.
+// WITHDRAWN pulls back an undecided request, CANCELLED is set by cancellation.
+const LEAVE_REQUEST_TRANSITIONS = {
+  [LEAVE_REQUEST_STATUS.PENDING]: [
+    LEAVE_REQUEST_STATUS.WITHDRAWN,
+    LEAVE_REQUEST_STATUS.CANCELLED
+  ],
+  [LEAVE_REQUEST_STATUS.PENDING_APPROVAL]: [
+    LEAVE_REQUEST_STATUS.APPROVED,
+    LEAVE_REQUEST_STATUS.REJECTED,
+    LEAVE_REQUEST_STATUS.WITHDRAWN,
+    LEAVE_REQUEST_STATUS.CANCELLED
+  ],
+  [LEAVE_REQUEST_STATUS.APPROVED]: [
+    LEAVE_REQUEST_STATUS.CANCELLED
+  ],
+  [LEAVE_REQUEST_STATUS.REJECTED]: [],
+  [LEAVE_REQUEST_STATUS.CANCELLED]: [],
+  [LEAVE_REQUEST_STATUS.WITHDRAWN]: []
+};
+
+// Transitions only the system may make on top of the ones above: the leave
+// request processor routes new requests to approval or decides them itself,
+// so approvers cannot skip the approval stages
+const SYSTEM_LEAVE_REQUEST_TRANSITIONS = {
+  [LEAVE_REQUEST_STATUS.PENDING]: [
+    LEAVE_REQUEST_STATUS.PENDING_APPROVAL,
+    LEAVE_REQUEST_STATUS.APPROVED,
+    LEAVE_REQUEST_STATUS.REJECTED
+  ]
+};
+
+// Undecided requests the employee may still edit; an edit sends them back to PENDING
+const EDITABLE_LEAVE_REQUEST_STATUSES = [
+  LEAVE_REQUEST_STATUS.PENDING,
+  LEAVE_REQUEST_STATUS.PENDING_APPROVAL
+];
+
 const AUTO_APPROVE_DAYS_THRESHOLD = 2;
 
+const APPROVER_ROLE = {
+  MANAGER: 'MANAGER',
+  DEPARTMENT_HEAD: 'DEPARTMENT_HEAD',
+  HR: 'HR'
+};
+
+// Department staffing rules checked before leave is booked or approved
+const STAFFING_RULE = {
+  MIN_PRESENT: 'MIN_PRESENT',
+  MAX_CONCURRENT_ABSENCES: 'MAX_CONCURRENT_ABSENCES',
+  BLACKOUT_PERIOD: 'BLACKOUT_PERIOD'
+};
+
+const BLACKOUT_SCOPE = {
+  COMPANY: 'COMPANY',
+  DEPARTMENT: 'DEPARTMENT',
+  LEAVE_TYPE: 'LEAVE_TYPE'
+};
+
+// How a bulk status change handles requests that cannot be changed
+const BULK_STATUS_MODE = {
+  // Every request changes or none does
+  ATOMIC: 'ATOMIC',
+  // Each request is changed on its own and reported separately
+  PARTIAL: 'PARTIAL'
+};
+
+const LEAVE_APPROVAL_STATUS = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED'
+};
+
+// ISO weekdays (1 = Monday ... 7 = Sunday) worked when no holiday calendar applies
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+const LEAVE_GRANULARITY = {
+  FULL_DAY: 'FULL_DAY',
+  HALF_DAY: 'HALF_DAY',
+  HOURLY: 'HOURLY'
+};
+
+const HALF_DAY_PERIOD = {
+  AM: 'AM',
+  PM: 'PM'
+};
+
+// Hours in a working day, used to convert hourly leave into days
+const WORKING_HOURS_PER_DAY = parseFloat(process.env.WORKING_HOURS_PER_DAY) || 8;
+
+// Morning half-days end and afternoon half-days start at this time (HH:mm)
+const HALF_DAY_SPLIT_TIME = '12:00';
+
+const LEAVE_TYPE_CODES = {
+  ANNUAL: 'ANNUAL',
+  SICK: 'SICK',
+  UNPAID: 'UNPAID',
+  PARENTAL: 'PARENTAL'
+};
+
+// Seeded on startup when missing; editable afterwards through /api/leave-types
+const DEFAULT_LEAVE_TYPES = [
+  {
+    code: LEAVE_TYPE_CODES.ANNUAL,
+    name: 'Annual leave',
+    countsAgainstBalance: true,
+    requiresDocument: false,
+    maxConsecutiveDays: null,
+    autoApproveMaxDays: null
+  },
+  {
+    code: LEAVE_TYPE_CODES.SICK,
+    name: 'Sick leave',
+    countsAgainstBalance: false,
+    requiresDocument: false,
+    maxConsecutiveDays: 10,
+    autoApproveMaxDays: 3
+  },
+  {
+    code: LEAVE_TYPE_CODES.UNPAID,
+    name: 'Unpaid leave',
+    countsAgainstBalance: false,
+    requiresDocument: false,
+    maxConsecutiveDays: 30,
+    autoApproveMaxDays: 0
+  },
+  {
+    code: LEAVE_TYPE_CODES.PARENTAL,
+    name: 'Parental leave',
+    countsAgainstBalance: false,
+    requiresDocument: true,
+    maxConsecutiveDays: null,
+    autoApproveMaxDays: 0
+  }
+];
+
+const LEAVE_BALANCE_TRANSACTION_TYPE = {
+  ACCRUAL: 'ACCRUAL',
+  CARRY_OVER: 'CARRY_OVER',
+  DEDUCTION: 'DEDUCTION',
+  REFUND: 'REFUND'
+};
+
+const parseNumberEnv = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const LEAVE_BALANCE_POLICY = {
+  ANNUAL_ALLOWANCE_DAYS: parseNumberEnv(process.env.LEAVE_ANNUAL_ALLOWANCE_DAYS, 20),
+  CARRY_OVER_CAP_DAYS: parseNumberEnv(process.env.LEAVE_CARRY_OVER_CAP_DAYS, 5)
+};
+
 const QUEUE_EVENTS = {
   LEAVE_REQUESTED: 'leave.requested',
   LEAVE_APPROVED: 'leave.approved',
-  LEAVE_REJECTED: 'leave.rejected'
+  LEAVE_REJECTED: 'leave.rejected',
+  LEAVE_CANCELLED: 'leave.cancelled',
+  // An undecided leave request was pulled back
+  LEAVE_WITHDRAWN: 'leave.withdrawn',
+  // An undecided leave request was edited and must be processed again
+  LEAVE_UPDATED: 'leave.updated',
+  // A leave request is waiting for an approver's decision
+  LEAVE_APPROVAL_REQUESTED: 'leave.approval_requested'
+};
+
+const OUTBOX_STATUS = {
+  PENDING: 'PENDING',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED'
+};
+
+const OUTBOX_RELAY = {
+  POLL_INTERVAL_MS: parseNumberEnv(process.env.OUTBOX_POLL_INTERVAL_MS, 1000),
+  BATCH_SIZE: parseNumberEnv(process.env.OUTBOX_BATCH_SIZE, 50),
+  MAX_ATTEMPTS: parseNumberEnv(process.env.OUTBOX_MAX_ATTEMPTS, 10),
+  // Retry delay doubles per attempt, starting at the base and capped at the max
+  RETRY_BASE_DELAY_MS: parseNumberEnv(process.env.OUTBOX_RETRY_BASE_DELAY_MS, 1000),
+  RETRY_MAX_DELAY_MS: parseNumberEnv(process.env.OUTBOX_RETRY_MAX_DELAY_MS, 300000),
+  // Claimed events are not handed to another relay until the lease runs out
+  CLAIM_LEASE_MS: parseNumberEnv(process.env.OUTBOX_CLAIM_LEASE_MS, 60000)
+};
+
+const PROCESSED_MESSAGE_RETENTION = {
+  RETENTION_DAYS: parseNumberEnv(process.env.PROCESSED_MESSAGE_RETENTION_DAYS, 30),
+  CLEANUP_INTERVAL_MS: parseNumberEnv(process.env.PROCESSED_MESSAGE_CLEANUP_INTERVAL_MS, 3600000),
+  CLEANUP_BATCH_SIZE: parseNumberEnv(process.env.PROCESSED_MESSAGE_CLEANUP_BATCH_SIZE, 1000)
 };
 
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'PENDING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+};
+
+const WEBHOOK_DELIVERY = {
+  POLL_INTERVAL_MS: parseNumberEnv(process.env.WEBHOOK_POLL_INTERVAL_MS, 2000),
+  BATCH_SIZE: parseNumberEnv(process.env.WEBHOOK_BATCH_SIZE, 20),
+  MAX_ATTEMPTS: parseNumberEnv(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+  TIMEOUT_MS: parseNumberEnv(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+  // Retry delay doubles per attempt, starting at the base and capped at the max
+  RETRY_BASE_DELAY_MS: parseNumberEnv(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 30000),
+  RETRY_MAX_DELAY_MS: parseNumberEnv(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 3600000)
+};
+
+const WEBHOOK_SECRET_PREFIX = 'whsec_';
+
+const NOTIFICATION_TYPE = {
+  LEAVE_SUBMITTED: 'LEAVE_SUBMITTED',
+  LEAVE_APPROVED: 'LEAVE_APPROVED',
+  LEAVE_REJECTED: 'LEAVE_REJECTED',
+  LEAVE_CANCELLED: 'LEAVE_CANCELLED',
+  APPROVAL_REQUESTED: 'APPROVAL_REQUESTED'
+};
+
+const EMAIL_NOTIFICATION_STATUS = {
+  PENDING: 'PENDING',
+  SENT: 'SENT',
+  FAILED: 'FAILED'
+};
+
+const EMAIL_TRANSPORT = {
+  SMTP: 'smtp',
+  FILE: 'file',
+  CONSOLE: 'console'
+};
+
+const EMAIL_DELIVERY = {
+  POLL_INTERVAL_MS: parseNumberEnv(process.env.EMAIL_POLL_INTERVAL_MS, 5000),
+  BATCH_SIZE: parseNumberEnv(process.env.EMAIL_BATCH_SIZE, 20),
+  MAX_ATTEMPTS: parseNumberEnv(process.env.EMAIL_MAX_ATTEMPTS, 5),
+  SEND_TIMEOUT_MS: parseNumberEnv(process.env.EMAIL_SEND_TIMEOUT_MS, 30000),
+  // Retry delay doubles per attempt, starting at the base and capped at the max
+  RETRY_BASE_DELAY_MS: parseNumberEnv(process.env.EMAIL_RETRY_BASE_DELAY_MS, 60000),
+  RETRY_MAX_DELAY_MS: parseNumberEnv(process.env.EMAIL_RETRY_MAX_DELAY_MS, 3600000)
+};
+
+const ROLE = {
+  EMPLOYEE: 'EMPLOYEE',
+  MANAGER: 'MANAGER',
+  HR: 'HR',
+  ADMIN: 'ADMIN'
+};
+
+const PERMISSION = {
+  DEPARTMENT_READ: 'department:read',
+  DEPARTMENT_MANAGE: 'department:manage',
+  EMPLOYEE_READ: 'employee:read',
+  EMPLOYEE_MANAGE: 'employee:manage',
+  LEAVE_READ: 'leave:read',
+  LEAVE_CREATE: 'leave:create',
+  LEAVE_CANCEL: 'leave:cancel',
+  LEAVE_DECIDE: 'leave:decide',
+  LEAVE_CONFIG_MANAGE: 'leave-config:manage',
+  API_KEY_MANAGE: 'api-key:manage',
+  ROLE_MANAGE: 'role:manage',
+  QUEUE_MANAGE: 'queue:manage',
+  WEBHOOK_MANAGE: 'webhook:manage'
+};
+
+// Seeded into role_permissions on first startup; ADMIN always holds every permission
+const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLE.EMPLOYEE]: [
+    PERMISSION.DEPARTMENT_READ,
+    PERMISSION.EMPLOYEE_READ,
+    PERMISSION.LEAVE_READ,
+    PERMISSION.LEAVE_CREATE,
+    PERMISSION.LEAVE_CANCEL
+  ],
+  [ROLE.MANAGER]: [
+    PERMISSION.DEPARTMENT_READ,
+    PERMISSION.EMPLOYEE_READ,
+    PERMISSION.LEAVE_READ,
+    PERMISSION.LEAVE_CREATE,
+    PERMISSION.LEAVE_CANCEL,
+    PERMISSION.LEAVE_DECIDE
+  ],
+  [ROLE.HR]: [
+    PERMISSION.DEPARTMENT_READ,
+    PERMISSION.DEPARTMENT_MANAGE,
+    PERMISSION.EMPLOYEE_READ,
+    PERMISSION.EMPLOYEE_MANAGE,
+    PERMISSION.LEAVE_READ,
+    PERMISSION.LEAVE_CREATE,
+    PERMISSION.LEAVE_CANCEL,
+    PERMISSION.LEAVE_DECIDE,
+    PERMISSION.LEAVE_CONFIG_MANAGE
+  ]
+};
+
+// Roles that see every employee's records; other roles are scoped to themselves
+// (and, for managers, their direct reports)
+const UNRESTRICTED_ROLES = [ROLE.HR, ROLE.ADMIN];
+
+// Seniority of roles: without role:manage, accounts of a higher rank cannot be
+// edited or deleted
+const ROLE_RANK = {
+  [ROLE.EMPLOYEE]: 1,
+  [ROLE.MANAGER]: 2,
+  [ROLE.HR]: 3,
+  [ROLE.ADMIN]: 4
+};
+
+const PRINCIPAL_TYPE = {
+  EMPLOYEE: 'EMPLOYEE',
+  SERVICE: 'SERVICE'
+};
+
+const API_KEY_PREFIX = 'wfm_';
+
+const CALENDAR_FEED_SCOPE = {
+  EMPLOYEE: 'EMPLOYEE',
+  DEPARTMENT: 'DEPARTMENT',
+  COMPANY: 'COMPANY'
+};
+
+const CALENDAR_FEED_TOKEN_PREFIX = 'wfmcal_';
+
+// Window of leave rendered into calendar feeds, relative to today
+const CALENDAR_FEED = {
+  PAST_DAYS: parseNumberEnv(process.env.CALENDAR_FEED_PAST_DAYS, 90),
+  FUTURE_DAYS: parseNumberEnv(process.env.CALENDAR_FEED_FUTURE_DAYS, 365)
+};
+
+// Longest range served by the department availability endpoint
+const AVAILABILITY_MAX_RANGE_DAYS = parseNumberEnv(process.env.AVAILABILITY_MAX_RANGE_DAYS, 92);
+
+// Most leave requests accepted by one bulk status change
+const BULK_STATUS_MAX_ITEMS = parseNumberEnv(process.env.BULK_STATUS_MAX_ITEMS, 100);
+
+// Spreadsheet formats accepted by imports and produced by exports
+const SPREADSHEET_FORMAT = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+};
+
+const SPREADSHEET_CONTENT_TYPE = {
+  [SPREADSHEET_FORMAT.CSV]: 'text/csv',
+  [SPREADSHEET_FORMAT.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Rows read from the database per query while streaming an export
+const EXPORT_CHUNK_SIZE = parseNumberEnv(process.env.EXPORT_CHUNK_SIZE, 500);
+
+// Largest employee import accepted in one upload
+const EMPLOYEE_IMPORT_MAX_ROWS = parseNumberEnv(process.env.EMPLOYEE_IMPORT_MAX_ROWS, 1000);
+const EMPLOYEE_IMPORT_MAX_COLUMNS = parseNumberEnv(process.env.EMPLOYEE_IMPORT_MAX_COLUMNS, 50);
+
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
@@ -34,7 +376,51 @@ const HTTP_STATUS = {
 
 module.exports = {
   LEAVE_REQUEST_STATUS,
+  LEAVE_REQUEST_TRANSITIONS,
+  SYSTEM_LEAVE_REQUEST_TRANSITIONS,
+  EDITABLE_LEAVE_REQUEST_STATUSES,
   AUTO_APPROVE_DAYS_THRESHOLD,
+  APPROVER_ROLE,
+  STAFFING_RULE,
+  BLACKOUT_SCOPE,
+  BULK_STATUS_MODE,
+  LEAVE_APPROVAL_STATUS,
+  DEFAULT_WORKING_DAYS,
+  LEAVE_GRANULARITY,
+  HALF_DAY_PERIOD,
+  WORKING_HOURS_PER_DAY,
+  HALF_DAY_SPLIT_TIME,
+  LEAVE_TYPE_CODES,
+  DEFAULT_LEAVE_TYPES,
+  LEAVE_BALANCE_TRANSACTION_TYPE,
+  LEAVE_BALANCE_POLICY,
   QUEUE_EVENTS,
+  OUTBOX_STATUS,
+  OUTBOX_RELAY,
+  PROCESSED_MESSAGE_RETENTION,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_DELIVERY,
+  WEBHOOK_SECRET_PREFIX,
+  NOTIFICATION_TYPE,
+  EMAIL_NOTIFICATION_STATUS,
+  EMAIL_TRANSPORT,
+  EMAIL_DELIVERY,
+  ROLE,
+  PERMISSION,
+  DEFAULT_ROLE_PERMISSIONS,
+  UNRESTRICTED_ROLES,
+  ROLE_RANK,
+  PRINCIPAL_TYPE,
+  API_KEY_PREFIX,
+  CALENDAR_FEED_SCOPE,
+  CALENDAR_FEED_TOKEN_PREFIX,
+  CALENDAR_FEED,
+  AVAILABILITY_MAX_RANGE_DAYS,
+  BULK_STATUS_MAX_ITEMS,
+  SPREADSHEET_FORMAT,
+  SPREADSHEET_CONTENT_TYPE,
+  EXPORT_CHUNK_SIZE,
+  EMPLOYEE_IMPORT_MAX_ROWS,
+  EMPLOYEE_IMPORT_MAX_COLUMNS,
   HTTP_STATUS
 };
@@ -0,0 +1,99 @@
+/**
+ * Email templates for leave notifications
+ *
+ * Each template turns a context into a subject and a list of paragraphs,
+ * rendered once as plain text and once as (escaped) HTML.
+ */
+
+const { NOTIFICATION_TYPE } = require('./constants');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Describe the leave period of a request, e.g. "Annual leave from 2025-03-10 to 2025-03-11"
+ * @param {Object} context - Template context
+ * @returns {string}
+ */
+const describeLeave = ({ leaveTypeName, startDate, endDate }) => {
+  const period = startDate === endDate ? `on ${startDate}` : `from ${startDate} to ${endDate}`;
+  return `${leaveTypeName || 'Leave'} ${period}`;
+};
+
+const TEMPLATES = {
+  [NOTIFICATION_TYPE.LEAVE_SUBMITTED]: (context) => ({
+    subject: `Leave request #${context.leaveRequestId} received`,
+    paragraphs: [
+      `Hello ${context.recipientName},`,
+      `Your request for ${describeLeave(context)} has been received and is being processed.`,
+      'You will get another email once it has been decided.'
+    ]
+  }),
+  [NOTIFICATION_TYPE.LEAVE_APPROVED]: (context) => ({
+    subject: `Leave request #${context.leaveRequestId} approved`,
+    paragraphs: [
+      `Hello ${context.recipientName},`,
+      context.autoApproved
+        ? `Your request for ${describeLeave(context)} has been approved automatically.`
+        : `Your request for ${describeLeave(context)} has been approved by ${context.approverName || 'your approver'}.`,
+      context.comment ? `Comment: ${context.comment}` : null
+    ]
+  }),
+  [NOTIFICATION_TYPE.LEAVE_REJECTED]: (context) => ({
+    subject: `Leave request #${context.leaveRequestId} rejected`,
+    paragraphs: [
+      `Hello ${context.recipientName},`,
+      `Your request for ${describeLeave(context)} has been rejected by ${context.approverName || 'your approver'}.`,
+      context.comment ? `Comment: ${context.comment}` : null
+    ]
+  }),
+  [NOTIFICATION_TYPE.LEAVE_CANCELLED]: (context) => ({
+    subject: `Leave request #${context.leaveRequestId} cancelled`,
+    paragraphs: [
+      `Hello ${context.recipientName},`,
+      `Your request for ${describeLeave(context)} has been cancelled.`,
+      context.reason ? `Reason: ${context.reason}` : null
+    ]
+  }),
+  [NOTIFICATION_TYPE.APPROVAL_REQUESTED]: (context) => ({
+    subject: `Leave request #${context.leaveRequestId} from ${context.employeeName} needs your approval`,
+    paragraphs: [
+      `Hello ${context.recipientName},`,
+      `${context.employeeName} has requested ${describeLeave(context)}` +
+        (context.stageOrder ? ` (approval stage ${context.stageOrder}).` : '.'),
+      'The request is waiting for your decision in your approval inbox.'
+    ]
+  })
+};
+
+/**
+ * Render a notification email
+ * @param {string} type - Notification type (see NOTIFICATION_TYPE)
+ * @param {Object} context - Template context (recipientName, employeeName, leaveRequestId,
+ *   leaveTypeName, startDate, endDate and type-specific fields)
+ * @returns {{subject: string, text: string, html: string}}
+ */
+const renderEmail = (type, context) => {
+  const template = TEMPLATES[type];
+
+  if (!template) {
+    throw new Error(`No email template for ${type}`);
+  }
+
+  const { subject, paragraphs } = template(context);
+  const lines = paragraphs.filter(Boolean);
+
+  return {
+    subject: subject.slice(0, 255),
+    text: lines.join('\n\n'),
+    html: lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n')
+  };
+};
+
+module.exports = {
+  renderEmail
+};
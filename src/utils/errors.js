@@ -0,0 +1,22 @@
+/**
+ * Application error types
+ * Carry an HTTP status code understood by the global error handler
+ */
+
+const { HTTP_STATUS } = require('./constants');
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   */
+  constructor(message, statusCode = HTTP_STATUS.BAD_REQUEST) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  AppError
+};
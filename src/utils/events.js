@@ -0,0 +1,203 @@
+/**
+ * Versioned event envelope and Joi schemas for leave events
+ *
+ * Every message on the broker is an envelope:
+ * { id, type, version, occurredAt, correlationId, payload }
+ * where payload is validated against the schema registered for type and version.
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const {
+  LEAVE_GRANULARITY,
+  LEAVE_REQUEST_STATUS,
+  QUEUE_EVENTS
+} = require('./constants');
+const { toDateOnlyString } = require('./leaveDuration');
+
+const id = Joi.number().integer().min(1);
+const dateOnly = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD date');
+
+const leavePeriod = {
+  id: id.required(),
+  employeeId: id.required(),
+  leaveTypeId: id.allow(null).required(),
+  startDate: dateOnly.required(),
+  endDate: dateOnly.required()
+};
+
+// Latest version of each event type; publishers always emit this version
+const EVENT_VERSIONS = {
+  [QUEUE_EVENTS.LEAVE_REQUESTED]: 1,
+  [QUEUE_EVENTS.LEAVE_APPROVED]: 1,
+  [QUEUE_EVENTS.LEAVE_REJECTED]: 1,
+  [QUEUE_EVENTS.LEAVE_CANCELLED]: 1,
+  [QUEUE_EVENTS.LEAVE_WITHDRAWN]: 1,
+  [QUEUE_EVENTS.LEAVE_UPDATED]: 1,
+  [QUEUE_EVENTS.LEAVE_APPROVAL_REQUESTED]: 1
+};
+
+// Payload schemas by event type and version
+const PAYLOAD_SCHEMAS = {
+  [QUEUE_EVENTS.LEAVE_REQUESTED]: {
+    1: Joi.object({
+      ...leavePeriod,
+      granularity: Joi.string().valid(...Object.values(LEAVE_GRANULARITY)).required(),
+      durationDays: Joi.number().min(0).allow(null).required(),
+      idempotencyKey: Joi.string().max(255).required()
+    })
+  },
+  [QUEUE_EVENTS.LEAVE_APPROVED]: {
+    1: Joi.object({
+      ...leavePeriod,
+      // null when the queue processor auto-approved the request
+      approverId: id.allow(null).required(),
+      comment: Joi.string().allow(null).required(),
+      autoApproved: Joi.boolean().required()
+    })
+  },
+  [QUEUE_EVENTS.LEAVE_REJECTED]: {
+    1: Joi.object({
+      ...leavePeriod,
+      approverId: id.allow(null).required(),
+      comment: Joi.string().allow(null).required()
+    })
+  },
+  [QUEUE_EVENTS.LEAVE_CANCELLED]: {
+    1: Joi.object({
+      ...leavePeriod,
+      previousStatus: Joi.string().valid(...Object.values(LEAVE_REQUEST_STATUS)).required(),
+      reason: Joi.string().allow(null).required()
+    })
+  },
+  [QUEUE_EVENTS.LEAVE_WITHDRAWN]: {
+    1: Joi.object({
+      ...leavePeriod,
+      previousStatus: Joi.string().valid(
+        LEAVE_REQUEST_STATUS.PENDING,
+        LEAVE_REQUEST_STATUS.PENDING_APPROVAL
+      ).required(),
+      reason: Joi.string().allow(null).required()
+    })
+  },
+  [QUEUE_EVENTS.LEAVE_UPDATED]: {
+    1: Joi.object({
+      ...leavePeriod,
+      granularity: Joi.string().valid(...Object.values(LEAVE_GRANULARITY)).required(),
+      durationDays: Joi.number().min(0).allow(null).required(),
+      // Status before the edit sent the request back to PENDING
+      previousStatus: Joi.string().valid(...Object.values(LEAVE_REQUEST_STATUS)).required(),
+      previousStartDate: dateOnly.required(),
+      previousEndDate: dateOnly.required()
+    })
+  },
+  [QUEUE_EVENTS.LEAVE_APPROVAL_REQUESTED]: {
+    1: Joi.object({
+      ...leavePeriod,
+      // Approver of the stage now waiting for a decision
+      approverId: id.required(),
+      stageOrder: Joi.number().integer().min(1).allow(null).required()
+    })
+  }
+};
+
+const envelopeSchema = Joi.object({
+  id: Joi.string().guid().required(),
+  type: Joi.string().valid(...Object.keys(PAYLOAD_SCHEMAS)).required(),
+  version: Joi.number().integer().min(1).required(),
+  occurredAt: Joi.string().isoDate().required(),
+  correlationId: Joi.string().max(255).allow(null).required(),
+  payload: Joi.object().required()
+});
+
+/**
+ * Correlation ID shared by all events of one leave request
+ * @param {number} leaveRequestId - Leave request ID
+ * @returns {string}
+ */
+const leaveRequestCorrelationId = (leaveRequestId) => `leave-request:${leaveRequestId}`;
+
+/**
+ * Payload fields identifying a leave request and its period, shared by all leave events
+ * @param {Object} leaveRequest - Leave request
+ * @returns {Object}
+ */
+const leavePeriodPayload = (leaveRequest) => ({
+  id: leaveRequest.id,
+  employeeId: leaveRequest.employeeId,
+  leaveTypeId: leaveRequest.leaveTypeId || null,
+  startDate: toDateOnlyString(leaveRequest.startDate),
+  endDate: toDateOnlyString(leaveRequest.endDate)
+});
+
+/**
+ * Validate an event envelope and its payload
+ * @param {Object} event - Event envelope
+ * @returns {{value: Object, error: string|null}}
+ */
+const validateEvent = (event) => {
+  const envelope = envelopeSchema.validate(event, { abortEarly: false, convert: false });
+
+  if (envelope.error) {
+    return { value: event, error: envelope.error.message };
+  }
+
+  const schema = PAYLOAD_SCHEMAS[event.type][event.version];
+
+  if (!schema) {
+    return { value: event, error: `Unsupported version ${event.version} of ${event.type}` };
+  }
+
+  const payload = schema.validate(event.payload, { abortEarly: false, convert: false });
+
+  if (payload.error) {
+    return { value: event, error: `Invalid ${event.type} payload: ${payload.error.message}` };
+  }
+
+  return { value: event, error: null };
+};
+
+/**
+ * Build an event envelope in the latest version of its type and validate it
+ * @param {string} type - Event type (see QUEUE_EVENTS)
+ * @param {Object} payload - Event payload
+ * @param {Object} options - { correlationId }
+ * @returns {Object} Event envelope
+ * @throws {Error} When the event does not match its schema
+ */
+const createEvent = (type, payload, options = {}) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    version: EVENT_VERSIONS[type],
+    occurredAt: new Date().toISOString(),
+    correlationId: options.correlationId || null,
+    payload
+  };
+
+  assertValidEvent(event);
+
+  return event;
+};
+
+/**
+ * Ensure an event envelope is valid
+ * @param {Object} event - Event envelope
+ * @throws {Error} When the event does not match its schema
+ */
+const assertValidEvent = (event) => {
+  const { error } = validateEvent(event);
+
+  if (error) {
+    throw new Error(`Invalid event: ${error}`);
+  }
+};
+
+module.exports = {
+  EVENT_VERSIONS,
+  createEvent,
+  validateEvent,
+  assertValidEvent,
+  leavePeriodPayload,
+  leaveRequestCorrelationId
+};
@@ -0,0 +1,275 @@
+/**
+ * Minimal iCalendar (RFC 5545) helpers: parsing of holiday imports and
+ * serialisation of leave feeds
+ */
+
+const { eachDateInRange } = require('./leaveDuration');
+
+/**
+ * Unfold content lines (continuation lines start with a space or tab)
+ * @param {string} text - Raw iCalendar text
+ * @returns {string[]}
+ */
+const unfoldLines = (text) => text
+  .replace(/\r\n/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim().length > 0);
+
+/**
+ * Unescape a TEXT property value
+ * @param {string} value - Escaped value
+ * @returns {string}
+ */
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+/**
+ * Convert a DATE or DATE-TIME value to YYYY-MM-DD
+ * @param {string} value - iCalendar date value (20250101 or 20250101T090000Z)
+ * @returns {string|null}
+ */
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Parse a content line into its name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, params: Object, value: string}}
+ */
+const parseContentLine = (line) => {
+  const separatorIndex = line.indexOf(':');
+  const head = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+  const value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1);
+  const [name, ...rawParams] = head.split(';');
+
+  const params = rawParams.reduce((acc, param) => {
+    const [key, paramValue = ''] = param.split('=');
+    acc[key.toUpperCase()] = paramValue;
+    return acc;
+  }, {});
+
+  return { name: name.toUpperCase(), params, value };
+};
+
+/**
+ * Parse VEVENT components into dated events
+ * All-day events use an exclusive DTEND, so a one-day event ends the next day.
+ * @param {string} text - Raw iCalendar text
+ * @returns {{uid: string|null, summary: string, dates: string[]}[]}
+ */
+const parseEvents = (text) => {
+  const events = [];
+  let current = null;
+
+  unfoldLines(text).forEach(line => {
+    const { name, params, value } = parseContentLine(line);
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = {};
+      return;
+    }
+
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (current && current.start) {
+        events.push(current);
+      }
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    if (name === 'UID') {
+      current.uid = value.trim();
+    } else if (name === 'SUMMARY') {
+      current.summary = unescapeText(value);
+    } else if (name === 'DTSTART') {
+      current.start = parseDateValue(value);
+      current.allDay = params.VALUE === 'DATE' || /^\d{8}$/.test(value.trim());
+    } else if (name === 'DTEND') {
+      current.end = parseDateValue(value);
+    }
+  });
+
+  return events.map(event => {
+    let lastDate = event.start;
+
+    if (event.end && event.end > event.start) {
+      lastDate = event.end;
+
+      // DTEND is exclusive for all-day events
+      if (event.allDay) {
+        const exclusiveEnd = new Date(`${event.end}T00:00:00Z`);
+        exclusiveEnd.setUTCDate(exclusiveEnd.getUTCDate() - 1);
+        lastDate = exclusiveEnd.toISOString().slice(0, 10);
+      }
+    }
+
+    return {
+      uid: event.uid || null,
+      summary: event.summary || 'Holiday',
+      dates: eachDateInRange(event.start, lastDate)
+    };
+  });
+};
+
+const PRODUCT_ID = '-//Workforce Management//Leave Calendar//EN';
+
+// Content lines are folded at 75 octets (RFC 5545, section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line; continuation lines start with a space
+ * @param {string} line - Content line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += octets;
+  }
+
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a YYYY-MM-DD date, shifted by a number of minutes, as a floating
+ * DATE-TIME (local time without time zone), e.g. 20250101T090000
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} minutes - Minutes since midnight (may reach into the next day)
+ * @returns {string}
+ */
+const formatLocalDateTime = (date, minutes) => new Date(
+  new Date(`${date}T00:00:00Z`).getTime() + minutes * 60 * 1000
+).toISOString().slice(0, 19).replace(/[-:]/g, '');
+
+/**
+ * Format a YYYY-MM-DD date as a DATE value shifted by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string}
+ */
+const formatDateValue = (date, days = 0) => formatLocalDateTime(date, days * 24 * 60).slice(0, 8);
+
+/**
+ * Format an instant as a UTC DATE-TIME, e.g. 20250101T090000Z
+ * @param {Date} value - Instant
+ * @returns {string}
+ */
+const formatUtcDateTime = (value) => `${value.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+/**
+ * Build the content lines of a VEVENT
+ * Events without minutes are all-day events over the inclusive date range.
+ * Timed events cover the same window on every day of the range.
+ * @param {Object} event - { uid, startDate, endDate, startMinutes, endMinutes, summary,
+ *   description, status, categories, lastModified }
+ * @param {Date} stamp - DTSTAMP of the calendar
+ * @returns {string[]}
+ */
+const buildEventLines = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtcDateTime(stamp)}`
+  ];
+
+  if (event.startMinutes === undefined || event.startMinutes === null) {
+    // DTEND is exclusive for all-day events
+    lines.push(`DTSTART;VALUE=DATE:${formatDateValue(event.startDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDateValue(event.endDate, 1)}`);
+  } else {
+    const days = eachDateInRange(event.startDate, event.endDate).length;
+
+    lines.push(`DTSTART:${formatLocalDateTime(event.startDate, event.startMinutes)}`);
+    lines.push(`DTEND:${formatLocalDateTime(event.startDate, event.endMinutes)}`);
+
+    if (days > 1) {
+      lines.push(`RRULE:FREQ=DAILY;COUNT=${days}`);
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+
+  if (event.categories && event.categories.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+
+  if (event.status) {
+    lines.push(`STATUS:${event.status}`);
+  }
+
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatUtcDateTime(new Date(event.lastModified))}`);
+  }
+
+  // Absences should not block the subscriber's own free/busy time
+  lines.push('TRANSP:TRANSPARENT');
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Serialise events as an iCalendar document
+ * @param {Object} calendar - { name, events }
+ * @returns {string}
+ */
+const buildCalendar = ({ name, events }) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => buildEventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  parseEvents,
+  buildCalendar
+};
@@ -0,0 +1,238 @@
+/**
+ * Leave duration helpers
+ * Durations are counted in working days: days whose ISO weekday is part of the
+ * working week and which are not public holidays
+ */
+
+const {
+  DEFAULT_WORKING_DAYS,
+  LEAVE_GRANULARITY,
+  HALF_DAY_PERIOD,
+  HALF_DAY_SPLIT_TIME,
+  WORKING_HOURS_PER_DAY
+} = require('./constants');
+
+const MILLISECONDS_IN_DAY = 1000 * 60 * 60 * 24;
+const MINUTES_IN_DAY = 24 * 60;
+
+/**
+ * Normalise a date value to a YYYY-MM-DD string
+ * @param {string|Date} value - Date value
+ * @returns {string|null}
+ */
+const toDateOnlyString = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+
+  return null;
+};
+
+/**
+ * Iterate over each date (YYYY-MM-DD) of an inclusive range
+ * @param {string|Date} startDate - Start date
+ * @param {string|Date} endDate - End date
+ * @returns {string[]}
+ */
+const eachDateInRange = (startDate, endDate) => {
+  const start = toDateOnlyString(startDate);
+  const end = toDateOnlyString(endDate);
+
+  if (!start || !end) {
+    return [];
+  }
+
+  const dates = [];
+  const cursor = new Date(`${start}T00:00:00Z`);
+  const last = new Date(`${end}T00:00:00Z`);
+
+  while (cursor <= last) {
+    dates.push(cursor.toISOString().slice(0, 10));
+    cursor.setTime(cursor.getTime() + MILLISECONDS_IN_DAY);
+  }
+
+  return dates;
+};
+
+/**
+ * Get the ISO weekday (1 = Monday ... 7 = Sunday) of a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @returns {number}
+ */
+const getIsoWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+
+/**
+ * Calculate the number of working days covered by a leave period (inclusive)
+ * @param {string|Date} startDate - Start date
+ * @param {string|Date} endDate - End date
+ * @param {Object} calendar - Working calendar ({ workingDays, holidays: Set<string> })
+ * @returns {number|null} Number of working days, or null if dates are invalid
+ */
+const calculateLeaveDuration = (startDate, endDate, calendar = {}) => {
+  const { workingDays = DEFAULT_WORKING_DAYS, holidays = new Set() } = calendar;
+
+  if (!toDateOnlyString(startDate) || !toDateOnlyString(endDate)) {
+    return null;
+  }
+
+  return eachDateInRange(startDate, endDate)
+    .filter(date => workingDays.includes(getIsoWeekday(date)) && !holidays.has(date))
+    .length;
+};
+
+/**
+ * Convert a HH:mm or HH:mm:ss time to minutes since midnight
+ * @param {string} time - Time value
+ * @returns {number|null}
+ */
+const timeToMinutes = (time) => {
+  const match = /^(\d{2}):(\d{2})/.exec(time || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+/**
+ * Get the part of each day covered by a leave period, in minutes since midnight
+ * @param {Object} period - Leave period ({ granularity, halfDayPeriod, startTime, endTime })
+ * @returns {{start: number, end: number}}
+ */
+const getDailyTimeWindow = (period) => {
+  const split = timeToMinutes(HALF_DAY_SPLIT_TIME);
+
+  if (period.granularity === LEAVE_GRANULARITY.HALF_DAY) {
+    return period.halfDayPeriod === HALF_DAY_PERIOD.AM
+      ? { start: 0, end: split }
+      : { start: split, end: MINUTES_IN_DAY };
+  }
+
+  if (period.granularity === LEAVE_GRANULARITY.HOURLY) {
+    return { start: timeToMinutes(period.startTime), end: timeToMinutes(period.endTime) };
+  }
+
+  return { start: 0, end: MINUTES_IN_DAY };
+};
+
+/**
+ * Check whether two leave periods overlap, taking half-day and hourly windows into account
+ * @param {Object} first - Leave period ({ startDate, endDate, granularity, ... })
+ * @param {Object} second - Leave period ({ startDate, endDate, granularity, ... })
+ * @returns {boolean}
+ */
+const leavePeriodsOverlap = (first, second) => {
+  const datesOverlap = toDateOnlyString(first.startDate) <= toDateOnlyString(second.endDate) &&
+    toDateOnlyString(second.startDate) <= toDateOnlyString(first.endDate);
+
+  if (!datesOverlap) {
+    return false;
+  }
+
+  const firstWindow = getDailyTimeWindow(first);
+  const secondWindow = getDailyTimeWindow(second);
+
+  return firstWindow.start < secondWindow.end && secondWindow.start < firstWindow.end;
+};
+
+/**
+ * Get the fraction of a working day taken by each day of a leave period
+ * @param {Object} period - Leave period ({ granularity, halfDayPeriod, startTime, endTime })
+ * @returns {number}
+ */
+const getDayFraction = (period) => {
+  if (period.granularity === LEAVE_GRANULARITY.HALF_DAY) {
+    return 0.5;
+  }
+
+  if (period.granularity === LEAVE_GRANULARITY.HOURLY) {
+    const { start, end } = getDailyTimeWindow(period);
+    return Math.min(1, (end - start) / 60 / WORKING_HOURS_PER_DAY);
+  }
+
+  return 1;
+};
+
+/**
+ * Calculate the duration of a leave period in (possibly fractional) working days
+ * @param {Object} period - Leave period ({ startDate, endDate, granularity, ... })
+ * @param {Object} calendar - Working calendar ({ workingDays, holidays: Set<string> })
+ * @returns {number|null}
+ */
+const calculatePeriodDuration = (period, calendar = {}) => {
+  const workingDays = calculateLeaveDuration(period.startDate, period.endDate, calendar);
+
+  if (workingDays === null) {
+    return null;
+  }
+
+  return Math.round(workingDays * getDayFraction(period) * 100) / 100;
+};
+
+/**
+ * Resolve the duration of a leave request, preferring the stored value
+ * @param {Object} leaveRequest - Leave request instance or plain object
+ * @param {Object} calendar - Working calendar used when no duration is stored
+ * @returns {number|null}
+ */
+const resolveLeaveDuration = (leaveRequest, calendar = {}) => {
+  if (leaveRequest.durationDays !== null && leaveRequest.durationDays !== undefined) {
+    return Number(leaveRequest.durationDays);
+  }
+
+  return calculatePeriodDuration(leaveRequest, calendar);
+};
+
+/**
+ * Get the leave year a request is charged against
+ * @param {Object} leaveRequest - Leave request instance or plain object
+ * @returns {number}
+ */
+const getLeaveYear = (leaveRequest) => (
+  parseInt(toDateOnlyString(leaveRequest.startDate).slice(0, 4))
+);
+
+/**
+ * Split a leave period at year boundaries
+ * @param {Object} period - Leave period ({ startDate, endDate, granularity, ... })
+ * @returns {Array<Object>} One copy of the period per leave year, with its year and
+ *   its dates clipped to that year
+ */
+const splitPeriodByYear = (period) => {
+  const start = toDateOnlyString(period.startDate);
+  const end = toDateOnlyString(period.endDate);
+
+  if (!start || !end) {
+    return [];
+  }
+
+  const firstYear = parseInt(start.slice(0, 4));
+  const lastYear = parseInt(end.slice(0, 4));
+  const parts = [];
+
+  for (let year = firstYear; year <= lastYear; year++) {
+    parts.push({
+      ...period,
+      year,
+      startDate: year === firstYear ? start : `${year}-01-01`,
+      endDate: year === lastYear ? end : `${year}-12-31`
+    });
+  }
+
+  return parts;
+};
+
+module.exports = {
+  toDateOnlyString,
+  eachDateInRange,
+  getIsoWeekday,
+  calculateLeaveDuration,
+  timeToMinutes,
+  getDailyTimeWindow,
+  leavePeriodsOverlap,
+  getDayFraction,
+  calculatePeriodDuration,
+  resolveLeaveDuration,
+  getLeaveYear,
+  splitPeriodByYear
+};
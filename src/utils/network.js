@@ -0,0 +1,123 @@
+/**
+ * Network address helpers: keeps outgoing requests (webhooks) away from
+ * loopback, private, link-local (cloud metadata) and other reserved addresses
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { AppError } = require('./errors');
+
+const RESERVED_RANGES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => RESERVED_RANGES.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => RESERVED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+
+  if (!family) {
+    return false;
+  }
+
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) reach the IPv4 host
+  const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+
+  return !RESERVED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Ensure every address a URL's host resolves to is publicly routable
+ * @param {string} url - http(s) URL
+ * @returns {Promise<void>}
+ */
+const assertPublicUrl = async (url) => {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new AppError(`Cannot resolve host ${host} (${error.code || error.message})`);
+  }
+
+  if (!addresses.length || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new AppError(`Host ${host} resolves to a private or reserved address`);
+  }
+};
+
+/**
+ * DNS lookup (same signature as dns.lookup) that refuses hosts resolving to
+ * private or reserved addresses. Used as the connect lookup of outgoing HTTP
+ * clients, so the address connected to is the one checked: a host cannot pass
+ * a check and then resolve elsewhere (DNS rebinding).
+ * @param {string} hostname - Host name
+ * @param {Object|Function} options - dns.lookup options, or the callback
+ * @param {Function} callback - Called with (error, address, family) or (error, addresses)
+ * @returns {void}
+ */
+const publicLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    if (!addresses.length || addresses.some(({ address }) => !isPublicAddress(address))) {
+      callback(new AppError(`Host ${hostname} resolves to a private or reserved address`));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+module.exports = {
+  assertPublicUrl,
+  isPublicAddress,
+  publicLookup
+};
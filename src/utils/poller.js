@@ -0,0 +1,87 @@
+/**
+ * Polling worker
+ * Runs a batch function on an interval, one run at a time. Runs that process a
+ * full batch are followed by the next one straight away, so backlogs drain
+ * without waiting for the interval.
+ */
+
+const logger = require('./logger');
+
+/**
+ * Create a poller; it does nothing until started
+ * @param {Object} options - Poller options
+ * @param {string} options.name - Name used in log messages
+ * @param {Function} options.runBatch - Processes one batch, resolving to the number of items processed
+ * @param {number} options.intervalMs - Delay between runs in milliseconds
+ * @param {number} [options.batchSize] - Size of a full batch; without it every run waits for the interval
+ * @returns {{start: Function, stop: Function, isRunning: Function}}
+ */
+const createPoller = ({ name, runBatch, intervalMs, batchSize = Infinity }) => {
+  let timer = null;
+  let stopped = true;
+  // Bumped on every start, so a run still in flight after a restart does not schedule a second loop
+  let generation = 0;
+
+  const runOnce = async () => {
+    try {
+      return await runBatch();
+    } catch (error) {
+      logger.error(`${name} run failed`, error);
+      return 0;
+    }
+  };
+
+  const scheduleNext = (delay, runGeneration) => {
+    if (stopped || runGeneration !== generation) {
+      return;
+    }
+
+    timer = setTimeout(async () => {
+      timer = null;
+      const processed = await runOnce();
+
+      scheduleNext(processed >= batchSize ? 0 : intervalMs, runGeneration);
+    }, delay);
+  };
+
+  return {
+    /**
+     * Start polling; the first run starts immediately
+     * @returns {boolean} False when the poller was already running
+     */
+    start() {
+      if (!stopped) {
+        return false;
+      }
+
+      stopped = false;
+      generation++;
+      scheduleNext(0, generation);
+
+      return true;
+    },
+
+    /**
+     * Stop polling; a run in progress finishes but is not followed by another
+     */
+    stop() {
+      stopped = true;
+
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+
+    /**
+     * @returns {boolean} Whether the poller is running
+     */
+    isRunning() {
+      return !stopped;
+    }
+  };
+};
+
+module.exports = {
+  createPoller
+};
@@ -0,0 +1,41 @@
+/**
+ * Authenticated principal helpers
+ */
+
+const { HTTP_STATUS, PRINCIPAL_TYPE } = require('./constants');
+const { AppError } = require('./errors');
+
+/**
+ * Check whether a principal is a logged-in employee
+ * @param {Object} principal - Authenticated principal
+ * @returns {boolean}
+ */
+const isEmployeePrincipal = (principal) => Boolean(
+  principal && principal.type === PRINCIPAL_TYPE.EMPLOYEE
+);
+
+/**
+ * Resolve the employee an action is performed as.
+ * Employees always act as themselves; service integrations may name an employee.
+ * @param {Object} principal - Authenticated principal
+ * @param {number|string|null} claimedEmployeeId - Employee ID supplied in the request
+ * @returns {number|null}
+ */
+const resolveActingEmployeeId = (principal, claimedEmployeeId = null) => {
+  const claimedId = claimedEmployeeId ? parseInt(claimedEmployeeId) : null;
+
+  if (!isEmployeePrincipal(principal)) {
+    return claimedId;
+  }
+
+  if (claimedId && claimedId !== principal.employeeId) {
+    throw new AppError('Cannot act on behalf of another employee', HTTP_STATUS.FORBIDDEN);
+  }
+
+  return principal.employeeId;
+};
+
+module.exports = {
+  isEmployeePrincipal,
+  resolveActingEmployeeId
+};
@@ -0,0 +1,393 @@
+/**
+ * Spreadsheet helpers: reading CSV (RFC 4180) and XLSX uploads into rows of text,
+ * and streaming rows out as CSV or XLSX downloads
+ */
+
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { SPREADSHEET_CONTENT_TYPE, SPREADSHEET_FORMAT } = require('./constants');
+const { AppError } = require('./errors');
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Resolve the spreadsheet format of an upload from its Content-Type
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} SPREADSHEET_FORMAT value
+ */
+const formatFromContentType = (contentType) => {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (mimeType === SPREADSHEET_CONTENT_TYPE[SPREADSHEET_FORMAT.XLSX]) {
+    return SPREADSHEET_FORMAT.XLSX;
+  }
+
+  if (['text/csv', 'application/csv', 'text/plain'].includes(mimeType)) {
+    return SPREADSHEET_FORMAT.CSV;
+  }
+
+  return null;
+};
+
+/**
+ * Track rows read against read limits: reading stops once one row more than
+ * maxRows has content, so callers can still tell a file is over their limit
+ * without the rest being read, and rows wider than maxColumns are refused
+ * @param {Object} limits - { maxRows, maxColumns }, both optional
+ * @returns {{assertColumns: Function, accept: Function}} accept(values) returns
+ *   false once reading should stop
+ */
+const createRowLimiter = ({ maxRows = Infinity, maxColumns = Infinity } = {}) => {
+  let contentRows = 0;
+
+  const assertColumns = (count) => {
+    if (count > maxColumns) {
+      throw new AppError(`The uploaded file has more than ${maxColumns} columns`);
+    }
+  };
+
+  return {
+    assertColumns,
+    accept(values) {
+      assertColumns(values.length);
+
+      if (values.some(Boolean)) {
+        contentRows++;
+      }
+
+      return contentRows <= maxRows;
+    }
+  };
+};
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields (with commas, line breaks and "" escapes), CRLF line
+ * endings and a leading byte order mark.
+ * @param {string} text - CSV text
+ * @param {Object} limits - Read limits ({ maxRows, maxColumns }, see createRowLimiter)
+ * @returns {string[][]}
+ */
+const parseCsv = (text, limits = {}) => {
+  const rows = [];
+  const limiter = createRowLimiter(limits);
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+      limiter.assertColumns(row.length);
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+
+      if (!limiter.accept(row)) {
+        return rows;
+      }
+
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+    limiter.accept(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Read the first worksheet of an XLSX workbook as rows of cell text. The
+ * workbook is streamed, so reading stops at the limits without inflating the rest.
+ * @param {Buffer} buffer - XLSX file content
+ * @param {Object} limits - Read limits ({ maxRows, maxColumns }, see createRowLimiter)
+ * @returns {Promise<string[][]>}
+ */
+const readXlsx = async (buffer, limits = {}) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from([buffer]), {
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    worksheets: 'emit'
+  });
+  const limiter = createRowLimiter(limits);
+  const rows = [];
+
+  for await (const worksheet of workbook) {
+    for await (const row of worksheet) {
+      // Checked before the cells are read: a single cell far to the right widens the row
+      limiter.assertColumns(row.cellCount);
+
+      const values = [];
+
+      for (let column = 1; column <= row.cellCount; column++) {
+        values.push(row.getCell(column).text);
+      }
+
+      // Rows keep their sheet position so reported row numbers match the file
+      rows[row.number - 1] = values;
+
+      if (!limiter.accept(values)) {
+        break;
+      }
+    }
+
+    break;
+  }
+
+  return Array.from(rows, row => row || []);
+};
+
+/**
+ * Read a CSV or XLSX upload into rows of trimmed cell text
+ * @param {Buffer} buffer - File content
+ * @param {string} format - SPREADSHEET_FORMAT value
+ * @param {Object} limits - Read limits ({ maxRows, maxColumns }, see createRowLimiter)
+ * @returns {Promise<string[][]>} Rows in file order, row 1 first
+ * @throws {AppError} When a row has more than maxColumns columns
+ */
+const readSpreadsheet = async (buffer, format, limits = {}) => {
+  const rows = format === SPREADSHEET_FORMAT.XLSX
+    ? await readXlsx(buffer, limits)
+    : parseCsv(buffer.toString('utf8'), limits);
+
+  return rows.map(row => row.map(value => String(value || '').trim()));
+};
+
+/**
+ * Prepare a value for export: text that would run as a formula is prefixed
+ * with an apostrophe, dates become ISO strings and empty values empty cells
+ * @param {*} value - Cell value
+ * @returns {string|number|boolean}
+ */
+const toCellValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) {
+    return `'${value}`;
+  }
+
+  return value;
+};
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {string|number|boolean} value - Cell value
+ * @returns {string}
+ */
+const escapeCsvValue = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait until an output stream has room for more data. Also settles when the
+ * stream closes (e.g. the client disconnected) or fails, so an export never
+ * waits for a drain that will not come.
+ * @param {stream.Writable} output - Destination
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (output) => new Promise((resolve, reject) => {
+  if (output.destroyed || !output.writableNeedDrain) {
+    resolve();
+    return;
+  }
+
+  const settle = (error) => {
+    output.off('drain', settle);
+    output.off('close', settle);
+    output.off('error', settle);
+
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  };
+
+  output.on('drain', settle);
+  output.on('close', settle);
+  output.on('error', settle);
+});
+
+/**
+ * Resolve once an output stream has closed
+ * @param {stream.Writable} output - Destination
+ * @returns {Promise<void>}
+ */
+const whenClosed = (output) => new Promise((resolve) => {
+  if (output.destroyed) {
+    resolve();
+  } else {
+    output.once('close', resolve);
+  }
+});
+
+/**
+ * Create a writer that streams rows to an output stream as CSV or XLSX.
+ * The header row is written with the first rows (or on end), so nothing reaches
+ * the output before the caller has data to send. writeRows resolves once the
+ * output has room for the next chunk; callers should stop once output.destroyed
+ * is set.
+ * @param {stream.Writable} output - Destination (e.g. an HTTP response)
+ * @param {string} format - SPREADSHEET_FORMAT value
+ * @param {Array<{header: string, value: Function}>} columns - Columns in order;
+ *   value reads the cell from a record
+ * @returns {{writeRows: Function, end: Function}} writeRows takes an array of records
+ */
+const createSpreadsheetWriter = (output, format, columns) => {
+  const headers = columns.map(column => column.header);
+  const toCells = (record) => columns.map(column => toCellValue(column.value(record)));
+  let started = false;
+
+  if (format === SPREADSHEET_FORMAT.XLSX) {
+    let workbook = null;
+    let worksheet = null;
+
+    const start = () => {
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: output,
+        useStyles: false,
+        useSharedStrings: false
+      });
+      worksheet = workbook.addWorksheet('Export');
+      worksheet.addRow(headers).commit();
+      started = true;
+    };
+
+    return {
+      async writeRows(records) {
+        if (!started) {
+          start();
+        }
+        records.forEach(record => worksheet.addRow(toCells(record)).commit());
+
+        // ExcelJS hands committed rows to its zip stream without backpressure: let
+        // them reach the output, then wait until it has room before the next chunk
+        await new Promise(resolve => setImmediate(resolve));
+        await waitForDrain(output);
+      },
+      async end() {
+        if (!started) {
+          start();
+        }
+        worksheet.commit();
+
+        // The workbook only settles on the output's finish, which never comes
+        // once the client has disconnected
+        await Promise.race([workbook.commit(), whenClosed(output)]);
+      }
+    };
+  }
+
+  // Waits for the output to drain when its buffer is full
+  const write = async (lines) => {
+    if (output.destroyed) {
+      return;
+    }
+
+    if (!output.write(lines)) {
+      await waitForDrain(output);
+    }
+  };
+
+  const toLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+  return {
+    async writeRows(records) {
+      const lines = records.map(record => toLine(toCells(record))).join('');
+      await write(started ? lines : toLine(headers) + lines);
+      started = true;
+    },
+    async end() {
+      if (!started) {
+        await write(toLine(headers));
+        started = true;
+      }
+
+      if (!output.destroyed) {
+        output.end();
+      }
+    }
+  };
+};
+
+/**
+ * HTTP headers of a spreadsheet download, named after the export and today's date
+ * @param {string} format - SPREADSHEET_FORMAT value
+ * @param {string} name - Export name (e.g. "employees")
+ * @returns {Object}
+ */
+const downloadHeaders = (format, name) => ({
+  'Content-Type': SPREADSHEET_CONTENT_TYPE[format],
+  'Content-Disposition':
+    `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.${format}"`,
+  'Cache-Control': 'no-store'
+});
+
+/**
+ * Stream a spreadsheet download into an HTTP response. The download headers are
+ * dropped again when the export fails before anything was sent, so the error
+ * handler's JSON body is not saved as a spreadsheet.
+ * @param {Object} res - Express response
+ * @param {string} format - SPREADSHEET_FORMAT value
+ * @param {string} name - Export name (e.g. "employees")
+ * @param {Function} writeDownload - Writes the spreadsheet into res
+ * @returns {Promise<void>}
+ */
+const sendDownload = async (res, format, name, writeDownload) => {
+  const headers = downloadHeaders(format, name);
+
+  res.set(headers);
+
+  try {
+    await writeDownload();
+  } catch (error) {
+    if (!res.headersSent) {
+      Object.keys(headers).forEach(header => res.removeHeader(header));
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  createSpreadsheetWriter,
+  downloadHeaders,
+  formatFromContentType,
+  parseCsv,
+  readSpreadsheet,
+  sendDownload
+};
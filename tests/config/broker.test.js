@@ -0,0 +1,117 @@
+/**
+ * Event validation of the exported broker, on top of the in-memory broker
+ */
+
+process.env.MESSAGE_BROKER = 'memory';
+
+const broker = require('../../src/config/broker');
+const inMemoryBroker = require('../../src/config/inMemoryBroker');
+const { createEvent } = require('../../src/utils/events');
+const { QUEUE_EVENTS } = require('../../src/utils/constants');
+
+const leaveRejected = () => createEvent(QUEUE_EVENTS.LEAVE_REJECTED, {
+  id: 42,
+  employeeId: 7,
+  leaveTypeId: null,
+  startDate: '2026-03-02',
+  endDate: '2026-03-03',
+  approverId: 5,
+  comment: null
+});
+
+// Lets the in-memory broker settle queued deliveries
+const flush = () => new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+
+describe('broker', () => {
+  let received;
+
+  beforeEach(async () => {
+    ['log', 'warn', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    received = [];
+    await broker.consumeMessages(async (event) => {
+      received.push(event);
+    });
+  });
+
+  afterEach(async () => {
+    await broker.closeConnection();
+    jest.restoreAllMocks();
+  });
+
+  describe('publishMessage', () => {
+    it('publishes valid events under their own id', async () => {
+      const event = leaveRejected();
+
+      await broker.publishMessage(QUEUE_EVENTS.LEAVE_REJECTED, event);
+      await flush();
+
+      expect(received).toEqual([event]);
+    });
+
+    it('refuses events that do not match their schema', async () => {
+      const event = leaveRejected();
+      delete event.payload.approverId;
+
+      await expect(
+        broker.publishMessage(QUEUE_EVENTS.LEAVE_REJECTED, event)
+      ).rejects.toThrow('"approverId" is required');
+      await flush();
+
+      expect(received).toEqual([]);
+    });
+
+    it('refuses events published under another routing key', async () => {
+      await expect(
+        broker.publishMessage(QUEUE_EVENTS.LEAVE_APPROVED, leaveRejected())
+      ).rejects.toThrow('Event type leave.rejected does not match routing key leave.approved');
+    });
+  });
+
+  describe('consumeMessages', () => {
+    // Bypasses the validation of the exported broker, like a foreign publisher would
+    const publishRaw = (routingKey, content) => (
+      inMemoryBroker.publishMessage(routingKey, content, { messageId: 'raw-1' })
+    );
+
+    it('quarantines invalid events instead of handing them to the consumer', async () => {
+      await publishRaw(QUEUE_EVENTS.LEAVE_REJECTED, { type: QUEUE_EVENTS.LEAVE_REJECTED });
+      await flush();
+
+      const quarantine = await broker.peekQuarantine(10);
+
+      expect(received).toEqual([]);
+      expect(quarantine.total).toBe(1);
+      expect(quarantine.messages[0]).toMatchObject({
+        messageId: 'raw-1',
+        routingKey: QUEUE_EVENTS.LEAVE_REJECTED,
+        reason: expect.stringContaining('"id" is required')
+      });
+    });
+
+    it('quarantines events delivered under another routing key', async () => {
+      await publishRaw(QUEUE_EVENTS.LEAVE_APPROVED, leaveRejected());
+      await flush();
+
+      const quarantine = await broker.peekQuarantine(10);
+
+      expect(received).toEqual([]);
+      expect(quarantine.messages[0].reason)
+        .toBe('Event type leave.rejected does not match routing key leave.approved');
+    });
+
+    it('keeps consuming after a quarantined message', async () => {
+      const event = leaveRejected();
+
+      await publishRaw(QUEUE_EVENTS.LEAVE_REJECTED, { not: 'an event' });
+      await broker.publishMessage(QUEUE_EVENTS.LEAVE_REJECTED, event);
+      await flush();
+      await flush();
+
+      expect(received).toEqual([event]);
+      expect((await broker.peekQuarantine(10)).total).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * RabbitMQ broker against a fake amqplib connection
+ */
+
+process.env.RABBITMQ_URL = 'amqp://localhost';
+process.env.RABBITMQ_EXCHANGE_NAME = 'leave.events';
+process.env.RABBITMQ_QUEUE_NAME = 'leave.requests';
+process.env.RABBITMQ_MAX_RETRIES = '2';
+
+jest.mock('amqplib', () => ({ connect: jest.fn() }));
+
+const { EventEmitter } = require('events');
+
+const QUEUE = 'leave.requests';
+
+const createFakeChannel = () => {
+  const ch = new EventEmitter();
+
+  ch.consumers = [];
+  ch.assertExchange = jest.fn(async () => {});
+  ch.assertQueue = jest.fn(async () => {});
+  ch.bindQueue = jest.fn(async () => {});
+  ch.prefetch = jest.fn(async () => {});
+  ch.consume = jest.fn(async (queue, handler) => {
+    ch.consumers.push({ queue, handler });
+  });
+  ch.publish = jest.fn(() => true);
+  ch.sendToQueue = jest.fn(() => true);
+  ch.waitForConfirms = jest.fn(async () => {});
+  ch.ack = jest.fn();
+  ch.nack = jest.fn();
+  ch.close = jest.fn(async () => ch.emit('close'));
+
+  return ch;
+};
+
+const createFakeConnection = () => {
+  const conn = new EventEmitter();
+
+  conn.channels = [];
+  conn.confirmChannels = [];
+  conn.createChannel = jest.fn(async () => {
+    const ch = createFakeChannel();
+    conn.channels.push(ch);
+    return ch;
+  });
+  conn.createConfirmChannel = jest.fn(async () => {
+    const ch = createFakeChannel();
+    conn.confirmChannels.push(ch);
+    return ch;
+  });
+  conn.close = jest.fn(async () => conn.emit('close'));
+
+  return conn;
+};
+
+const message = (content, headers = {}) => ({
+  content: Buffer.from(content),
+  fields: { routingKey: 'leave.requested' },
+  properties: { messageId: 'msg-1', contentType: 'application/json', headers }
+});
+
+describe('rabbitmq broker', () => {
+  let amqp;
+  let rabbitmq;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.useFakeTimers();
+    ['log', 'warn', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    amqp = require('amqplib');
+    rabbitmq = require('../../src/config/rabbitmq');
+  });
+
+  afterEach(async () => {
+    await rabbitmq.closeConnection();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('reconnecting', () => {
+    it('attaches registered consumers again after the connection drops', async () => {
+      const first = createFakeConnection();
+      const second = createFakeConnection();
+      amqp.connect.mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+
+      await rabbitmq.consumeMessages(jest.fn());
+      await rabbitmq.consumeMessages(jest.fn(), { consumer: 'webhooks' });
+      first.emit('close');
+
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(second.channels[0].consumers.map(consumer => consumer.queue)).toEqual([
+        QUEUE,
+        `${QUEUE}.webhooks`
+      ]);
+    });
+
+    it('keeps retrying when the broker is not back yet', async () => {
+      const first = createFakeConnection();
+      const second = createFakeConnection();
+      amqp.connect
+        .mockResolvedValueOnce(first)
+        .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+        .mockResolvedValueOnce(second);
+
+      await rabbitmq.consumeMessages(jest.fn());
+      first.emit('close');
+
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(amqp.connect).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(amqp.connect).toHaveBeenCalledTimes(3);
+      expect(second.channels[0].consumers).toHaveLength(1);
+    });
+
+    it('attaches consumers again when only their channel closes', async () => {
+      const conn = createFakeConnection();
+      amqp.connect.mockResolvedValue(conn);
+
+      await rabbitmq.consumeMessages(jest.fn());
+      conn.channels[0].emit('close');
+
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(amqp.connect).toHaveBeenCalledTimes(1);
+      expect(conn.channels[1].consumers).toHaveLength(1);
+    });
+
+    it('stays closed after closeConnection', async () => {
+      const conn = createFakeConnection();
+      amqp.connect.mockResolvedValue(conn);
+
+      await rabbitmq.consumeMessages(jest.fn());
+      await rabbitmq.closeConnection();
+
+      await jest.advanceTimersByTimeAsync(20000);
+
+      expect(amqp.connect).toHaveBeenCalledTimes(1);
+      expect(conn.createChannel).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('failed messages', () => {
+    let conn;
+
+    // Delivers a message to the first consumer and returns its channels
+    const deliver = async (msg) => {
+      const [consumerChannel] = conn.channels;
+      await consumerChannel.consumers[0].handler(msg);
+      return { consumerChannel, confirmChannel: conn.confirmChannels[0] };
+    };
+
+    beforeEach(async () => {
+      conn = createFakeConnection();
+      amqp.connect.mockResolvedValue(conn);
+    });
+
+    it('acks a failed message only after its retry copy is confirmed', async () => {
+      await rabbitmq.consumeMessages(jest.fn().mockRejectedValue(new Error('Database unavailable')));
+
+      const msg = message('{"id":"evt-1"}');
+      const { consumerChannel, confirmChannel } = await deliver(msg);
+
+      expect(consumerChannel.sendToQueue).not.toHaveBeenCalled();
+      expect(confirmChannel.sendToQueue).toHaveBeenCalledWith(
+        `${QUEUE}.retry.1`,
+        msg.content,
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            'x-retry-count': 1,
+            'x-last-error': 'Database unavailable'
+          })
+        })
+      );
+      expect(confirmChannel.waitForConfirms.mock.invocationCallOrder[0])
+        .toBeLessThan(consumerChannel.ack.mock.invocationCallOrder[0]);
+      expect(consumerChannel.ack).toHaveBeenCalledWith(msg);
+    });
+
+    it('requeues the message when the retry copy is not confirmed', async () => {
+      await rabbitmq.consumeMessages(jest.fn().mockRejectedValue(new Error('Database unavailable')));
+      await rabbitmq.publishMessage('leave.requested', { id: 'evt-0' });
+      conn.confirmChannels[0].waitForConfirms.mockRejectedValueOnce(new Error('Nacked'));
+
+      const msg = message('{"id":"evt-1"}');
+      const { consumerChannel } = await deliver(msg);
+
+      expect(consumerChannel.ack).not.toHaveBeenCalled();
+      expect(consumerChannel.nack).toHaveBeenCalledWith(msg, false, true);
+    });
+
+    it('dead-letters the message once retries are exhausted', async () => {
+      await rabbitmq.consumeMessages(jest.fn().mockRejectedValue(new Error('Still failing')));
+
+      const msg = message('{"id":"evt-1"}', { 'x-retry-count': 2 });
+      const { consumerChannel } = await deliver(msg);
+
+      expect(conn.confirmChannels).toHaveLength(0);
+      expect(consumerChannel.nack).toHaveBeenCalledWith(msg, false, false);
+    });
+
+    it('quarantines unparseable messages on the confirm channel before acking', async () => {
+      const callback = jest.fn();
+      await rabbitmq.consumeMessages(callback);
+
+      const msg = message('not json');
+      const { consumerChannel, confirmChannel } = await deliver(msg);
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(confirmChannel.sendToQueue).toHaveBeenCalledWith(
+        `${QUEUE}.quarantine`,
+        msg.content,
+        expect.any(Object)
+      );
+      expect(confirmChannel.waitForConfirms).toHaveBeenCalled();
+      expect(consumerChannel.ack).toHaveBeenCalledWith(msg);
+    });
+
+    it('requeues unparseable messages when quarantining fails', async () => {
+      await rabbitmq.consumeMessages(jest.fn());
+      await rabbitmq.publishMessage('leave.requested', { id: 'evt-0' });
+      conn.confirmChannels[0].waitForConfirms.mockRejectedValueOnce(new Error('Channel closed'));
+
+      const msg = message('not json');
+      const { consumerChannel } = await deliver(msg);
+
+      expect(consumerChannel.ack).not.toHaveBeenCalled();
+      expect(consumerChannel.nack).toHaveBeenCalledWith(msg, false, true);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_ISSUER = 'workforce-management';
+
+jest.mock('../../src/repositories/EmployeeRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/repositories/ApiKeyRepository', () => ({
+  findByHash: jest.fn(),
+  update: jest.fn()
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const ApiKeyRepository = require('../../src/repositories/ApiKeyRepository');
+const { authenticate } = require('../../src/middleware/authenticate');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { HTTP_STATUS, PRINCIPAL_TYPE, ROLE } = require('../../src/utils/constants');
+
+const token = jwt.sign({ type: PRINCIPAL_TYPE.EMPLOYEE }, 'test-secret', {
+  subject: '7',
+  issuer: 'workforce-management',
+  expiresIn: '1h'
+});
+
+// Mounted like the API: every route below /api answers with the resolved principal
+const app = express();
+app.use('/api', authenticate, (req, res) => {
+  res.status(HTTP_STATUS.OK).json({ principal: req.principal || null });
+});
+app.use(errorHandler);
+
+describe('authenticate middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    EmployeeRepository.findById.mockResolvedValue({
+      id: 7,
+      email: 'dev@example.com',
+      role: ROLE.EMPLOYEE
+    });
+    ApiKeyRepository.findByHash.mockResolvedValue({
+      id: 3,
+      name: 'Payroll',
+      role: ROLE.HR,
+      revokedAt: null,
+      expiresAt: null
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resolves an employee from a bearer token', async () => {
+    const response = await request(app)
+      .get('/api/employees')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(response.body.principal).toMatchObject({
+      type: PRINCIPAL_TYPE.EMPLOYEE,
+      employeeId: 7,
+      role: ROLE.EMPLOYEE
+    });
+  });
+
+  it('resolves a service from an API key', async () => {
+    const response = await request(app)
+      .get('/api/employees')
+      .set('X-API-Key', 'wfm_live_0123456789');
+
+    expect(response.body.principal).toMatchObject({ type: PRINCIPAL_TYPE.SERVICE, apiKeyId: 3 });
+  });
+
+  it('prefers the bearer token when both credentials are sent', async () => {
+    const response = await request(app)
+      .get('/api/employees')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-API-Key', 'wfm_live_0123456789');
+
+    expect(response.body.principal.type).toBe(PRINCIPAL_TYPE.EMPLOYEE);
+    expect(ApiKeyRepository.findByHash).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['no credentials', {}, 'Authentication required'],
+    ['a Basic authorization', { Authorization: 'Basic ZGV2OnNlY3JldA==' }, 'Authentication required'],
+    ['a lowercase scheme', { Authorization: `bearer ${token}` }, 'Authentication required'],
+    ['a bare token', { Authorization: token }, 'Authentication required'],
+    ['an empty bearer token', { Authorization: 'Bearer ' }, 'Authentication required'],
+    ['a garbled bearer token', { Authorization: 'Bearer not-a-jwt' }, 'Invalid or expired token'],
+    ['an unknown API key', { 'X-API-Key': 'wfm_live_unknown' }, 'Invalid API key']
+  ])('refuses a request with %s', async (description, headers, error) => {
+    if (error === 'Invalid API key') {
+      ApiKeyRepository.findByHash.mockResolvedValue(null);
+    }
+
+    const response = await request(app).get('/api/employees').set(headers);
+
+    expect(response.status).toBe(HTTP_STATUS.UNAUTHORIZED);
+    expect(response.body).toEqual({ success: false, error });
+  });
+
+  it.each(['/api/auth/login', '/api/calendar-feeds/abc123/leave.ics'])(
+    'lets %s through without credentials',
+    async (path) => {
+      const response = await request(app).get(path);
+
+      expect(response.status).toBe(HTTP_STATUS.OK);
+      expect(response.body.principal).toBeNull();
+    }
+  );
+
+  it('does not treat lookalikes of public paths as public', async () => {
+    const response = await request(app).get('/api/calendar-feeds/abc123/other/leave.ics');
+
+    expect(response.status).toBe(HTTP_STATUS.UNAUTHORIZED);
+  });
+});
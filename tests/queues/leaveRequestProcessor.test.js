@@ -0,0 +1,438 @@
+/**
+ * End-to-end flow of leave.requested events through the in-memory broker into
+ * the leave request processor. Status changes, the balance ledger and the outbox
+ * go through the real services; only the repositories below them are replaced,
+ * by in-memory tables that roll back with their transaction.
+ */
+
+process.env.MESSAGE_BROKER = 'memory';
+process.env.RABBITMQ_MAX_RETRIES = '1';
+process.env.RABBITMQ_RETRY_DELAY = '10';
+process.env.LEAVE_ANNUAL_ALLOWANCE_DAYS = '20';
+process.env.LEAVE_CARRY_OVER_CAP_DAYS = '5';
+
+// Transactions run their rollback callbacks when the work fails
+jest.mock('../../src/config/database', () => ({
+  sequelize: {
+    transaction: async (work) => {
+      const transaction = { rollbacks: [] };
+
+      try {
+        return await work(transaction);
+      } catch (error) {
+        transaction.rollbacks.reverse().forEach(rollback => rollback());
+        throw error;
+      }
+    }
+  }
+}));
+jest.mock('../../src/repositories/ProcessedMessageRepository', () => ({ create: jest.fn() }));
+jest.mock('../../src/repositories/LeaveRequestRepository', () => ({
+  findById: jest.fn(),
+  assignApprover: jest.fn(),
+  updateStatus: jest.fn(),
+  findPendingForYear: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveRequestStatusHistoryRepository', () => ({
+  create: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveBalanceRepository', () => ({
+  createIfMissing: jest.fn(),
+  findByReference: jest.fn(),
+  sumByEmployeeAndYear: jest.fn(),
+  hasEntriesForYear: jest.fn(),
+  updateDays: jest.fn(),
+  findByLeaveRequest: jest.fn()
+}));
+jest.mock('../../src/repositories/OutboxRepository', () => ({ create: jest.fn() }));
+jest.mock('../../src/repositories/EmployeeRepository', () => ({}));
+jest.mock('../../src/repositories/LeaveTypeRepository', () => ({}));
+jest.mock('../../src/services/HolidayCalendarService', () => ({
+  resolveWorkingDays: jest.fn(),
+  getWorkingCalendarForEmployee: jest.fn()
+}));
+jest.mock('../../src/services/ApprovalRoutingService', () => ({
+  createApprovalStages: jest.fn(),
+  enqueueApprovalRequest: jest.fn()
+}));
+jest.mock('../../src/services/StaffingRuleService', () => ({
+  findViolations: jest.fn(),
+  describeViolations: jest.fn(violations => violations[0].message)
+}));
+jest.mock('../../src/services/BlackoutPeriodService', () => ({
+  findIntersecting: jest.fn(),
+  describeBlackoutPeriods: jest.fn(() => 'Quarter-end')
+}));
+
+const { UniqueConstraintError } = require('sequelize');
+const broker = require('../../src/config/broker');
+const inMemoryBroker = require('../../src/config/inMemoryBroker');
+const ProcessedMessageRepository = require('../../src/repositories/ProcessedMessageRepository');
+const LeaveRequestRepository = require('../../src/repositories/LeaveRequestRepository');
+const LeaveRequestStatusHistoryRepository = require('../../src/repositories/LeaveRequestStatusHistoryRepository');
+const LeaveBalanceRepository = require('../../src/repositories/LeaveBalanceRepository');
+const OutboxRepository = require('../../src/repositories/OutboxRepository');
+const HolidayCalendarService = require('../../src/services/HolidayCalendarService');
+const ApprovalRoutingService = require('../../src/services/ApprovalRoutingService');
+const StaffingRuleService = require('../../src/services/StaffingRuleService');
+const BlackoutPeriodService = require('../../src/services/BlackoutPeriodService');
+const LeaveBalanceService = require('../../src/services/LeaveBalanceService');
+const { startLeaveRequestConsumer } = require('../../src/queues/leaveRequestProcessor');
+const {
+  LEAVE_BALANCE_TRANSACTION_TYPE,
+  LEAVE_REQUEST_STATUS,
+  QUEUE_EVENTS,
+  STAFFING_RULE
+} = require('../../src/utils/constants');
+const { createEvent, leavePeriodPayload } = require('../../src/utils/events');
+
+const { PENDING, PENDING_APPROVAL, APPROVED, CANCELLED } = LEAVE_REQUEST_STATUS;
+
+const leaveRequest = {
+  id: 42,
+  employeeId: 7,
+  leaveTypeId: 1,
+  startDate: '2026-03-02',
+  endDate: '2026-03-03',
+  durationDays: 2,
+  status: PENDING,
+  approverId: null,
+  exceptionRequested: false,
+  leaveType: { autoApproveMaxDays: null, countsAgainstBalance: true }
+};
+
+const requestedEvent = (request = leaveRequest) => createEvent(QUEUE_EVENTS.LEAVE_REQUESTED, {
+  ...leavePeriodPayload(request),
+  granularity: 'FULL_DAY',
+  durationDays: request.durationDays,
+  idempotencyKey: `key-${request.id}`
+});
+
+const publish = (event) => broker.publishMessage(event.type, event);
+
+// Resolves once the mock has been called, or fails after a second
+const waitForCall = async (mock) => {
+  for (let attempt = 0; attempt < 100 && !mock.mock.calls.length; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  expect(mock).toHaveBeenCalled();
+};
+
+// Lets the broker settle every queued message
+const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('leave request processor', () => {
+  let processedEventIds;
+  let leaveRequests;
+  let history;
+  let ledger;
+  let outbox;
+
+  // Registers how to undo a write should its transaction fail
+  const onRollback = (options, undo) => {
+    if (options && options.transaction) {
+      options.transaction.rollbacks.push(undo);
+    }
+  };
+
+  const storedRequest = () => leaveRequests.get(leaveRequest.id);
+  const deductions = () => ledger.filter(
+    entry => entry.type === LEAVE_BALANCE_TRANSACTION_TYPE.DEDUCTION
+  );
+  const balanceOf = (year) => ledger
+    .filter(entry => entry.employeeId === leaveRequest.employeeId && entry.year === year)
+    .reduce((total, entry) => total + Number(entry.days), 0);
+
+  const waitForStatus = async (status) => {
+    for (let attempt = 0; attempt < 100 && storedRequest().status !== status; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(storedRequest().status).toBe(status);
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    ['log', 'warn', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    processedEventIds = new Set();
+    leaveRequests = new Map([[leaveRequest.id, { ...leaveRequest }]]);
+    history = [];
+    ledger = [];
+    outbox = [];
+
+    ProcessedMessageRepository.create.mockImplementation(async ({ eventId }, options) => {
+      if (processedEventIds.has(eventId)) {
+        throw new UniqueConstraintError({ message: 'Duplicate entry' });
+      }
+      processedEventIds.add(eventId);
+      onRollback(options, () => processedEventIds.delete(eventId));
+    });
+
+    LeaveRequestRepository.findById.mockImplementation(async (id) => (
+      leaveRequests.has(id) ? { ...leaveRequests.get(id) } : null
+    ));
+    LeaveRequestRepository.updateStatus.mockImplementation(async (id, status, options) => {
+      const stored = leaveRequests.get(id);
+
+      if (stored.status !== options.expectedStatus) {
+        return [0];
+      }
+
+      const previous = stored.status;
+      stored.status = status;
+      onRollback(options, () => { stored.status = previous; });
+      return [1];
+    });
+    LeaveRequestRepository.assignApprover.mockImplementation(async (id, approverId, options) => {
+      const stored = leaveRequests.get(id);
+      const previous = stored.approverId;
+      stored.approverId = approverId;
+      onRollback(options, () => { stored.approverId = previous; });
+    });
+    LeaveRequestRepository.findPendingForYear.mockResolvedValue([]);
+    LeaveRequestStatusHistoryRepository.create.mockImplementation(async (entry, options) => {
+      history.push(entry);
+      onRollback(options, () => history.splice(history.indexOf(entry), 1));
+      return entry;
+    });
+
+    LeaveBalanceRepository.createIfMissing.mockImplementation(async (entryData, options) => {
+      const existing = ledger.find(entry => entry.reference === entryData.reference);
+
+      if (existing) {
+        return [existing, false];
+      }
+
+      const entry = { id: ledger.length + 1, ...entryData };
+      ledger.push(entry);
+      onRollback(options, () => ledger.splice(ledger.indexOf(entry), 1));
+      return [entry, true];
+    });
+    LeaveBalanceRepository.findByReference.mockImplementation(async (reference) => (
+      ledger.find(entry => entry.reference === reference) || null
+    ));
+    LeaveBalanceRepository.sumByEmployeeAndYear.mockImplementation(async (employeeId, year) => (
+      ledger
+        .filter(entry => entry.employeeId === employeeId && entry.year === year)
+        .reduce((total, entry) => total + Number(entry.days), 0)
+    ));
+    LeaveBalanceRepository.hasEntriesForYear.mockImplementation(async (employeeId, year) => (
+      ledger.some(entry => entry.employeeId === employeeId && entry.year === year)
+    ));
+    LeaveBalanceRepository.updateDays.mockImplementation(async (id, days, options) => {
+      const entry = ledger.find(candidate => candidate.id === id);
+      const previous = entry.days;
+      entry.days = days;
+      onRollback(options, () => { entry.days = previous; });
+      return [1];
+    });
+    LeaveBalanceRepository.findByLeaveRequest.mockImplementation(async (leaveRequestId, type) => (
+      ledger.filter(entry => entry.leaveRequestId === leaveRequestId && entry.type === type)
+    ));
+
+    OutboxRepository.create.mockImplementation(async (row, options) => {
+      outbox.push(row);
+      onRollback(options, () => outbox.splice(outbox.indexOf(row), 1));
+      return row;
+    });
+
+    HolidayCalendarService.resolveWorkingDays.mockImplementation(async (request) => request.durationDays);
+    StaffingRuleService.findViolations.mockResolvedValue([]);
+    BlackoutPeriodService.findIntersecting.mockResolvedValue([]);
+    ApprovalRoutingService.createApprovalStages.mockResolvedValue(11);
+
+    await startLeaveRequestConsumer();
+  });
+
+  afterEach(async () => {
+    await flush();
+    await broker.closeConnection();
+    jest.restoreAllMocks();
+  });
+
+  it('auto-approves short leave the balance covers and deducts it', async () => {
+    await publish(requestedEvent());
+    await waitForStatus(APPROVED);
+
+    expect(history).toEqual([expect.objectContaining({
+      leaveRequestId: 42,
+      fromStatus: PENDING,
+      toStatus: APPROVED,
+      actorId: null,
+      reason: expect.stringContaining('Auto-approved')
+    })]);
+    expect(deductions()).toEqual([
+      expect.objectContaining({ year: 2026, days: -2, leaveRequestId: 42 })
+    ]);
+    expect(balanceOf(2026)).toBe(18);
+    expect(outbox).toEqual([expect.objectContaining({
+      routingKey: QUEUE_EVENTS.LEAVE_APPROVED,
+      payload: expect.objectContaining({
+        payload: expect.objectContaining({ id: 42, autoApproved: true, approverId: null })
+      })
+    })]);
+  });
+
+  it('routes leave breaching staffing rules to manual approval', async () => {
+    StaffingRuleService.findViolations.mockResolvedValue([{
+      rule: STAFFING_RULE.MIN_PRESENT,
+      date: '2026-03-02',
+      message: 'Only 1 employees of Finance would be present on 2026-03-02'
+    }]);
+
+    await publish(requestedEvent());
+    await waitForStatus(PENDING_APPROVAL);
+
+    expect(storedRequest().approverId).toBe(11);
+    expect(history).toEqual([expect.objectContaining({
+      fromStatus: PENDING,
+      toStatus: PENDING_APPROVAL,
+      reason: expect.stringContaining('Only 1 employees of Finance')
+    })]);
+    expect(deductions()).toEqual([]);
+    expect(outbox).toEqual([]);
+  });
+
+  it('never auto-approves blackout exception requests', async () => {
+    leaveRequests.get(42).exceptionRequested = true;
+
+    await publish(requestedEvent());
+    await waitForStatus(PENDING_APPROVAL);
+
+    expect(history[0].reason).toBe('Routed for manual approval: blackout exception requested');
+    expect(BlackoutPeriodService.findIntersecting).not.toHaveBeenCalled();
+  });
+
+  it('routes leave within a blackout period added after the request to manual approval', async () => {
+    BlackoutPeriodService.findIntersecting.mockResolvedValue([
+      { id: 3, name: 'Quarter-end', startDate: '2026-03-02', endDate: '2026-03-06' }
+    ]);
+
+    await publish(requestedEvent());
+    await waitForStatus(PENDING_APPROVAL);
+
+    expect(history[0].reason).toBe('Routed for manual approval: within blackout period(s) Quarter-end');
+    expect(deductions()).toEqual([]);
+    expect(outbox).toEqual([]);
+  });
+
+  it('routes leave the balance cannot cover to manual approval', async () => {
+    // 19 of the 20 days are already taken
+    await LeaveBalanceService.deductForLeaveRequest({
+      ...leaveRequest,
+      id: 41,
+      startDate: '2026-01-05',
+      endDate: '2026-01-29',
+      durationDays: 19
+    });
+
+    await publish(requestedEvent());
+    await waitForStatus(PENDING_APPROVAL);
+
+    expect(deductions()).toHaveLength(1);
+    expect(balanceOf(2026)).toBe(1);
+    expect(StaffingRuleService.findViolations).not.toHaveBeenCalled();
+  });
+
+  it('applies the auto-approval threshold of the leave type', async () => {
+    // Sick leave: auto-approved up to 3 days and not charged to the balance
+    Object.assign(leaveRequests.get(42), {
+      endDate: '2026-03-04',
+      durationDays: 3,
+      leaveType: { autoApproveMaxDays: 3, countsAgainstBalance: false }
+    });
+
+    await publish(requestedEvent(leaveRequests.get(42)));
+    await waitForStatus(APPROVED);
+
+    expect(ledger).toEqual([]);
+  });
+
+  it('never auto-approves leave types with a threshold of 0', async () => {
+    leaveRequests.get(42).leaveType = { autoApproveMaxDays: 0, countsAgainstBalance: false };
+
+    await publish(requestedEvent());
+    await waitForStatus(PENDING_APPROVAL);
+
+    expect(history[0].reason).toBe('Routed for manual approval');
+  });
+
+  it('processes an event delivered twice only once', async () => {
+    const event = requestedEvent();
+
+    await publish(event);
+    await publish(event);
+    await waitForStatus(APPROVED);
+    await flush();
+
+    expect(LeaveRequestRepository.findById).toHaveBeenCalledTimes(1);
+    expect(history).toHaveLength(1);
+    expect(deductions()).toHaveLength(1);
+  });
+
+  it('leaves requests that are no longer pending alone', async () => {
+    leaveRequests.get(42).status = CANCELLED;
+
+    await publish(requestedEvent());
+    await waitForCall(LeaveRequestRepository.findById);
+    await flush();
+
+    expect(storedRequest().status).toBe(CANCELLED);
+    expect(history).toEqual([]);
+    expect(ledger).toEqual([]);
+  });
+
+  it('rolls back a failed attempt and dead-letters the event once retries are exhausted', async () => {
+    // Fails after the deduction and the status change were written
+    OutboxRepository.create.mockRejectedValue(new Error('Database unavailable'));
+
+    const event = requestedEvent();
+    await publish(event);
+
+    // One delivery plus RABBITMQ_MAX_RETRIES retry
+    for (let attempt = 0; attempt < 100; attempt++) {
+      if ((await broker.peekDeadLetters(10)).total) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const { total, messages } = await broker.peekDeadLetters(10);
+
+    expect(OutboxRepository.create).toHaveBeenCalledTimes(2);
+    expect(total).toBe(1);
+    expect(messages[0]).toMatchObject({ messageId: event.id });
+    expect(storedRequest().status).toBe(PENDING);
+    expect(history).toEqual([]);
+    expect(ledger).toEqual([]);
+    // Not recorded as processed either, so a replay processes the event again
+    expect(processedEventIds.size).toBe(0);
+  });
+
+  it('refuses to publish invalid events', async () => {
+    const invalid = { ...requestedEvent(), version: 99 };
+
+    await expect(broker.publishMessage(invalid.type, invalid)).rejects.toThrow();
+  });
+
+  it('quarantines invalid events instead of processing them', async () => {
+    // Published through the raw broker, as a foreign producer could
+    const invalid = { ...requestedEvent(), payload: { id: 42 } };
+    await inMemoryBroker.publishMessage(invalid.type, invalid);
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+      if ((await broker.peekQuarantine(10)).total) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect((await broker.peekQuarantine(10)).total).toBe(1);
+    expect(LeaveRequestRepository.findById).not.toHaveBeenCalled();
+    expect(processedEventIds.size).toBe(0);
+  });
+});
@@ -0,0 +1,233 @@
+jest.mock('../../src/repositories/RolePermissionRepository', () => ({
+  findAll: jest.fn(),
+  count: jest.fn(),
+  bulkCreate: jest.fn(),
+  replaceForRole: jest.fn()
+}));
+jest.mock('../../src/repositories/EmployeeRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/repositories/DepartmentRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/repositories/LeaveRequestRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/config/database', () => ({ sequelize: {} }));
+
+const RolePermissionRepository = require('../../src/repositories/RolePermissionRepository');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const DepartmentRepository = require('../../src/repositories/DepartmentRepository');
+const LeaveRequestRepository = require('../../src/repositories/LeaveRequestRepository');
+const AccessControlService = require('../../src/services/AccessControlService');
+const {
+  HTTP_STATUS,
+  PERMISSION,
+  PRINCIPAL_TYPE,
+  ROLE
+} = require('../../src/utils/constants');
+
+const employeePrincipal = (employeeId, role = ROLE.EMPLOYEE) => ({
+  type: PRINCIPAL_TYPE.EMPLOYEE,
+  employeeId,
+  role
+});
+const servicePrincipal = (role) => ({ type: PRINCIPAL_TYPE.SERVICE, role });
+
+const forbidden = expect.objectContaining({ statusCode: HTTP_STATUS.FORBIDDEN });
+
+describe('AccessControlService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AccessControlService.permissionsByRole = null;
+  });
+
+  describe('hasPermission', () => {
+    beforeEach(() => {
+      RolePermissionRepository.findAll.mockResolvedValue([
+        { role: ROLE.EMPLOYEE, permission: PERMISSION.LEAVE_CREATE },
+        { role: ROLE.HR, permission: PERMISSION.EMPLOYEE_MANAGE }
+      ]);
+    });
+
+    it('grants what role_permissions store for the role', async () => {
+      await expect(
+        AccessControlService.hasPermission(ROLE.HR, PERMISSION.EMPLOYEE_MANAGE)
+      ).resolves.toBe(true);
+      await expect(
+        AccessControlService.hasPermission(ROLE.EMPLOYEE, PERMISSION.EMPLOYEE_MANAGE)
+      ).resolves.toBe(false);
+      await expect(
+        AccessControlService.hasPermission(ROLE.MANAGER, PERMISSION.LEAVE_CREATE)
+      ).resolves.toBe(false);
+      await expect(AccessControlService.hasPermission(null, PERMISSION.LEAVE_CREATE))
+        .resolves.toBe(false);
+    });
+
+    it('always grants everything to admins', async () => {
+      await expect(
+        AccessControlService.hasPermission(ROLE.ADMIN, PERMISSION.ROLE_MANAGE)
+      ).resolves.toBe(true);
+    });
+
+    it('loads the grants once', async () => {
+      await AccessControlService.hasPermission(ROLE.HR, PERMISSION.EMPLOYEE_MANAGE);
+      await AccessControlService.hasPermission(ROLE.EMPLOYEE, PERMISSION.LEAVE_CREATE);
+
+      expect(RolePermissionRepository.findAll).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getAccessScope', () => {
+    it('is unrestricted for HR and admins, including API keys', () => {
+      expect(AccessControlService.getAccessScope(employeePrincipal(1, ROLE.HR))).toBeNull();
+      expect(AccessControlService.getAccessScope(employeePrincipal(1, ROLE.ADMIN))).toBeNull();
+      expect(AccessControlService.getAccessScope(servicePrincipal(ROLE.HR))).toBeNull();
+    });
+
+    it('limits employees to themselves', () => {
+      expect(AccessControlService.getAccessScope(employeePrincipal(5))).toEqual({
+        employeeId: 5,
+        includeReports: false
+      });
+    });
+
+    it('adds direct reports for managers', () => {
+      expect(AccessControlService.getAccessScope(employeePrincipal(5, ROLE.MANAGER))).toEqual({
+        employeeId: 5,
+        includeReports: true
+      });
+    });
+
+    it('refuses anonymous callers and restricted non-employee principals', () => {
+      expect(() => AccessControlService.getAccessScope(null)).toThrow(forbidden);
+      expect(() => AccessControlService.getAccessScope(servicePrincipal(ROLE.EMPLOYEE)))
+        .toThrow(forbidden);
+    });
+  });
+
+  describe('assertCanAccessEmployee', () => {
+    it('lets employees access only themselves', async () => {
+      await expect(
+        AccessControlService.assertCanAccessEmployee(employeePrincipal(5), '5')
+      ).resolves.toBeUndefined();
+      await expect(
+        AccessControlService.assertCanAccessEmployee(employeePrincipal(5), 6)
+      ).rejects.toEqual(forbidden);
+
+      expect(EmployeeRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('lets managers access their direct reports only', async () => {
+      EmployeeRepository.findById.mockImplementation(async (id) => (
+        { 6: { id: 6, managerId: 5 }, 7: { id: 7, managerId: 9 } }[id]
+      ));
+      const manager = employeePrincipal(5, ROLE.MANAGER);
+
+      await expect(AccessControlService.assertCanAccessEmployee(manager, 6))
+        .resolves.toBeUndefined();
+      await expect(AccessControlService.assertCanAccessEmployee(manager, 7))
+        .rejects.toEqual(forbidden);
+    });
+
+    it('leaves unknown employees to the service to report', async () => {
+      EmployeeRepository.findById.mockResolvedValue(null);
+
+      await expect(
+        AccessControlService.assertCanAccessEmployee(employeePrincipal(5, ROLE.MANAGER), 99)
+      ).resolves.toBeUndefined();
+    });
+
+    it('lets HR access anyone', async () => {
+      await expect(
+        AccessControlService.assertCanAccessEmployee(employeePrincipal(1, ROLE.HR), 42)
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe('assertCanAccessDepartmentLeave', () => {
+    beforeEach(() => {
+      DepartmentRepository.findById.mockResolvedValue({ id: 3, headId: 8 });
+    });
+
+    it('lets department members and the head in', async () => {
+      EmployeeRepository.findById.mockResolvedValue({ id: 5, departmentId: 3 });
+      await expect(
+        AccessControlService.assertCanAccessDepartmentLeave(employeePrincipal(5), '3')
+      ).resolves.toBeUndefined();
+
+      EmployeeRepository.findById.mockResolvedValue({ id: 8, departmentId: 1 });
+      await expect(
+        AccessControlService.assertCanAccessDepartmentLeave(employeePrincipal(8), 3)
+      ).resolves.toBeUndefined();
+    });
+
+    it('refuses employees of other departments', async () => {
+      EmployeeRepository.findById.mockResolvedValue({ id: 5, departmentId: 2 });
+
+      await expect(
+        AccessControlService.assertCanAccessDepartmentLeave(employeePrincipal(5), 3)
+      ).rejects.toEqual(forbidden);
+    });
+  });
+
+  describe('assertCanAccessLeaveRequest', () => {
+    it('checks access to the employee the request belongs to', async () => {
+      LeaveRequestRepository.findById.mockResolvedValue({ id: 10, employeeId: 6 });
+
+      await expect(
+        AccessControlService.assertCanAccessLeaveRequest(employeePrincipal(6), 10)
+      ).resolves.toBeUndefined();
+      await expect(
+        AccessControlService.assertCanAccessLeaveRequest(employeePrincipal(5), 10)
+      ).rejects.toEqual(forbidden);
+    });
+
+    it('does not look the request up for unrestricted principals', async () => {
+      await AccessControlService.assertCanAccessLeaveRequest(employeePrincipal(1, ROLE.HR), 10);
+
+      expect(LeaveRequestRepository.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertCanDecideLeaveRequest', () => {
+    const leaveRequest = { id: 10, employeeId: 6, approverId: 9 };
+
+    it('refuses decisions on your own leave, except for admins', async () => {
+      await expect(
+        AccessControlService.assertCanDecideLeaveRequest(
+          employeePrincipal(6, ROLE.HR),
+          leaveRequest
+        )
+      ).rejects.toEqual(forbidden);
+      await expect(
+        AccessControlService.assertCanDecideLeaveRequest(
+          employeePrincipal(6, ROLE.ADMIN),
+          leaveRequest
+        )
+      ).resolves.toBeUndefined();
+    });
+
+    it('lets the assigned approver decide without further checks', async () => {
+      await expect(
+        AccessControlService.assertCanDecideLeaveRequest(
+          employeePrincipal(9, ROLE.MANAGER),
+          leaveRequest
+        )
+      ).resolves.toBeUndefined();
+
+      expect(EmployeeRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('lets the employee\'s manager decide and refuses other managers', async () => {
+      EmployeeRepository.findById.mockResolvedValue({ id: 6, managerId: 5 });
+
+      await expect(
+        AccessControlService.assertCanDecideLeaveRequest(
+          employeePrincipal(5, ROLE.MANAGER),
+          leaveRequest
+        )
+      ).resolves.toBeUndefined();
+      await expect(
+        AccessControlService.assertCanDecideLeaveRequest(
+          employeePrincipal(4, ROLE.MANAGER),
+          leaveRequest
+        )
+      ).rejects.toEqual(forbidden);
+    });
+  });
+});
@@ -0,0 +1,306 @@
+jest.mock('../../src/repositories/EmployeeRepository', () => ({
+  findById: jest.fn(),
+  exists: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveRequestRepository', () => ({ findByApprover: jest.fn() }));
+jest.mock('../../src/repositories/ApprovalChainRepository', () => ({
+  findByDepartmentId: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveApprovalRepository', () => ({
+  bulkCreate: jest.fn(),
+  findByLeaveRequest: jest.fn(),
+  recordDecision: jest.fn()
+}));
+jest.mock('../../src/services/OutboxService', () => ({ enqueue: jest.fn() }));
+
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const LeaveRequestRepository = require('../../src/repositories/LeaveRequestRepository');
+const ApprovalChainRepository = require('../../src/repositories/ApprovalChainRepository');
+const LeaveApprovalRepository = require('../../src/repositories/LeaveApprovalRepository');
+const OutboxService = require('../../src/services/OutboxService');
+const ApprovalRoutingService = require('../../src/services/ApprovalRoutingService');
+const {
+  APPROVER_ROLE,
+  HTTP_STATUS,
+  LEAVE_APPROVAL_STATUS,
+  LEAVE_REQUEST_STATUS,
+  QUEUE_EVENTS
+} = require('../../src/utils/constants');
+
+const leaveRequest = {
+  id: 42,
+  employeeId: 7,
+  startDate: '2026-03-02',
+  endDate: '2026-03-13'
+};
+
+const employee = {
+  id: 7,
+  departmentId: 3,
+  managerId: 5,
+  department: { headId: 6 }
+};
+
+const stage = (stageOrder, approverRole, options = {}) => ({
+  stageOrder,
+  approverRole,
+  approverId: null,
+  minDurationDays: null,
+  ...options
+});
+
+const approval = (id, stageOrder, approverId, status = LEAVE_APPROVAL_STATUS.PENDING) => ({
+  id,
+  stageOrder,
+  approverRole: APPROVER_ROLE.MANAGER,
+  approverId,
+  status
+});
+
+describe('ApprovalRoutingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    EmployeeRepository.findById.mockResolvedValue(employee);
+    LeaveApprovalRepository.recordDecision.mockResolvedValue([1]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createApprovalStages', () => {
+    it('falls back to a single manager stage without a chain', async () => {
+      ApprovalChainRepository.findByDepartmentId.mockResolvedValue(null);
+
+      const approverId = await ApprovalRoutingService.createApprovalStages(leaveRequest, 2);
+
+      expect(approverId).toBe(5);
+      expect(LeaveApprovalRepository.bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({ stageOrder: 1, approverRole: APPROVER_ROLE.MANAGER, approverId: 5 })
+      ], {});
+    });
+
+    it('adds the HR sign-off only to long absences', async () => {
+      ApprovalChainRepository.findByDepartmentId.mockResolvedValue({
+        stages: [
+          stage(1, APPROVER_ROLE.MANAGER),
+          stage(2, APPROVER_ROLE.HR, { approverId: 9, minDurationDays: '10' })
+        ]
+      });
+
+      await ApprovalRoutingService.createApprovalStages(leaveRequest, 3);
+      expect(LeaveApprovalRepository.bulkCreate.mock.calls[0][0]).toHaveLength(1);
+
+      await ApprovalRoutingService.createApprovalStages(leaveRequest, 10);
+      expect(LeaveApprovalRepository.bulkCreate.mock.calls[1][0]).toEqual([
+        expect.objectContaining({ stageOrder: 1, approverId: 5 }),
+        expect.objectContaining({ stageOrder: 2, approverRole: APPROVER_ROLE.HR, approverId: 9 })
+      ]);
+    });
+
+    it('skips a consecutive stage that would ask the same approver twice', async () => {
+      EmployeeRepository.findById.mockResolvedValue({ ...employee, managerId: 6 });
+      ApprovalChainRepository.findByDepartmentId.mockResolvedValue({
+        stages: [stage(1, APPROVER_ROLE.MANAGER), stage(2, APPROVER_ROLE.DEPARTMENT_HEAD)]
+      });
+
+      await ApprovalRoutingService.createApprovalStages(leaveRequest, 5);
+
+      expect(LeaveApprovalRepository.bulkCreate.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ stageOrder: 1, approverId: 6 })
+      ]);
+    });
+
+    it('never makes employees approve their own leave', async () => {
+      EmployeeRepository.findById.mockResolvedValue({
+        ...employee,
+        managerId: null,
+        department: { headId: 7 }
+      });
+      ApprovalChainRepository.findByDepartmentId.mockResolvedValue(null);
+
+      const approverId = await ApprovalRoutingService.createApprovalStages(leaveRequest, 2);
+
+      expect(approverId).toBeNull();
+    });
+  });
+
+  describe('resolveStageApprover', () => {
+    it('asks the department head of a department head stage', () => {
+      expect(
+        ApprovalRoutingService.resolveStageApprover(employee, stage(1, APPROVER_ROLE.DEPARTMENT_HEAD))
+      ).toBe(6);
+    });
+
+    it('falls back to the manager when the department has no head', () => {
+      const withoutHead = { ...employee, department: { headId: null } };
+
+      expect(
+        ApprovalRoutingService.resolveStageApprover(withoutHead, stage(1, APPROVER_ROLE.DEPARTMENT_HEAD))
+      ).toBe(5);
+    });
+
+    it('falls back to the department head when the employee has no manager', () => {
+      const withoutManager = { ...employee, managerId: null };
+
+      expect(
+        ApprovalRoutingService.resolveStageApprover(withoutManager, stage(1, APPROVER_ROLE.MANAGER))
+      ).toBe(6);
+    });
+
+    it('passes a department head\'s own leave to their manager', () => {
+      const head = { ...employee, id: 6 };
+
+      expect(
+        ApprovalRoutingService.resolveStageApprover(head, stage(1, APPROVER_ROLE.DEPARTMENT_HEAD))
+      ).toBe(5);
+    });
+  });
+
+  describe('recordDecision', () => {
+    it('hands an approved stage on to the next one', async () => {
+      LeaveApprovalRepository.findByLeaveRequest.mockResolvedValue([
+        approval(1, 1, 5),
+        approval(2, 2, 9)
+      ]);
+
+      const outcome = await ApprovalRoutingService.recordDecision(
+        leaveRequest,
+        LEAVE_REQUEST_STATUS.APPROVED,
+        { approverId: 5, comment: 'Fine by me' }
+      );
+
+      expect(outcome).toEqual({ finalStatus: null, nextApproverId: 9, nextStageOrder: 2 });
+      expect(LeaveApprovalRepository.recordDecision).toHaveBeenCalledWith(1, {
+        status: LEAVE_APPROVAL_STATUS.APPROVED,
+        decidedById: 5,
+        comment: 'Fine by me'
+      }, {});
+    });
+
+    it('approves the request once the last stage approves', async () => {
+      LeaveApprovalRepository.findByLeaveRequest.mockResolvedValue([
+        approval(1, 1, 5, LEAVE_APPROVAL_STATUS.APPROVED),
+        approval(2, 2, 9)
+      ]);
+
+      const outcome = await ApprovalRoutingService.recordDecision(
+        leaveRequest,
+        LEAVE_REQUEST_STATUS.APPROVED,
+        { approverId: 9 }
+      );
+
+      expect(outcome.finalStatus).toBe(LEAVE_REQUEST_STATUS.APPROVED);
+      expect(LeaveApprovalRepository.recordDecision).toHaveBeenCalledWith(
+        2,
+        expect.any(Object),
+        {}
+      );
+    });
+
+    it('rejects the request as soon as any stage rejects', async () => {
+      LeaveApprovalRepository.findByLeaveRequest.mockResolvedValue([
+        approval(1, 1, 5),
+        approval(2, 2, 9)
+      ]);
+
+      const outcome = await ApprovalRoutingService.recordDecision(
+        leaveRequest,
+        LEAVE_REQUEST_STATUS.REJECTED,
+        { approverId: 5 }
+      );
+
+      expect(outcome.finalStatus).toBe(LEAVE_REQUEST_STATUS.REJECTED);
+    });
+
+    it('refuses a decision by someone other than the assigned approver', async () => {
+      LeaveApprovalRepository.findByLeaveRequest.mockResolvedValue([approval(1, 1, 5)]);
+
+      await expect(
+        ApprovalRoutingService.recordDecision(
+          leaveRequest,
+          LEAVE_REQUEST_STATUS.APPROVED,
+          { approverId: 9 }
+        )
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+
+      expect(LeaveApprovalRepository.recordDecision).not.toHaveBeenCalled();
+    });
+
+    it('lets an override decide a stage assigned to someone else', async () => {
+      LeaveApprovalRepository.findByLeaveRequest.mockResolvedValue([approval(1, 1, 5)]);
+
+      const outcome = await ApprovalRoutingService.recordDecision(
+        leaveRequest,
+        LEAVE_REQUEST_STATUS.APPROVED,
+        { approverId: 1, override: true }
+      );
+
+      expect(outcome.finalStatus).toBe(LEAVE_REQUEST_STATUS.APPROVED);
+      expect(LeaveApprovalRepository.recordDecision).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ decidedById: 1 }),
+        {}
+      );
+    });
+
+    it('reports a stage decided concurrently', async () => {
+      LeaveApprovalRepository.findByLeaveRequest.mockResolvedValue([approval(1, 1, 5)]);
+      LeaveApprovalRepository.recordDecision.mockResolvedValue([0]);
+
+      await expect(
+        ApprovalRoutingService.recordDecision(
+          leaveRequest,
+          LEAVE_REQUEST_STATUS.APPROVED,
+          { approverId: 5 }
+        )
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+    });
+  });
+
+  describe('enqueueApprovalRequest', () => {
+    it('records a leave.approval_requested event for the stage approver', async () => {
+      await ApprovalRoutingService.enqueueApprovalRequest(leaveRequest, 9, 2, {
+        transaction: { id: 'tx' }
+      });
+
+      expect(OutboxService.enqueue).toHaveBeenCalledWith(
+        QUEUE_EVENTS.LEAVE_APPROVAL_REQUESTED,
+        expect.objectContaining({ id: 42, approverId: 9, stageOrder: 2 }),
+        { transaction: { id: 'tx' }, correlationId: expect.any(String) }
+      );
+    });
+
+    it('raises no event for unassigned stages', async () => {
+      await ApprovalRoutingService.enqueueApprovalRequest(leaveRequest, null, 1);
+
+      expect(OutboxService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getApproverInbox', () => {
+    it('lists the requests waiting for the approver with pagination', async () => {
+      EmployeeRepository.exists.mockResolvedValue(true);
+      LeaveRequestRepository.findByApprover.mockResolvedValue({ rows: [leaveRequest], count: 11 });
+
+      const result = await ApprovalRoutingService.getApproverInbox(5, { page: '2', limit: 10 });
+
+      expect(LeaveRequestRepository.findByApprover).toHaveBeenCalledWith(5, { page: '2', limit: 10 });
+      expect(result).toEqual({
+        success: true,
+        data: [leaveRequest],
+        pagination: { page: 2, limit: 10, total: 11, totalPages: 2 }
+      });
+    });
+
+    it('refuses unknown approvers', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      EmployeeRepository.exists.mockResolvedValue(false);
+
+      await expect(ApprovalRoutingService.getApproverInbox(99)).rejects.toThrow('Approver not found');
+      expect(LeaveRequestRepository.findByApprover).not.toHaveBeenCalled();
+    });
+  });
+});
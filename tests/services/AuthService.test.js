@@ -0,0 +1,196 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_ISSUER = 'workforce-management';
+
+jest.mock('../../src/repositories/EmployeeRepository', () => ({
+  findById: jest.fn(),
+  findByEmailWithPassword: jest.fn()
+}));
+jest.mock('../../src/repositories/ApiKeyRepository', () => ({
+  findByHash: jest.fn(),
+  update: jest.fn()
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const ApiKeyRepository = require('../../src/repositories/ApiKeyRepository');
+const authConfig = require('../../src/config/auth');
+const AuthService = require('../../src/services/AuthService');
+const { HTTP_STATUS, PRINCIPAL_TYPE, ROLE } = require('../../src/utils/constants');
+
+const employee = { id: 7, email: 'dev@example.com', role: ROLE.EMPLOYEE };
+
+const unauthorized = (message) => ({ statusCode: HTTP_STATUS.UNAUTHORIZED, message });
+
+// Token as login issues it, with claims or options overridden
+const signToken = (claims = {}, options = {}, secret = 'test-secret') => jwt.sign(
+  { type: PRINCIPAL_TYPE.EMPLOYEE, email: employee.email, ...claims },
+  secret,
+  { subject: '7', issuer: 'workforce-management', expiresIn: '1h', ...options }
+);
+
+describe('AuthService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    EmployeeRepository.findById.mockImplementation(async (id) => (id === 7 ? employee : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('passwords', () => {
+    it('verifies a password against its salted hash', async () => {
+      const passwordHash = await AuthService.hashPassword('correct horse');
+
+      expect(passwordHash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+      await expect(AuthService.verifyPassword('correct horse', passwordHash)).resolves.toBe(true);
+      await expect(AuthService.verifyPassword('wrong horse', passwordHash)).resolves.toBe(false);
+    });
+
+    it('salts every hash differently', async () => {
+      expect(await AuthService.hashPassword('same')).not.toBe(await AuthService.hashPassword('same'));
+    });
+
+    it.each([null, '', 'plain-text', 'bcrypt$salt$hash', 'scrypt$salt$abcd'])(
+      'refuses the stored hash %p',
+      async (passwordHash) => {
+        await expect(AuthService.verifyPassword('anything', passwordHash)).resolves.toBe(false);
+      }
+    );
+  });
+
+  describe('login', () => {
+    let passwordHash;
+
+    beforeAll(async () => {
+      passwordHash = await AuthService.hashPassword('s3cret-pass');
+    });
+
+    beforeEach(() => {
+      EmployeeRepository.findByEmailWithPassword.mockImplementation(async (email) => (
+        email === employee.email ? { ...employee, passwordHash } : null
+      ));
+    });
+
+    it('issues a token that authenticates the employee', async () => {
+      const result = await AuthService.login(employee.email, 's3cret-pass');
+
+      expect(result.data).toMatchObject({ tokenType: 'Bearer', expiresIn: authConfig.jwtExpiresIn });
+      expect(jwt.decode(result.data.token)).toMatchObject({
+        sub: '7',
+        iss: 'workforce-management',
+        type: PRINCIPAL_TYPE.EMPLOYEE
+      });
+      await expect(AuthService.authenticateToken(result.data.token)).resolves.toEqual({
+        type: PRINCIPAL_TYPE.EMPLOYEE,
+        employeeId: 7,
+        email: employee.email,
+        role: ROLE.EMPLOYEE
+      });
+    });
+
+    it('refuses a wrong password', async () => {
+      await expect(AuthService.login(employee.email, 'guess'))
+        .rejects.toMatchObject(unauthorized('Invalid email or password'));
+    });
+
+    it('refuses unknown and deleted employees with the same error', async () => {
+      await expect(AuthService.login('nobody@example.com', 's3cret-pass'))
+        .rejects.toMatchObject(unauthorized('Invalid email or password'));
+    });
+
+    it('refuses employees without a password', async () => {
+      EmployeeRepository.findByEmailWithPassword.mockResolvedValue({ ...employee, passwordHash: null });
+
+      await expect(AuthService.login(employee.email, ''))
+        .rejects.toMatchObject(unauthorized('Invalid email or password'));
+    });
+  });
+
+  describe('authenticateToken', () => {
+    it('reads the current role of the employee on every request', async () => {
+      EmployeeRepository.findById.mockResolvedValue({ ...employee, role: ROLE.MANAGER });
+
+      await expect(AuthService.authenticateToken(signToken({ role: ROLE.ADMIN })))
+        .resolves.toMatchObject({ employeeId: 7, role: ROLE.MANAGER });
+    });
+
+    it.each([
+      ['signed with another secret', () => signToken({}, {}, 'other-secret')],
+      ['from another issuer', () => signToken({}, { issuer: 'someone-else' })],
+      ['expired', () => signToken({}, { expiresIn: -10 })],
+      ['unsigned', () => signToken({}, { algorithm: 'none' }, null)],
+      ['malformed', () => 'not.a.token']
+    ])('refuses a token %s', async (description, token) => {
+      await expect(AuthService.authenticateToken(token()))
+        .rejects.toMatchObject(unauthorized('Invalid or expired token'));
+
+      expect(EmployeeRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('refuses tokens of deleted employees', async () => {
+      EmployeeRepository.findById.mockResolvedValue(null);
+
+      await expect(AuthService.authenticateToken(signToken()))
+        .rejects.toMatchObject(unauthorized('Invalid or expired token'));
+    });
+
+    it('reports a missing signing secret instead of accepting tokens', async () => {
+      jest.replaceProperty(authConfig, 'jwtSecret', undefined);
+
+      await expect(AuthService.authenticateToken(signToken()))
+        .rejects.toMatchObject({ statusCode: HTTP_STATUS.SERVICE_UNAVAILABLE });
+    });
+  });
+
+  describe('authenticateApiKey', () => {
+    const apiKey = 'wfm_live_0123456789';
+    const record = { id: 3, name: 'Payroll', role: ROLE.HR, revokedAt: null, expiresAt: null };
+
+    beforeEach(() => {
+      ApiKeyRepository.findByHash.mockResolvedValue(record);
+    });
+
+    it('looks keys up by their SHA-256 hash and records their use', async () => {
+      const principal = await AuthService.authenticateApiKey(apiKey);
+
+      expect(ApiKeyRepository.findByHash).toHaveBeenCalledWith(
+        crypto.createHash('sha256').update(apiKey).digest('hex')
+      );
+      expect(principal).toEqual({
+        type: PRINCIPAL_TYPE.SERVICE,
+        apiKeyId: 3,
+        name: 'Payroll',
+        role: ROLE.HR
+      });
+      expect(ApiKeyRepository.update).toHaveBeenCalledWith(3, { lastUsedAt: expect.any(Date) });
+    });
+
+    it('accepts keys expiring in the future', async () => {
+      ApiKeyRepository.findByHash.mockResolvedValue({
+        ...record,
+        expiresAt: new Date(Date.now() + 60 * 1000)
+      });
+
+      await expect(AuthService.authenticateApiKey(apiKey)).resolves.toMatchObject({ apiKeyId: 3 });
+    });
+
+    it.each([
+      ['unknown', null],
+      ['revoked', { ...record, revokedAt: new Date('2026-01-01T00:00:00Z') }],
+      ['expired', { ...record, expiresAt: new Date(Date.now() - 1000) }]
+    ])('refuses %s keys', async (description, stored) => {
+      ApiKeyRepository.findByHash.mockResolvedValue(stored);
+
+      await expect(AuthService.authenticateApiKey(apiKey))
+        .rejects.toMatchObject(unauthorized('Invalid API key'));
+
+      expect(ApiKeyRepository.update).not.toHaveBeenCalled();
+    });
+  });
+});
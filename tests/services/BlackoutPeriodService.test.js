@@ -0,0 +1,157 @@
+jest.mock('../../src/repositories/BlackoutPeriodRepository', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  update: jest.fn(),
+  findApplicable: jest.fn()
+}));
+jest.mock('../../src/repositories/DepartmentRepository', () => ({ exists: jest.fn() }));
+jest.mock('../../src/repositories/EmployeeRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/repositories/LeaveTypeRepository', () => ({ exists: jest.fn() }));
+
+const BlackoutPeriodRepository = require('../../src/repositories/BlackoutPeriodRepository');
+const DepartmentRepository = require('../../src/repositories/DepartmentRepository');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const LeaveTypeRepository = require('../../src/repositories/LeaveTypeRepository');
+const BlackoutPeriodService = require('../../src/services/BlackoutPeriodService');
+const { BLACKOUT_SCOPE, HTTP_STATUS } = require('../../src/utils/constants');
+
+const blackoutPeriod = (overrides = {}) => ({
+  name: 'Quarter-end',
+  startDate: '2026-03-25',
+  endDate: '2026-03-31',
+  ...overrides
+});
+
+describe('BlackoutPeriodService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    DepartmentRepository.exists.mockResolvedValue(true);
+    LeaveTypeRepository.exists.mockResolvedValue(true);
+    BlackoutPeriodRepository.create.mockImplementation(async (data) => ({ id: 9, ...data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createBlackoutPeriod', () => {
+    it('applies to the whole company when no scope is given', async () => {
+      await BlackoutPeriodService.createBlackoutPeriod(blackoutPeriod({ departmentId: 3 }));
+
+      expect(BlackoutPeriodRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        scope: BLACKOUT_SCOPE.COMPANY,
+        departmentId: null,
+        leaveTypeId: null
+      }));
+    });
+
+    it('keeps only the target of its own scope', async () => {
+      await BlackoutPeriodService.createBlackoutPeriod(blackoutPeriod({
+        scope: BLACKOUT_SCOPE.DEPARTMENT,
+        departmentId: 3,
+        leaveTypeId: 1
+      }));
+
+      expect(BlackoutPeriodRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        scope: BLACKOUT_SCOPE.DEPARTMENT,
+        departmentId: 3,
+        leaveTypeId: null
+      }));
+    });
+
+    it('refuses periods that end before they start', async () => {
+      await expect(
+        BlackoutPeriodService.createBlackoutPeriod(blackoutPeriod({ endDate: '2026-03-24' }))
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.BAD_REQUEST });
+
+      expect(BlackoutPeriodRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('requires the target of a scoped period', async () => {
+      await expect(
+        BlackoutPeriodService.createBlackoutPeriod(blackoutPeriod({ scope: BLACKOUT_SCOPE.LEAVE_TYPE }))
+      ).rejects.toThrow('Leave type blackout periods require a leaveTypeId');
+    });
+
+    it('refuses unknown departments', async () => {
+      DepartmentRepository.exists.mockResolvedValue(false);
+
+      await expect(
+        BlackoutPeriodService.createBlackoutPeriod(blackoutPeriod({
+          scope: BLACKOUT_SCOPE.DEPARTMENT,
+          departmentId: 99
+        }))
+      ).rejects.toThrow('Department not found');
+    });
+  });
+
+  describe('updateBlackoutPeriod', () => {
+    it('checks the change against the stored period and clears a stale target', async () => {
+      const stored = blackoutPeriod({
+        id: 9,
+        scope: BLACKOUT_SCOPE.DEPARTMENT,
+        departmentId: 3,
+        leaveTypeId: null
+      });
+      BlackoutPeriodRepository.findById.mockResolvedValue({ get: () => stored });
+
+      await BlackoutPeriodService.updateBlackoutPeriod(9, {
+        scope: BLACKOUT_SCOPE.LEAVE_TYPE,
+        leaveTypeId: 2
+      });
+
+      expect(BlackoutPeriodRepository.update).toHaveBeenCalledWith(9, expect.objectContaining({
+        scope: BLACKOUT_SCOPE.LEAVE_TYPE,
+        departmentId: null,
+        leaveTypeId: 2,
+        startDate: '2026-03-25',
+        endDate: '2026-03-31'
+      }));
+    });
+
+    it('refuses moving the end before the stored start', async () => {
+      BlackoutPeriodRepository.findById.mockResolvedValue({ get: () => blackoutPeriod({ id: 9 }) });
+
+      await expect(
+        BlackoutPeriodService.updateBlackoutPeriod(9, { endDate: '2026-03-01' })
+      ).rejects.toThrow('Blackout period must start on or before its end date');
+
+      expect(BlackoutPeriodRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findIntersecting', () => {
+    it('looks up periods for the employee\'s department and the leave type', async () => {
+      EmployeeRepository.findById.mockResolvedValue({ id: 7, departmentId: 3 });
+      BlackoutPeriodRepository.findApplicable.mockResolvedValue([blackoutPeriod({ id: 9 })]);
+
+      const periods = await BlackoutPeriodService.findIntersecting({
+        employeeId: 7,
+        leaveTypeId: 1,
+        startDate: new Date('2026-03-30T00:00:00.000Z'),
+        endDate: '2026-04-02'
+      }, { transaction: { id: 'tx' } });
+
+      expect(periods).toHaveLength(1);
+      expect(BlackoutPeriodRepository.findApplicable).toHaveBeenCalledWith({
+        startDate: '2026-03-30',
+        endDate: '2026-04-02',
+        departmentId: 3,
+        leaveTypeId: 1
+      }, { transaction: { id: 'tx' } });
+    });
+  });
+
+  describe('describeBlackoutPeriods', () => {
+    it('lists each period with its dates', () => {
+      expect(BlackoutPeriodService.describeBlackoutPeriods([
+        blackoutPeriod(),
+        blackoutPeriod({ name: 'Audit', startDate: '2026-06-01', endDate: '2026-06-05' })
+      ])).toBe('Quarter-end (2026-03-25 to 2026-03-31), Audit (2026-06-01 to 2026-06-05)');
+    });
+  });
+});
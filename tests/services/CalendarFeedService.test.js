@@ -0,0 +1,210 @@
+jest.mock('../../src/repositories/CalendarFeedTokenRepository', () => ({
+  findByHash: jest.fn(),
+  update: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveRequestRepository', () => ({ findInRange: jest.fn() }));
+jest.mock('../../src/repositories/EmployeeRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/repositories/DepartmentRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/AccessControlService', () => ({
+  assertCanAccessEmployee: jest.fn(),
+  assertCanAccessDepartmentLeave: jest.fn(),
+  hasUnrestrictedAccess: jest.fn()
+}));
+
+const CalendarFeedTokenRepository = require('../../src/repositories/CalendarFeedTokenRepository');
+const LeaveRequestRepository = require('../../src/repositories/LeaveRequestRepository');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const DepartmentRepository = require('../../src/repositories/DepartmentRepository');
+const AccessControlService = require('../../src/services/AccessControlService');
+const AuthService = require('../../src/services/AuthService');
+const CalendarFeedService = require('../../src/services/CalendarFeedService');
+const {
+  CALENDAR_FEED_SCOPE,
+  HALF_DAY_PERIOD,
+  HTTP_STATUS,
+  LEAVE_GRANULARITY,
+  LEAVE_REQUEST_STATUS,
+  PRINCIPAL_TYPE,
+  ROLE
+} = require('../../src/utils/constants');
+
+const leaveRequest = (overrides = {}) => ({
+  id: 42,
+  employeeId: 7,
+  startDate: '2026-11-02',
+  endDate: '2026-11-03',
+  status: LEAVE_REQUEST_STATUS.APPROVED,
+  granularity: LEAVE_GRANULARITY.FULL_DAY,
+  durationDays: '2.0',
+  employee: { name: 'Ann Lee' },
+  leaveType: { name: 'Annual leave' },
+  updatedAt: '2026-10-01T08:30:00.000Z',
+  ...overrides
+});
+
+// Content lines of the VEVENTs of a feed, unfolded
+const feedEvents = (document) => document
+  .replace(/\r\n /g, '')
+  .split('BEGIN:VEVENT\r\n')
+  .slice(1)
+  .map(event => event.split('\r\n'));
+
+describe('CalendarFeedService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    EmployeeRepository.findById.mockResolvedValue({
+      id: 7,
+      name: 'Ann Lee',
+      email: 'ann@acme.com',
+      role: ROLE.EMPLOYEE
+    });
+    DepartmentRepository.findById.mockResolvedValue({ id: 3, name: 'Engineering' });
+    LeaveRequestRepository.findInRange.mockResolvedValue([leaveRequest()]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('renderFeed', () => {
+    it('renders approved leave of a department as all-day events', async () => {
+      const document = await CalendarFeedService.renderFeed(CALENDAR_FEED_SCOPE.DEPARTMENT, 3);
+
+      expect(LeaveRequestRepository.findInRange).toHaveBeenCalledWith(expect.objectContaining({
+        statuses: [LEAVE_REQUEST_STATUS.APPROVED],
+        employeeId: null,
+        departmentId: 3
+      }));
+      expect(document).toContain('X-WR-CALNAME:Leave – Engineering\r\n');
+      expect(feedEvents(document)).toEqual([expect.arrayContaining([
+        'UID:leave-request-42@workforce-management',
+        'DTSTART;VALUE=DATE:20261102',
+        'DTEND;VALUE=DATE:20261104',
+        'SUMMARY:Ann Lee – Annual leave',
+        'DESCRIPTION:Status: APPROVED\\nDuration: 2 working day(s)',
+        'STATUS:CONFIRMED'
+      ])]);
+    });
+
+    it('marks pending leave as tentative when pending leave is included', async () => {
+      LeaveRequestRepository.findInRange.mockResolvedValue([
+        leaveRequest({ status: LEAVE_REQUEST_STATUS.PENDING_APPROVAL })
+      ]);
+
+      const document = await CalendarFeedService.renderFeed(CALENDAR_FEED_SCOPE.EMPLOYEE, 7, {
+        includePending: true
+      });
+
+      expect(LeaveRequestRepository.findInRange).toHaveBeenCalledWith(expect.objectContaining({
+        statuses: [
+          LEAVE_REQUEST_STATUS.APPROVED,
+          LEAVE_REQUEST_STATUS.PENDING,
+          LEAVE_REQUEST_STATUS.PENDING_APPROVAL
+        ],
+        employeeId: 7
+      }));
+      expect(feedEvents(document)[0]).toEqual(expect.arrayContaining([
+        'SUMMARY:(Pending) Ann Lee – Annual leave',
+        'STATUS:TENTATIVE'
+      ]));
+    });
+
+    it('renders half-day leave as a timed event', async () => {
+      LeaveRequestRepository.findInRange.mockResolvedValue([leaveRequest({
+        endDate: '2026-11-02',
+        granularity: LEAVE_GRANULARITY.HALF_DAY,
+        halfDayPeriod: HALF_DAY_PERIOD.AM
+      })]);
+
+      const document = await CalendarFeedService.renderFeed(CALENDAR_FEED_SCOPE.EMPLOYEE, 7);
+
+      expect(feedEvents(document)[0]).toEqual(expect.arrayContaining([
+        'DTSTART:20261102T000000',
+        'DTEND:20261102T120000'
+      ]));
+    });
+
+    it('refuses feeds of unknown departments', async () => {
+      DepartmentRepository.findById.mockResolvedValue(null);
+
+      await expect(
+        CalendarFeedService.renderFeed(CALENDAR_FEED_SCOPE.DEPARTMENT, 99)
+      ).rejects.toThrow('Department not found');
+    });
+  });
+
+  describe('getFeed', () => {
+    it('keeps the company calendar to HR and admins', async () => {
+      AccessControlService.hasUnrestrictedAccess.mockReturnValue(false);
+
+      await expect(
+        CalendarFeedService.getFeed(CALENDAR_FEED_SCOPE.COMPANY, null, {}, {
+          type: PRINCIPAL_TYPE.EMPLOYEE,
+          employeeId: 7,
+          role: ROLE.EMPLOYEE
+        })
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+
+      expect(LeaveRequestRepository.findInRange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getFeedByToken', () => {
+    const token = 'wfmcal_secret';
+    const feedToken = (overrides = {}) => ({
+      id: 11,
+      ownerId: 7,
+      scope: CALENDAR_FEED_SCOPE.EMPLOYEE,
+      scopeId: 7,
+      includePending: false,
+      revokedAt: null,
+      ...overrides
+    });
+
+    it('renders the feed with the owner\'s current access rights', async () => {
+      CalendarFeedTokenRepository.findByHash.mockResolvedValue(feedToken());
+
+      const document = await CalendarFeedService.getFeedByToken(token);
+
+      expect(CalendarFeedTokenRepository.findByHash).toHaveBeenCalledWith(AuthService.hashApiKey(token));
+      expect(AccessControlService.assertCanAccessEmployee).toHaveBeenCalledWith(
+        expect.objectContaining({ employeeId: 7, role: ROLE.EMPLOYEE }),
+        7
+      );
+      expect(CalendarFeedTokenRepository.update).toHaveBeenCalledWith(11, {
+        lastUsedAt: expect.any(Date)
+      });
+      expect(document).toContain('BEGIN:VCALENDAR');
+    });
+
+    it.each([
+      ['unknown', null],
+      ['revoked', feedToken({ revokedAt: new Date() })]
+    ])('answers an %s token with not found', async (_, stored) => {
+      CalendarFeedTokenRepository.findByHash.mockResolvedValue(stored);
+
+      await expect(CalendarFeedService.getFeedByToken(token))
+        .rejects.toMatchObject({ statusCode: HTTP_STATUS.NOT_FOUND });
+
+      expect(LeaveRequestRepository.findInRange).not.toHaveBeenCalled();
+    });
+
+    it('stops serving a feed the owner may no longer read', async () => {
+      CalendarFeedTokenRepository.findByHash.mockResolvedValue(
+        feedToken({ scope: CALENDAR_FEED_SCOPE.DEPARTMENT, scopeId: 3 })
+      );
+      AccessControlService.assertCanAccessDepartmentLeave.mockRejectedValue(
+        Object.assign(new Error('Access denied'), { statusCode: HTTP_STATUS.FORBIDDEN })
+      );
+
+      await expect(CalendarFeedService.getFeedByToken(token))
+        .rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+
+      expect(CalendarFeedTokenRepository.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+jest.mock('../../src/repositories/DepartmentRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/repositories/HolidayCalendarRepository', () => ({
+  findByDepartmentId: jest.fn(),
+  findHolidays: jest.fn()
+}));
+jest.mock('../../src/services/AccessControlService', () => ({
+  assertCanAccessDepartmentLeave: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const { Employee, LeaveRequest } = require('../../src/models');
+const DepartmentRepository = require('../../src/repositories/DepartmentRepository');
+const HolidayCalendarRepository = require('../../src/repositories/HolidayCalendarRepository');
+const AccessControlService = require('../../src/services/AccessControlService');
+const DepartmentService = require('../../src/services/DepartmentService');
+const {
+  AVAILABILITY_MAX_RANGE_DAYS,
+  HALF_DAY_PERIOD,
+  HTTP_STATUS,
+  LEAVE_GRANULARITY,
+  LEAVE_REQUEST_STATUS,
+  PRINCIPAL_TYPE,
+  ROLE
+} = require('../../src/utils/constants');
+
+const manager = { type: PRINCIPAL_TYPE.EMPLOYEE, employeeId: 5, role: ROLE.MANAGER };
+
+const leaveRequest = (id, employee, overrides = {}) => ({
+  id,
+  employeeId: employee.id,
+  employee,
+  granularity: LEAVE_GRANULARITY.FULL_DAY,
+  halfDayPeriod: null,
+  startTime: null,
+  endTime: null,
+  status: LEAVE_REQUEST_STATUS.APPROVED,
+  leaveType: { code: 'ANNUAL' },
+  ...overrides
+});
+
+const ann = { id: 10, name: 'Ann Lee' };
+const bob = { id: 11, name: 'Bob Ray' };
+
+describe('DepartmentService.getDepartmentAvailability', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    DepartmentRepository.findById.mockResolvedValue({ id: 3, name: 'Engineering' });
+    HolidayCalendarRepository.findByDepartmentId.mockResolvedValue({ id: 4, workingDays: [1, 2, 3, 4, 5] });
+    HolidayCalendarRepository.findHolidays.mockResolvedValue([{ date: '2026-03-30', name: 'Spring holiday' }]);
+    AccessControlService.assertCanAccessDepartmentLeave.mockResolvedValue();
+
+    jest.spyOn(Employee, 'count').mockResolvedValue(4);
+    jest.spyOn(LeaveRequest, 'findAll').mockResolvedValue([
+      // Started before the range
+      leaveRequest(1, ann, { startDate: '2026-03-20', endDate: '2026-03-27' }),
+      // Morning and afternoon of the same day add up to a full day
+      leaveRequest(2, bob, {
+        startDate: '2026-03-31',
+        endDate: '2026-03-31',
+        granularity: LEAVE_GRANULARITY.HALF_DAY,
+        halfDayPeriod: HALF_DAY_PERIOD.AM,
+        status: LEAVE_REQUEST_STATUS.PENDING
+      }),
+      leaveRequest(3, bob, {
+        startDate: '2026-03-31',
+        endDate: '2026-03-31',
+        granularity: LEAVE_GRANULARITY.HALF_DAY,
+        halfDayPeriod: HALF_DAY_PERIOD.PM
+      })
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports who is away and the share present on each day of the range', async () => {
+    // Friday to Tuesday, with a holiday on Monday
+    const result = await DepartmentService.getDepartmentAvailability(
+      3,
+      { from: '2026-03-27', to: '2026-03-31' },
+      manager
+    );
+
+    expect(AccessControlService.assertCanAccessDepartmentLeave).toHaveBeenCalledWith(manager, 3);
+    expect(result.data).toMatchObject({ departmentId: 3, from: '2026-03-27', to: '2026-03-31', headcount: 4 });
+
+    const days = Object.fromEntries(result.data.days.map(day => [day.date, day]));
+
+    expect(days['2026-03-27']).toMatchObject({
+      workingDay: true,
+      onLeave: [{ employeeId: 10, name: 'Ann Lee', fraction: 1 }],
+      absent: 1,
+      present: 3,
+      availability: 75
+    });
+    expect(days['2026-03-28']).toMatchObject({ workingDay: false, onLeave: [], absent: 0 });
+    expect(days['2026-03-30']).toMatchObject({ workingDay: false, onLeave: [] });
+    expect(days['2026-03-31']).toMatchObject({
+      workingDay: true,
+      absent: 1,
+      present: 3,
+      availability: 75
+    });
+    expect(days['2026-03-31'].onLeave).toEqual([{
+      employeeId: 11,
+      name: 'Bob Ray',
+      fraction: 1,
+      leaveRequests: [
+        expect.objectContaining({ id: 2, status: LEAVE_REQUEST_STATUS.PENDING, halfDayPeriod: HALF_DAY_PERIOD.AM }),
+        expect.objectContaining({ id: 3, status: LEAVE_REQUEST_STATUS.APPROVED, halfDayPeriod: HALF_DAY_PERIOD.PM })
+      ]
+    }]);
+  });
+
+  it('counts approved and undecided requests as absences', async () => {
+    await DepartmentService.getDepartmentAvailability(3, { from: '2026-03-27', to: '2026-03-31' }, manager);
+
+    const [{ where }] = LeaveRequest.findAll.mock.calls[0];
+
+    expect(where.status[Op.in]).toEqual([
+      LEAVE_REQUEST_STATUS.APPROVED,
+      LEAVE_REQUEST_STATUS.PENDING,
+      LEAVE_REQUEST_STATUS.PENDING_APPROVAL
+    ]);
+  });
+
+  it('reports no availability share for an empty department', async () => {
+    Employee.count.mockResolvedValue(0);
+    LeaveRequest.findAll.mockResolvedValue([]);
+
+    const result = await DepartmentService.getDepartmentAvailability(
+      3,
+      { from: '2026-03-27', to: '2026-03-27' },
+      manager
+    );
+
+    expect(result.data.days).toEqual([expect.objectContaining({ present: 0, availability: null })]);
+  });
+
+  it('refuses ranges that end before they start', async () => {
+    await expect(
+      DepartmentService.getDepartmentAvailability(3, { from: '2026-03-31', to: '2026-03-27' }, manager)
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.BAD_REQUEST });
+
+    expect(LeaveRequest.findAll).not.toHaveBeenCalled();
+  });
+
+  it('refuses ranges longer than the maximum', async () => {
+    const to = new Date(Date.UTC(2026, 0, AVAILABILITY_MAX_RANGE_DAYS + 1)).toISOString().slice(0, 10);
+
+    await expect(
+      DepartmentService.getDepartmentAvailability(3, { from: '2026-01-01', to }, manager)
+    ).rejects.toThrow(`Availability can be requested for at most ${AVAILABILITY_MAX_RANGE_DAYS} days`);
+  });
+
+  it('refuses unknown departments', async () => {
+    DepartmentRepository.findById.mockResolvedValue(null);
+
+    await expect(
+      DepartmentService.getDepartmentAvailability(99, { from: '2026-03-27', to: '2026-03-31' }, manager)
+    ).rejects.toThrow('Department not found');
+  });
+});
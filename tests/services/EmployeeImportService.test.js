@@ -0,0 +1,257 @@
+/**
+ * Employee imports from CSV and XLSX uploads
+ */
+
+process.env.EMPLOYEE_IMPORT_MAX_ROWS = '3';
+process.env.EMPLOYEE_IMPORT_MAX_COLUMNS = '8';
+
+jest.mock('../../src/repositories/EmployeeRepository', () => ({
+  create: jest.fn(),
+  update: jest.fn(),
+  exists: jest.fn(),
+  findByEmails: jest.fn()
+}));
+jest.mock('../../src/repositories/DepartmentRepository', () => ({
+  create: jest.fn(),
+  exists: jest.fn(),
+  findByNames: jest.fn()
+}));
+jest.mock('../../src/services/AccessControlService', () => ({ hasPermission: jest.fn() }));
+
+const ExcelJS = require('exceljs');
+const { sequelize } = require('../../src/config/database');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const DepartmentRepository = require('../../src/repositories/DepartmentRepository');
+const AccessControlService = require('../../src/services/AccessControlService');
+const EmployeeImportService = require('../../src/services/EmployeeImportService');
+const {
+  HTTP_STATUS,
+  PERMISSION,
+  PRINCIPAL_TYPE,
+  ROLE,
+  SPREADSHEET_CONTENT_TYPE,
+  SPREADSHEET_FORMAT
+} = require('../../src/utils/constants');
+
+const hr = { type: PRINCIPAL_TYPE.EMPLOYEE, employeeId: 2, role: ROLE.HR };
+const CSV = 'text/csv';
+const XLSX = SPREADSHEET_CONTENT_TYPE[SPREADSHEET_FORMAT.XLSX];
+
+const csv = (...lines) => Buffer.from(lines.join('\r\n'));
+
+const xlsx = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Employees');
+  rows.forEach(row => worksheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const rowErrors = (result) => Object.fromEntries(
+  result.data.rows.map(row => [row.row, row.errors])
+);
+
+describe('EmployeeImportService.importEmployees', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work({ id: 'tx' }));
+
+    let nextEmployeeId = 100;
+    EmployeeRepository.create.mockImplementation(async (data) => ({ id: nextEmployeeId++, ...data }));
+    EmployeeRepository.findByEmails.mockResolvedValue([]);
+    EmployeeRepository.exists.mockResolvedValue(true);
+    DepartmentRepository.findByNames.mockResolvedValue([{ id: 3, name: 'Engineering' }]);
+    DepartmentRepository.create.mockImplementation(async (data) => ({ id: 30, ...data }));
+    DepartmentRepository.exists.mockResolvedValue(true);
+    // HR may create departments but not assign roles
+    AccessControlService.hasPermission.mockImplementation(async (role, permission) => (
+      role === ROLE.HR && permission === PERMISSION.DEPARTMENT_MANAGE
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('imports a valid file with departments and managers from the same file', async () => {
+    const result = await EmployeeImportService.importEmployees(csv(
+      'Full Name,Email,Department,Manager Email,Shoe size',
+      'Ann Lee,ann@acme.com,Engineering,,38',
+      'Bob Ray,bob@acme.com,Platform,ann@acme.com,44'
+    ), CSV, {}, hr);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({
+      committed: true,
+      summary: { rows: 2, valid: 2, invalid: 0, departmentsCreated: ['Platform'] },
+      ignoredColumns: ['Shoe size'],
+      rows: [
+        { row: 2, email: 'ann@acme.com', status: 'CREATED', employeeId: 100, errors: [] },
+        { row: 3, email: 'bob@acme.com', status: 'CREATED', employeeId: 101, errors: [] }
+      ]
+    });
+    expect(DepartmentRepository.create).toHaveBeenCalledWith(
+      { name: 'Platform' },
+      { transaction: { id: 'tx' } }
+    );
+    expect(EmployeeRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'bob@acme.com', departmentId: 30 }),
+      { transaction: { id: 'tx' } }
+    );
+    expect(EmployeeRepository.update).toHaveBeenCalledWith(
+      101,
+      { managerId: 100 },
+      { transaction: { id: 'tx' } }
+    );
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const result = await EmployeeImportService.importEmployees(csv(
+      'name,email,department',
+      'Ann Lee,ann@acme.com,Engineering'
+    ), CSV, { dryRun: true }, hr);
+
+    expect(result.success).toBe(true);
+    expect(result.data.rows[0].status).toBe('VALID');
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+    expect(EmployeeRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('reports bad rows against their line in the file and imports nothing', async () => {
+    const result = await EmployeeImportService.importEmployees(csv(
+      'name,email,department,role',
+      'Ann Lee,ann@acme.com,Engineering,',
+      '',
+      'Bob Ray,bob@acme,Engineering,',
+      'C,carl@acme.com,,ADMIN'
+    ), CSV, {}, hr);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('2 row(s) are invalid; nothing was imported');
+    expect(rowErrors(result)).toEqual({
+      2: [],
+      4: ['Invalid email format'],
+      5: [
+        'Department is required',
+        'Employee name must be between 2 and 100 characters',
+        'Only administrators can assign roles'
+      ]
+    });
+    expect(EmployeeRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('reports emails used twice in the file or already taken', async () => {
+    EmployeeRepository.findByEmails.mockImplementation(async (emails) => (
+      emails.includes('dana@acme.com') ? [{ id: 8, email: 'Dana@acme.com' }] : []
+    ));
+
+    const result = await EmployeeImportService.importEmployees(csv(
+      'name,email,department',
+      'Ann Lee,ann@acme.com,Engineering',
+      'Ann Again,ANN@acme.com,Engineering',
+      'Dana Fox,dana@acme.com,Engineering'
+    ), CSV, {}, hr);
+
+    expect(result.success).toBe(false);
+    expect(rowErrors(result)).toEqual({
+      2: ['Email appears more than once (rows 2, 3)'],
+      3: ['Email appears more than once (rows 2, 3)'],
+      4: ['Employee with this email already exists']
+    });
+  });
+
+  it('imports the first worksheet of an XLSX file', async () => {
+    const content = await xlsx([
+      ['Name', 'Work Email', 'Department'],
+      ['Ann Lee', 'ann@acme.com', 'Engineering']
+    ]);
+
+    const result = await EmployeeImportService.importEmployees(content, XLSX, {}, hr);
+
+    expect(result.data).toMatchObject({
+      format: SPREADSHEET_FORMAT.XLSX,
+      committed: true,
+      rows: [{ row: 2, email: 'ann@acme.com', status: 'CREATED' }]
+    });
+  });
+
+  describe('limits', () => {
+    const employeeLines = (count) => Array.from(
+      { length: count },
+      (_, index) => `Person ${index},person${index}@acme.com,Engineering`
+    );
+
+    it('refuses a CSV file with more rows than allowed', async () => {
+      await expect(
+        EmployeeImportService.importEmployees(
+          csv('name,email,department', ...employeeLines(4)),
+          CSV,
+          {},
+          hr
+        )
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.BAD_REQUEST,
+        message: 'An import may contain at most 3 rows'
+      });
+
+      expect(EmployeeRepository.findByEmails).not.toHaveBeenCalled();
+    });
+
+    it('accepts a file with exactly the allowed number of rows', async () => {
+      const result = await EmployeeImportService.importEmployees(
+        csv('name,email,department', ...employeeLines(3), ''),
+        CSV,
+        {},
+        hr
+      );
+
+      expect(result.data.summary.rows).toBe(3);
+    });
+
+    it('refuses an XLSX file with more rows than allowed', async () => {
+      const content = await xlsx([
+        ['name', 'email', 'department'],
+        ...employeeLines(4).map(line => line.split(','))
+      ]);
+
+      await expect(
+        EmployeeImportService.importEmployees(content, XLSX, {}, hr)
+      ).rejects.toMatchObject({ message: 'An import may contain at most 3 rows' });
+    });
+
+    it('refuses a CSV file with more columns than allowed', async () => {
+      await expect(
+        EmployeeImportService.importEmployees(
+          csv('name,email,department', `Ann Lee,ann@acme.com,Engineering${',x'.repeat(6)}`),
+          CSV,
+          {},
+          hr
+        )
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.BAD_REQUEST,
+        message: 'The uploaded file has more than 8 columns'
+      });
+    });
+
+    it('refuses an XLSX row with a cell beyond the allowed columns', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Employees');
+      worksheet.addRow(['name', 'email', 'department']);
+      worksheet.getCell('XFD2').value = 'far away';
+      const content = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      await expect(
+        EmployeeImportService.importEmployees(content, XLSX, {}, hr)
+      ).rejects.toMatchObject({ message: 'The uploaded file has more than 8 columns' });
+    });
+  });
+
+  it('refuses files that cannot be read', async () => {
+    await expect(
+      EmployeeImportService.importEmployees(Buffer.from('not a zip'), XLSX, {}, hr)
+    ).rejects.toMatchObject({ message: 'The uploaded file is not a readable XLSX file' });
+  });
+});
@@ -0,0 +1,260 @@
+jest.mock('../../src/repositories/EmployeeRepository', () => ({
+  findById: jest.fn(),
+  emailExists: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn(),
+  findAllInChunks: jest.fn()
+}));
+jest.mock('../../src/repositories/DepartmentRepository', () => ({
+  exists: jest.fn(),
+  clearHead: jest.fn()
+}));
+jest.mock('../../src/services/AccessControlService', () => ({
+  hasPermission: jest.fn(),
+  getAccessScope: jest.fn()
+}));
+
+const { Writable } = require('stream');
+
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const AccessControlService = require('../../src/services/AccessControlService');
+const EmployeeService = require('../../src/services/EmployeeService');
+const { readSpreadsheet } = require('../../src/utils/spreadsheet');
+const {
+  HTTP_STATUS,
+  PERMISSION,
+  PRINCIPAL_TYPE,
+  ROLE,
+  SPREADSHEET_FORMAT
+} = require('../../src/utils/constants');
+
+const principal = (employeeId, role) => ({ type: PRINCIPAL_TYPE.EMPLOYEE, employeeId, role });
+const hr = principal(2, ROLE.HR);
+const admin = principal(1, ROLE.ADMIN);
+const employees = {
+  1: { id: 1, email: 'admin@example.com', role: ROLE.ADMIN },
+  3: { id: 3, email: 'dev@example.com', role: ROLE.EMPLOYEE }
+};
+
+describe('EmployeeService account protection', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    EmployeeRepository.findById.mockImplementation(async (id) => employees[id]);
+    EmployeeRepository.emailExists.mockResolvedValue(false);
+    // Only ADMIN holds role:manage
+    AccessControlService.hasPermission.mockImplementation(async (role, permission) => (
+      role === ROLE.ADMIN || (role === ROLE.HR && permission === PERMISSION.EMPLOYEE_MANAGE)
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses to let HR change the password of an admin', async () => {
+    await expect(
+      EmployeeService.updateEmployee(1, { password: 'takeover123' }, hr)
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+
+    expect(EmployeeRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to let HR edit or delete an admin at all', async () => {
+    await expect(
+      EmployeeService.updateEmployee(1, { name: 'Renamed' }, hr)
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+    await expect(EmployeeService.deleteEmployee(1, hr))
+      .rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+
+    expect(EmployeeRepository.delete).not.toHaveBeenCalled();
+  });
+
+  it('refuses to let HR change the credentials of a less privileged employee', async () => {
+    await expect(
+      EmployeeService.updateEmployee(3, { email: 'attacker@example.com' }, hr)
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+  });
+
+  it('lets HR edit other fields of a less privileged employee', async () => {
+    await EmployeeService.updateEmployee(3, { name: 'Dev', email: 'dev@example.com' }, hr);
+
+    expect(EmployeeRepository.update).toHaveBeenCalledWith(3, {
+      name: 'Dev',
+      email: 'dev@example.com'
+    });
+  });
+
+  it('lets employees change their own password', async () => {
+    const self = principal(3, ROLE.EMPLOYEE);
+
+    await EmployeeService.updateEmployee(3, { password: 'new-secret' }, self);
+
+    expect(EmployeeRepository.update).toHaveBeenCalledWith(3, {
+      passwordHash: expect.any(String)
+    });
+  });
+
+  it('lets holders of role:manage change anyone\'s credentials', async () => {
+    await EmployeeService.updateEmployee(3, { email: 'new@example.com' }, admin);
+
+    expect(EmployeeRepository.update).toHaveBeenCalledWith(3, { email: 'new@example.com' });
+  });
+});
+
+describe('EmployeeService manager hierarchy', () => {
+  // 3 reports to 4, who reports to 5; 5 has no manager
+  const hierarchy = {
+    3: { id: 3, email: 'dev@example.com', role: ROLE.EMPLOYEE, managerId: 4 },
+    4: { id: 4, email: 'lead@example.com', role: ROLE.MANAGER, managerId: 5 },
+    5: { id: 5, email: 'director@example.com', role: ROLE.MANAGER, managerId: null }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    EmployeeRepository.findById.mockImplementation(async (id) => hierarchy[id]);
+    AccessControlService.hasPermission.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('assigns a manager whose chain does not lead back to the employee', async () => {
+    await EmployeeService.updateEmployee(3, { managerId: 5 }, admin);
+
+    expect(EmployeeRepository.update).toHaveBeenCalledWith(3, { managerId: 5 });
+  });
+
+  it('refuses to make employees their own manager', async () => {
+    await expect(
+      EmployeeService.updateEmployee(3, { managerId: '3' }, admin)
+    ).rejects.toMatchObject({
+      statusCode: HTTP_STATUS.BAD_REQUEST,
+      message: 'An employee cannot be their own manager'
+    });
+
+    expect(EmployeeRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses a manager who already reports to the employee', async () => {
+    await expect(
+      EmployeeService.updateEmployee(5, { managerId: 3 }, admin)
+    ).rejects.toMatchObject({
+      statusCode: HTTP_STATUS.BAD_REQUEST,
+      message: 'Manager assignment would create a reporting cycle'
+    });
+
+    expect(EmployeeRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses an unknown manager', async () => {
+    await expect(
+      EmployeeService.updateEmployee(3, { managerId: 99 }, admin)
+    ).rejects.toThrow('Manager not found');
+  });
+
+  it('stops at a cycle already stored above the proposed manager', async () => {
+    EmployeeRepository.findById.mockImplementation(async (id) => ({
+      ...hierarchy,
+      4: { ...hierarchy[4], managerId: 5 },
+      5: { ...hierarchy[5], managerId: 4 }
+    })[id]);
+
+    await expect(EmployeeService.assertValidManager(3, 4)).resolves.toBeUndefined();
+  });
+});
+
+describe('EmployeeService.exportEmployees', () => {
+  const scope = { departmentId: 3 };
+  const chunks = [
+    [{
+      id: 3,
+      name: 'Dev',
+      email: 'dev@example.com',
+      departmentId: 3,
+      department: { name: 'Engineering' },
+      managerId: 4,
+      manager: { email: 'lead@example.com' },
+      role: ROLE.EMPLOYEE,
+      createdAt: new Date('2026-01-05T08:00:00.000Z')
+    }],
+    [{
+      id: 4,
+      name: 'Lead',
+      email: 'lead@example.com',
+      departmentId: 3,
+      department: { name: 'Engineering' },
+      managerId: null,
+      manager: null,
+      role: ROLE.MANAGER,
+      createdAt: new Date('2025-11-20T08:00:00.000Z')
+    }]
+  ];
+
+  let written;
+  let output;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    written = [];
+    output = new Writable({
+      write(chunk, encoding, callback) {
+        written.push(chunk);
+        callback();
+      }
+    });
+
+    AccessControlService.getAccessScope.mockReturnValue(scope);
+    EmployeeRepository.findAllInChunks.mockImplementation(async function* () {
+      yield* chunks;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('streams every chunk of the principal\'s scope as spreadsheet rows', async () => {
+    const manager = principal(4, ROLE.MANAGER);
+
+    const exported = await EmployeeService.exportEmployees(
+      { role: ROLE.EMPLOYEE },
+      SPREADSHEET_FORMAT.CSV,
+      output,
+      manager
+    );
+
+    expect(exported).toBe(2);
+    expect(AccessControlService.getAccessScope).toHaveBeenCalledWith(manager);
+    expect(EmployeeRepository.findAllInChunks).toHaveBeenCalledWith(
+      { role: ROLE.EMPLOYEE, accessScope: scope },
+      expect.any(Number)
+    );
+    expect(await readSpreadsheet(Buffer.concat(written), SPREADSHEET_FORMAT.CSV)).toEqual([
+      ['id', 'name', 'email', 'departmentId', 'department', 'managerId', 'manager', 'role', 'createdAt'],
+      ['3', 'Dev', 'dev@example.com', '3', 'Engineering', '4', 'lead@example.com', 'EMPLOYEE', '2026-01-05T08:00:00.000Z'],
+      ['4', 'Lead', 'lead@example.com', '3', 'Engineering', '', '', 'MANAGER', '2025-11-20T08:00:00.000Z']
+    ]);
+  });
+
+  it('stops reading chunks once the client has gone away', async () => {
+    EmployeeRepository.findAllInChunks.mockImplementation(async function* () {
+      output.destroy();
+      yield chunks[0];
+      throw new Error('read past the disconnect');
+    });
+
+    const exported = await EmployeeService.exportEmployees({}, SPREADSHEET_FORMAT.CSV, output, admin);
+
+    expect(exported).toBe(1);
+  });
+});
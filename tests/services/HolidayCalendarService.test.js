@@ -0,0 +1,158 @@
+jest.mock('../../src/repositories/HolidayCalendarRepository', () => ({
+  exists: jest.fn(),
+  findByDepartmentId: jest.fn(),
+  findHolidays: jest.fn(),
+  upsertHolidays: jest.fn()
+}));
+jest.mock('../../src/repositories/EmployeeRepository', () => ({ findById: jest.fn() }));
+
+const HolidayCalendarRepository = require('../../src/repositories/HolidayCalendarRepository');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const HolidayCalendarService = require('../../src/services/HolidayCalendarService');
+const { HALF_DAY_PERIOD, HTTP_STATUS, LEAVE_GRANULARITY } = require('../../src/utils/constants');
+
+// Sunday to Thursday working week with one holiday
+const calendar = { id: 4, workingDays: [7, 1, 2, 3, 4] };
+const holidays = [{ date: '2026-04-01', name: 'Spring holiday' }];
+
+describe('HolidayCalendarService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    EmployeeRepository.findById.mockResolvedValue({ id: 7, departmentId: 3 });
+    HolidayCalendarRepository.findByDepartmentId.mockResolvedValue(calendar);
+    HolidayCalendarRepository.findHolidays.mockResolvedValue(holidays);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateLeaveDuration', () => {
+    it('counts working days of the department calendar, skipping its holidays', async () => {
+      // Sunday 29 March to Saturday 4 April: Friday and Saturday are off, Wednesday is a holiday
+      const duration = await HolidayCalendarService.calculateLeaveDuration(7, {
+        startDate: '2026-03-29',
+        endDate: '2026-04-04'
+      });
+
+      expect(duration).toBe(4);
+      expect(HolidayCalendarRepository.findHolidays).toHaveBeenCalledWith(4, {
+        from: '2026-03-29',
+        to: '2026-04-04'
+      });
+    });
+
+    it('uses a Monday to Friday week without holidays when the department has no calendar', async () => {
+      HolidayCalendarRepository.findByDepartmentId.mockResolvedValue(null);
+
+      const duration = await HolidayCalendarService.calculateLeaveDuration(7, {
+        startDate: '2026-03-29',
+        endDate: '2026-04-04'
+      });
+
+      expect(duration).toBe(5);
+      expect(HolidayCalendarRepository.findHolidays).not.toHaveBeenCalled();
+    });
+
+    it('counts half-days as half a working day', async () => {
+      const duration = await HolidayCalendarService.calculateLeaveDuration(7, {
+        startDate: '2026-03-30',
+        endDate: '2026-03-30',
+        granularity: LEAVE_GRANULARITY.HALF_DAY,
+        halfDayPeriod: HALF_DAY_PERIOD.AM
+      });
+
+      expect(duration).toBe(0.5);
+    });
+
+    it('finds no working days in a period made of days off', async () => {
+      const duration = await HolidayCalendarService.calculateLeaveDuration(7, {
+        startDate: '2026-04-03',
+        endDate: '2026-04-04'
+      });
+
+      expect(duration).toBe(0);
+    });
+  });
+
+  describe('resolveWorkingDays', () => {
+    it('prefers the duration stored with the request', async () => {
+      const duration = await HolidayCalendarService.resolveWorkingDays({
+        employeeId: 7,
+        startDate: '2026-03-29',
+        endDate: '2026-04-04',
+        durationDays: '3.5'
+      });
+
+      expect(duration).toBe(3.5);
+      expect(EmployeeRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('calculates the duration of requests stored without one', async () => {
+      const duration = await HolidayCalendarService.resolveWorkingDays({
+        employeeId: 7,
+        startDate: '2026-03-29',
+        endDate: '2026-04-04',
+        durationDays: null
+      });
+
+      expect(duration).toBe(4);
+    });
+  });
+
+  describe('importHolidays', () => {
+    beforeEach(() => {
+      HolidayCalendarRepository.exists.mockResolvedValue(true);
+    });
+
+    it('creates one holiday per day of each event', async () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:easter-2026',
+        'SUMMARY:Easter\\, long weekend',
+        'DTSTART;VALUE=DATE:20260403',
+        // All-day DTEND is exclusive
+        'DTEND;VALUE=DATE:20260407',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Labour',
+        '  Day',
+        'DTSTART;VALUE=DATE:20260501',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      const result = await HolidayCalendarService.importHolidays(4, ics);
+
+      expect(result.data).toEqual({
+        imported: 5,
+        dates: ['2026-04-03', '2026-04-04', '2026-04-05', '2026-04-06', '2026-05-01']
+      });
+      expect(HolidayCalendarRepository.upsertHolidays).toHaveBeenCalledWith(expect.arrayContaining([
+        { calendarId: 4, date: '2026-04-03', name: 'Easter, long weekend' },
+        { calendarId: 4, date: '2026-05-01', name: 'Labour Day' }
+      ]));
+    });
+
+    it('refuses bodies that are not iCalendar documents', async () => {
+      await expect(
+        HolidayCalendarService.importHolidays(4, 'date,name\n2026-05-01,Labour Day')
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.BAD_REQUEST });
+
+      expect(HolidayCalendarRepository.upsertHolidays).not.toHaveBeenCalled();
+    });
+
+    it('refuses unknown calendars', async () => {
+      HolidayCalendarRepository.exists.mockResolvedValue(false);
+
+      await expect(
+        HolidayCalendarService.importHolidays(99, 'BEGIN:VCALENDAR\r\nEND:VCALENDAR')
+      ).rejects.toThrow('Holiday calendar not found');
+    });
+  });
+});
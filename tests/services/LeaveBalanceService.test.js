@@ -0,0 +1,245 @@
+/**
+ * Leave balance ledger behaviour, run against an in-memory ledger
+ */
+
+process.env.LEAVE_ANNUAL_ALLOWANCE_DAYS = '20';
+process.env.LEAVE_CARRY_OVER_CAP_DAYS = '5';
+
+jest.mock('../../src/repositories/LeaveBalanceRepository', () => ({
+  createIfMissing: jest.fn(),
+  findByReference: jest.fn(),
+  findByEmployeeAndYear: jest.fn(),
+  sumByEmployeeAndYear: jest.fn(),
+  hasEntriesForYear: jest.fn(),
+  updateDays: jest.fn(),
+  findByLeaveRequest: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveRequestRepository', () => ({
+  findPendingForYear: jest.fn()
+}));
+jest.mock('../../src/services/HolidayCalendarService', () => ({
+  getWorkingCalendarForEmployee: jest.fn()
+}));
+
+const LeaveBalanceRepository = require('../../src/repositories/LeaveBalanceRepository');
+const LeaveRequestRepository = require('../../src/repositories/LeaveRequestRepository');
+const HolidayCalendarService = require('../../src/services/HolidayCalendarService');
+const LeaveBalanceService = require('../../src/services/LeaveBalanceService');
+const { HTTP_STATUS, LEAVE_BALANCE_TRANSACTION_TYPE } = require('../../src/utils/constants');
+
+const EMPLOYEE_ID = 7;
+const annualLeave = { countsAgainstBalance: true };
+
+const leaveRequest = (id, startDate, endDate, durationDays) => ({
+  id,
+  employeeId: EMPLOYEE_ID,
+  leaveTypeId: 1,
+  leaveType: annualLeave,
+  startDate,
+  endDate,
+  durationDays
+});
+
+describe('LeaveBalanceService', () => {
+  let ledger;
+
+  const entriesFor = (employeeId, year) => ledger.filter(
+    entry => entry.employeeId === employeeId && entry.year === year
+  );
+  const balanceOf = (year) => entriesFor(EMPLOYEE_ID, year)
+    .reduce((total, entry) => total + Number(entry.days), 0);
+  const carryOverOf = (year) => {
+    const entry = ledger.find(candidate => candidate.reference === `carry-over:${EMPLOYEE_ID}:${year}`);
+    return entry ? Number(entry.days) : 0;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ledger = [];
+
+    LeaveBalanceRepository.createIfMissing.mockImplementation(async (entryData) => {
+      const existing = ledger.find(entry => entry.reference === entryData.reference);
+
+      if (existing) {
+        return [existing, false];
+      }
+
+      const entry = { id: ledger.length + 1, ...entryData };
+      ledger.push(entry);
+      return [entry, true];
+    });
+    LeaveBalanceRepository.findByReference.mockImplementation(async (reference) => (
+      ledger.find(entry => entry.reference === reference) || null
+    ));
+    LeaveBalanceRepository.findByEmployeeAndYear.mockImplementation(async (employeeId, year) => (
+      entriesFor(employeeId, year)
+    ));
+    LeaveBalanceRepository.sumByEmployeeAndYear.mockImplementation(async (employeeId, year) => (
+      entriesFor(employeeId, year).reduce((total, entry) => total + Number(entry.days), 0)
+    ));
+    LeaveBalanceRepository.hasEntriesForYear.mockImplementation(async (employeeId, year) => (
+      entriesFor(employeeId, year).length > 0
+    ));
+    LeaveBalanceRepository.updateDays.mockImplementation(async (id, days) => {
+      ledger.find(entry => entry.id === id).days = days;
+      return [1];
+    });
+    LeaveBalanceRepository.findByLeaveRequest.mockImplementation(async (leaveRequestId, type) => (
+      ledger.filter(entry => entry.leaveRequestId === leaveRequestId && entry.type === type)
+    ));
+    LeaveRequestRepository.findPendingForYear.mockResolvedValue([]);
+    HolidayCalendarService.getWorkingCalendarForEmployee.mockResolvedValue({
+      workingDays: [1, 2, 3, 4, 5],
+      holidays: new Set(['2027-01-01'])
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('openYear', () => {
+    it('books the annual allowance once', async () => {
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2026);
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2026);
+
+      expect(ledger).toEqual([
+        expect.objectContaining({ type: LEAVE_BALANCE_TRANSACTION_TYPE.ACCRUAL, days: 20 })
+      ]);
+    });
+
+    it('carries over the previous balance up to the cap', async () => {
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2026);
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2027);
+
+      expect(carryOverOf(2027)).toBe(5);
+      expect(balanceOf(2027)).toBe(25);
+    });
+  });
+
+  describe('carry-over', () => {
+    it('follows leave taken this year after next year was booked', async () => {
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2026);
+      await LeaveBalanceService.deductForLeaveRequest(
+        leaveRequest(1, '2027-01-04', '2027-01-05', 2)
+      );
+
+      expect(carryOverOf(2027)).toBe(5);
+
+      await LeaveBalanceService.deductForLeaveRequest(
+        leaveRequest(2, '2026-08-03', '2026-08-28', 18)
+      );
+
+      expect(balanceOf(2026)).toBe(2);
+      expect(carryOverOf(2027)).toBe(2);
+      expect(balanceOf(2027)).toBe(20);
+    });
+
+    it('is restored when leave this year is refunded', async () => {
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2026);
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2027);
+
+      const summer = leaveRequest(2, '2026-08-03', '2026-08-28', 20);
+      await LeaveBalanceService.deductForLeaveRequest(summer);
+
+      expect(carryOverOf(2027)).toBe(0);
+
+      await LeaveBalanceService.refundForLeaveRequest(summer);
+
+      expect(carryOverOf(2027)).toBe(5);
+    });
+
+    it('ripples on to every later year already opened', async () => {
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2026);
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2027);
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2028);
+      await LeaveBalanceService.deductForLeaveRequest(
+        leaveRequest(3, '2027-03-02', '2027-03-27', 22)
+      );
+
+      expect(carryOverOf(2028)).toBe(3);
+
+      await LeaveBalanceService.deductForLeaveRequest(
+        leaveRequest(4, '2026-05-04', '2026-05-29', 20)
+      );
+
+      // 2027: 0 carried over + 20 accrued - 22 taken
+      expect(carryOverOf(2027)).toBe(0);
+      expect(carryOverOf(2028)).toBe(0);
+    });
+
+    it('is added once a year opened out of order gets its predecessor', async () => {
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2027);
+      await LeaveBalanceService.openYear(EMPLOYEE_ID, 2026);
+
+      expect(carryOverOf(2027)).toBe(5);
+    });
+  });
+
+  describe('deductForLeaveRequest', () => {
+    it('deducts approved leave once', async () => {
+      const request = leaveRequest(1, '2026-03-02', '2026-03-04', 3);
+
+      await LeaveBalanceService.deductForLeaveRequest(request);
+      await LeaveBalanceService.deductForLeaveRequest(request);
+
+      expect(balanceOf(2026)).toBe(17);
+    });
+
+    it('refuses leave the balance cannot cover', async () => {
+      await expect(
+        LeaveBalanceService.deductForLeaveRequest(leaveRequest(1, '2026-03-02', '2026-04-03', 25))
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+
+      expect(balanceOf(2026)).toBe(20);
+    });
+
+    it('charges leave spanning New Year to both years', async () => {
+      // 4 working days in 2026, 5 in 2027 (New Year's Day is a holiday)
+      await LeaveBalanceService.deductForLeaveRequest(
+        leaveRequest(5, '2026-12-28', '2027-01-08', 9)
+      );
+
+      expect(balanceOf(2026)).toBe(16);
+      // 5 carried over + 20 accrued - 5 taken
+      expect(balanceOf(2027)).toBe(20);
+      expect(ledger.filter(entry => entry.type === LEAVE_BALANCE_TRANSACTION_TYPE.DEDUCTION))
+        .toEqual([
+          expect.objectContaining({ year: 2026, days: -4, reference: 'deduction:5' }),
+          expect.objectContaining({ year: 2027, days: -5, reference: 'deduction:5:2027' })
+        ]);
+    });
+
+    it('refunds leave spanning New Year to both years', async () => {
+      const holidays = leaveRequest(5, '2026-12-28', '2027-01-08', 9);
+
+      await LeaveBalanceService.deductForLeaveRequest(holidays);
+      await LeaveBalanceService.refundForLeaveRequest(holidays);
+      await LeaveBalanceService.refundForLeaveRequest(holidays);
+
+      expect(balanceOf(2026)).toBe(20);
+      expect(balanceOf(2027)).toBe(25);
+    });
+
+    it('refuses leave spanning New Year when either year cannot cover its share', async () => {
+      await LeaveBalanceService.deductForLeaveRequest(
+        leaveRequest(1, '2026-06-01', '2026-06-26', 18)
+      );
+
+      await expect(
+        LeaveBalanceService.deductForLeaveRequest(leaveRequest(5, '2026-12-28', '2027-01-08', 9))
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+    });
+
+    it('leaves types outside the balance alone', async () => {
+      await LeaveBalanceService.deductForLeaveRequest({
+        ...leaveRequest(1, '2026-03-02', '2026-03-04', 3),
+        leaveType: { countsAgainstBalance: false }
+      });
+
+      expect(ledger).toEqual([]);
+    });
+  });
+});
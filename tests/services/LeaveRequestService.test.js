@@ -0,0 +1,843 @@
+jest.mock('../../src/repositories/LeaveRequestRepository', () => ({
+  findById: jest.fn(),
+  findByIdempotencyKey: jest.fn(),
+  findOverlapping: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  updateStatus: jest.fn(),
+  assignApprover: jest.fn(),
+  markCancelled: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveRequestStatusHistoryRepository', () => ({
+  create: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveApprovalRepository', () => ({
+  deleteByLeaveRequest: jest.fn()
+}));
+jest.mock('../../src/repositories/EmployeeRepository', () => ({ exists: jest.fn() }));
+jest.mock('../../src/repositories/LeaveTypeRepository', () => ({
+  findById: jest.fn(),
+  findByCode: jest.fn()
+}));
+jest.mock('../../src/services/ApprovalRoutingService', () => ({
+  recordDecision: jest.fn(),
+  enqueueApprovalRequest: jest.fn()
+}));
+jest.mock('../../src/services/AccessControlService', () => ({
+  assertCanAccessEmployee: jest.fn(),
+  assertCanDecideLeaveRequest: jest.fn()
+}));
+jest.mock('../../src/services/HolidayCalendarService', () => ({
+  calculateLeaveDuration: jest.fn()
+}));
+jest.mock('../../src/services/StaffingRuleService', () => ({
+  assertCanApprove: jest.fn(),
+  describeViolations: jest.fn(),
+  findViolations: jest.fn()
+}));
+jest.mock('../../src/services/BlackoutPeriodService', () => ({
+  findIntersecting: jest.fn(),
+  describeBlackoutPeriods: jest.fn()
+}));
+jest.mock('../../src/services/LeaveBalanceService', () => ({
+  assertCanRequest: jest.fn(),
+  deductForLeaveRequest: jest.fn(),
+  refundForLeaveRequest: jest.fn()
+}));
+jest.mock('../../src/services/OutboxService', () => ({ enqueue: jest.fn() }));
+
+const { sequelize } = require('../../src/config/database');
+const LeaveRequestRepository = require('../../src/repositories/LeaveRequestRepository');
+const LeaveRequestStatusHistoryRepository = require('../../src/repositories/LeaveRequestStatusHistoryRepository');
+const LeaveApprovalRepository = require('../../src/repositories/LeaveApprovalRepository');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const AccessControlService = require('../../src/services/AccessControlService');
+const LeaveTypeRepository = require('../../src/repositories/LeaveTypeRepository');
+const HolidayCalendarService = require('../../src/services/HolidayCalendarService');
+const BlackoutPeriodService = require('../../src/services/BlackoutPeriodService');
+const ApprovalRoutingService = require('../../src/services/ApprovalRoutingService');
+const LeaveBalanceService = require('../../src/services/LeaveBalanceService');
+const OutboxService = require('../../src/services/OutboxService');
+const StaffingRuleService = require('../../src/services/StaffingRuleService');
+const LeaveRequestService = require('../../src/services/LeaveRequestService');
+const { createEvent } = require('../../src/utils/events');
+const {
+  BULK_STATUS_MODE,
+  DEFAULT_LEAVE_TYPES,
+  HTTP_STATUS,
+  LEAVE_REQUEST_STATUS,
+  LEAVE_TYPE_CODES,
+  PRINCIPAL_TYPE,
+  QUEUE_EVENTS,
+  ROLE
+} = require('../../src/utils/constants');
+
+const { PENDING, PENDING_APPROVAL, APPROVED, REJECTED, CANCELLED, WITHDRAWN } = LEAVE_REQUEST_STATUS;
+
+const principal = (employeeId, role) => ({ type: PRINCIPAL_TYPE.EMPLOYEE, employeeId, role });
+const manager = principal(5, ROLE.MANAGER);
+const hr = principal(9, ROLE.HR);
+const admin = principal(1, ROLE.ADMIN);
+
+const leaveRequest = (status) => ({
+  id: 42,
+  employeeId: 7,
+  approverId: 5,
+  leaveTypeId: 1,
+  startDate: '2026-03-02',
+  endDate: '2026-03-03',
+  status
+});
+
+describe('LeaveRequestService status decisions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error', 'warn'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work({ id: 'tx' }));
+
+    LeaveRequestRepository.updateStatus.mockResolvedValue([1]);
+    ApprovalRoutingService.recordDecision.mockImplementation(async (request, status) => ({
+      finalStatus: status,
+      nextApproverId: null,
+      nextStageOrder: null
+    }));
+    StaffingRuleService.assertCanApprove.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    [APPROVED, manager],
+    [REJECTED, manager],
+    [APPROVED, hr]
+  ])('refuses a %s decision on a request that has not been routed yet', async (status, caller) => {
+    LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(PENDING));
+
+    await expect(
+      LeaveRequestService.updateLeaveRequestStatus(42, status, {}, caller)
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+
+    expect(ApprovalRoutingService.recordDecision).not.toHaveBeenCalled();
+    expect(LeaveRequestRepository.updateStatus).not.toHaveBeenCalled();
+    expect(LeaveBalanceService.deductForLeaveRequest).not.toHaveBeenCalled();
+  });
+
+  it('refuses the bypass through the bulk endpoint as well', async () => {
+    LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(PENDING));
+
+    const result = await LeaveRequestService.bulkUpdateLeaveRequestStatus(
+      [42],
+      APPROVED,
+      {},
+      manager,
+      BULK_STATUS_MODE.PARTIAL
+    );
+
+    expect(result.data.results).toEqual([
+      { id: 42, success: false, error: expect.stringContaining('not been routed') }
+    ]);
+    expect(LeaveRequestRepository.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('lets an admin override decide a request that has not been routed yet', async () => {
+    LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(PENDING));
+
+    await LeaveRequestService.updateLeaveRequestStatus(42, APPROVED, { comment: 'Urgent' }, admin);
+
+    expect(LeaveRequestRepository.updateStatus).toHaveBeenCalledWith(42, APPROVED, {
+      expectedStatus: PENDING,
+      transaction: { id: 'tx' }
+    });
+    expect(LeaveBalanceService.deductForLeaveRequest).toHaveBeenCalled();
+    expect(LeaveRequestStatusHistoryRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ fromStatus: PENDING, toStatus: APPROVED, actorId: 1 }),
+      { transaction: { id: 'tx' } }
+    );
+  });
+
+  it('records decisions on routed requests against the current approval stage', async () => {
+    LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(PENDING_APPROVAL));
+    ApprovalRoutingService.recordDecision.mockResolvedValue({
+      finalStatus: null,
+      nextApproverId: 9,
+      nextStageOrder: 2
+    });
+
+    await LeaveRequestService.updateLeaveRequestStatus(42, APPROVED, {}, manager);
+
+    expect(ApprovalRoutingService.recordDecision).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 42 }),
+      APPROVED,
+      expect.objectContaining({ approverId: 5, override: false }),
+      { transaction: { id: 'tx' } }
+    );
+    // Waiting for the HR stage: nothing is decided yet
+    expect(LeaveRequestRepository.assignApprover)
+      .toHaveBeenCalledWith(42, 9, { transaction: { id: 'tx' } });
+    expect(ApprovalRoutingService.enqueueApprovalRequest).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 42 }),
+      9,
+      2,
+      { transaction: { id: 'tx' } }
+    );
+    expect(LeaveRequestRepository.updateStatus).not.toHaveBeenCalled();
+    expect(LeaveBalanceService.deductForLeaveRequest).not.toHaveBeenCalled();
+  });
+
+  it('approves the request and publishes leave.approved once the last stage approves', async () => {
+    LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(PENDING_APPROVAL));
+
+    await LeaveRequestService.updateLeaveRequestStatus(42, APPROVED, { comment: 'Enjoy' }, hr);
+
+    expect(LeaveBalanceService.deductForLeaveRequest).toHaveBeenCalled();
+    expect(LeaveRequestRepository.updateStatus).toHaveBeenCalledWith(42, APPROVED, {
+      expectedStatus: PENDING_APPROVAL,
+      transaction: { id: 'tx' }
+    });
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      QUEUE_EVENTS.LEAVE_APPROVED,
+      expect.objectContaining({ id: 42, approverId: 9, comment: 'Enjoy', autoApproved: false }),
+      expect.objectContaining({ transaction: { id: 'tx' } })
+    );
+  });
+});
+
+describe('LeaveRequestService creating requests', () => {
+  const employee = principal(7, ROLE.EMPLOYEE);
+  let leaveTypes;
+  const leaveTypeByCode = (code) => leaveTypes.find(type => type.code === code);
+
+  // Far enough ahead never to count as a past date
+  const request = (overrides = {}) => ({
+    startDate: '2030-03-04',
+    endDate: '2030-03-08',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work({ id: 'tx' }));
+
+    leaveTypes = DEFAULT_LEAVE_TYPES.map((defaults, index) => ({
+      id: index + 1,
+      isActive: true,
+      ...defaults
+    }));
+
+    EmployeeRepository.exists.mockResolvedValue(true);
+    LeaveRequestRepository.findOverlapping.mockResolvedValue([]);
+    LeaveRequestRepository.findByIdempotencyKey.mockResolvedValue(null);
+    LeaveRequestRepository.create.mockImplementation(async (data) => ({ id: 42, ...data }));
+    LeaveRequestRepository.findById.mockImplementation(async (id) => ({ id }));
+    LeaveTypeRepository.findById.mockImplementation(async (id) => (
+      leaveTypes.find(type => type.id === id) || null
+    ));
+    LeaveTypeRepository.findByCode.mockImplementation(async (code) => leaveTypeByCode(code) || null);
+    StaffingRuleService.findViolations.mockResolvedValue([]);
+    BlackoutPeriodService.findIntersecting.mockResolvedValue([]);
+    HolidayCalendarService.calculateLeaveDuration.mockResolvedValue(5);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('leave type rules', () => {
+    it('books annual leave against the balance when no type is given', async () => {
+      await LeaveRequestService.createLeaveRequest(request(), employee);
+
+      expect(LeaveBalanceService.assertCanRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ employeeId: 7, durationDays: 5 }),
+        { excludeLeaveRequestId: null }
+      );
+      expect(LeaveRequestRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          leaveTypeId: leaveTypeByCode(LEAVE_TYPE_CODES.ANNUAL).id,
+          durationDays: 5,
+          status: PENDING
+        }),
+        { transaction: { id: 'tx' } }
+      );
+    });
+
+    it('leaves the balance alone for types that do not count against it', async () => {
+      const sick = leaveTypeByCode(LEAVE_TYPE_CODES.SICK);
+
+      await LeaveRequestService.createLeaveRequest(request({ leaveTypeId: sick.id }), employee);
+
+      expect(LeaveBalanceService.assertCanRequest).not.toHaveBeenCalled();
+      expect(LeaveRequestRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ leaveTypeId: sick.id }),
+        expect.any(Object)
+      );
+    });
+
+    it('requires a supporting document where the type asks for one', async () => {
+      const parental = leaveTypeByCode(LEAVE_TYPE_CODES.PARENTAL);
+
+      await expect(
+        LeaveRequestService.createLeaveRequest(request({ leaveTypeId: parental.id }), employee)
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.BAD_REQUEST,
+        message: 'Parental leave requires a supporting document'
+      });
+
+      await LeaveRequestService.createLeaveRequest(request({
+        leaveTypeId: parental.id,
+        documentUrl: 'https://files.example.com/birth-certificate.pdf'
+      }), employee);
+
+      expect(LeaveRequestRepository.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('refuses more consecutive days than the type allows', async () => {
+      HolidayCalendarService.calculateLeaveDuration.mockResolvedValue(11);
+
+      await expect(
+        LeaveRequestService.createLeaveRequest(request({
+          leaveTypeId: leaveTypeByCode(LEAVE_TYPE_CODES.SICK).id,
+          endDate: '2030-03-18'
+        }), employee)
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.BAD_REQUEST,
+        message: 'Sick leave cannot exceed 10 consecutive day(s)'
+      });
+
+      expect(LeaveRequestRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses leave types that are no longer active', async () => {
+      const unpaid = leaveTypeByCode(LEAVE_TYPE_CODES.UNPAID);
+      unpaid.isActive = false;
+
+      await expect(
+        LeaveRequestService.createLeaveRequest(request({ leaveTypeId: unpaid.id }), employee)
+      ).rejects.toThrow('Leave type is no longer available');
+    });
+  });
+
+  describe('blackout periods', () => {
+    const quarterEnd = { id: 3, name: 'Quarter-end', startDate: '2030-03-01', endDate: '2030-03-05' };
+
+    beforeEach(() => {
+      BlackoutPeriodService.findIntersecting.mockResolvedValue([quarterEnd]);
+      BlackoutPeriodService.describeBlackoutPeriods.mockReturnValue(
+        'Quarter-end (2030-03-01 to 2030-03-05)'
+      );
+    });
+
+    it('refuses leave within a blackout period unless an exception is requested', async () => {
+      await expect(
+        LeaveRequestService.createLeaveRequest(request(), employee)
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.CONFLICT,
+        message: expect.stringContaining('falls within blackout period(s) Quarter-end')
+      });
+
+      expect(BlackoutPeriodService.findIntersecting).toHaveBeenCalledWith(
+        expect.objectContaining({ employeeId: 7, leaveTypeId: 1 })
+      );
+      expect(LeaveRequestRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('records an exception request with its reason for a manager to decide', async () => {
+      await LeaveRequestService.createLeaveRequest(request({
+        exceptionRequested: true,
+        exceptionReason: 'Wedding abroad'
+      }), employee);
+
+      expect(LeaveRequestRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: PENDING,
+        exceptionRequested: true,
+        exceptionReason: 'Wedding abroad'
+      }), { transaction: { id: 'tx' } });
+      expect(LeaveRequestStatusHistoryRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        toStatus: PENDING,
+        reason: 'Exception requested for blackout period(s) Quarter-end (2030-03-01 to 2030-03-05)'
+      }), { transaction: { id: 'tx' } });
+    });
+
+    it('drops the exception reason of requests outside any blackout period', async () => {
+      BlackoutPeriodService.findIntersecting.mockResolvedValue([]);
+
+      await LeaveRequestService.createLeaveRequest(request({
+        exceptionRequested: false,
+        exceptionReason: 'Not needed'
+      }), employee);
+
+      expect(LeaveRequestRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        exceptionRequested: false,
+        exceptionReason: null
+      }), { transaction: { id: 'tx' } });
+    });
+  });
+});
+
+describe('LeaveRequestService cancelling requests', () => {
+  const employee = principal(7, ROLE.EMPLOYEE);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work({ id: 'tx' }));
+
+    LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(APPROVED));
+    LeaveRequestRepository.updateStatus.mockResolvedValue([1]);
+    AccessControlService.assertCanAccessEmployee.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([PENDING, PENDING_APPROVAL, APPROVED])(
+    'keeps a cancelled %s request with its reason instead of deleting it',
+    async (status) => {
+      LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(status));
+
+      const result = await LeaveRequestService.cancelLeaveRequest(42, employee, 'Plans changed');
+
+      expect(result.success).toBe(true);
+      expect(LeaveRequestRepository.updateStatus).toHaveBeenCalledWith(42, CANCELLED, {
+        expectedStatus: status,
+        transaction: { id: 'tx' }
+      });
+      expect(LeaveRequestRepository.markCancelled).toHaveBeenCalledWith(
+        42,
+        'Plans changed',
+        { transaction: { id: 'tx' } }
+      );
+      expect(LeaveRequestStatusHistoryRepository.create).toHaveBeenCalledWith({
+        leaveRequestId: 42,
+        fromStatus: status,
+        toStatus: CANCELLED,
+        actorId: 7,
+        reason: 'Plans changed'
+      }, { transaction: { id: 'tx' } });
+      expect(LeaveRequestRepository.delete).not.toHaveBeenCalled();
+    }
+  );
+
+  it('refunds the balance and publishes leave.cancelled in the same transaction', async () => {
+    await LeaveRequestService.cancelLeaveRequest(42, employee);
+
+    expect(LeaveBalanceService.refundForLeaveRequest).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 42, status: APPROVED }),
+      { transaction: { id: 'tx' } }
+    );
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      QUEUE_EVENTS.LEAVE_CANCELLED,
+      expect.objectContaining({ id: 42, employeeId: 7, previousStatus: APPROVED, reason: null }),
+      { transaction: { id: 'tx' }, correlationId: expect.any(String) }
+    );
+  });
+
+  it.each([REJECTED, CANCELLED, WITHDRAWN])('refuses to cancel a %s request', async (status) => {
+    LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(status));
+
+    await expect(
+      LeaveRequestService.cancelLeaveRequest(42, employee)
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+    expect(LeaveBalanceService.refundForLeaveRequest).not.toHaveBeenCalled();
+  });
+
+  it('refuses employees who may not act on the requester\'s leave', async () => {
+    AccessControlService.assertCanAccessEmployee.mockRejectedValue(
+      Object.assign(new Error('Access denied'), { statusCode: HTTP_STATUS.FORBIDDEN })
+    );
+
+    await expect(
+      LeaveRequestService.cancelLeaveRequest(42, principal(8, ROLE.EMPLOYEE))
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+
+    expect(LeaveRequestRepository.markCancelled).not.toHaveBeenCalled();
+  });
+
+  it('reports a status changed concurrently', async () => {
+    LeaveRequestRepository.updateStatus.mockResolvedValue([0]);
+
+    await expect(
+      LeaveRequestService.cancelLeaveRequest(42, employee)
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+
+    expect(LeaveRequestRepository.markCancelled).not.toHaveBeenCalled();
+    expect(OutboxService.enqueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('LeaveRequestService withdrawing requests', () => {
+  const employee = principal(7, ROLE.EMPLOYEE);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work({ id: 'tx' }));
+
+    LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(PENDING_APPROVAL));
+    LeaveRequestRepository.updateStatus.mockResolvedValue([1]);
+    AccessControlService.assertCanAccessEmployee.mockResolvedValue();
+    OutboxService.enqueue.mockImplementation(async (routingKey, payload, options) => (
+      createEvent(routingKey, payload, { correlationId: options.correlationId })
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([PENDING, PENDING_APPROVAL])(
+    'lets the requester withdraw their own %s request',
+    async (status) => {
+      LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(status));
+
+      const result = await LeaveRequestService.withdrawLeaveRequest('42', employee, 'Plans changed');
+
+      expect(result.success).toBe(true);
+      expect(AccessControlService.assertCanAccessEmployee).toHaveBeenCalledWith(employee, 7);
+      // Withdrawing is not a decision, so the requester needs no leave:decide
+      expect(AccessControlService.assertCanDecideLeaveRequest).not.toHaveBeenCalled();
+      expect(LeaveRequestRepository.updateStatus).toHaveBeenCalledWith(42, WITHDRAWN, {
+        expectedStatus: status,
+        transaction: { id: 'tx' }
+      });
+      expect(LeaveRequestStatusHistoryRepository.create).toHaveBeenCalledWith({
+        leaveRequestId: 42,
+        fromStatus: status,
+        toStatus: WITHDRAWN,
+        actorId: 7,
+        reason: 'Plans changed'
+      }, { transaction: { id: 'tx' } });
+      expect(LeaveBalanceService.refundForLeaveRequest).not.toHaveBeenCalled();
+    }
+  );
+
+  it('publishes a valid leave.withdrawn event in the same transaction', async () => {
+    await LeaveRequestService.withdrawLeaveRequest(42, employee);
+
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      QUEUE_EVENTS.LEAVE_WITHDRAWN,
+      expect.objectContaining({ id: 42, employeeId: 7, previousStatus: PENDING_APPROVAL, reason: null }),
+      { transaction: { id: 'tx' }, correlationId: 'leave-request:42' }
+    );
+    await expect(OutboxService.enqueue.mock.results[0].value).resolves.toMatchObject({
+      type: QUEUE_EVENTS.LEAVE_WITHDRAWN,
+      version: 1
+    });
+  });
+
+  it.each([APPROVED, REJECTED, CANCELLED, WITHDRAWN])(
+    'refuses to withdraw a %s request',
+    async (status) => {
+      LeaveRequestRepository.findById.mockResolvedValue(leaveRequest(status));
+
+      await expect(
+        LeaveRequestService.withdrawLeaveRequest(42, employee)
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+      expect(OutboxService.enqueue).not.toHaveBeenCalled();
+    }
+  );
+
+  it('refuses employees who may not act on the requester\'s leave', async () => {
+    AccessControlService.assertCanAccessEmployee.mockRejectedValue(
+      Object.assign(new Error('Access denied'), { statusCode: HTTP_STATUS.FORBIDDEN })
+    );
+
+    await expect(
+      LeaveRequestService.withdrawLeaveRequest(42, principal(8, ROLE.EMPLOYEE))
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+
+    expect(LeaveRequestRepository.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('publishes leave.withdrawn when a decider withdraws through a status change', async () => {
+    await LeaveRequestService.updateLeaveRequestStatus(42, WITHDRAWN, { comment: 'Duplicate' }, manager);
+
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      QUEUE_EVENTS.LEAVE_WITHDRAWN,
+      expect.objectContaining({ id: 42, previousStatus: PENDING_APPROVAL, reason: 'Duplicate' }),
+      expect.objectContaining({ transaction: { id: 'tx' } })
+    );
+  });
+});
+
+describe('LeaveRequestService editing requests', () => {
+  const employee = principal(7, ROLE.EMPLOYEE);
+
+  // Far enough ahead never to count as a past date
+  const stored = (status) => ({
+    ...leaveRequest(status),
+    startDate: '2030-03-04',
+    endDate: '2030-03-08'
+  });
+  const edit = (overrides = {}) => ({
+    startDate: '2030-03-11',
+    endDate: '2030-03-12',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work({ id: 'tx' }));
+
+    const leaveTypes = DEFAULT_LEAVE_TYPES.map((defaults, index) => ({
+      id: index + 1,
+      isActive: true,
+      ...defaults
+    }));
+
+    LeaveRequestRepository.findById.mockResolvedValue(stored(PENDING_APPROVAL));
+    LeaveRequestRepository.findOverlapping.mockResolvedValue([]);
+    LeaveRequestRepository.updateStatus.mockResolvedValue([1]);
+    LeaveTypeRepository.findById.mockImplementation(async (id) => (
+      leaveTypes.find(type => type.id === id) || null
+    ));
+    LeaveTypeRepository.findByCode.mockImplementation(async (code) => (
+      leaveTypes.find(type => type.code === code) || null
+    ));
+    EmployeeRepository.exists.mockResolvedValue(true);
+    AccessControlService.assertCanAccessEmployee.mockResolvedValue();
+    StaffingRuleService.findViolations.mockResolvedValue([]);
+    BlackoutPeriodService.findIntersecting.mockResolvedValue([]);
+    HolidayCalendarService.calculateLeaveDuration.mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the new period and sends the request back to be processed again', async () => {
+    await LeaveRequestService.updateLeaveRequest(42, edit(), employee);
+
+    expect(LeaveRequestRepository.update).toHaveBeenCalledWith(42, expect.objectContaining({
+      startDate: '2030-03-11',
+      endDate: '2030-03-12',
+      durationDays: 2,
+      approverId: null
+    }), { transaction: { id: 'tx' } });
+    expect(LeaveApprovalRepository.deleteByLeaveRequest).toHaveBeenCalledWith(
+      42,
+      { transaction: { id: 'tx' } }
+    );
+    expect(LeaveRequestRepository.updateStatus).toHaveBeenCalledWith(42, PENDING, {
+      expectedStatus: PENDING_APPROVAL,
+      transaction: { id: 'tx' }
+    });
+    expect(LeaveRequestStatusHistoryRepository.create).toHaveBeenCalledWith({
+      leaveRequestId: 42,
+      fromStatus: PENDING_APPROVAL,
+      toStatus: PENDING,
+      actorId: 7,
+      reason: 'Edited by employee'
+    }, { transaction: { id: 'tx' } });
+  });
+
+  it('publishes leave.updated with the previous period', async () => {
+    await LeaveRequestService.updateLeaveRequest(42, edit(), employee);
+
+    expect(OutboxService.enqueue).toHaveBeenCalledWith(
+      QUEUE_EVENTS.LEAVE_UPDATED,
+      expect.objectContaining({
+        id: 42,
+        employeeId: 7,
+        startDate: '2030-03-11',
+        endDate: '2030-03-12',
+        durationDays: 2,
+        previousStatus: PENDING_APPROVAL,
+        previousStartDate: '2030-03-04',
+        previousEndDate: '2030-03-08'
+      }),
+      { transaction: { id: 'tx' }, correlationId: 'leave-request:42' }
+    );
+  });
+
+  it('publishes a valid leave.updated event when the ID comes from the route', async () => {
+    OutboxService.enqueue.mockImplementation(async (routingKey, payload, options) => (
+      createEvent(routingKey, payload, { correlationId: options.correlationId })
+    ));
+
+    await LeaveRequestService.updateLeaveRequest('42', edit(), employee);
+
+    const event = await OutboxService.enqueue.mock.results[0].value;
+    expect(event.payload).toMatchObject({ id: 42, employeeId: 7 });
+  });
+
+  it('validates the new period like a new request, ignoring the request itself', async () => {
+    LeaveRequestRepository.findOverlapping.mockResolvedValue([{ id: 43 }]);
+
+    await expect(
+      LeaveRequestService.updateLeaveRequest(42, edit(), employee)
+    ).rejects.toThrow('Leave request overlaps with existing approved or pending request');
+
+    expect(LeaveRequestRepository.findOverlapping).toHaveBeenCalledWith(
+      7,
+      '2030-03-11',
+      '2030-03-12',
+      42,
+      expect.any(Object)
+    );
+    expect(LeaveRequestRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('flags staffing rule breaches in the history and the response', async () => {
+    const violation = {
+      rule: 'MIN_PRESENT',
+      date: '2030-03-11',
+      message: 'Only 1 employees of Support would be present on 2030-03-11, at least 2 required'
+    };
+    StaffingRuleService.findViolations.mockResolvedValue([violation]);
+    StaffingRuleService.describeViolations.mockReturnValue(violation.message);
+
+    const result = await LeaveRequestService.updateLeaveRequest(42, edit(), employee);
+
+    expect(result.staffingViolations).toEqual([violation]);
+    expect(LeaveRequestStatusHistoryRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ reason: expect.stringMatching(/^Edited by employee; .*Only 1 employees/) }),
+      expect.any(Object)
+    );
+  });
+
+  it.each([APPROVED, REJECTED, CANCELLED, WITHDRAWN])(
+    'refuses to edit a %s request',
+    async (status) => {
+      LeaveRequestRepository.findById.mockResolvedValue(stored(status));
+
+      await expect(
+        LeaveRequestService.updateLeaveRequest(42, edit(), employee)
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+
+      expect(LeaveRequestRepository.update).not.toHaveBeenCalled();
+      expect(OutboxService.enqueue).not.toHaveBeenCalled();
+    }
+  );
+
+  it('reports a status changed while editing', async () => {
+    LeaveRequestRepository.updateStatus.mockResolvedValue([0]);
+
+    await expect(
+      LeaveRequestService.updateLeaveRequest(42, edit(), employee)
+    ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+
+    expect(OutboxService.enqueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('LeaveRequestService bulk decisions', () => {
+  const requests = {
+    41: { ...leaveRequest(PENDING_APPROVAL), id: 41 },
+    42: { ...leaveRequest(PENDING_APPROVAL), id: 42 },
+    43: { ...leaveRequest(REJECTED), id: 43 }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'error', 'warn'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work({ id: 'tx' }));
+
+    LeaveRequestRepository.findById.mockImplementation(async (id) => requests[id] || null);
+    LeaveRequestRepository.updateStatus.mockResolvedValue([1]);
+    ApprovalRoutingService.recordDecision.mockImplementation(async (request, status) => ({
+      finalStatus: status,
+      nextApproverId: null,
+      nextStageOrder: null
+    }));
+    StaffingRuleService.assertCanApprove.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PARTIAL mode', () => {
+    it('decides each request in its own transaction and reports the ones that failed', async () => {
+      const result = await LeaveRequestService.bulkUpdateLeaveRequestStatus(
+        [41, '41', 43, 99, 42],
+        APPROVED,
+        {},
+        hr,
+        BULK_STATUS_MODE.PARTIAL
+      );
+
+      expect(result.data).toEqual({
+        mode: BULK_STATUS_MODE.PARTIAL,
+        results: [
+          { id: 41, success: true, status: APPROVED },
+          { id: 43, success: false, error: 'Cannot change leave request status from REJECTED to APPROVED' },
+          { id: 99, success: false, error: 'Leave request not found' },
+          { id: 42, success: true, status: APPROVED }
+        ],
+        succeeded: 2,
+        failed: 2
+      });
+      expect(sequelize.transaction).toHaveBeenCalledTimes(4);
+      expect(LeaveRequestRepository.updateStatus).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('ATOMIC mode', () => {
+    it('decides every request in one transaction', async () => {
+      const result = await LeaveRequestService.bulkUpdateLeaveRequestStatus(
+        [41, 42],
+        REJECTED,
+        { comment: 'Team offsite' },
+        hr,
+        BULK_STATUS_MODE.ATOMIC
+      );
+
+      expect(result.data).toMatchObject({ succeeded: 2, failed: 0 });
+      expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+      expect(OutboxService.enqueue).toHaveBeenCalledWith(
+        QUEUE_EVENTS.LEAVE_REJECTED,
+        expect.objectContaining({ id: 42, comment: 'Team offsite' }),
+        expect.objectContaining({ transaction: { id: 'tx' } })
+      );
+    });
+
+    it('rolls the batch back and names the request that could not be decided', async () => {
+      await expect(
+        LeaveRequestService.bulkUpdateLeaveRequestStatus([41, 43, 42], APPROVED, {}, hr)
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.CONFLICT,
+        message: 'Leave request 43: Cannot change leave request status from REJECTED to APPROVED'
+      });
+
+      // The request after the failing one is never looked at
+      expect(LeaveRequestRepository.findById).not.toHaveBeenCalledWith(42);
+    });
+
+    it('reports unknown requests as not found', async () => {
+      await expect(
+        LeaveRequestService.bulkUpdateLeaveRequestStatus([41, 99], APPROVED, {}, hr)
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.NOT_FOUND,
+        message: 'Leave request 99: Leave request not found'
+      });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+jest.mock('../../src/repositories/LeaveRequestRepository', () => ({
+  updateStatus: jest.fn(),
+  exists: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveRequestStatusHistoryRepository', () => ({
+  create: jest.fn(),
+  findByLeaveRequest: jest.fn()
+}));
+
+const LeaveRequestRepository = require('../../src/repositories/LeaveRequestRepository');
+const LeaveRequestStatusHistoryRepository = require('../../src/repositories/LeaveRequestStatusHistoryRepository');
+const LeaveRequestStatusService = require('../../src/services/LeaveRequestStatusService');
+const { HTTP_STATUS, LEAVE_REQUEST_STATUS } = require('../../src/utils/constants');
+
+const {
+  PENDING,
+  PENDING_APPROVAL,
+  APPROVED,
+  REJECTED,
+  CANCELLED,
+  WITHDRAWN
+} = LEAVE_REQUEST_STATUS;
+
+describe('LeaveRequestStatusService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('canTransition', () => {
+    it.each([
+      [PENDING, WITHDRAWN],
+      [PENDING, CANCELLED],
+      [PENDING_APPROVAL, APPROVED],
+      [PENDING_APPROVAL, REJECTED],
+      [PENDING_APPROVAL, WITHDRAWN],
+      [PENDING_APPROVAL, CANCELLED],
+      [APPROVED, CANCELLED]
+    ])('allows %s -> %s', (fromStatus, toStatus) => {
+      expect(LeaveRequestStatusService.canTransition(fromStatus, toStatus)).toBe(true);
+    });
+
+    it.each([
+      [PENDING, PENDING_APPROVAL],
+      [PENDING, APPROVED],
+      [PENDING, REJECTED],
+      [PENDING_APPROVAL, PENDING],
+      [APPROVED, REJECTED],
+      [APPROVED, PENDING],
+      [APPROVED, WITHDRAWN],
+      [REJECTED, APPROVED],
+      [CANCELLED, APPROVED],
+      [WITHDRAWN, PENDING],
+      [PENDING, PENDING]
+    ])('refuses %s -> %s', (fromStatus, toStatus) => {
+      expect(LeaveRequestStatusService.canTransition(fromStatus, toStatus)).toBe(false);
+    });
+
+    it.each([
+      [PENDING, PENDING_APPROVAL],
+      [PENDING, APPROVED],
+      [PENDING, REJECTED]
+    ])('lets only the system move %s -> %s', (fromStatus, toStatus) => {
+      expect(LeaveRequestStatusService.canTransition(fromStatus, toStatus, { system: true }))
+        .toBe(true);
+    });
+
+    it('gives the system no way out of final statuses', () => {
+      expect(LeaveRequestStatusService.canTransition(REJECTED, APPROVED, { system: true }))
+        .toBe(false);
+      expect(LeaveRequestStatusService.canTransition(APPROVED, REJECTED, { system: true }))
+        .toBe(false);
+    });
+
+    it('treats rejected, cancelled and withdrawn as final', () => {
+      [REJECTED, CANCELLED, WITHDRAWN].forEach(fromStatus => {
+        Object.values(LEAVE_REQUEST_STATUS).forEach(toStatus => {
+          expect(LeaveRequestStatusService.canTransition(fromStatus, toStatus)).toBe(false);
+        });
+      });
+    });
+
+    it('refuses unknown statuses', () => {
+      expect(LeaveRequestStatusService.canTransition('ARCHIVED', APPROVED)).toBe(false);
+      expect(LeaveRequestStatusService.canTransition(PENDING, 'ARCHIVED')).toBe(false);
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('throws a 409 naming both statuses', () => {
+      expect(() => LeaveRequestStatusService.assertTransition(APPROVED, REJECTED)).toThrow(
+        expect.objectContaining({
+          statusCode: HTTP_STATUS.CONFLICT,
+          message: 'Cannot change leave request status from APPROVED to REJECTED'
+        })
+      );
+    });
+  });
+
+  describe('transition', () => {
+    const leaveRequest = { id: 7, status: PENDING_APPROVAL };
+    const options = { transaction: { id: 'tx' } };
+
+    it('updates the status guarded by the current one and records the history', async () => {
+      LeaveRequestRepository.updateStatus.mockResolvedValue([1]);
+
+      await LeaveRequestStatusService.transition(
+        leaveRequest,
+        APPROVED,
+        { actorId: 3, reason: 'Enjoy' },
+        options
+      );
+
+      expect(LeaveRequestRepository.updateStatus).toHaveBeenCalledWith(7, APPROVED, {
+        expectedStatus: PENDING_APPROVAL,
+        transaction: options.transaction
+      });
+      expect(LeaveRequestStatusHistoryRepository.create).toHaveBeenCalledWith({
+        leaveRequestId: 7,
+        fromStatus: PENDING_APPROVAL,
+        toStatus: APPROVED,
+        actorId: 3,
+        reason: 'Enjoy'
+      }, options);
+    });
+
+    it('refuses a manual PENDING -> APPROVED decision', async () => {
+      await expect(
+        LeaveRequestStatusService.transition({ id: 7, status: PENDING }, APPROVED, { actorId: 3 })
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.CONFLICT,
+        message: 'Cannot change leave request status from PENDING to APPROVED'
+      });
+
+      expect(LeaveRequestRepository.updateStatus).not.toHaveBeenCalled();
+    });
+
+    it('lets the processor decide a PENDING request', async () => {
+      LeaveRequestRepository.updateStatus.mockResolvedValue([1]);
+
+      await LeaveRequestStatusService.transition(
+        { id: 7, status: PENDING },
+        APPROVED,
+        { reason: 'Auto-approved', system: true }
+      );
+
+      expect(LeaveRequestRepository.updateStatus).toHaveBeenCalledWith(7, APPROVED, {
+        expectedStatus: PENDING,
+        transaction: undefined
+      });
+    });
+
+    it('rejects transitions outside the state machine without touching the database', async () => {
+      await expect(
+        LeaveRequestStatusService.transition({ id: 7, status: REJECTED }, APPROVED)
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.CONFLICT });
+
+      expect(LeaveRequestRepository.updateStatus).not.toHaveBeenCalled();
+      expect(LeaveRequestStatusHistoryRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('reports a concurrent change when no row matched the expected status', async () => {
+      LeaveRequestRepository.updateStatus.mockResolvedValue([0]);
+
+      await expect(
+        LeaveRequestStatusService.transition(leaveRequest, REJECTED)
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.CONFLICT,
+        message: 'Leave request status was changed concurrently, please retry'
+      });
+
+      expect(LeaveRequestStatusHistoryRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetForReprocessing', () => {
+    it('sends an undecided request back to PENDING', async () => {
+      LeaveRequestRepository.updateStatus.mockResolvedValue([1]);
+
+      await LeaveRequestStatusService.resetForReprocessing(
+        { id: 9, status: PENDING_APPROVAL },
+        { actorId: 4, reason: 'Edited by employee' }
+      );
+
+      expect(LeaveRequestRepository.updateStatus).toHaveBeenCalledWith(9, PENDING, {
+        expectedStatus: PENDING_APPROVAL,
+        transaction: undefined
+      });
+      expect(LeaveRequestStatusHistoryRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ fromStatus: PENDING_APPROVAL, toStatus: PENDING }),
+        {}
+      );
+    });
+
+    it('refuses decided requests', async () => {
+      await expect(
+        LeaveRequestStatusService.resetForReprocessing({ id: 9, status: APPROVED })
+      ).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.CONFLICT,
+        message: 'Cannot edit a leave request that is APPROVED'
+      });
+
+      expect(LeaveRequestRepository.updateStatus).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,253 @@
+jest.mock('../../src/repositories/NotificationRepository', () => ({
+  findPreferences: jest.fn(),
+  upsertPreferences: jest.fn(),
+  createEmails: jest.fn(),
+  updateEmail: jest.fn(),
+  claimDueEmails: jest.fn()
+}));
+jest.mock('../../src/repositories/EmployeeRepository', () => ({
+  findById: jest.fn(),
+  exists: jest.fn()
+}));
+jest.mock('../../src/repositories/LeaveTypeRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/config/mailer', () => ({ sendMail: jest.fn() }));
+
+const { sequelize } = require('../../src/config/database');
+const NotificationRepository = require('../../src/repositories/NotificationRepository');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const LeaveTypeRepository = require('../../src/repositories/LeaveTypeRepository');
+const mailer = require('../../src/config/mailer');
+const NotificationService = require('../../src/services/NotificationService');
+const {
+  EMAIL_DELIVERY,
+  EMAIL_NOTIFICATION_STATUS,
+  HTTP_STATUS,
+  NOTIFICATION_TYPE,
+  PRINCIPAL_TYPE,
+  QUEUE_EVENTS,
+  ROLE
+} = require('../../src/utils/constants');
+
+const employees = {
+  5: { id: 5, name: 'Maria Manager', email: 'maria@acme.com' },
+  7: { id: 7, name: 'Ann Lee', email: 'ann@acme.com' }
+};
+
+const event = (type, payload = {}) => ({
+  id: 'evt-1',
+  type,
+  payload: {
+    id: 42,
+    employeeId: 7,
+    leaveTypeId: 1,
+    startDate: '2026-03-02',
+    endDate: '2026-03-03',
+    ...payload
+  }
+});
+
+const principal = (employeeId, role) => ({ type: PRINCIPAL_TYPE.EMPLOYEE, employeeId, role });
+
+describe('NotificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ['log', 'warn', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    EmployeeRepository.findById.mockImplementation(async (id) => employees[id] || null);
+    EmployeeRepository.exists.mockResolvedValue(true);
+    LeaveTypeRepository.findById.mockResolvedValue({ id: 1, name: 'Annual leave' });
+    NotificationRepository.findPreferences.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordEvent', () => {
+    it('records a rendered email for the employee concerned', async () => {
+      const recorded = await NotificationService.recordEvent(
+        event(QUEUE_EVENTS.LEAVE_APPROVED, { approverId: 5, comment: 'Enjoy', autoApproved: false }),
+        { transaction: { id: 'tx' } }
+      );
+
+      expect(recorded).toBe(1);
+      expect(NotificationRepository.createEmails).toHaveBeenCalledWith([expect.objectContaining({
+        eventId: 'evt-1',
+        type: NOTIFICATION_TYPE.LEAVE_APPROVED,
+        recipientId: 7,
+        recipientEmail: 'ann@acme.com',
+        leaveRequestId: 42,
+        subject: 'Leave request #42 approved'
+      })], { transaction: { id: 'tx' } });
+
+      const [[email]] = NotificationRepository.createEmails.mock.calls[0];
+
+      expect(email.textBody).toContain(
+        'Your request for Annual leave from 2026-03-02 to 2026-03-03 has been approved by Maria Manager.'
+      );
+      expect(email.textBody).toContain('Comment: Enjoy');
+    });
+
+    it('sends approval requests to the approver', async () => {
+      await NotificationService.recordEvent(
+        event(QUEUE_EVENTS.LEAVE_APPROVAL_REQUESTED, { approverId: 5, stageOrder: 1 })
+      );
+
+      expect(NotificationRepository.createEmails).toHaveBeenCalledWith([expect.objectContaining({
+        type: NOTIFICATION_TYPE.APPROVAL_REQUESTED,
+        recipientId: 5,
+        recipientEmail: 'maria@acme.com'
+      })], {});
+    });
+
+    it('records nothing when the recipient turned that notification off', async () => {
+      NotificationRepository.findPreferences.mockResolvedValue({
+        emailEnabled: true,
+        leaveSubmitted: true,
+        leaveApproved: false,
+        leaveRejected: true,
+        leaveCancelled: true,
+        approvalRequested: true
+      });
+
+      const recorded = await NotificationService.recordEvent(
+        event(QUEUE_EVENTS.LEAVE_APPROVED, { approverId: 5, comment: null, autoApproved: false })
+      );
+
+      expect(recorded).toBe(0);
+      expect(NotificationRepository.createEmails).not.toHaveBeenCalled();
+    });
+
+    it('records nothing when the recipient turned email off altogether', async () => {
+      NotificationRepository.findPreferences.mockResolvedValue({
+        emailEnabled: false,
+        leaveSubmitted: true,
+        leaveApproved: true,
+        leaveRejected: true,
+        leaveCancelled: true,
+        approvalRequested: true
+      });
+
+      expect(await NotificationService.recordEvent(event(QUEUE_EVENTS.LEAVE_CANCELLED, {
+        previousStatus: 'APPROVED',
+        reason: null
+      }))).toBe(0);
+      expect(NotificationRepository.createEmails).not.toHaveBeenCalled();
+    });
+
+    it('ignores events that raise no notification', async () => {
+      expect(await NotificationService.recordEvent(event(QUEUE_EVENTS.LEAVE_UPDATED))).toBe(0);
+      expect(EmployeeRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('skips recipients without an email address', async () => {
+      EmployeeRepository.findById.mockResolvedValue({ id: 7, name: 'Ann Lee', email: null });
+
+      expect(await NotificationService.recordEvent(event(QUEUE_EVENTS.LEAVE_REQUESTED))).toBe(0);
+      expect(NotificationRepository.createEmails).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('changes only the flags given and keeps the rest', async () => {
+      NotificationRepository.findPreferences.mockResolvedValue(null);
+
+      await NotificationService.updatePreferences(
+        7,
+        { leaveSubmitted: false },
+        principal(7, ROLE.EMPLOYEE)
+      );
+
+      expect(NotificationRepository.upsertPreferences).toHaveBeenCalledWith(7, {
+        emailEnabled: true,
+        leaveSubmitted: false,
+        leaveApproved: true,
+        leaveRejected: true,
+        leaveCancelled: true,
+        approvalRequested: true
+      });
+    });
+
+    it('refuses to change another employee\'s preferences', async () => {
+      await expect(
+        NotificationService.updatePreferences(7, { emailEnabled: false }, principal(8, ROLE.EMPLOYEE))
+      ).rejects.toMatchObject({ statusCode: HTTP_STATUS.FORBIDDEN });
+
+      expect(NotificationRepository.upsertPreferences).not.toHaveBeenCalled();
+    });
+
+    it('lets HR change anyone\'s preferences', async () => {
+      await NotificationService.updatePreferences(7, { emailEnabled: false }, principal(2, ROLE.HR));
+
+      expect(NotificationRepository.upsertPreferences).toHaveBeenCalledWith(
+        7,
+        expect.objectContaining({ emailEnabled: false })
+      );
+    });
+  });
+
+  describe('sendDueBatch', () => {
+    const notification = (id, attempts = 0) => ({
+      id,
+      attempts,
+      recipientEmail: 'ann@acme.com',
+      subject: 'Leave request #42 approved',
+      textBody: 'Hello',
+      htmlBody: '<p>Hello</p>'
+    });
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work({ id: 'tx' }));
+    });
+
+    it('sends claimed emails and schedules failed ones for another attempt', async () => {
+      NotificationRepository.claimDueEmails.mockResolvedValue([notification(1), notification(2)]);
+      mailer.sendMail
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+      const result = await NotificationService.sendDueBatch();
+
+      expect(result).toEqual({ sent: 1, failed: 1 });
+      expect(NotificationRepository.claimDueEmails).toHaveBeenCalledWith(
+        EMAIL_DELIVERY.BATCH_SIZE,
+        EMAIL_DELIVERY.SEND_TIMEOUT_MS * 2,
+        { transaction: { id: 'tx' } }
+      );
+      expect(mailer.sendMail).toHaveBeenCalledWith({
+        to: 'ann@acme.com',
+        subject: 'Leave request #42 approved',
+        text: 'Hello',
+        html: '<p>Hello</p>'
+      });
+      expect(NotificationRepository.updateEmail).toHaveBeenCalledWith(1, expect.objectContaining({
+        status: EMAIL_NOTIFICATION_STATUS.SENT,
+        attempts: 1,
+        sentAt: expect.any(Date),
+        nextAttemptAt: null
+      }));
+      expect(NotificationRepository.updateEmail).toHaveBeenCalledWith(2, expect.objectContaining({
+        status: EMAIL_NOTIFICATION_STATUS.PENDING,
+        attempts: 1,
+        lastError: 'Mailbox unavailable',
+        nextAttemptAt: expect.any(Date)
+      }));
+    });
+
+    it('gives up on an email once the last attempt fails', async () => {
+      NotificationRepository.claimDueEmails.mockResolvedValue([
+        notification(1, EMAIL_DELIVERY.MAX_ATTEMPTS - 1)
+      ]);
+      mailer.sendMail.mockRejectedValue(new Error('Mailbox unavailable'));
+
+      await NotificationService.sendDueBatch();
+
+      expect(NotificationRepository.updateEmail).toHaveBeenCalledWith(1, expect.objectContaining({
+        status: EMAIL_NOTIFICATION_STATUS.FAILED,
+        nextAttemptAt: null
+      }));
+    });
+  });
+});
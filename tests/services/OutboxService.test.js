@@ -0,0 +1,166 @@
+/**
+ * Outbox relay: claiming, publishing and retrying events
+ */
+
+process.env.OUTBOX_MAX_ATTEMPTS = '3';
+process.env.OUTBOX_RETRY_BASE_DELAY_MS = '1000';
+process.env.OUTBOX_RETRY_MAX_DELAY_MS = '5000';
+
+jest.mock('../../src/repositories/OutboxRepository', () => ({
+  create: jest.fn(),
+  claimDue: jest.fn(),
+  update: jest.fn()
+}));
+jest.mock('../../src/config/broker', () => ({ publishMessage: jest.fn() }));
+
+const { sequelize } = require('../../src/config/database');
+const broker = require('../../src/config/broker');
+const OutboxRepository = require('../../src/repositories/OutboxRepository');
+const OutboxService = require('../../src/services/OutboxService');
+const { OUTBOX_RELAY, OUTBOX_STATUS, QUEUE_EVENTS } = require('../../src/utils/constants');
+const { createEvent } = require('../../src/utils/events');
+
+const NOW = new Date('2026-03-02T09:00:00Z');
+
+const outboxEvent = (id, attempts = 0) => ({
+  id,
+  routingKey: QUEUE_EVENTS.LEAVE_REJECTED,
+  attempts,
+  payload: createEvent(QUEUE_EVENTS.LEAVE_REJECTED, {
+    id: 42,
+    employeeId: 7,
+    leaveTypeId: 1,
+    startDate: '2026-03-02',
+    endDate: '2026-03-03',
+    approverId: 5,
+    comment: null
+  })
+});
+
+describe('OutboxService.relayBatch', () => {
+  let transactionOpen;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+    ['log', 'warn', 'error'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    transactionOpen = false;
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => {
+      transactionOpen = true;
+
+      try {
+        return await work({ id: 'tx' });
+      } finally {
+        transactionOpen = false;
+      }
+    });
+
+    broker.publishMessage.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('claims events in a short transaction and publishes them after it has ended', async () => {
+    OutboxRepository.claimDue.mockResolvedValue([outboxEvent(1), outboxEvent(2)]);
+    broker.publishMessage.mockImplementation(async () => {
+      expect(transactionOpen).toBe(false);
+      return true;
+    });
+
+    const result = await OutboxService.relayBatch();
+
+    expect(result).toEqual({ delivered: 2, failed: 0 });
+    expect(OutboxRepository.claimDue).toHaveBeenCalledWith(
+      OUTBOX_RELAY.BATCH_SIZE,
+      OUTBOX_RELAY.CLAIM_LEASE_MS,
+      { transaction: { id: 'tx' } }
+    );
+    expect(broker.publishMessage).toHaveBeenCalledTimes(2);
+  });
+
+  it('marks confirmed events delivered outside the claim transaction', async () => {
+    const event = outboxEvent(1);
+    OutboxRepository.claimDue.mockResolvedValue([event]);
+
+    await OutboxService.relayBatch();
+
+    expect(broker.publishMessage).toHaveBeenCalledWith(
+      QUEUE_EVENTS.LEAVE_REJECTED,
+      event.payload,
+      { messageId: event.payload.id }
+    );
+    expect(OutboxRepository.update).toHaveBeenCalledWith(1, {
+      status: OUTBOX_STATUS.DELIVERED,
+      attempts: 1,
+      deliveredAt: NOW,
+      lastError: null
+    });
+  });
+
+  it('backs off exponentially after failed publishes', async () => {
+    OutboxRepository.claimDue.mockResolvedValue([outboxEvent(1, 1)]);
+    broker.publishMessage.mockRejectedValue(new Error('Connection closed'));
+
+    const result = await OutboxService.relayBatch();
+
+    expect(result).toEqual({ delivered: 0, failed: 1 });
+    expect(OutboxRepository.update).toHaveBeenCalledWith(1, {
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 2,
+      availableAt: new Date(NOW.getTime() + 2000),
+      lastError: 'Connection closed'
+    });
+  });
+
+  it('treats an unconfirmed publish as a failure', async () => {
+    OutboxRepository.claimDue.mockResolvedValue([outboxEvent(1)]);
+    broker.publishMessage.mockResolvedValue(false);
+
+    await OutboxService.relayBatch();
+
+    expect(OutboxRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({
+      status: OUTBOX_STATUS.PENDING,
+      lastError: 'Broker did not confirm the event'
+    }));
+  });
+
+  it('marks the event failed once its attempts are exhausted', async () => {
+    OutboxRepository.claimDue.mockResolvedValue([outboxEvent(1, 2)]);
+    broker.publishMessage.mockRejectedValue(new Error('Connection closed'));
+
+    await OutboxService.relayBatch();
+
+    expect(OutboxRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({
+      status: OUTBOX_STATUS.FAILED,
+      attempts: 3
+    }));
+  });
+
+  it('marks events without a valid envelope failed without publishing them', async () => {
+    OutboxRepository.claimDue.mockResolvedValue([
+      { id: 1, routingKey: QUEUE_EVENTS.LEAVE_REJECTED, attempts: 0, payload: { id: 42 } }
+    ]);
+
+    const result = await OutboxService.relayBatch();
+
+    expect(result).toEqual({ delivered: 0, failed: 1 });
+    expect(broker.publishMessage).not.toHaveBeenCalled();
+    expect(OutboxRepository.update).toHaveBeenCalledWith(1, {
+      status: OUTBOX_STATUS.FAILED,
+      lastError: expect.stringMatching(/^Invalid event: /)
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('doubles per attempt up to the maximum', () => {
+      expect([1, 2, 3, 4, 5].map(attempts => OutboxService.getRetryDelay(attempts)))
+        .toEqual([1000, 2000, 4000, 5000, 5000]);
+    });
+  });
+});
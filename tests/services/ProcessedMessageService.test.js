@@ -0,0 +1,145 @@
+process.env.PROCESSED_MESSAGE_RETENTION_DAYS = '7';
+process.env.PROCESSED_MESSAGE_CLEANUP_BATCH_SIZE = '2';
+
+jest.mock('../../src/repositories/ProcessedMessageRepository', () => ({
+  create: jest.fn(),
+  deleteProcessedBefore: jest.fn()
+}));
+
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../../src/config/database');
+const ProcessedMessageRepository = require('../../src/repositories/ProcessedMessageRepository');
+const ProcessedMessageService = require('../../src/services/ProcessedMessageService');
+
+const event = { id: 'evt-1', type: 'leave.requested' };
+
+describe('ProcessedMessageService', () => {
+  let rolledBack;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ProcessedMessageRepository.create.mockResolvedValue({});
+
+    rolledBack = false;
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => {
+      try {
+        return await work({ id: 'tx' });
+      } catch (error) {
+        rolledBack = true;
+        throw error;
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processOnce', () => {
+    it('records the event and runs the handler in the same transaction', async () => {
+      const handler = jest.fn();
+
+      const processed = await ProcessedMessageService.processOnce(
+        'leave-processor',
+        event,
+        'leave.requested',
+        handler
+      );
+
+      expect(processed).toBe(true);
+      expect(ProcessedMessageRepository.create).toHaveBeenCalledWith(
+        { eventId: 'evt-1', consumer: 'leave-processor', routingKey: 'leave.requested' },
+        { transaction: { id: 'tx' } }
+      );
+      expect(handler).toHaveBeenCalledWith({ transaction: { id: 'tx' } });
+    });
+
+    it('skips an event the consumer has already processed', async () => {
+      ProcessedMessageRepository.create.mockRejectedValue(new UniqueConstraintError({}));
+      const handler = jest.fn();
+
+      const processed = await ProcessedMessageService.processOnce(
+        'leave-processor',
+        event,
+        'leave.requested',
+        handler
+      );
+
+      expect(processed).toBe(false);
+      expect(handler).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Skipping already processed event')
+      );
+    });
+
+    it('rolls the record back with a failed handler so the event is retried', async () => {
+      const handler = jest.fn().mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(
+        ProcessedMessageService.processOnce('leave-processor', event, 'leave.requested', handler)
+      ).rejects.toThrow('Database unavailable');
+
+      expect(rolledBack).toBe(true);
+    });
+
+    it('passes on other errors from recording the event', async () => {
+      ProcessedMessageRepository.create.mockRejectedValue(new Error('Connection lost'));
+      const handler = jest.fn();
+
+      await expect(
+        ProcessedMessageService.processOnce('leave-processor', event, 'leave.requested', handler)
+      ).rejects.toThrow('Connection lost');
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('wrapConsumer', () => {
+    it('hands the event, raw message and transaction to the handler', async () => {
+      const handler = jest.fn();
+      const rawMessage = { fields: { routingKey: 'leave.requested' } };
+
+      const consume = ProcessedMessageService.wrapConsumer(
+        'notifications',
+        handler,
+        msg => msg.fields.routingKey
+      );
+      await consume(event, rawMessage);
+
+      expect(ProcessedMessageRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ consumer: 'notifications', routingKey: 'leave.requested' }),
+        expect.any(Object)
+      );
+      expect(handler).toHaveBeenCalledWith(event, rawMessage, { transaction: { id: 'tx' } });
+    });
+  });
+
+  describe('cleanup', () => {
+    it('deletes records past the retention period in batches until one comes back short', async () => {
+      ProcessedMessageRepository.deleteProcessedBefore
+        .mockResolvedValueOnce(2)
+        .mockResolvedValueOnce(2)
+        .mockResolvedValueOnce(1);
+      const before = Date.now() - 7 * 24 * 60 * 60 * 1000;
+
+      const deleted = await ProcessedMessageService.cleanup();
+
+      expect(deleted).toBe(5);
+      expect(ProcessedMessageRepository.deleteProcessedBefore).toHaveBeenCalledTimes(3);
+
+      const [cutoff, limit] = ProcessedMessageRepository.deleteProcessedBefore.mock.calls[0];
+
+      expect(limit).toBe(2);
+      expect(Math.abs(cutoff.getTime() - before)).toBeLessThan(1000);
+    });
+
+    it('stops after one query when nothing is old enough', async () => {
+      ProcessedMessageRepository.deleteProcessedBefore.mockResolvedValue(0);
+
+      expect(await ProcessedMessageService.cleanup()).toBe(0);
+      expect(ProcessedMessageRepository.deleteProcessedBefore).toHaveBeenCalledTimes(1);
+    });
+  });
+});
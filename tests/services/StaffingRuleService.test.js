@@ -0,0 +1,201 @@
+jest.mock('../../src/repositories/DepartmentRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/repositories/EmployeeRepository', () => ({ findById: jest.fn() }));
+jest.mock('../../src/repositories/LeaveRequestRepository', () => ({
+  getDepartmentAvailability: jest.fn()
+}));
+jest.mock('../../src/services/HolidayCalendarService', () => ({
+  getWorkingCalendarForDepartment: jest.fn()
+}));
+
+const DepartmentRepository = require('../../src/repositories/DepartmentRepository');
+const EmployeeRepository = require('../../src/repositories/EmployeeRepository');
+const LeaveRequestRepository = require('../../src/repositories/LeaveRequestRepository');
+const HolidayCalendarService = require('../../src/services/HolidayCalendarService');
+const StaffingRuleService = require('../../src/services/StaffingRuleService');
+const {
+  HALF_DAY_PERIOD,
+  HTTP_STATUS,
+  LEAVE_GRANULARITY,
+  LEAVE_REQUEST_STATUS,
+  STAFFING_RULE
+} = require('../../src/utils/constants');
+
+const department = (rules = {}) => ({
+  id: 3,
+  name: 'Support',
+  minPresent: null,
+  maxConcurrentAbsences: null,
+  blackoutPeriods: [],
+  ...rules
+});
+
+const absence = (employeeId, fraction = 1) => ({ employeeId, name: `Employee ${employeeId}`, fraction });
+
+const day = (date, onLeave = [], workingDay = true) => ({
+  date,
+  workingDay,
+  onLeave,
+  absent: onLeave.reduce((total, entry) => total + entry.fraction, 0)
+});
+
+const leaveRequest = (overrides = {}) => ({
+  id: 42,
+  employeeId: 7,
+  startDate: '2026-03-02',
+  endDate: '2026-03-03',
+  granularity: LEAVE_GRANULARITY.FULL_DAY,
+  ...overrides
+});
+
+describe('StaffingRuleService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    EmployeeRepository.findById.mockResolvedValue({ id: 7, departmentId: 3 });
+    HolidayCalendarService.getWorkingCalendarForDepartment.mockResolvedValue({
+      workingDays: [1, 2, 3, 4, 5],
+      holidays: new Set()
+    });
+  });
+
+  describe('findViolations', () => {
+    it('finds nothing in departments without rules', async () => {
+      DepartmentRepository.findById.mockResolvedValue(department());
+
+      expect(await StaffingRuleService.findViolations(leaveRequest())).toEqual([]);
+      expect(LeaveRequestRepository.getDepartmentAvailability).not.toHaveBeenCalled();
+    });
+
+    it('counts only approved leave of colleagues', async () => {
+      DepartmentRepository.findById.mockResolvedValue(department({ minPresent: 1 }));
+      LeaveRequestRepository.getDepartmentAvailability.mockResolvedValue({ headcount: 4, days: [] });
+
+      await StaffingRuleService.findViolations(leaveRequest(), { transaction: { id: 'tx' } });
+
+      expect(LeaveRequestRepository.getDepartmentAvailability).toHaveBeenCalledWith(
+        3,
+        '2026-03-02',
+        '2026-03-03',
+        expect.any(Object),
+        { statuses: [LEAVE_REQUEST_STATUS.APPROVED], excludeId: 42, transaction: { id: 'tx' } }
+      );
+    });
+
+    it('reports working days with too many people away', async () => {
+      DepartmentRepository.findById.mockResolvedValue(department({ maxConcurrentAbsences: 2 }));
+      LeaveRequestRepository.getDepartmentAvailability.mockResolvedValue({
+        headcount: 6,
+        days: [
+          day('2026-03-02', [absence(8)]),
+          day('2026-03-03', [absence(8), absence(9)])
+        ]
+      });
+
+      const violations = await StaffingRuleService.findViolations(leaveRequest());
+
+      expect(violations).toEqual([{
+        rule: STAFFING_RULE.MAX_CONCURRENT_ABSENCES,
+        date: '2026-03-03',
+        message: '3 employees of Support would be absent on 2026-03-03, at most 2 allowed'
+      }]);
+    });
+
+    it('reports working days with too few people present', async () => {
+      DepartmentRepository.findById.mockResolvedValue(department({ minPresent: 3 }));
+      LeaveRequestRepository.getDepartmentAvailability.mockResolvedValue({
+        headcount: 4,
+        days: [
+          day('2026-03-02', [absence(8)]),
+          // Days off do not need cover
+          day('2026-03-03', [absence(8), absence(9)], false)
+        ]
+      });
+
+      const violations = await StaffingRuleService.findViolations(leaveRequest());
+
+      expect(violations).toEqual([{
+        rule: STAFFING_RULE.MIN_PRESENT,
+        date: '2026-03-02',
+        message: 'Only 2 employees of Support would be present on 2026-03-02, at least 3 required'
+      }]);
+    });
+
+    it('counts the requested half-day on top of the employee\'s own half-day', async () => {
+      DepartmentRepository.findById.mockResolvedValue(
+        department({ minPresent: 2, maxConcurrentAbsences: 1 })
+      );
+      LeaveRequestRepository.getDepartmentAvailability.mockResolvedValue({
+        headcount: 3,
+        days: [day('2026-03-02', [absence(7, 0.5)])]
+      });
+
+      const violations = await StaffingRuleService.findViolations(leaveRequest({
+        endDate: '2026-03-02',
+        granularity: LEAVE_GRANULARITY.HALF_DAY,
+        halfDayPeriod: HALF_DAY_PERIOD.PM
+      }));
+
+      // Still one absentee; two of three present once the whole day is off
+      expect(violations).toEqual([]);
+    });
+
+    it('reports department blackout periods the leave overlaps', async () => {
+      DepartmentRepository.findById.mockResolvedValue(department({
+        blackoutPeriods: [
+          { name: 'Quarter close', startDate: '2026-03-03', endDate: '2026-03-06' },
+          { name: 'Audit', startDate: '2026-04-01', endDate: '2026-04-03' }
+        ]
+      }));
+
+      const violations = await StaffingRuleService.findViolations(leaveRequest());
+
+      expect(violations).toEqual([expect.objectContaining({
+        rule: STAFFING_RULE.BLACKOUT_PERIOD,
+        date: null,
+        message: 'Support does not allow leave during Quarter close (2026-03-03 to 2026-03-06)'
+      })]);
+      expect(LeaveRequestRepository.getDepartmentAvailability).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertCanApprove', () => {
+    beforeEach(() => {
+      DepartmentRepository.findById.mockResolvedValue(department({
+        maxConcurrentAbsences: 1,
+        blackoutPeriods: [{ name: 'Quarter close', startDate: '2026-03-03', endDate: '2026-03-06' }]
+      }));
+      LeaveRequestRepository.getDepartmentAvailability.mockResolvedValue({
+        headcount: 6,
+        days: [day('2026-03-02', [absence(8)]), day('2026-03-03')]
+      });
+    });
+
+    it('refuses approval while rules are breached', async () => {
+      await expect(StaffingRuleService.assertCanApprove(leaveRequest())).rejects.toMatchObject({
+        statusCode: HTTP_STATUS.CONFLICT,
+        message: 'Support does not allow leave during Quarter close (2026-03-03 to 2026-03-06) ' +
+          '(and 1 more staffing rule breach(es)); set acceptException to approve anyway'
+      });
+    });
+
+    it('returns the breaches an approver accepts', async () => {
+      const accepted = await StaffingRuleService.assertCanApprove(leaveRequest(), {
+        acceptException: true
+      });
+
+      expect(accepted.map(violation => violation.rule)).toEqual([
+        STAFFING_RULE.BLACKOUT_PERIOD,
+        STAFFING_RULE.MAX_CONCURRENT_ABSENCES
+      ]);
+    });
+
+    it('waives blackout periods for requested exceptions but not the other rules', async () => {
+      await expect(
+        StaffingRuleService.assertCanApprove(leaveRequest({ exceptionRequested: true }))
+      ).rejects.toThrow(
+        '2 employees of Support would be absent on 2026-03-02, at most 1 allowed; ' +
+        'set acceptException to approve anyway'
+      );
+    });
+  });
+});
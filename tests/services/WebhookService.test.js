@@ -0,0 +1,360 @@
+/**
+ * Webhook deliveries against local HTTP endpoints
+ */
+
+jest.mock('../../src/repositories/WebhookRepository', () => ({
+  findActive: jest.fn(),
+  createDeliveries: jest.fn(),
+  updateDelivery: jest.fn()
+}));
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const WebhookRepository = require('../../src/repositories/WebhookRepository');
+const WebhookService = require('../../src/services/WebhookService');
+const { WEBHOOK_DELIVERY, WEBHOOK_DELIVERY_STATUS } = require('../../src/utils/constants');
+
+// Local endpoint recording the paths it was asked for and the requests it received
+const startEndpoint = (handler) => new Promise((resolve) => {
+  const requests = [];
+  const received = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+
+    // Answered once the whole request has arrived
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      handler(req, res);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    requests,
+    received,
+    port: server.address().port
+  }));
+});
+
+const stopEndpoint = ({ server }) => new Promise((resolve) => {
+  server.closeAllConnections();
+  server.close(resolve);
+});
+
+// Loads the service with address checks lifted, so it may talk to local endpoints
+const loadWithLoopbackAllowed = () => {
+  const loaded = {};
+
+  jest.isolateModules(() => {
+    jest.doMock('../../src/utils/network', () => ({
+      assertPublicUrl: jest.fn(),
+      publicLookup: require('dns').lookup
+    }));
+    loaded.WebhookRepository = require('../../src/repositories/WebhookRepository');
+    loaded.WebhookService = require('../../src/services/WebhookService');
+  });
+
+  return loaded;
+};
+
+// Streams up to 50 MB, recording how much was written before the client went away
+let bytesWritten = 0;
+const LARGE_BODY_BYTES = 50 * 1024 * 1024;
+const streamLargeBody = (res) => {
+  const chunk = Buffer.alloc(64 * 1024, 'a');
+
+  bytesWritten = 0;
+  res.writeHead(500, { 'Content-Type': 'text/plain' });
+
+  const write = () => {
+    while (bytesWritten < LARGE_BODY_BYTES) {
+      bytesWritten += chunk.length;
+
+      if (!res.write(chunk)) {
+        res.once('drain', write);
+        return;
+      }
+    }
+
+    res.end();
+  };
+
+  res.on('close', () => res.removeAllListeners('drain'));
+  write();
+};
+
+const delivery = (url, overrides = {}) => ({
+  id: 3,
+  eventType: 'leave.approved',
+  payload: { id: 'evt-1', type: 'leave.approved', payload: { id: 42 } },
+  attempts: 0,
+  deliveredAt: null,
+  subscription: { id: 5, url, secret: 'whsec_test', isActive: true },
+  ...overrides
+});
+
+const recordedOutcome = (repository = WebhookRepository) => (
+  repository.updateDelivery.mock.calls[0][1]
+);
+
+describe('WebhookService deliveries', () => {
+  let endpoint;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    ['log', 'warn'].forEach(level => {
+      jest.spyOn(console, level).mockImplementation(() => {});
+    });
+
+    endpoint = await startEndpoint((req, res) => {
+      if (req.url === '/large') {
+        streamLargeBody(res);
+        return;
+      }
+
+      if (req.url === '/unavailable') {
+        res.writeHead(503, { 'Content-Type': 'text/plain' });
+        res.end('try later');
+        return;
+      }
+
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: '/internal' });
+        res.end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+
+  afterEach(async () => {
+    await stopEndpoint(endpoint);
+    jest.restoreAllMocks();
+  });
+
+  describe('SSRF protection', () => {
+    it('refuses private IP literals without connecting', async () => {
+      const succeeded = await WebhookService.attemptDelivery(
+        delivery(`http://127.0.0.1:${endpoint.port}/hook`)
+      );
+
+      expect(succeeded).toBe(false);
+      expect(endpoint.requests).toEqual([]);
+      expect(recordedOutcome()).toMatchObject({
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        responseStatus: null,
+        responseBody: null,
+        lastError: 'Host 127.0.0.1 resolves to a private or reserved address'
+      });
+    });
+
+    it('refuses hosts resolving to private addresses', async () => {
+      const succeeded = await WebhookService.attemptDelivery(
+        delivery(`http://localhost:${endpoint.port}/hook`)
+      );
+
+      expect(succeeded).toBe(false);
+      expect(endpoint.requests).toEqual([]);
+      expect(recordedOutcome().lastError).toMatch(/private or reserved address/);
+    });
+
+    it('connects only to the address it checked when the host rebinds', async () => {
+      // The up-front check sees a public address; by connection time the host
+      // resolves to loopback
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+      const succeeded = await WebhookService.attemptDelivery(
+        delivery(`http://localhost:${endpoint.port}/hook`)
+      );
+
+      expect(succeeded).toBe(false);
+      expect(endpoint.requests).toEqual([]);
+      expect(recordedOutcome().responseBody).toBeNull();
+    });
+
+    it('does not follow redirects', async () => {
+      const loaded = loadWithLoopbackAllowed();
+
+      const succeeded = await loaded.WebhookService.attemptDelivery(
+        delivery(`http://127.0.0.1:${endpoint.port}/redirect`)
+      );
+
+      expect(succeeded).toBe(false);
+      expect(endpoint.requests).toEqual(['/redirect']);
+      expect(recordedOutcome(loaded.WebhookRepository)).toMatchObject({
+        responseStatus: 302,
+        lastError: 'Endpoint responded with 302'
+      });
+    });
+  });
+
+  it('keeps only the start of the response body and stops reading the rest', async () => {
+    const loaded = loadWithLoopbackAllowed();
+
+    await loaded.WebhookService.attemptDelivery(
+      delivery(`http://127.0.0.1:${endpoint.port}/large`)
+    );
+
+    const outcome = recordedOutcome(loaded.WebhookRepository);
+
+    expect(outcome.responseStatus).toBe(500);
+    expect(outcome.responseBody).toBe('a'.repeat(2000));
+    expect(bytesWritten).toBeLessThan(LARGE_BODY_BYTES);
+  });
+
+  describe('signing', () => {
+    it('signs the published envelope with the subscription secret', async () => {
+      const loaded = loadWithLoopbackAllowed();
+
+      const succeeded = await loaded.WebhookService.attemptDelivery(
+        delivery(`http://127.0.0.1:${endpoint.port}/hook`)
+      );
+
+      expect(succeeded).toBe(true);
+
+      const [{ headers, body }] = endpoint.received;
+      const timestamp = headers['x-webhook-timestamp'];
+      const expected = crypto
+        .createHmac('sha256', 'whsec_test')
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+      expect(JSON.parse(body)).toEqual(delivery('').payload);
+      expect(headers).toMatchObject({
+        'content-type': 'application/json',
+        'x-webhook-id': '3',
+        'x-webhook-event': 'leave.approved',
+        'x-webhook-signature': `t=${timestamp},v1=${expected}`
+      });
+    });
+
+    it('produces a different signature for a different secret', () => {
+      expect(WebhookService.signPayload('whsec_a', 1700000000, '{}'))
+        .not.toBe(WebhookService.signPayload('whsec_b', 1700000000, '{}'));
+    });
+  });
+
+  describe('retries', () => {
+    it('records a delivered event and schedules nothing further', async () => {
+      const loaded = loadWithLoopbackAllowed();
+
+      await loaded.WebhookService.attemptDelivery(
+        delivery(`http://127.0.0.1:${endpoint.port}/hook`)
+      );
+
+      expect(recordedOutcome(loaded.WebhookRepository)).toMatchObject({
+        status: WEBHOOK_DELIVERY_STATUS.SUCCEEDED,
+        attempts: 1,
+        responseStatus: 200,
+        responseBody: 'ok',
+        lastError: null,
+        deliveredAt: expect.any(Date),
+        nextAttemptAt: null
+      });
+    });
+
+    it('schedules a failed delivery again after a growing delay', async () => {
+      const loaded = loadWithLoopbackAllowed();
+      const before = Date.now();
+
+      const succeeded = await loaded.WebhookService.attemptDelivery(
+        delivery(`http://127.0.0.1:${endpoint.port}/unavailable`, { attempts: 2 })
+      );
+
+      const outcome = recordedOutcome(loaded.WebhookRepository);
+
+      expect(succeeded).toBe(false);
+      expect(outcome).toMatchObject({
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        attempts: 3,
+        responseStatus: 503,
+        responseBody: 'try later',
+        lastError: 'Endpoint responded with 503',
+        deliveredAt: null
+      });
+      expect(outcome.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(
+        before + WEBHOOK_DELIVERY.RETRY_BASE_DELAY_MS * 4
+      );
+    });
+
+    it('gives up once the last attempt fails', async () => {
+      const loaded = loadWithLoopbackAllowed();
+
+      await loaded.WebhookService.attemptDelivery(
+        delivery(`http://127.0.0.1:${endpoint.port}/unavailable`, {
+          attempts: WEBHOOK_DELIVERY.MAX_ATTEMPTS - 1
+        })
+      );
+
+      expect(recordedOutcome(loaded.WebhookRepository)).toMatchObject({
+        status: WEBHOOK_DELIVERY_STATUS.FAILED,
+        attempts: WEBHOOK_DELIVERY.MAX_ATTEMPTS,
+        nextAttemptAt: null
+      });
+    });
+
+    it('fails deliveries of inactive subscriptions without sending them', async () => {
+      const loaded = loadWithLoopbackAllowed();
+      const inactive = delivery(`http://127.0.0.1:${endpoint.port}/hook`);
+      inactive.subscription.isActive = false;
+
+      await loaded.WebhookService.attemptDelivery(inactive);
+
+      expect(endpoint.requests).toEqual([]);
+      expect(recordedOutcome(loaded.WebhookRepository)).toMatchObject({
+        status: WEBHOOK_DELIVERY_STATUS.FAILED,
+        lastError: 'Webhook subscription is inactive'
+      });
+    });
+
+    it('doubles the delay per attempt up to the maximum', () => {
+      const base = WEBHOOK_DELIVERY.RETRY_BASE_DELAY_MS;
+
+      expect(WebhookService.getRetryDelay(1)).toBe(base);
+      expect(WebhookService.getRetryDelay(2)).toBe(base * 2);
+      expect(WebhookService.getRetryDelay(3)).toBe(base * 4);
+      expect(WebhookService.getRetryDelay(50)).toBe(WEBHOOK_DELIVERY.RETRY_MAX_DELAY_MS);
+    });
+  });
+});
+
+describe('WebhookService.recordEvent', () => {
+  const event = { id: 'evt-1', type: 'leave.approved', payload: { id: 42 } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records one delivery per subscription whose filters match the event', async () => {
+    WebhookRepository.findActive.mockResolvedValue([
+      { id: 1, events: ['leave.*'] },
+      { id: 2, events: ['employee.#'] },
+      { id: 3, events: ['leave.rejected', 'leave.approved'] }
+    ]);
+
+    const matched = await WebhookService.recordEvent(event, { transaction: { id: 'tx' } });
+
+    expect(matched).toBe(2);
+    expect(WebhookRepository.createDeliveries).toHaveBeenCalledWith([
+      { subscriptionId: 1, eventId: 'evt-1', eventType: 'leave.approved', payload: event },
+      { subscriptionId: 3, eventId: 'evt-1', eventType: 'leave.approved', payload: event }
+    ], { transaction: { id: 'tx' } });
+  });
+
+  it('records nothing when no subscription matches', async () => {
+    WebhookRepository.findActive.mockResolvedValue([{ id: 2, events: ['employee.#'] }]);
+
+    expect(await WebhookService.recordEvent(event)).toBe(0);
+    expect(WebhookRepository.createDeliveries).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+const {
+  EVENT_VERSIONS,
+  createEvent,
+  leavePeriodPayload,
+  validateEvent
+} = require('../../src/utils/events');
+const { QUEUE_EVENTS } = require('../../src/utils/constants');
+
+const rejectedPayload = {
+  id: 42,
+  employeeId: 7,
+  leaveTypeId: null,
+  startDate: '2026-03-02',
+  endDate: '2026-03-03',
+  approverId: 5,
+  comment: null
+};
+
+describe('events', () => {
+  describe('createEvent', () => {
+    it('wraps the payload in an envelope of the latest version', () => {
+      const event = createEvent(QUEUE_EVENTS.LEAVE_REJECTED, rejectedPayload, {
+        correlationId: 'leave-request:42'
+      });
+
+      expect(event).toEqual({
+        id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+        type: QUEUE_EVENTS.LEAVE_REJECTED,
+        version: EVENT_VERSIONS[QUEUE_EVENTS.LEAVE_REJECTED],
+        occurredAt: expect.any(String),
+        correlationId: 'leave-request:42',
+        payload: rejectedPayload
+      });
+      expect(validateEvent(event).error).toBeNull();
+    });
+
+    it('refuses payloads missing required fields', () => {
+      const { comment, ...payload } = rejectedPayload;
+
+      expect(() => createEvent(QUEUE_EVENTS.LEAVE_REJECTED, payload))
+        .toThrow('Invalid event: Invalid leave.rejected payload: "comment" is required');
+    });
+
+    it('refuses unknown event types', () => {
+      expect(() => createEvent('leave.archived', rejectedPayload)).toThrow(/"type" must be one of/);
+    });
+  });
+
+  describe('validateEvent', () => {
+    const event = (overrides = {}) => ({
+      ...createEvent(QUEUE_EVENTS.LEAVE_REJECTED, rejectedPayload),
+      ...overrides
+    });
+
+    it('does not coerce values to the schema', () => {
+      const { error } = validateEvent(event({
+        payload: { ...rejectedPayload, id: '42' }
+      }));
+
+      expect(error).toMatch(/"id" must be a number/);
+    });
+
+    it('refuses dates that are not plain calendar dates', () => {
+      const { error } = validateEvent(event({
+        payload: { ...rejectedPayload, startDate: '2026-03-02T00:00:00.000Z' }
+      }));
+
+      expect(error).toMatch(/"startDate" with value .* fails to match the YYYY-MM-DD date pattern/);
+    });
+
+    it('refuses fields the schema does not know', () => {
+      const { error } = validateEvent(event({
+        payload: { ...rejectedPayload, salary: 100000 }
+      }));
+
+      expect(error).toMatch(/"salary" is not allowed/);
+    });
+
+    it('refuses versions without a schema', () => {
+      expect(validateEvent(event({ version: 2 })).error)
+        .toBe('Unsupported version 2 of leave.rejected');
+    });
+
+    it('refuses envelopes without an id', () => {
+      expect(validateEvent(event({ id: undefined })).error).toMatch(/"id" is required/);
+    });
+  });
+
+  describe('leavePeriodPayload', () => {
+    it('reduces a leave request to its period as plain dates', () => {
+      expect(leavePeriodPayload({
+        id: 42,
+        employeeId: 7,
+        leaveTypeId: undefined,
+        startDate: new Date('2026-03-02T00:00:00.000Z'),
+        endDate: '2026-03-03',
+        reason: 'Not part of any event'
+      })).toEqual({
+        id: 42,
+        employeeId: 7,
+        leaveTypeId: null,
+        startDate: '2026-03-02',
+        endDate: '2026-03-03'
+      });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { buildCalendar, parseEvents } = require('../../src/utils/icalendar');
+
+const lines = (document) => document.split('\r\n');
+
+describe('icalendar', () => {
+  describe('buildCalendar', () => {
+    it('writes all-day events with an exclusive end date', () => {
+      const document = buildCalendar({
+        name: 'Leave – Engineering',
+        events: [{
+          uid: 'leave-request-42@workforce-management',
+          startDate: '2026-12-30',
+          endDate: '2026-12-31',
+          summary: 'Ann Lee – Annual leave',
+          status: 'CONFIRMED',
+          lastModified: '2026-10-01T08:30:00.000Z'
+        }]
+      });
+
+      expect(document.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines(document)).toEqual(expect.arrayContaining([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'X-WR-CALNAME:Leave – Engineering',
+        'UID:leave-request-42@workforce-management',
+        'DTSTART;VALUE=DATE:20261230',
+        'DTEND;VALUE=DATE:20270101',
+        'STATUS:CONFIRMED',
+        'LAST-MODIFIED:20261001T083000Z',
+        'TRANSP:TRANSPARENT'
+      ]));
+    });
+
+    it('repeats the daily window of timed events over the range', () => {
+      const document = buildCalendar({
+        name: 'Leave',
+        events: [{
+          uid: 'leave-request-43@workforce-management',
+          startDate: '2026-03-02',
+          endDate: '2026-03-04',
+          startMinutes: 13 * 60,
+          endMinutes: 24 * 60,
+          summary: 'Afternoons off'
+        }]
+      });
+
+      expect(lines(document)).toEqual(expect.arrayContaining([
+        'DTSTART:20260302T130000',
+        'DTEND:20260303T000000',
+        'RRULE:FREQ=DAILY;COUNT=3'
+      ]));
+    });
+
+    it('escapes text values', () => {
+      const document = buildCalendar({
+        name: 'Leave',
+        events: [{
+          uid: 'leave-request-44@workforce-management',
+          startDate: '2026-03-02',
+          endDate: '2026-03-02',
+          summary: 'Lee, Ann; off',
+          description: 'Status: APPROVED\nPath: C:\\leave',
+          categories: ['Annual leave', 'Paid, full day']
+        }]
+      });
+
+      expect(lines(document)).toEqual(expect.arrayContaining([
+        'SUMMARY:Lee\\, Ann\\; off',
+        'DESCRIPTION:Status: APPROVED\\nPath: C:\\\\leave',
+        'CATEGORIES:Annual leave,Paid\\, full day'
+      ]));
+    });
+
+    it('folds long lines at 75 octets without splitting characters', () => {
+      const summary = 'Ä'.repeat(100);
+      const document = buildCalendar({
+        name: 'Leave',
+        events: [{
+          uid: 'leave-request-45@workforce-management',
+          startDate: '2026-03-02',
+          endDate: '2026-03-02',
+          summary
+        }]
+      });
+
+      const physicalLines = lines(document);
+
+      physicalLines.forEach(line => {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+        expect(line).not.toContain('\uFFFD');
+      });
+
+      const unfolded = document.replace(/\r\n /g, '');
+
+      expect(unfolded).toContain(`SUMMARY:${summary}\r\n`);
+    });
+
+    it('can be read back by the holiday import parser', () => {
+      const document = buildCalendar({
+        name: 'Leave',
+        events: [{
+          uid: 'leave-request-46@workforce-management',
+          startDate: '2026-04-03',
+          endDate: '2026-04-06',
+          summary: 'Easter, long weekend'
+        }]
+      });
+
+      expect(parseEvents(document)).toEqual([{
+        uid: 'leave-request-46@workforce-management',
+        summary: 'Easter, long weekend',
+        dates: ['2026-04-03', '2026-04-04', '2026-04-05', '2026-04-06']
+      }]);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const {
+  toDateOnlyString,
+  eachDateInRange,
+  getIsoWeekday,
+  calculateLeaveDuration,
+  leavePeriodsOverlap,
+  getDayFraction,
+  calculatePeriodDuration,
+  resolveLeaveDuration,
+  getLeaveYear,
+  splitPeriodByYear
+} = require('../../src/utils/leaveDuration');
+const { HALF_DAY_PERIOD, LEAVE_GRANULARITY } = require('../../src/utils/constants');
+
+describe('leaveDuration', () => {
+  describe('toDateOnlyString', () => {
+    it('keeps the date part of strings and dates', () => {
+      expect(toDateOnlyString('2026-03-02')).toBe('2026-03-02');
+      expect(toDateOnlyString('2026-03-02T18:30:00Z')).toBe('2026-03-02');
+      expect(toDateOnlyString(new Date('2026-03-02T00:00:00Z'))).toBe('2026-03-02');
+    });
+
+    it('returns null for values that are not dates', () => {
+      expect(toDateOnlyString('02/03/2026')).toBeNull();
+      expect(toDateOnlyString(new Date('invalid'))).toBeNull();
+      expect(toDateOnlyString(null)).toBeNull();
+    });
+  });
+
+  describe('eachDateInRange', () => {
+    it('lists every date of an inclusive range, across month ends', () => {
+      expect(eachDateInRange('2026-02-27', '2026-03-02')).toEqual([
+        '2026-02-27',
+        '2026-02-28',
+        '2026-03-01',
+        '2026-03-02'
+      ]);
+    });
+
+    it('is empty for reversed or invalid ranges', () => {
+      expect(eachDateInRange('2026-03-02', '2026-03-01')).toEqual([]);
+      expect(eachDateInRange('invalid', '2026-03-01')).toEqual([]);
+    });
+  });
+
+  describe('getIsoWeekday', () => {
+    it('numbers Monday 1 to Sunday 7', () => {
+      expect(getIsoWeekday('2026-03-02')).toBe(1);
+      expect(getIsoWeekday('2026-03-08')).toBe(7);
+    });
+  });
+
+  describe('calculateLeaveDuration', () => {
+    it('skips weekends with the default working week', () => {
+      // Friday to the following Monday
+      expect(calculateLeaveDuration('2026-03-06', '2026-03-09')).toBe(2);
+    });
+
+    it('skips holidays and honours custom working weeks', () => {
+      const calendar = { workingDays: [1, 2, 3, 4], holidays: new Set(['2026-03-03']) };
+
+      // Monday to Friday: Tuesday is a holiday and Friday is not a working day
+      expect(calculateLeaveDuration('2026-03-02', '2026-03-06', calendar)).toBe(3);
+    });
+
+    it('returns null for invalid dates', () => {
+      expect(calculateLeaveDuration('invalid', '2026-03-06')).toBeNull();
+    });
+  });
+
+  describe('getDayFraction', () => {
+    it('counts full days as 1 and half-days as 0.5', () => {
+      expect(getDayFraction({ granularity: LEAVE_GRANULARITY.FULL_DAY })).toBe(1);
+      expect(getDayFraction({})).toBe(1);
+      expect(getDayFraction({
+        granularity: LEAVE_GRANULARITY.HALF_DAY,
+        halfDayPeriod: HALF_DAY_PERIOD.PM
+      })).toBe(0.5);
+    });
+
+    it('counts hours against the working day, capped at a full day', () => {
+      expect(getDayFraction({
+        granularity: LEAVE_GRANULARITY.HOURLY,
+        startTime: '09:00',
+        endTime: '11:00'
+      })).toBe(0.25);
+      expect(getDayFraction({
+        granularity: LEAVE_GRANULARITY.HOURLY,
+        startTime: '06:00',
+        endTime: '20:00'
+      })).toBe(1);
+    });
+  });
+
+  describe('calculatePeriodDuration', () => {
+    it('multiplies the working days by the day fraction', () => {
+      expect(calculatePeriodDuration({
+        startDate: '2026-03-02',
+        endDate: '2026-03-04',
+        granularity: LEAVE_GRANULARITY.HALF_DAY,
+        halfDayPeriod: HALF_DAY_PERIOD.AM
+      })).toBe(1.5);
+    });
+
+    it('rounds to two decimals', () => {
+      expect(calculatePeriodDuration({
+        startDate: '2026-03-02',
+        endDate: '2026-03-02',
+        granularity: LEAVE_GRANULARITY.HOURLY,
+        startTime: '09:00',
+        endTime: '09:20'
+      })).toBe(0.04);
+    });
+  });
+
+  describe('resolveLeaveDuration', () => {
+    it('prefers the stored duration', () => {
+      expect(resolveLeaveDuration({
+        durationDays: '2.50',
+        startDate: '2026-03-02',
+        endDate: '2026-03-06'
+      })).toBe(2.5);
+    });
+
+    it('calculates the duration when none is stored', () => {
+      expect(resolveLeaveDuration({
+        durationDays: null,
+        startDate: '2026-03-02',
+        endDate: '2026-03-06'
+      })).toBe(5);
+    });
+  });
+
+  describe('leavePeriodsOverlap', () => {
+    const day = { startDate: '2026-03-02', endDate: '2026-03-02' };
+    const halfDay = (halfDayPeriod) => ({
+      ...day,
+      granularity: LEAVE_GRANULARITY.HALF_DAY,
+      halfDayPeriod
+    });
+    const morning = halfDay(HALF_DAY_PERIOD.AM);
+    const afternoon = halfDay(HALF_DAY_PERIOD.PM);
+
+    it('detects overlapping date ranges', () => {
+      expect(leavePeriodsOverlap(
+        { startDate: '2026-03-02', endDate: '2026-03-06' },
+        { startDate: '2026-03-06', endDate: '2026-03-10' }
+      )).toBe(true);
+      expect(leavePeriodsOverlap(
+        { startDate: '2026-03-02', endDate: '2026-03-05' },
+        { startDate: '2026-03-06', endDate: '2026-03-10' }
+      )).toBe(false);
+    });
+
+    it('lets morning and afternoon half-days of the same day coexist', () => {
+      expect(leavePeriodsOverlap(morning, afternoon)).toBe(false);
+      expect(leavePeriodsOverlap(morning, day)).toBe(true);
+    });
+
+    it('compares hourly windows', () => {
+      const hours = (startTime, endTime) => ({
+        ...day,
+        granularity: LEAVE_GRANULARITY.HOURLY,
+        startTime,
+        endTime
+      });
+
+      expect(leavePeriodsOverlap(hours('09:00', '11:00'), hours('11:00', '13:00'))).toBe(false);
+      expect(leavePeriodsOverlap(hours('09:00', '11:00'), hours('10:30', '12:00'))).toBe(true);
+      expect(leavePeriodsOverlap(hours('13:00', '15:00'), afternoon)).toBe(true);
+    });
+  });
+
+  describe('getLeaveYear', () => {
+    it('charges leave to the year it starts in', () => {
+      expect(getLeaveYear({ startDate: '2026-12-30', endDate: '2027-01-04' })).toBe(2026);
+    });
+  });
+
+  describe('splitPeriodByYear', () => {
+    it('keeps a period within one year whole', () => {
+      expect(splitPeriodByYear({ startDate: '2026-03-02', endDate: '2026-03-06' })).toEqual([
+        { year: 2026, startDate: '2026-03-02', endDate: '2026-03-06' }
+      ]);
+    });
+
+    it('cuts a period at New Year and keeps its other fields', () => {
+      const period = {
+        startDate: '2026-12-28',
+        endDate: '2027-01-08',
+        granularity: LEAVE_GRANULARITY.FULL_DAY
+      };
+
+      expect(splitPeriodByYear(period)).toEqual([
+        { ...period, year: 2026, endDate: '2026-12-31' },
+        { ...period, year: 2027, startDate: '2027-01-01' }
+      ]);
+    });
+
+    it('returns nothing for invalid dates', () => {
+      expect(splitPeriodByYear({ startDate: 'soon', endDate: '2026-03-06' })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { createPoller } = require('../../src/utils/poller');
+
+describe('createPoller', () => {
+  let poller;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    poller.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('runs immediately and then once per interval', async () => {
+    const runBatch = jest.fn().mockResolvedValue(1);
+    poller = createPoller({ name: 'Test', runBatch, intervalMs: 1000, batchSize: 10 });
+
+    poller.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(runBatch).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(runBatch).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(runBatch).toHaveBeenCalledTimes(2);
+  });
+
+  it('runs again straight away after a full batch', async () => {
+    const runBatch = jest.fn()
+      .mockResolvedValueOnce(10)
+      .mockResolvedValueOnce(10)
+      .mockResolvedValue(3);
+    poller = createPoller({ name: 'Test', runBatch, intervalMs: 1000, batchSize: 10 });
+
+    poller.start();
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect(runBatch).toHaveBeenCalledTimes(3);
+  });
+
+  it('always waits for the interval without a batch size', async () => {
+    const runBatch = jest.fn().mockResolvedValue(undefined);
+    poller = createPoller({ name: 'Test', runBatch, intervalMs: 1000 });
+
+    poller.start();
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect(runBatch).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs a failed run and keeps polling', async () => {
+    const runBatch = jest.fn()
+      .mockRejectedValueOnce(new Error('Database unavailable'))
+      .mockResolvedValue(0);
+    poller = createPoller({ name: 'Test', runBatch, intervalMs: 1000 });
+
+    poller.start();
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Test run failed'));
+    expect(runBatch).toHaveBeenCalledTimes(2);
+  });
+
+  it('starts only once', async () => {
+    const runBatch = jest.fn().mockResolvedValue(0);
+    poller = createPoller({ name: 'Test', runBatch, intervalMs: 1000 });
+
+    expect(poller.start()).toBe(true);
+    expect(poller.start()).toBe(false);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(runBatch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not run again once stopped', async () => {
+    const runBatch = jest.fn().mockResolvedValue(0);
+    poller = createPoller({ name: 'Test', runBatch, intervalMs: 1000 });
+
+    poller.start();
+    await jest.advanceTimersByTimeAsync(0);
+    poller.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(runBatch).toHaveBeenCalledTimes(1);
+    expect(poller.isRunning()).toBe(false);
+  });
+
+  it('keeps a single loop when restarted while a run is in progress', async () => {
+    let finishRun;
+    const runBatch = jest.fn()
+      .mockImplementationOnce(() => new Promise(resolve => { finishRun = resolve; }))
+      .mockResolvedValue(0);
+    poller = createPoller({ name: 'Test', runBatch, intervalMs: 1000 });
+
+    poller.start();
+    await jest.advanceTimersByTimeAsync(0);
+    poller.stop();
+    poller.start();
+    await jest.advanceTimersByTimeAsync(0);
+    finishRun(0);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    // Initial run, restart run, one interval run: the stale run scheduled nothing
+    expect(runBatch).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,142 @@
+const { once } = require('events');
+const { Writable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const {
+  createSpreadsheetWriter,
+  parseCsv,
+  readSpreadsheet,
+  sendDownload
+} = require('../../src/utils/spreadsheet');
+const { asyncHandler, errorHandler } = require('../../src/middleware/errorHandler');
+const { AppError } = require('../../src/utils/errors');
+const { HTTP_STATUS, SPREADSHEET_FORMAT } = require('../../src/utils/constants');
+
+// Writes records through a spreadsheet writer and returns the file content
+const writeSpreadsheet = async (format, columns, batches) => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  const writer = createSpreadsheetWriter(output, format, columns);
+
+  for (const records of batches) {
+    await writer.writeRows(records);
+  }
+  await writer.end();
+
+  if (!output.writableFinished) {
+    await once(output, 'finish');
+  }
+
+  return Buffer.concat(chunks);
+};
+
+const columns = [
+  { header: 'name', value: record => record.name },
+  { header: 'note', value: record => record.note },
+  { header: 'createdAt', value: record => record.createdAt }
+];
+
+const records = [
+  { name: 'Lee, Ann', note: 'says "hi"\nthere', createdAt: new Date('2026-03-02T09:30:00.000Z') },
+  { name: '=HYPERLINK("http://evil.example")', note: null, createdAt: undefined }
+];
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and CRLF line endings', () => {
+    expect(parseCsv('﻿name,note\r\n"Lee, Ann","says ""hi""\nthere"\r\n')).toEqual([
+      ['name', 'note'],
+      ['Lee, Ann', 'says "hi"\nthere']
+    ]);
+  });
+
+  it('stops reading one row with content past maxRows', () => {
+    const rows = parseCsv('a\n\nb\nc\nd\ne\n', { maxRows: 2 });
+
+    // Blank rows are kept for their row number but do not count
+    expect(rows).toEqual([['a'], [''], ['b'], ['c']]);
+  });
+
+  it('refuses rows wider than maxColumns', () => {
+    expect(() => parseCsv('a,b,c\n', { maxColumns: 2 }))
+      .toThrow('The uploaded file has more than 2 columns');
+  });
+});
+
+describe('createSpreadsheetWriter', () => {
+  it.each([SPREADSHEET_FORMAT.CSV, SPREADSHEET_FORMAT.XLSX])(
+    'writes %s files that read back to the same cells',
+    async (format) => {
+      const content = await writeSpreadsheet(format, columns, [[records[0]], [records[1]]]);
+
+      expect(await readSpreadsheet(content, format)).toEqual([
+        ['name', 'note', 'createdAt'],
+        ['Lee, Ann', 'says "hi"\nthere', '2026-03-02T09:30:00.000Z'],
+        // Text that would run as a formula is kept as text
+        ['\'=HYPERLINK("http://evil.example")', '', '']
+      ]);
+    }
+  );
+
+  it.each([SPREADSHEET_FORMAT.CSV, SPREADSHEET_FORMAT.XLSX])(
+    'writes the header row of an empty %s export',
+    async (format) => {
+      const content = await writeSpreadsheet(format, columns, []);
+
+      expect(await readSpreadsheet(content, format)).toEqual([['name', 'note', 'createdAt']]);
+    }
+  );
+});
+
+describe('sendDownload', () => {
+  // Export endpoint writing the records returned by produce
+  const exportApp = (produce) => {
+    const app = express();
+
+    app.get('/export', asyncHandler(async (req, res) => {
+      res.status(HTTP_STATUS.OK);
+
+      await sendDownload(res, SPREADSHEET_FORMAT.CSV, 'employees', async () => {
+        const writer = createSpreadsheetWriter(res, SPREADSHEET_FORMAT.CSV, columns);
+        await writer.writeRows(await produce());
+        await writer.end();
+      });
+    }));
+    app.use(errorHandler);
+
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the rows as an attachment', async () => {
+    const response = await request(exportApp(async () => [records[0]])).get('/export');
+
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(response.headers['content-type']).toMatch(/^text\/csv/);
+    expect(response.headers['content-disposition'])
+      .toMatch(/^attachment; filename="employees-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(response.text).toMatch(/^name,note,createdAt\r\n"Lee, Ann"/);
+  });
+
+  it('answers a failure before the first row with a plain JSON error', async () => {
+    const response = await request(exportApp(async () => {
+      throw new AppError('Department not found', HTTP_STATUS.NOT_FOUND);
+    })).get('/export');
+
+    expect(response.status).toBe(HTTP_STATUS.NOT_FOUND);
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+    expect(response.headers['content-disposition']).toBeUndefined();
+    expect(response.body).toEqual({ success: false, error: 'Department not found' });
+  });
+});